@@ -1,8 +1,14 @@
+import { selectLockdownChannels } from "../../../../../src/domain/services/LockdownService.js";
+
+const RAID_SLOWMODE_SECONDS = 30;
+
 export class AntiRaidService {
   #states = new Map(); // guildId -> state
-  constructor(getModLog, defaultThreshold = 10) {
+  constructor(getModLog, defaultThreshold = 10, lockdownService = null, logger = null) {
     this.getModLog = getModLog;
     this.defaultThreshold = defaultThreshold;
+    this.lockdownService = lockdownService;
+    this.logger = logger;
   }
   ensure(gid) {
     if (!this.#states.has(gid)) {
@@ -28,22 +34,48 @@ export class AntiRaidService {
     }
   };
 
+  // Slowmode goes through the host's lockdown service so each channel's previous rate limit is
+  // snapshotted and restored on lift, instead of being reset to 0. A lockdown that is already running
+  // is left alone; any other failure is logged and reported instead of announcing a lockdown.
   async lockdown(guild, reason) {
     const ch = await this.getModLog(guild);
-    const textChannels = guild.channels.cache.filter(c => c?.isTextBased?.() && c.type === 0);
-    for (const [, c] of textChannels) {
-      try { if (typeof c.setRateLimitPerUser === "function") await c.setRateLimitPerUser(30, reason); } catch {}
+    let result;
+    try {
+      if (!this.lockdownService) throw new Error("No lockdown service is available.");
+      if (await this.lockdownService.getActive(guild.id)) {
+        try { await ch?.send(`⚠️ Anti-Raid join spike — ${reason}\nA lockdown is already active, so it was left as is.`); } catch {}
+        return;
+      }
+      result = await this.lockdownService.start({
+        guild,
+        channels: selectLockdownChannels(guild, { all: true }),
+        reason,
+        slowmodeSeconds: RAID_SLOWMODE_SECONDS,
+        lockSend: false,
+        notify: false,
+        scope: "antiraid"
+      });
+    } catch (err) {
+      this.logger?.error?.("antiraid.lockdown_failed", { guildId: guild.id, error: String(err?.message || err) });
+      try { await ch?.send(`❌ Anti-Raid Lockdown Failed — ${reason}\n${err?.message || err}`); } catch {}
+      return;
     }
-    try { await ch?.send(`⚠️ Anti-Raid Lockdown Activated — ${reason}`); } catch {}
+    const failedText = result.failed ? `, failed on ${result.failed}` : "";
+    try { await ch?.send(`⚠️ Anti-Raid Lockdown Activated — ${reason}\nSlowmode set on ${result.locked} channel(s)${failedText}.`); } catch {}
   }
 
   async liftLockdown(guild, note) {
     const s = this.ensure(guild.id);
     s.lockdownActive = false;
     const ch = await this.getModLog(guild);
-    const textChannels = guild.channels.cache.filter(c => c?.isTextBased?.() && c.type === 0);
-    for (const [, c] of textChannels) {
-      try { if (typeof c.setRateLimitPerUser === "function") await c.setRateLimitPerUser(0, "Lockdown lifted"); } catch {}
+    const active = await this.lockdownService?.getActive(guild.id);
+    // only lift what anti-raid started; a moderator's /lockdown is ended with /lockdown end
+    if (active?.scope === "antiraid") {
+      const result = await this.lockdownService.end({ guild, reason: note || "Anti-raid lockdown lifted", notify: false });
+      if (result && !result.ended) {
+        try { await ch?.send(`⚠️ Anti-Raid Lockdown Partly Lifted — ${result.failed} channel(s) could not be restored; run \`/lockdown end\` to retry.`); } catch {}
+        return;
+      }
     }
     try { await ch?.send(`✅ Anti-Raid Lockdown Lifted${note ? ` — ${note}` : ""}`); } catch {}
   }
@@ -13,6 +13,7 @@ export class DashboardService {
   #config;
   #warningModel;
   #moderationActionModel;
+  #noteModel;
   #server;
   #client;
   #app;
@@ -20,11 +21,12 @@ export class DashboardService {
   #warnedPlaintextPassword;
   #passwordVerifier;
 
-  constructor({ config, logger, warningModel, moderationActionModel, passwordVerifier }) {
+  constructor({ config, logger, warningModel, moderationActionModel, noteModel = null, passwordVerifier }) {
     this.#logger = logger;
     this.#config = this.#normalizeConfig(config);
     this.#warningModel = warningModel;
     this.#moderationActionModel = moderationActionModel;
+    this.#noteModel = noteModel;
     this.#sessionSecret = null;
     this.#warnedPlaintextPassword = false;
     this.#passwordVerifier = passwordVerifier ?? createPasswordVerifier();
@@ -2162,12 +2164,13 @@ export class DashboardService {
       filter.guildId = { $in: allowList };
     }
 
-    const [warnings, actions] = await Promise.all([
+    const [warnings, actions, notes] = await Promise.all([
       this.#warningModel.find(filter).sort({ createdAt: -1 }).limit(100).lean(),
-      this.#moderationActionModel.find(filter).sort({ createdAt: -1 }).limit(100).lean()
+      this.#moderationActionModel.find(filter).sort({ createdAt: -1 }).limit(100).lean(),
+      this.#noteModel ? this.#noteModel.find(filter).sort({ createdAt: -1 }).limit(100).lean() : []
     ]);
 
-    if (!warnings.length && !actions.length) return null;
+    if (!warnings.length && !actions.length && !notes.length) return null;
 
     const discordUser = this.#resolveDiscordUser(userId);
 
@@ -2325,6 +2328,18 @@ export class DashboardService {
         expiresAt: a.expiresAt instanceof Date ? a.expiresAt.toISOString() : a.expiresAt,
         metadata: a.metadata ?? null,
         moderator: a.moderatorId ? this.#resolveDiscordUser(a.moderatorId) : null
+      })),
+      noteCount: notes.length,
+      notes: notes.map((n) => ({
+        id: String(n._id || ""),
+        noteNumber: n.noteNumber,
+        guildId: n.guildId,
+        authorId: n.authorId ?? null,
+        text: n.text,
+        caseNumbers: Array.isArray(n.caseNumbers) ? n.caseNumbers : [],
+        createdAt: n.createdAt instanceof Date ? n.createdAt.toISOString() : n.createdAt,
+        editedAt: n.editedAt instanceof Date ? n.editedAt.toISOString() : n.editedAt ?? null,
+        author: n.authorId ? this.#resolveDiscordUser(n.authorId) : null
       }))
     };
   }
@@ -0,0 +1,53 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { AntiRaidService } from "../AntiRaidService.js";
+
+function createGuild() {
+  return { id: "g1", roles: { everyone: { id: "g1" } }, channels: { cache: new Map() } };
+}
+
+function createModLog() {
+  const sent = [];
+  return { sent, getModLog: async () => ({ send: async (text) => { sent.push(text); } }) };
+}
+
+test("lockdown reports a failed start instead of announcing it", async () => {
+  const modLog = createModLog();
+  const errors = [];
+  const lockdownService = {
+    getActive: async () => null,
+    start: async () => { throw new Error("Missing Permissions"); }
+  };
+  const service = new AntiRaidService(modLog.getModLog, 10, lockdownService, { error: (event, meta) => errors.push({ event, meta }) });
+
+  await service.lockdown(createGuild(), "Join spike");
+
+  assert.equal(modLog.sent.length, 1);
+  assert.match(modLog.sent[0], /^❌ Anti-Raid Lockdown Failed — Join spike\nMissing Permissions$/);
+  assert.deepEqual(errors, [{ event: "antiraid.lockdown_failed", meta: { guildId: "g1", error: "Missing Permissions" } }]);
+});
+
+test("lockdown leaves a running lockdown alone and reports a missing lockdown service", async () => {
+  const modLog = createModLog();
+  let starts = 0;
+  const lockdownService = {
+    getActive: async () => ({ scope: "all" }),
+    start: async () => { starts += 1; }
+  };
+
+  await new AntiRaidService(modLog.getModLog, 10, lockdownService).lockdown(createGuild(), "Join spike");
+  await new AntiRaidService(modLog.getModLog, 10, null).lockdown(createGuild(), "Join spike");
+
+  assert.equal(starts, 0);
+  assert.match(modLog.sent[0], /already active/);
+  assert.match(modLog.sent[1], /^❌ Anti-Raid Lockdown Failed/);
+});
+
+test("lockdown announces how many channels were slowed", async () => {
+  const modLog = createModLog();
+  const lockdownService = { getActive: async () => null, start: async () => ({ locked: 4, failed: 1 }) };
+
+  await new AntiRaidService(modLog.getModLog, 10, lockdownService).lockdown(createGuild(), "Join spike");
+
+  assert.equal(modLog.sent[0], "⚠️ Anti-Raid Lockdown Activated — Join spike\nSlowmode set on 4 channel(s), failed on 1.");
+});
@@ -60,7 +60,7 @@ export default {
         const config = context?.config;
         const tokens = context?.tokens;
         const formatDuration = context?.helpers?.formatDuration;
-        const { WarningModel, ModerationActionModel } = context?.models || {};
+        const { WarningModel, ModerationActionModel, NoteModel } = context?.models || {};
 
         if (!config || !tokens || !formatDuration || !WarningModel || !ModerationActionModel) {
           throw new Error("bot-private plugin requires host context with config, tokens, helpers.formatDuration, and models");
@@ -146,13 +146,14 @@ export default {
 
         container.set(PRIVATE_TOKENS.MemberTracker, tracker);
         container.set(PRIVATE_TOKENS.BrandNewAccountWatcher, brandNewWatcher);
-        container.set(PRIVATE_TOKENS.AntiRaidService, new AntiRaidService(getModLog, 10));
+        container.set(PRIVATE_TOKENS.AntiRaidService, new AntiRaidService(getModLog, 10, container.get(tokens.LockdownService), logger));
 
         const dashboardService = new DashboardService({
           config: config.privateDashboard,
           logger,
           warningModel: WarningModel,
-          moderationActionModel: ModerationActionModel
+          moderationActionModel: ModerationActionModel,
+          noteModel: NoteModel ?? null
         });
 
         try {
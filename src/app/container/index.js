@@ -19,8 +19,11 @@ export const TOKENS = {
   Logger: "Logger",
   DebugState: "DebugState",
   WarningService: "WarningService",
+  WarningEscalationService: "WarningEscalationService",
+  NoteService: "NoteService",
   ModerationService: "ModerationService",
   ModerationLogService: "ModerationLogService",
+  ModLogPublisher: "ModLogPublisher",
   ChannelMapService: "ChannelMapService",
   StaffRoleService: "StaffRoleService",
   StaffMemberLogService: "StaffMemberLogService",
@@ -31,5 +34,14 @@ export const TOKENS = {
   AllowedInviteService: "AllowedInviteService",
   DisplayNamePolicyService: "DisplayNamePolicyService",
   GuildConfigService: "GuildConfigService",
+  ProfanityFilterService: "ProfanityFilterService",
+  RaidModeService: "RaidModeService",
+  LinkAllowService: "LinkAllowService",
+  LockdownService: "LockdownService",
+  ChannelScheduleService: "ChannelScheduleService",
+  MessageLogService: "MessageLogService",
+  ReportService: "ReportService",
+  ModmailService: "ModmailService",
+  ComponentRouter: "ComponentRouter",
   DashboardService: "DashboardService"
 };
@@ -13,6 +13,19 @@ import { VirusTotalService } from "../../domain/services/VirusTotalService.js";
 import { MentionTrackerService } from "../../domain/services/MentionTrackerService.js";
 import { DisplayNamePolicyService } from "../../domain/services/DisplayNamePolicyService.js";
 import { GuildConfigService } from "../../domain/services/GuildConfigService.js";
+import { ProfanityFilterService } from "../../domain/services/ProfanityFilterService.js";
+import { RaidModeService } from "../../domain/services/RaidModeService.js";
+import { LinkAllowService } from "../../domain/services/LinkAllowService.js";
+import { WarningEscalationService } from "../../domain/services/WarningEscalationService.js";
+import { NoteService } from "../../domain/services/NoteService.js";
+import { ModLogPublisher } from "../../domain/services/ModLogPublisher.js";
+import { LockdownService } from "../../domain/services/LockdownService.js";
+import { MessageLogService } from "../../domain/services/MessageLogService.js";
+import { ReportService } from "../../domain/services/ReportService.js";
+import { ModmailService } from "../../domain/services/ModmailService.js";
+import { ChannelScheduleService } from "../../domain/services/ChannelScheduleService.js";
+import { ModerationActionType } from "../../domain/services/moderationActions.js";
+import { ComponentRouter } from "../registry/ComponentRouter.js";
 
 function resolve(value, factory) {
   if (value !== undefined) return value;
@@ -26,12 +39,12 @@ export async function registerCoreServices({ container, config, services = {} })
   const logger = resolve(services.logger, () => new Logger({ level: config?.logLevel, mirrorFn: null }));
   container.set(TOKENS.Logger, logger);
 
+  const componentRouter = resolve(services.componentRouter, () => new ComponentRouter({ logger }));
+  container.set(TOKENS.ComponentRouter, componentRouter);
+
   const moderationLogService = resolve(services.moderationLogService, () => new ModerationLogService());
   container.set(TOKENS.ModerationLogService, moderationLogService);
 
-  const warningService = resolve(services.warningService, () => new WarningService(moderationLogService));
-  container.set(TOKENS.WarningService, warningService);
-
   const moderationService = resolve(services.moderationService, () => new ModerationService(logger, moderationLogService));
   container.set(TOKENS.ModerationService, moderationService);
 
@@ -44,12 +57,90 @@ export async function registerCoreServices({ container, config, services = {} })
   const guildConfigService = resolve(services.guildConfigService, () => new GuildConfigService());
   container.set(TOKENS.GuildConfigService, guildConfigService);
 
-  const antiSpamService = resolve(services.antiSpamService, () => new AntiSpamService(config?.antiSpam));
-  container.set(TOKENS.AntiSpamService, antiSpamService);
+  const modLogPublisher = resolve(
+    services.modLogPublisher,
+    () => new ModLogPublisher({
+      logger,
+      guildConfigService,
+      channelMapService,
+      fallbackChannelId: config?.modLogChannelId || ""
+    })
+  );
+  container.set(TOKENS.ModLogPublisher, modLogPublisher);
+  moderationLogService.setPublisher?.(modLogPublisher);
 
-  const runtimeModerationState = resolve(services.runtimeModerationState, () => new RuntimeModerationState());
+  const runtimeModerationState = resolve(services.runtimeModerationState, () => new RuntimeModerationState({ logger }));
   container.set(TOKENS.RuntimeModerationState, runtimeModerationState);
 
+  try {
+    const count = await runtimeModerationState.loadAll?.();
+    if (typeof count === "number") {
+      logger?.info?.("runtime_state.preload", { guilds: count });
+    }
+  } catch (error) {
+    logger?.error?.("runtime_state.preload_failed", { error: String(error?.message || error) });
+  }
+
+  const warningService = resolve(
+    services.warningService,
+    () => new WarningService(moderationLogService, {
+      resolveExpiryDays: (guildId) => runtimeModerationState.getWarnExpiryDays?.(guildId) ?? null
+    })
+  );
+  container.set(TOKENS.WarningService, warningService);
+  moderationService.registerUndoHandler?.(ModerationActionType.Warn, {
+    undo: (entry, context) => warningService.undoCase(entry, context)
+  });
+
+  const noteService = resolve(services.noteService, () => new NoteService({ logger }));
+  container.set(TOKENS.NoteService, noteService);
+
+  try {
+    await noteService.migrateLegacyNotes?.();
+  } catch (error) {
+    logger?.error?.("notes.legacy_migration_failed", { error: String(error?.message || error) });
+  }
+
+  const warningEscalationService = resolve(
+    services.warningEscalationService,
+    () => new WarningEscalationService({ logger, runtimeState: runtimeModerationState, moderationService, warningService })
+  );
+  container.set(TOKENS.WarningEscalationService, warningEscalationService);
+  warningService.setEscalationService?.(warningEscalationService);
+
+  const raidModeService = resolve(
+    services.raidModeService,
+    () => new RaidModeService({
+      logger,
+      runtimeState: runtimeModerationState,
+      moderationService,
+      channelMapService,
+      guildConfigService,
+      defaults: config?.raidMode || {},
+      fallbackChannelResolver: async (guild) => {
+        if (!guild?.id) return config?.modLogChannelId || "";
+        const dynamicId = await guildConfigService.getModLogChannelId(guild.id);
+        return dynamicId || config?.modLogChannelId || "";
+      }
+    })
+  );
+  container.set(TOKENS.RaidModeService, raidModeService);
+  raidModeService.registerComponents?.(componentRouter);
+
+  const lockdownService = resolve(services.lockdownService, () => new LockdownService({ logger }));
+  container.set(TOKENS.LockdownService, lockdownService);
+
+  const channelScheduleService = resolve(services.channelScheduleService, () => new ChannelScheduleService({ logger, lockdownService }));
+  container.set(TOKENS.ChannelScheduleService, channelScheduleService);
+
+  const antiSpamService = resolve(
+    services.antiSpamService,
+    () => new AntiSpamService(config?.antiSpam, {
+      resolveGuildThresholds: (guildId) => runtimeModerationState.getSpamThresholds?.(guildId) ?? null
+    })
+  );
+  container.set(TOKENS.AntiSpamService, antiSpamService);
+
   const staffMemberLogService = resolve(
     services.staffMemberLogService,
     () => new StaffMemberLogService({
@@ -64,6 +155,17 @@ export async function registerCoreServices({ container, config, services = {} })
   );
   container.set(TOKENS.StaffMemberLogService, staffMemberLogService);
 
+  const messageLogService = resolve(
+    services.messageLogService,
+    () => new MessageLogService({
+      logger,
+      channelMapService,
+      guildConfigService,
+      cacheSize: config?.messageLog?.cacheSize
+    })
+  );
+  container.set(TOKENS.MessageLogService, messageLogService);
+
   const allowedInviteService = resolve(services.allowedInviteService, () => new AllowedInviteService());
   container.set(TOKENS.AllowedInviteService, allowedInviteService);
 
@@ -78,6 +180,37 @@ export async function registerCoreServices({ container, config, services = {} })
     logger?.error?.("invite_guard.allowlist_preload_failed", { error: String(error?.message || error) });
   }
 
+  const profanityFilterService = resolve(services.profanityFilterService, () => new ProfanityFilterService());
+  container.set(TOKENS.ProfanityFilterService, profanityFilterService);
+
+  try {
+    const count = await profanityFilterService.loadAll?.();
+    if (typeof count === "number") {
+      logger?.info?.("profanity_filter.preload", { guilds: count });
+    }
+  } catch (error) {
+    logger?.error?.("profanity_filter.preload_failed", { error: String(error?.message || error) });
+  }
+
+  const linkAllowService = resolve(services.linkAllowService, () => new LinkAllowService());
+  container.set(TOKENS.LinkAllowService, linkAllowService);
+
+  try {
+    const migrated = await linkAllowService.migrateLegacyRules?.();
+    if (migrated) logger?.info?.("link_guard.legacy_rules_migrated", { count: migrated });
+  } catch (error) {
+    logger?.error?.("link_guard.legacy_migration_failed", { error: String(error?.message || error) });
+  }
+
+  try {
+    const count = await linkAllowService.loadAll?.();
+    if (typeof count === "number") {
+      logger?.info?.("link_guard.policy_preload", { guilds: count });
+    }
+  } catch (error) {
+    logger?.error?.("link_guard.policy_preload_failed", { error: String(error?.message || error) });
+  }
+
   const virusTotalService = resolve(
     services.virusTotalService,
     () => new VirusTotalService(config?.fileScanner?.virusTotal || {}, logger)
@@ -99,6 +232,27 @@ export async function registerCoreServices({ container, config, services = {} })
     })
   );
   container.set(TOKENS.MentionTrackerService, mentionTrackerService);
+  mentionTrackerService.registerComponents?.(componentRouter);
+
+  const reportService = resolve(
+    services.reportService,
+    () => new ReportService({
+      logger,
+      channelMapService,
+      staffRoleService,
+      guildConfigService,
+      rateLimit: { max: config?.reports?.rateLimitMax, windowMs: config?.reports?.rateLimitWindowMs }
+    })
+  );
+  container.set(TOKENS.ReportService, reportService);
+  reportService.registerComponents?.(componentRouter);
+
+  const modmailService = resolve(
+    services.modmailService,
+    () => new ModmailService({ logger, channelMapService, moderationLogService })
+  );
+  container.set(TOKENS.ModmailService, modmailService);
+  modmailService.registerComponents?.(componentRouter);
 
   const displayNamePolicyService = resolve(
     services.displayNamePolicyService,
@@ -111,19 +265,31 @@ export async function registerCoreServices({ container, config, services = {} })
 
   return {
     logger,
+    componentRouter,
     moderationService,
     allowedInviteService,
     mentionTrackerService,
+    reportService,
+    modmailService,
     displayNamePolicyService,
     debugState,
     channelMapService,
     staffRoleService,
     guildConfigService,
     moderationLogService,
+    modLogPublisher,
     warningService,
+    warningEscalationService,
+    noteService,
     staffMemberLogService,
+    messageLogService,
     virusTotalService,
     antiSpamService,
-    runtimeModerationState
+    runtimeModerationState,
+    profanityFilterService,
+    raidModeService,
+    lockdownService,
+    channelScheduleService,
+    linkAllowService
   };
 }
@@ -9,6 +9,7 @@ import { registerCoreServices } from "./container/registerCoreServices.js";
 import { Logger } from "../shared/utils/logger.js";
 import { WarningModel } from "../infrastructure/database/models/Warning.js";
 import { ModerationActionModel } from "../infrastructure/database/models/ModerationAction.js";
+import { NoteModel } from "../infrastructure/database/models/Note.js";
 import { formatDuration } from "../shared/utils/time.js";
 
 async function main() {
@@ -18,8 +19,14 @@ async function main() {
 
   const {
     logger,
+    componentRouter,
     moderationService,
+    warningEscalationService,
+    modLogPublisher,
+    lockdownService,
+    channelScheduleService,
     allowedInviteService,
+    runtimeModerationState,
     debugState
   } = await registerCoreServices({ container, config: CONFIG });
   void allowedInviteService;
@@ -30,7 +37,8 @@ async function main() {
     loggerClass: Logger,
     models: {
       WarningModel,
-      ModerationActionModel
+      ModerationActionModel,
+      NoteModel
     },
     helpers: {
       formatDuration
@@ -44,7 +52,10 @@ async function main() {
 
   const intents = pluginManager.collectIntents([
     GatewayIntentBits.Guilds,
-    GatewayIntentBits.GuildMembers
+    GatewayIntentBits.GuildMembers,
+    GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.MessageContent,
+    GatewayIntentBits.DirectMessages
   ]);
   const partials = pluginManager.collectPartials([
     Partials.Channel,
@@ -77,11 +88,16 @@ async function main() {
   }
 
   moderationService.setClient(client);
+  warningEscalationService.setClient(client);
+  modLogPublisher.setClient(client);
+  lockdownService.setClient(client);
+  channelScheduleService.setClient(client);
 
   await pluginManager.loadCommands({
     registry: client.commands,
     coreDirs: [join(process.cwd(), "src", "features", "commands")]
   });
+  componentRouter.registerCommands(client.commands);
 
   await pluginManager.loadEvents({
     client,
@@ -107,6 +123,9 @@ async function main() {
     try {
       await client.destroy();
     } catch {}
+    try {
+      await runtimeModerationState?.flush?.();
+    } catch {}
     try {
       await mongoose.connection?.close?.();
     } catch {}
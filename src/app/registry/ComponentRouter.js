@@ -0,0 +1,175 @@
+import { hasDefaultPerms, hasAppLevelPerms } from "../../shared/utils/permissions.js";
+import { replyEph } from "../../shared/utils/respond.js";
+import { interactionCommandKey } from "./commandKeys.js";
+
+export const COMPONENT_TYPES = Object.freeze(["button", "select", "modal"]);
+const MAX_AUTOCOMPLETE_CHOICES = 25;
+
+const EXPIRED_MESSAGES = {
+  button: "This button has expired. Run the command again.",
+  select: "This menu has expired. Run the command again.",
+  modal: "This form has expired. Run the command again."
+};
+
+export function componentType(interaction) {
+  if (interaction.isButton?.()) return "button";
+  if (interaction.isAnySelectMenu?.()) return "select";
+  if (interaction.isModalSubmit?.()) return "modal";
+  return null;
+}
+
+/** Handler lookup key: the customId up to the first ":". */
+export function componentPrefix(customId) {
+  return String(customId || "").split(":")[0];
+}
+
+function buildGate({ command, defaultMemberPermissions, requireKeys, requireRoles }) {
+  if (command) return command;
+  if (defaultMemberPermissions == null && !requireKeys && !requireRoles) return null;
+  return {
+    data: { default_member_permissions: defaultMemberPermissions == null ? undefined : String(defaultMemberPermissions) },
+    meta: { requireKeys, requireRoles }
+  };
+}
+
+/**
+ * Routes buttons, select menus, modal submits and autocomplete to the handler registered for their
+ * customId prefix (or, for autocomplete, to the command's `autocomplete` hook). Handlers registered by a
+ * command inherit its default permissions and meta role requirements; unknown or stale components get an
+ * ephemeral "expired" reply instead of Discord's "interaction failed".
+ */
+export class ComponentRouter {
+  #logger;
+  #handlers = new Map();
+  #waiting = new Map();
+  #commands = null;
+
+  constructor({ logger = null } = {}) {
+    this.#logger = logger;
+  }
+
+  /**
+   * Registers a handler for customIds starting with `prefix:`. `handle(interaction, { args })` may return
+   * false to mark the component as stale. Gate it with `command` (a command module) or with
+   * `defaultMemberPermissions` / `requireKeys` / `requireRoles`. Returns an unregister function.
+   */
+  register({ prefix, types = COMPONENT_TYPES, handle, command = null, defaultMemberPermissions = null, requireKeys, requireRoles }) {
+    if (!prefix || prefix.includes(":")) throw new Error(`Invalid component prefix "${prefix}"`);
+    if (typeof handle !== "function") throw new Error(`Component handler for "${prefix}" must be a function`);
+    if (this.#handlers.has(prefix)) throw new Error(`Component prefix "${prefix}" is already registered`);
+
+    const entry = { prefix, types, handle, gate: buildGate({ command, defaultMemberPermissions, requireKeys, requireRoles }) };
+    this.#handlers.set(prefix, entry);
+    return () => {
+      if (this.#handlers.get(prefix) === entry) this.#handlers.delete(prefix);
+    };
+  }
+
+  /** Registers every command's `components` and keeps the registry for autocomplete lookups. */
+  registerCommands(registry) {
+    this.#commands = registry;
+    for (const [key, cmd] of registry) {
+      for (const component of cmd.components || []) {
+        try {
+          this.register({ ...component, command: cmd });
+        } catch (err) {
+          this.#logger?.warn?.("components.register_failed", { command: key, error: String(err?.message || err) });
+        }
+      }
+    }
+  }
+
+  /**
+   * Resolves with the next interaction carrying exactly `customId`, or null after `timeoutMs`.
+   * Used for one-off prompts; once the wait lapses the component is reported as expired.
+   */
+  waitFor(customId, timeoutMs) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.#waiting.delete(customId);
+        resolve(null);
+      }, timeoutMs);
+      timer.unref?.();
+      this.#waiting.set(customId, (interaction) => {
+        clearTimeout(timer);
+        this.#waiting.delete(customId);
+        resolve(interaction);
+      });
+    });
+  }
+
+  /** Returns false when the interaction is not a component or autocomplete request. */
+  async dispatch(interaction) {
+    if (interaction.isAutocomplete?.()) {
+      await this.#autocomplete(interaction);
+      return true;
+    }
+
+    const type = componentType(interaction);
+    if (!type) return false;
+
+    const waiter = this.#waiting.get(interaction.customId);
+    if (waiter) {
+      waiter(interaction);
+      return true;
+    }
+
+    const entry = this.#handlers.get(componentPrefix(interaction.customId));
+    if (!entry || !entry.types.includes(type)) {
+      await this.#replyExpired(interaction, type);
+      return true;
+    }
+
+    try {
+      if (entry.gate && !(await this.#allowed(interaction, entry.gate))) {
+        this.#logger?.warn?.("components.perms_denied", { prefix: entry.prefix, userId: interaction.user?.id, guildId: interaction.guildId });
+        await replyEph(interaction, "You don’t have permission to use this.");
+        return true;
+      }
+      const handled = await entry.handle(interaction, { args: interaction.customId.split(":").slice(1) });
+      if (handled === false) await this.#replyExpired(interaction, type);
+    } catch (err) {
+      this.#logger?.error?.("components.error", { prefix: entry.prefix, customId: interaction.customId, error: String(err?.message || err) });
+      if (!interaction.replied && !interaction.deferred) await replyEph(interaction, "There was an error while handling this interaction.");
+    }
+    return true;
+  }
+
+  async #allowed(interaction, gate) {
+    if (!interaction.inGuild?.() || !interaction.member) return false;
+    return hasDefaultPerms(interaction.member, gate) && (await hasAppLevelPerms(interaction, gate));
+  }
+
+  /**
+   * A command's `autocomplete` hook is either a function that responds itself or a map of option name
+   * to `provider(interaction, query)` returning choices.
+   */
+  async #autocomplete(interaction) {
+    const cmd = this.#commands?.get(interactionCommandKey(interaction)) ?? null;
+    const hook = cmd?.autocomplete;
+    try {
+      if (hook && (await this.#allowed(interaction, cmd))) {
+        if (typeof hook === "function") {
+          await hook(interaction);
+          return;
+        }
+        const focused = interaction.options.getFocused(true);
+        const provider = hook[focused.name];
+        if (typeof provider === "function") {
+          const choices = await provider(interaction, String(focused.value ?? ""));
+          await interaction.respond((choices || []).slice(0, MAX_AUTOCOMPLETE_CHOICES));
+          return;
+        }
+      }
+    } catch (err) {
+      this.#logger?.error?.("components.autocomplete_error", { command: interaction.commandName, error: String(err?.message || err) });
+    }
+    if (!interaction.responded) await interaction.respond([]).catch(() => {});
+  }
+
+  async #replyExpired(interaction, type) {
+    if (interaction.replied || interaction.deferred) return;
+    this.#logger?.debug?.("components.expired", { customId: interaction.customId, guildId: interaction.guildId });
+    await replyEph(interaction, EXPIRED_MESSAGES[type]);
+  }
+}
@@ -0,0 +1,141 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { PermissionFlagsBits, PermissionsBitField, SlashCommandBuilder } from "discord.js";
+import { ComponentRouter } from "../ComponentRouter.js";
+
+function createInteraction({ type = "button", customId = "x", permissions = [], commandName = null } = {}) {
+  const replies = [];
+  const responses = [];
+  return {
+    replies,
+    responses,
+    customId,
+    commandName,
+    guildId: "guild-1",
+    user: { id: "user-1" },
+    member: { permissions: new PermissionsBitField(permissions), roles: { cache: new Map() } },
+    replied: false,
+    deferred: false,
+    responded: false,
+    inGuild: () => true,
+    isAutocomplete: () => type === "autocomplete",
+    isButton: () => type === "button",
+    isAnySelectMenu: () => type === "select",
+    isModalSubmit: () => type === "modal",
+    async reply(payload) {
+      this.replied = true;
+      replies.push(payload);
+    },
+    async respond(choices) {
+      this.responded = true;
+      responses.push(choices);
+    }
+  };
+}
+
+test("dispatch routes by prefix, passes the customId args and rejects other component types", async () => {
+  const router = new ComponentRouter();
+  const calls = [];
+  router.register({ prefix: "poll", types: ["button"], handle: (interaction, { args }) => { calls.push(args); } });
+
+  await router.dispatch(createInteraction({ customId: "poll:vote:3" }));
+  assert.deepEqual(calls, [["vote", "3"]]);
+
+  const modal = createInteraction({ type: "modal", customId: "poll:vote:3" });
+  await router.dispatch(modal);
+  assert.equal(calls.length, 1);
+  assert.match(modal.replies[0].content, /form has expired/);
+
+  assert.throws(() => router.register({ prefix: "poll", handle: () => {} }), /already registered/);
+  assert.equal(await router.dispatch({ ...createInteraction(), isButton: () => false }), false);
+});
+
+test("unknown prefixes and handlers returning false get an expired reply", async () => {
+  const router = new ComponentRouter();
+  router.register({ prefix: "stale", handle: () => false });
+
+  const unknown = createInteraction({ type: "select", customId: "gone:1" });
+  await router.dispatch(unknown);
+  assert.match(unknown.replies[0].content, /menu has expired/);
+
+  const stale = createInteraction({ customId: "stale:1" });
+  await router.dispatch(stale);
+  assert.match(stale.replies[0].content, /button has expired/);
+});
+
+test("command components inherit the command's default permissions", async () => {
+  const router = new ComponentRouter();
+  const calls = [];
+  const command = {
+    data: new SlashCommandBuilder().setName("poll").setDescription("Poll").setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages),
+    components: [{ prefix: "poll", handle: () => { calls.push("handled"); } }]
+  };
+  router.registerCommands(new Map([["poll", command]]));
+
+  const denied = createInteraction({ customId: "poll:close" });
+  await router.dispatch(denied);
+  assert.equal(calls.length, 0);
+  assert.match(denied.replies[0].content, /permission/);
+
+  await router.dispatch(createInteraction({ customId: "poll:close", permissions: [PermissionFlagsBits.ManageMessages] }));
+  assert.deepEqual(calls, ["handled"]);
+});
+
+test("waitFor resolves with the matching interaction and lapses to an expired reply", async () => {
+  const router = new ComponentRouter();
+  const pending = router.waitFor("prompt:1", 60_000);
+  const submission = createInteraction({ type: "modal", customId: "prompt:1" });
+  await router.dispatch(submission);
+  assert.equal(await pending, submission);
+
+  assert.equal(await router.waitFor("prompt:2", 0), null);
+  const late = createInteraction({ type: "modal", customId: "prompt:2" });
+  await router.dispatch(late);
+  assert.match(late.replies[0].content, /form has expired/);
+});
+
+test("autocomplete goes to the command hook and falls back to no choices", async () => {
+  const router = new ComponentRouter();
+  const command = {
+    data: new SlashCommandBuilder().setName("case").setDescription("Case"),
+    autocomplete: async (interaction) => interaction.respond([{ name: "#1", value: 1 }])
+  };
+  router.registerCommands(new Map([["case", command], ["ping", { data: command.data }]]));
+
+  const hooked = createInteraction({ type: "autocomplete", commandName: "case" });
+  await router.dispatch(hooked);
+  assert.deepEqual(hooked.responses, [[{ name: "#1", value: 1 }]]);
+
+  const missing = createInteraction({ type: "autocomplete", commandName: "ping" });
+  await router.dispatch(missing);
+  assert.deepEqual(missing.responses, [[]]);
+});
+
+test("declarative autocomplete maps route the focused option to its provider", async () => {
+  const router = new ComponentRouter();
+  const queries = [];
+  const command = {
+    data: new SlashCommandBuilder().setName("staffroles").setDescription("Staff roles"),
+    autocomplete: {
+      key: async (interaction, query) => {
+        queries.push(query);
+        return Array.from({ length: 30 }, (_, index) => ({ name: `key-${index}`, value: `key-${index}` }));
+      }
+    }
+  };
+  router.registerCommands(new Map([["staffroles", command]]));
+
+  const focused = (name) => ({
+    ...createInteraction({ type: "autocomplete", commandName: "staffroles" }),
+    options: { getFocused: () => ({ name, value: "mo" }) }
+  });
+
+  const keyed = focused("key");
+  await router.dispatch(keyed);
+  assert.deepEqual(queries, ["mo"]);
+  assert.equal(keyed.responses[0].length, 25);
+
+  const other = focused("role");
+  await router.dispatch(other);
+  assert.deepEqual(other.responses, [[]]);
+});
@@ -0,0 +1,28 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { ApplicationCommandType, ContextMenuCommandBuilder, SlashCommandBuilder } from "discord.js";
+import { commandKey, contextMenuKind, interactionCommandKey } from "../commandKeys.js";
+
+test("commandKey keeps slash names and prefixes context menus by type", () => {
+  const slash = new SlashCommandBuilder().setName("warn").setDescription("Warn");
+  const userMenu = new ContextMenuCommandBuilder().setName("Warn").setType(ApplicationCommandType.User);
+  const messageMenu = new ContextMenuCommandBuilder().setName("Warn").setType(ApplicationCommandType.Message);
+
+  assert.equal(commandKey(slash), "warn");
+  assert.equal(commandKey(userMenu), "user:Warn");
+  assert.equal(commandKey(messageMenu), "message:Warn");
+  assert.equal(contextMenuKind(slash), null);
+  assert.equal(contextMenuKind(messageMenu), "message");
+});
+
+test("interactionCommandKey matches the registry key for each interaction type", () => {
+  const interaction = (kind) => ({
+    commandName: "Warn",
+    isUserContextMenuCommand: () => kind === "user",
+    isMessageContextMenuCommand: () => kind === "message"
+  });
+
+  assert.equal(interactionCommandKey(interaction("user")), "user:Warn");
+  assert.equal(interactionCommandKey(interaction("message")), "message:Warn");
+  assert.equal(interactionCommandKey({ ...interaction("slash"), commandName: "warn" }), "warn");
+});
@@ -0,0 +1,27 @@
+import { ApplicationCommandType } from "discord.js";
+
+const CONTEXT_PREFIXES = {
+  [ApplicationCommandType.User]: "user",
+  [ApplicationCommandType.Message]: "message"
+};
+
+/**
+ * Registry key for a command builder. Slash commands keep their name; context menus are prefixed
+ * with their type so a "Warn" user menu never shadows /warn.
+ */
+export function commandKey(data) {
+  const prefix = CONTEXT_PREFIXES[data?.type];
+  return prefix ? `${prefix}:${data.name}` : data?.name;
+}
+
+/** Registry key for an incoming command interaction; mirrors commandKey. */
+export function interactionCommandKey(interaction) {
+  if (interaction.isUserContextMenuCommand?.()) return `user:${interaction.commandName}`;
+  if (interaction.isMessageContextMenuCommand?.()) return `message:${interaction.commandName}`;
+  return interaction.commandName;
+}
+
+/** "user" / "message" for context menu builders, null for slash commands. */
+export function contextMenuKind(data) {
+  return CONTEXT_PREFIXES[data?.type] ?? null;
+}
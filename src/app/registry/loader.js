@@ -3,6 +3,7 @@ import chalk from "chalk";
 import { readdirSync } from "node:fs";
 import { join, resolve, extname } from "node:path";
 import { validateMeta, logMetaWarning } from "./commandMeta.js";
+import { commandKey } from "./commandKeys.js";
 
 function parseConcurrency(value, fallback) {
   const parsed = Number.parseInt(value ?? "", 10);
@@ -36,7 +37,11 @@ export async function loadDirCommands(root, registryMap) {
         if (errs.length) logMetaWarning(file, errs);
       }
 
-      registryMap.set(def.data.name, def);
+      const key = commandKey(def.data);
+      if (registryMap.has(key)) {
+        console.warn(chalk.yellow(`[commands] ${file} — duplicate command "${key}" replaces an earlier definition`));
+      }
+      registryMap.set(key, def);
     });
   } catch (e) {
     console.error(chalk.red("Command load error:"), e);
@@ -71,5 +71,28 @@ export const DEFAULT_CONFIG = Object.freeze({
   },
   displayNamePolicy: {
     sweepIntervalMinutes: 60
+  },
+  messageLog: {
+    cacheSize: 5000
+  },
+  reports: {
+    rateLimitMax: 3,
+    rateLimitWindowMs: 10 * 60_000
+  },
+  purge: {
+    maxMessages: 1000,
+    transcriptChannelKey: "message_log"
+  },
+  massMention: {
+    timeoutMs: 10 * 60_000,
+    staffFlagChannelKey: "flag_log"
+  },
+  raidMode: {
+    action: "timeout",
+    timeoutMs: 60 * 60_000,
+    minAccountAgeDays: 7,
+    quietMinutes: 30,
+    verificationLevel: "high",
+    quarantineRoleId: ""
   }
 });
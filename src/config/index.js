@@ -44,6 +44,19 @@ const ENV_OVERRIDES = [
   { env: "MENTION_TRACKER_ROLE_IDS", path: "mentionTracker.trackedRoleIds", parse: parseList },
   { env: "MENTION_TRACKER_USER_IDS", path: "mentionTracker.trackedUserIds", parse: parseList },
   { env: "DISPLAY_NAME_SWEEP_INTERVAL_MINUTES", path: "displayNamePolicy.sweepIntervalMinutes", parse: parseNumber },
+  { env: "MESSAGE_LOG_CACHE_SIZE", path: "messageLog.cacheSize", parse: parseNumber },
+  { env: "REPORTS_RATE_LIMIT_MAX", path: "reports.rateLimitMax", parse: parseNumber },
+  { env: "REPORTS_RATE_LIMIT_WINDOW_MS", path: "reports.rateLimitWindowMs", parse: parseNumber },
+  { env: "PURGE_MAX_MESSAGES", path: "purge.maxMessages", parse: parseNumber },
+  { env: "PURGE_TRANSCRIPT_CHANNEL_KEY", path: "purge.transcriptChannelKey", parse: parseString },
+  { env: "MASS_MENTION_TIMEOUT_MS", path: "massMention.timeoutMs", parse: parseNumber },
+  { env: "MASS_MENTION_FLAG_CHANNEL_KEY", path: "massMention.staffFlagChannelKey", parse: parseString },
+  { env: "RAID_MODE_ACTION", path: "raidMode.action", parse: parseString },
+  { env: "RAID_MODE_TIMEOUT_MS", path: "raidMode.timeoutMs", parse: parseNumber },
+  { env: "RAID_MODE_MIN_ACCOUNT_AGE_DAYS", path: "raidMode.minAccountAgeDays", parse: parseNumber },
+  { env: "RAID_MODE_QUIET_MINUTES", path: "raidMode.quietMinutes", parse: parseNumber },
+  { env: "RAID_MODE_VERIFICATION_LEVEL", path: "raidMode.verificationLevel", parse: parseString },
+  { env: "RAID_MODE_QUARANTINE_ROLE_ID", path: "raidMode.quarantineRoleId", parse: parseString },
   { env: "PRIVATE_DASHBOARD_ENABLED", path: "privateDashboard.enabled", parse: parseBoolean },
   { env: "PRIVATE_DASHBOARD_PORT", path: "privateDashboard.port", parse: parseNumber },
   { env: "PRIVATE_DASHBOARD_BASE_PATH", path: "privateDashboard.basePath", parse: parseString },
@@ -135,6 +148,11 @@ function normalizeLayer(input) {
     "fileScanner",
     "mentionTracker",
     "displayNamePolicy",
+    "messageLog",
+    "reports",
+    "purge",
+    "massMention",
+    "raidMode",
     "privateDashboard"
   ];
 
@@ -1,12 +1,33 @@
 /**
  * AntiSpamService
  * Tracks per-guild, per-user message/link rates in rolling windows.
- * If thresholds are exceeded, returns an instruction to ban.
+ * If thresholds are exceeded, returns an instruction to act on the user.
+ * Thresholds come from the global config unless a guild has its own (set via /spam thresholds).
  *
  * It is storage-less (in-memory). Reset on restart (fine for anti-spam).
  */
 
+/**
+ * Parses a stored spam action ("warn" | "ban" | "timeout:<ms>").
+ * Unknown or malformed values fall back to a warning.
+ * @param {string|null|undefined} value
+ * @returns {{ type: "warn"|"timeout"|"ban", durationMs: number|null }}
+ */
+export function parseSpamAction(value) {
+  const raw = String(value || "").trim().toLowerCase();
+  if (raw === "ban") return { type: "ban", durationMs: null };
+  if (raw.startsWith("timeout:")) {
+    const durationMs = Number(raw.slice("timeout:".length));
+    if (Number.isFinite(durationMs) && durationMs > 0) {
+      return { type: "timeout", durationMs };
+    }
+  }
+  return { type: "warn", durationMs: null };
+}
+
 export class AntiSpamService {
+  #resolveGuildThresholds;
+
   /**
    * @param {{
    *   msgWindowMs: number,         // e.g., 10_000
@@ -14,13 +35,38 @@ export class AntiSpamService {
    *   linkWindowMs: number,        // e.g., 30_000
    *   linkMaxInWindow: number,     // e.g., 8
    * }} cfg
+   * @param {{ resolveGuildThresholds?: (guildId: string) => ({ msgs: number, links: number, windowSec: number }|null) }} [options]
    */
-  constructor(cfg) {
+  constructor(cfg, { resolveGuildThresholds = null } = {}) {
     this.cfg = cfg;
+    this.#resolveGuildThresholds = typeof resolveGuildThresholds === "function" ? resolveGuildThresholds : null;
     // guildId -> userId -> { msgs: number[], links: number[] }
     this.state = new Map();
   }
 
+  /**
+   * Effective limits for a guild: per-guild overrides win over the global config.
+   * A link limit of 0 disables link tracking for that guild.
+   */
+  thresholdsFor(guildId) {
+    const base = {
+      msgWindowMs: this.cfg?.msgWindowMs,
+      msgMaxInWindow: this.cfg?.msgMaxInWindow,
+      linkWindowMs: this.cfg?.linkWindowMs,
+      linkMaxInWindow: this.cfg?.linkMaxInWindow
+    };
+    const custom = this.#resolveGuildThresholds?.(guildId);
+    if (!custom) return base;
+
+    const windowMs = Number(custom.windowSec) > 0 ? Number(custom.windowSec) * 1000 : null;
+    return {
+      msgWindowMs: windowMs ?? base.msgWindowMs,
+      msgMaxInWindow: Number(custom.msgs) > 0 ? Number(custom.msgs) : base.msgMaxInWindow,
+      linkWindowMs: windowMs ?? base.linkWindowMs,
+      linkMaxInWindow: Number.isInteger(custom.links) && custom.links >= 0 ? custom.links : base.linkMaxInWindow
+    };
+  }
+
   _bucket(gid, uid) {
     if (!this.state.has(gid)) this.state.set(gid, new Map());
     const g = this.state.get(gid);
@@ -29,6 +75,7 @@ export class AntiSpamService {
   }
 
   record(guildId, userId, linkCountNow = 0, nowTs = Date.now()) {
+    const limits = this.thresholdsFor(guildId);
     const s = this._bucket(guildId, userId);
 
     // Push timestamps
@@ -36,19 +83,19 @@ export class AntiSpamService {
     for (let i = 0; i < linkCountNow; i++) s.links.push(nowTs);
 
     // Cull windows
-    const msgCut = nowTs - this.cfg.msgWindowMs;
-    const linkCut = nowTs - this.cfg.linkWindowMs;
+    const msgCut = nowTs - limits.msgWindowMs;
+    const linkCut = nowTs - limits.linkWindowMs;
     s.msgs = s.msgs.filter(t => t >= msgCut);
     s.links = s.links.filter(t => t >= linkCut);
 
     // Check thresholds
-    if (s.msgs.length >= this.cfg.msgMaxInWindow) {
-      return { shouldBan: true, reason: `Message spam: ${s.msgs.length}/${Math.round(this.cfg.msgWindowMs/1000)}s` };
+    if (s.msgs.length >= limits.msgMaxInWindow) {
+      return { triggered: true, kind: "messages", reason: `Message spam: ${s.msgs.length}/${Math.round(limits.msgWindowMs/1000)}s` };
     }
-    if (s.links.length >= this.cfg.linkMaxInWindow) {
-      return { shouldBan: true, reason: `Link spam: ${s.links.length}/${Math.round(this.cfg.linkWindowMs/1000)}s` };
+    if (limits.linkMaxInWindow > 0 && s.links.length >= limits.linkMaxInWindow) {
+      return { triggered: true, kind: "links", reason: `Link spam: ${s.links.length}/${Math.round(limits.linkWindowMs/1000)}s` };
     }
-    return { shouldBan: false };
+    return { triggered: false };
   }
 
   clear(guildId, userId) {
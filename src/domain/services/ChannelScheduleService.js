@@ -0,0 +1,297 @@
+import { ChannelTimerModel } from "../../infrastructure/database/models/ChannelTimer.js";
+import { SlowmodeScheduleModel } from "../../infrastructure/database/models/SlowmodeSchedule.js";
+import { scheduleWithMaxTimeout } from "../../shared/utils/time.js";
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DAY_PRESETS = {
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6]
+};
+const MAX_WINDOWS = 10;
+const DEFAULT_TICK_MS = 60_000;
+
+export const UNLOCK_OVERWRITE = Object.freeze({ SendMessages: null, AddReactions: null });
+
+/**
+ * "HH:MM" (24h) to minutes after midnight.
+ */
+export function parseClock(value) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value ?? "").trim());
+  if (!match) throw new Error(`"${value}" is not a time; use HH:MM (24h).`);
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Accepts "daily", "weekdays", "weekends", lists like "mon,wed,fri" and ranges like "mon-fri".
+ * @returns {number[]} sorted day numbers, 0 = Sunday
+ */
+export function parseDays(value) {
+  const text = String(value ?? "daily").trim().toLowerCase() || "daily";
+  if (DAY_PRESETS[text]) return [...DAY_PRESETS[text]];
+  const days = new Set();
+  for (const part of text.split(/[\s,]+/).filter(Boolean)) {
+    const [from, to] = part.split("-").map((name) => WEEKDAYS.indexOf(name.slice(0, 3)));
+    if (from < 0 || (to !== undefined && to < 0)) throw new Error(`"${part}" is not a day or day range.`);
+    if (to === undefined) {
+      days.add(from);
+      continue;
+    }
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === to) break;
+    }
+  }
+  return [...days].sort((a, b) => a - b);
+}
+
+export function localClock(date, timeZone = "UTC") {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", { timeZone, weekday: "short", hour: "2-digit", minute: "2-digit", hourCycle: "h23" })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value])
+  );
+  return { day: WEEKDAYS.indexOf(parts.weekday.toLowerCase()), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+/**
+ * The window covering `clock`, if any. A window whose end is before its start runs past midnight
+ * and belongs to the day it starts on.
+ */
+export function activeWindow(windows, { day, minutes }) {
+  for (const window of windows || []) {
+    const start = parseClock(window.start);
+    const end = parseClock(window.end);
+    if (start < end) {
+      if (window.days.includes(day) && minutes >= start && minutes < end) return window;
+    } else {
+      if (window.days.includes(day) && minutes >= start) return window;
+      if (window.days.includes((day + 6) % 7) && minutes < end) return window;
+    }
+  }
+  return null;
+}
+
+export function describeDays(days) {
+  const key = Object.keys(DAY_PRESETS).find((name) => DAY_PRESETS[name].join() === [...days].sort().join());
+  return key || days.map((day) => WEEKDAYS[day]).join(",");
+}
+
+/**
+ * Persisted per-channel timers (timed /lock and /slowmode set) and recurring slowmode windows.
+ * Timers are re-armed on startup; schedules are evaluated once a minute and only touch the channel
+ * when the active window changes, so a manual /slowmode change holds until the next boundary.
+ */
+export class ChannelScheduleService {
+  #logger;
+  #lockdownService;
+  #tickMs;
+  #client = null;
+  #timers = new Map();
+  #schedules = new Map();
+  #applied = new Map();
+  #interval = null;
+
+  constructor({ logger = null, lockdownService = null, tickMs = DEFAULT_TICK_MS } = {}) {
+    this.#logger = logger;
+    this.#lockdownService = lockdownService;
+    this.#tickMs = tickMs;
+  }
+
+  setClient(client) {
+    this.#client = client;
+  }
+
+  async onClientReady(client) {
+    if (client) this.#client = client;
+    const timers = await ChannelTimerModel.find({}).lean();
+    for (const timer of timers) this.#arm(timer);
+    const schedules = await SlowmodeScheduleModel.find({}).lean();
+    for (const schedule of schedules) this.#schedules.set(schedule.channelId, schedule);
+    await this.tick();
+    if (this.#interval) clearInterval(this.#interval);
+    this.#interval = setInterval(() => void this.tick(), this.#tickMs);
+    this.#interval.unref?.();
+  }
+
+  async getTimer(channelId, kind) {
+    return ChannelTimerModel.findOne({ channelId, kind }).lean();
+  }
+
+  async scheduleUnlock(channel, durationMs, createdBy = null) {
+    return this.#save({ channel, kind: "unlock", durationMs, createdBy });
+  }
+
+  /**
+   * Resets the channel to `restoreSeconds` after `durationMs`. Re-timing a slowmode keeps the value
+   * saved by the first timer, so the channel still goes back to what it was before any of them.
+   */
+  async scheduleSlowmodeReset(channel, durationMs, restoreSeconds, createdBy = null) {
+    const existing = await this.getTimer(channel.id, "slowmode");
+    return this.#save({ channel, kind: "slowmode", durationMs, value: existing?.value ?? restoreSeconds ?? 0, createdBy });
+  }
+
+  async cancel(channelId, kind) {
+    this.#disarm(channelId, kind);
+    const result = await ChannelTimerModel.deleteOne({ channelId, kind });
+    return result.deletedCount > 0;
+  }
+
+  getSchedule(channelId) {
+    return this.#schedules.get(channelId) || null;
+  }
+
+  listSchedules(guildId) {
+    return [...this.#schedules.values()].filter((schedule) => schedule.guildId === guildId);
+  }
+
+  async addWindow(channel, { days, start, end, seconds, timezone = null, addedBy = null }) {
+    const startMinutes = parseClock(start);
+    const endMinutes = parseClock(end);
+    if (startMinutes === endMinutes) throw new Error("A window needs different start and end times.");
+    const parsedDays = Array.isArray(days) ? days : parseDays(days);
+    if (!parsedDays.length) throw new Error("Pick at least one day.");
+    if (timezone) new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+
+    const current = this.#schedules.get(channel.id);
+    if ((current?.windows?.length ?? 0) >= MAX_WINDOWS) throw new Error(`A channel can have at most ${MAX_WINDOWS} windows.`);
+    const window = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      days: parsedDays,
+      start: String(start).trim(),
+      end: String(end).trim(),
+      seconds,
+      addedBy
+    };
+    const update = { $push: { windows: window }, $setOnInsert: { guildId: channel.guildId, baseSeconds: channel.rateLimitPerUser ?? 0 } };
+    if (timezone) update.$set = { timezone };
+    const schedule = await SlowmodeScheduleModel.findOneAndUpdate({ channelId: channel.id }, update, {
+      new: true,
+      upsert: true,
+      setDefaultsOnInsert: true
+    }).lean();
+    this.#schedules.set(channel.id, schedule);
+    await this.#evaluate(schedule);
+    return { schedule, window };
+  }
+
+  /**
+   * @param {number} position 1-based position as shown by the schedule list
+   */
+  async removeWindow(channelId, position) {
+    const schedule = this.#schedules.get(channelId);
+    const window = schedule?.windows?.[position - 1];
+    if (!window) return null;
+    const updated = await SlowmodeScheduleModel.findOneAndUpdate(
+      { channelId },
+      { $pull: { windows: { id: window.id } } },
+      { new: true }
+    ).lean();
+    if (!updated?.windows?.length) return this.clearSchedule(channelId).then(() => window);
+    this.#schedules.set(channelId, updated);
+    await this.#evaluate(updated);
+    return window;
+  }
+
+  /**
+   * Drops every window and puts the channel back on its base slowmode.
+   */
+  async clearSchedule(channelId) {
+    const schedule = this.#schedules.get(channelId);
+    if (!schedule) return false;
+    await SlowmodeScheduleModel.deleteOne({ channelId });
+    this.#schedules.delete(channelId);
+    this.#applied.delete(channelId);
+    const channel = await this.#fetchChannel(schedule.guildId, channelId);
+    if (channel && (channel.rateLimitPerUser ?? 0) !== schedule.baseSeconds) {
+      await channel.setRateLimitPerUser(schedule.baseSeconds, "Slowmode schedule cleared").catch(() => null);
+    }
+    return true;
+  }
+
+  async tick(now = new Date()) {
+    for (const schedule of this.#schedules.values()) {
+      try {
+        await this.#evaluate(schedule, now);
+      } catch (err) {
+        this.#logger?.warn?.("slowmode_schedule.apply_failed", {
+          guildId: schedule.guildId,
+          channelId: schedule.channelId,
+          error: String(err?.message || err)
+        });
+      }
+    }
+  }
+
+  async #evaluate(schedule, now = new Date()) {
+    const window = activeWindow(schedule.windows, localClock(now, schedule.timezone || "UTC"));
+    const key = window?.id ?? "base";
+    if (this.#applied.get(schedule.channelId) === key) return;
+    const channel = await this.#fetchChannel(schedule.guildId, schedule.channelId);
+    if (!channel) return;
+    const seconds = window ? window.seconds : schedule.baseSeconds;
+    if ((channel.rateLimitPerUser ?? 0) !== seconds) {
+      await channel.setRateLimitPerUser(seconds, window ? `Scheduled slowmode ${window.start}-${window.end}` : "Scheduled slowmode window ended");
+    }
+    this.#applied.set(schedule.channelId, key);
+  }
+
+  async #save({ channel, kind, durationMs, value = null, createdBy }) {
+    const timer = await ChannelTimerModel.findOneAndUpdate(
+      { channelId: channel.id, kind },
+      { guildId: channel.guildId, runAt: new Date(Date.now() + durationMs), value, createdBy },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    ).lean();
+    this.#arm(timer);
+    return timer;
+  }
+
+  #arm(timer) {
+    const key = `${timer.kind}:${timer.channelId}`;
+    this.#disarm(timer.channelId, timer.kind);
+    const handle = scheduleWithMaxTimeout(() => {
+      this.#timers.delete(key);
+      void this.#run(timer);
+    }, new Date(timer.runAt).getTime() - Date.now());
+    if (handle) this.#timers.set(key, handle);
+  }
+
+  #disarm(channelId, kind) {
+    const key = `${kind}:${channelId}`;
+    this.#timers.get(key)?.cancel?.();
+    this.#timers.delete(key);
+  }
+
+  async #run(timer) {
+    try {
+      // a newer timer for the same channel replaces this one
+      const current = await ChannelTimerModel.findOneAndDelete({ _id: timer._id, runAt: timer.runAt }).lean();
+      if (!current) return;
+      const channel = await this.#fetchChannel(timer.guildId, timer.channelId);
+      if (!channel) return;
+      if (timer.kind === "unlock") {
+        // during a lockdown the unlock goes into its snapshot, and the channel stays shut until it ends
+        const lockdown = await this.#lockdownService?.patchSnapshot(timer.guildId, timer.channelId, UNLOCK_OVERWRITE);
+        if (lockdown && lockdown.lockSend !== false) return;
+        const everyone = channel.guild.roles.everyone;
+        await channel.permissionOverwrites.edit(everyone, UNLOCK_OVERWRITE, "Timed lock expired");
+      } else {
+        await channel.setRateLimitPerUser(timer.value ?? 0, "Timed slowmode expired");
+      }
+    } catch (err) {
+      this.#logger?.error?.("channel_timer.run_failed", {
+        guildId: timer.guildId,
+        channelId: timer.channelId,
+        kind: timer.kind,
+        error: String(err?.message || err)
+      });
+    }
+  }
+
+  async #fetchChannel(guildId, channelId) {
+    const guild = this.#client?.guilds?.cache?.get(guildId)
+      ?? await this.#client?.guilds?.fetch?.(guildId).catch(() => null);
+    if (!guild) return null;
+    return guild.channels.cache.get(channelId) ?? await guild.channels.fetch(channelId).catch(() => null);
+  }
+}
@@ -30,17 +30,51 @@ export class GuildConfigService {
   }
 
   async setModLogChannelId(guildId, channelId) {
-    if (!guildId) throw new Error("guildId is required");
-    const doc = await GuildConfigModel.findOneAndUpdate(
-      { guildId },
-      { modLogChannelId: channelId || "" },
-      { new: true, upsert: true, setDefaultsOnInsert: true }
-    ).lean();
-    const value = this.#normalize(doc, guildId);
-    this.#cache.set(guildId, { value, expiresAt: Date.now() + this.#ttl });
+    const value = await this.#update(guildId, { modLogChannelId: channelId || "" });
     return value.modLogChannelId;
   }
 
+  async getQuarantineRoleId(guildId) {
+    const config = await this.get(guildId);
+    return config?.quarantineRoleId || "";
+  }
+
+  async setQuarantineRoleId(guildId, roleId) {
+    const value = await this.#update(guildId, { quarantineRoleId: roleId || "" });
+    return value.quarantineRoleId;
+  }
+
+  async getMuteRoleId(guildId) {
+    const config = await this.get(guildId);
+    return config?.muteRoleId || "";
+  }
+
+  async setMuteRoleId(guildId, roleId) {
+    const value = await this.#update(guildId, { muteRoleId: roleId || "" });
+    return value.muteRoleId;
+  }
+
+  async getMessageLogSettings(guildId) {
+    const config = await this.get(guildId);
+    return {
+      ignoredChannelIds: config?.messageLogIgnoredChannelIds ?? [],
+      includeStaffChannels: Boolean(config?.messageLogIncludeStaffChannels)
+    };
+  }
+
+  async setMessageLogChannelIgnored(guildId, channelId, ignored) {
+    const update = ignored
+      ? { $addToSet: { messageLogIgnoredChannelIds: channelId } }
+      : { $pull: { messageLogIgnoredChannelIds: channelId } };
+    const value = await this.#update(guildId, update);
+    return value.messageLogIgnoredChannelIds;
+  }
+
+  async setMessageLogIncludeStaffChannels(guildId, include) {
+    const value = await this.#update(guildId, { messageLogIncludeStaffChannels: Boolean(include) });
+    return value.messageLogIncludeStaffChannels;
+  }
+
   invalidate(guildId) {
     if (!guildId) return;
     this.#cache.delete(guildId);
@@ -50,17 +84,37 @@ export class GuildConfigService {
     this.#cache.clear();
   }
 
+  async #update(guildId, fields) {
+    if (!guildId) throw new Error("guildId is required");
+    const doc = await GuildConfigModel.findOneAndUpdate(
+      { guildId },
+      fields,
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    ).lean();
+    const value = this.#normalize(doc, guildId);
+    this.#cache.set(guildId, { value, expiresAt: Date.now() + this.#ttl });
+    return value;
+  }
+
   #normalize(doc, guildId) {
     if (!doc) {
       return {
         guildId,
         modLogChannelId: "",
+        quarantineRoleId: "",
+        muteRoleId: "",
+        messageLogIgnoredChannelIds: [],
+        messageLogIncludeStaffChannels: false,
         autoDeleteCommandSeconds: 0
       };
     }
     return {
       guildId: doc.guildId || guildId || null,
       modLogChannelId: typeof doc.modLogChannelId === "string" ? doc.modLogChannelId : "",
+      quarantineRoleId: typeof doc.quarantineRoleId === "string" ? doc.quarantineRoleId : "",
+      muteRoleId: typeof doc.muteRoleId === "string" ? doc.muteRoleId : "",
+      messageLogIgnoredChannelIds: Array.isArray(doc.messageLogIgnoredChannelIds) ? [...doc.messageLogIgnoredChannelIds] : [],
+      messageLogIncludeStaffChannels: doc.messageLogIncludeStaffChannels === true,
       autoDeleteCommandSeconds: Number.isFinite(doc.autoDeleteCommandSeconds)
         ? doc.autoDeleteCommandSeconds
         : 0
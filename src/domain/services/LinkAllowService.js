@@ -1,5 +1,12 @@
 
 import { URL } from "node:url";
+import { LinkPolicyModel } from "../../infrastructure/database/models/LinkPolicy.js";
+import { GuildModerationStateModel } from "../../infrastructure/database/models/GuildModerationState.js";
+
+export const LINK_RULE_TYPES = Object.freeze(["invite_code", "exact", "host", "path_prefix", "substring", "regex"]);
+export const LINK_GUARD_MODES = Object.freeze(["off", "denylist", "allowlist"]);
+
+const MAX_REGEX_LENGTH = 200;
 
 function tryNormalizeUrl(u) {
   try {
@@ -29,80 +36,269 @@ function normalizePotentialInvite(urlLike) {
   return code ? `https://discord.gg/${code}` : null;
 }
 
+function stripWww(host) {
+  return host.startsWith("www.") ? host.slice(4) : host;
+}
+
+/**
+ * Tests a single rule against a URL. Host rules also cover subdomains ("example.com" matches "cdn.example.com");
+ * path_prefix rules starting with "/" apply to any host, otherwise they are "host/path" prefixes.
+ */
+export function matchesLinkRule(rule, urlLike) {
+  const raw = String(urlLike || "");
+  const value = String(rule?.value ?? "");
+  if (!raw || !value) return false;
+  const inviteNorm = normalizePotentialInvite(raw);
+  const asUrl = tryNormalizeUrl(raw);
+
+  switch (rule.type) {
+    case "invite_code": {
+      if (!inviteNorm) return false;
+      const code = inviteNorm.split("/").pop();
+      return code?.toLowerCase() === value.toLowerCase();
+    }
+    case "exact": {
+      const normRule = tryNormalizeUrl(value);
+      return Boolean(asUrl && normRule && asUrl === normRule);
+    }
+    case "host": {
+      if (!asUrl) return false;
+      const host = stripWww(new URL(asUrl).host.toLowerCase());
+      const wanted = stripWww(value.toLowerCase());
+      return host === wanted || host.endsWith(`.${wanted}`);
+    }
+    case "path_prefix": {
+      if (!asUrl) return false;
+      const u = new URL(asUrl);
+      if (value.startsWith("/")) return u.pathname.startsWith(value);
+      const target = `${stripWww(u.host.toLowerCase())}${u.pathname}`;
+      const prefix = value.replace(/^https?:\/\//i, "");
+      const [prefixHost, ...rest] = prefix.split("/");
+      const normalizedPrefix = [stripWww(prefixHost.toLowerCase()), ...rest].join("/");
+      return target.startsWith(normalizedPrefix);
+    }
+    case "substring":
+      return String(asUrl || raw).toLowerCase().includes(value.toLowerCase());
+    case "regex":
+      try {
+        return new RegExp(value, "i").test(asUrl || raw);
+      } catch {
+        // ignore invalid regexes silently
+        return false;
+      }
+    default:
+      return false;
+  }
+}
+
+function toPolicy(doc) {
+  return {
+    mode: LINK_GUARD_MODES.includes(doc?.mode) ? doc.mode : "off",
+    rules: Array.isArray(doc?.rules) ? doc.rules.map((rule) => ({ ...rule })) : [],
+    exemptChannelIds: new Set(doc?.exemptChannelIds || []),
+    exemptRoleIds: new Set(doc?.exemptRoleIds || [])
+  };
+}
+
+/**
+ * Per-guild link allow/deny rules plus the link guard mode and exemptions.
+ * Policies are cached after loadAll() so the message guard can evaluate links synchronously.
+ */
 export class LinkAllowService {
-  constructor(db) {
-    this.col = db.collection("link_allow");
+  #cache = new Map();
+
+  async loadAll() {
+    const docs = await LinkPolicyModel.find().lean();
+    this.#cache.clear();
+    for (const doc of docs) {
+      if (!doc?.guildId) continue;
+      this.#cache.set(doc.guildId, toPolicy(doc));
+    }
+    return this.#cache.size;
+  }
+
+  /**
+   * Moves link rules that older releases kept on the guild moderation state (`linkRules.allow` /
+   * `linkRules.deny`, typed "exact" or "pattern") into the guild's link policy. The guard mode is left
+   * as is, so migrated rules are not enforced until a mode is chosen.
+   * @returns {Promise<number>} number of rules migrated
+   */
+  async migrateLegacyRules() {
+    const states = await GuildModerationStateModel.collection
+      .find({ linkRules: { $exists: true } }, { projection: { guildId: 1, linkRules: 1 } })
+      .toArray();
+    let migrated = 0;
+    for (const state of states) {
+      const existing = await LinkPolicyModel.findOne({ guildId: state.guildId }).lean();
+      const seen = new Set((existing?.rules || []).map((rule) => `${rule.list}:${rule.type}:${rule.value.toLowerCase()}`));
+      const rules = [];
+      for (const list of ["allow", "deny"]) {
+        for (const legacy of state.linkRules?.[list] || []) {
+          const value = String(legacy?.value ?? "").trim();
+          if (!value) continue;
+          const type = legacy.type === "exact" ? "exact" : "substring";
+          const key = `${list}:${type}:${value.toLowerCase()}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+          rules.push({
+            id: legacy.id || `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            list,
+            type,
+            value,
+            note: "",
+            addedBy: null,
+            createdAt: new Date()
+          });
+        }
+      }
+      if (rules.length) {
+        await this.#update(state.guildId, { $push: { rules: { $each: rules } } });
+        migrated += rules.length;
+      }
+      await GuildModerationStateModel.collection.updateOne({ _id: state._id }, { $unset: { linkRules: "" } });
+    }
+    return migrated;
+  }
+
+  #policy(guildId) {
+    return this.#cache.get(guildId) || toPolicy(null);
+  }
+
+  async #update(guildId, update) {
+    if (!guildId) throw new Error("guildId is required");
+    const doc = await LinkPolicyModel.findOneAndUpdate(
+      { guildId },
+      update,
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    ).lean();
+    const policy = toPolicy(doc);
+    this.#cache.set(guildId, policy);
+    return policy;
   }
 
-  async add(guildId, type, value, note, addedBy) {
-    const doc = {
-      guildId,
-      type,
-      value: String(value),
+  async add(guildId, list, { type, value, note, addedBy } = {}) {
+    const kind = list === "deny" ? "deny" : "allow";
+    const ruleType = type === "pattern" ? "substring" : type;
+    if (!LINK_RULE_TYPES.includes(ruleType)) throw new Error(`Unknown rule type: ${type}`);
+    const text = String(value ?? "").trim();
+    if (!text) throw new Error("Rule value is required.");
+    if (ruleType === "regex") {
+      if (text.length > MAX_REGEX_LENGTH) throw new Error(`Regex rules are limited to ${MAX_REGEX_LENGTH} characters.`);
+      try {
+        new RegExp(text, "i");
+      } catch (err) {
+        throw new Error(`Invalid regex: ${err?.message || err}`);
+      }
+    }
+
+    const rule = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      list: kind,
+      type: ruleType,
+      value: text,
       note: note || "",
-      addedBy: addedBy || "",
+      addedBy: addedBy || null,
       createdAt: new Date()
     };
-    await this.col.insertOne(doc);
-    return doc;
+    await this.#update(guildId, { $push: { rules: rule } });
+    return rule;
   }
 
-  async remove(guildId, type, value) {
-    const { deletedCount } = await this.col.deleteOne({ guildId, type, value: String(value) });
-    return deletedCount > 0;
+  async remove(guildId, list, value) {
+    const kind = list === "deny" ? "deny" : "allow";
+    const lowered = String(value ?? "").trim().toLowerCase();
+    const current = this.#policy(guildId).rules;
+    const kept = current.filter((rule) => !(rule.list === kind && rule.value.toLowerCase() === lowered));
+    if (kept.length === current.length) return false;
+    await this.#update(guildId, { $set: { rules: kept } });
+    return true;
   }
 
-  async list(guildId) {
-    return this.col.find({ guildId }).sort({ createdAt: -1 }).toArray();
+  list(guildId, list = null) {
+    const rules = this.#policy(guildId).rules;
+    const filtered = list ? rules.filter((rule) => rule.list === list) : rules;
+    return filtered.map((rule) => ({ ...rule }));
   }
 
-  async distinctTypes(guildId) {
-    return this.col.distinct("type", { guildId });
+  getMode(guildId) {
+    return this.#policy(guildId).mode;
   }
 
-  async isAllowed(guildId, urlLike) {
-    const inviteNorm = normalizePotentialInvite(urlLike);
-    const asUrl = tryNormalizeUrl(urlLike);
-    const doc = await this.col.find({ guildId }).toArray();
-
-    for (const rule of doc) {
-      if (rule.type === "invite_code" && inviteNorm) {
-        const code = inviteNorm.split("/").pop();
-        if (code?.toLowerCase() === rule.value.toLowerCase()) return true;
-      }
+  async setMode(guildId, mode) {
+    if (!LINK_GUARD_MODES.includes(mode)) throw new Error(`Unknown link guard mode: ${mode}`);
+    await this.#update(guildId, { $set: { mode } });
+    return mode;
+  }
 
-      if (rule.type === "exact" && asUrl) {
-        const normRule = tryNormalizeUrl(rule.value);
-        if (normRule && asUrl === normRule) return true;
-      }
+  listExemptions(guildId) {
+    const policy = this.#policy(guildId);
+    return { channelIds: [...policy.exemptChannelIds], roleIds: [...policy.exemptRoleIds] };
+  }
 
-      if (rule.type === "host" && asUrl) {
-        const host = new URL(asUrl).host.toLowerCase();
-        if (host === String(rule.value).toLowerCase()) return true;
-      }
+  async setChannelExempt(guildId, channelId, exempt) {
+    if (!channelId) throw new Error("channelId is required");
+    await this.#update(guildId, exempt
+      ? { $addToSet: { exemptChannelIds: channelId } }
+      : { $pull: { exemptChannelIds: channelId } });
+    return Boolean(exempt);
+  }
 
-      if (rule.type === "path_prefix" && asUrl) {
-        const u = new URL(asUrl);
-        const pref = String(rule.value);
-        if (u.pathname.startsWith(pref)) return true;
-      }
+  async setRoleExempt(guildId, roleId, exempt) {
+    if (!roleId) throw new Error("roleId is required");
+    await this.#update(guildId, exempt
+      ? { $addToSet: { exemptRoleIds: roleId } }
+      : { $pull: { exemptRoleIds: roleId } });
+    return Boolean(exempt);
+  }
 
-      if (rule.type === "substring") {
-        if (String(asUrl || urlLike).includes(String(rule.value))) return true;
-      }
+  isChannelExempt(guildId, channelId) {
+    return Boolean(channelId) && this.#policy(guildId).exemptChannelIds.has(channelId);
+  }
 
-      if (rule.type === "regex") {
-        try {
-          const rx = new RegExp(String(rule.value));
-          if (rx.test(asUrl || urlLike)) return true;
-        } catch {
-          // ignore invalid regexes silently
-        }
-      }
+  hasExemptRole(guildId, roleIds = []) {
+    const exempt = this.#policy(guildId).exemptRoleIds;
+    if (!exempt.size) return false;
+    for (const id of roleIds) {
+      if (exempt.has(id)) return true;
     }
     return false;
   }
 
+  /**
+   * Deny rules win over allow rules.
+   * @returns {{ result: "deny"|"allow"|"none", rule: object|null }}
+   */
+  evaluate(guildId, urlLike) {
+    const rules = this.#policy(guildId).rules;
+    const deny = rules.find((rule) => rule.list === "deny" && matchesLinkRule(rule, urlLike));
+    if (deny) return { result: "deny", rule: deny };
+    const allow = rules.find((rule) => rule.list === "allow" && matchesLinkRule(rule, urlLike));
+    if (allow) return { result: "allow", rule: allow };
+    return { result: "none", rule: null };
+  }
+
+  isAllowed(guildId, urlLike) {
+    return this.evaluate(guildId, urlLike).result === "allow";
+  }
+
+  /**
+   * Applies the guild's mode to a single URL and returns the reason it should be removed, or null.
+   */
+  findViolation(guildId, urlLike) {
+    const mode = this.getMode(guildId);
+    if (mode === "off") return null;
+    const verdict = this.evaluate(guildId, urlLike);
+    if (verdict.result === "deny") return { url: urlLike, mode, rule: verdict.rule, reason: "matched a deny rule" };
+    if (mode === "allowlist" && verdict.result !== "allow") {
+      return { url: urlLike, mode, rule: null, reason: "not on the allowlist" };
+    }
+    return null;
+  }
+
+  static isInviteUrl(urlLike) {
+    return Boolean(normalizePotentialInvite(String(urlLike || "")));
+  }
+
   static extractUrls(text) {
     return extractUrlsFromText(text || "");
   }
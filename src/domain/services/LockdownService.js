@@ -0,0 +1,318 @@
+import { ChannelType, OverwriteType, PermissionFlagsBits, PermissionsBitField } from "discord.js";
+import { LockdownModel } from "../../infrastructure/database/models/Lockdown.js";
+import { infoEmbed } from "../../shared/utils/embeds.js";
+import { formatDuration, scheduleWithMaxTimeout } from "../../shared/utils/time.js";
+
+const LOCKABLE_TYPES = new Set([ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum]);
+const LOCK_DENY = {
+  SendMessages: false,
+  SendMessagesInThreads: false,
+  CreatePublicThreads: false,
+  CreatePrivateThreads: false,
+  AddReactions: false
+};
+// automatic lockdowns a moderator's /lockdown start may take over instead of being refused
+const TAKEOVER_SCOPES = new Set(["antiraid"]);
+const ALREADY_ACTIVE = "A lockdown is already active. End it before starting another.";
+
+/**
+ * Applies `{ Flag: true|false|null }` changes to a stored allow/deny pair, the way
+ * permissionOverwrites.edit() would; null clears the flag. An empty result means no overwrite.
+ */
+export function patchOverwrite(stored, changes) {
+  let allow = BigInt(stored?.allow ?? "0");
+  let deny = BigInt(stored?.deny ?? "0");
+  for (const [flag, value] of Object.entries(changes)) {
+    const bit = PermissionsBitField.Flags[flag];
+    allow &= ~bit;
+    deny &= ~bit;
+    if (value === true) allow |= bit;
+    if (value === false) deny |= bit;
+  }
+  if (!allow && !deny) return null;
+  return { allow: allow.toString(), deny: deny.toString() };
+}
+
+/**
+ * Picks the channels a lockdown covers. `all` and `categoryId` only include channels @everyone can
+ * see, so staff-only channels are left alone; explicitly listed channels are always included.
+ */
+export function selectLockdownChannels(guild, { channelIds = [], categoryId = null, all = false } = {}) {
+  const everyone = guild.roles.everyone;
+  const lockable = (channel) => channel && LOCKABLE_TYPES.has(channel.type);
+  const visible = (channel) => channel.permissionsFor?.(everyone)?.has?.(PermissionFlagsBits.ViewChannel) !== false;
+  if (all) return [...guild.channels.cache.values()].filter((channel) => lockable(channel) && visible(channel));
+  if (categoryId) {
+    return [...guild.channels.cache.values()]
+      .filter((channel) => channel.parentId === categoryId && lockable(channel) && visible(channel));
+  }
+  return [...new Set(channelIds)].map((id) => guild.channels.cache.get(id)).filter(lockable);
+}
+
+export function snapshotChannel(channel, everyoneId) {
+  const overwrite = channel.permissionOverwrites?.cache?.get(everyoneId);
+  return {
+    channelId: channel.id,
+    rateLimitPerUser: channel.rateLimitPerUser ?? 0,
+    everyone: overwrite
+      ? { allow: overwrite.allow.bitfield.toString(), deny: overwrite.deny.bitfield.toString() }
+      : null
+  };
+}
+
+/**
+ * Turns a stored allow/deny pair back into the `{ Flag: true|false }` form discord.js accepts.
+ */
+export function overwriteOptions({ allow = "0", deny = "0" } = {}) {
+  const options = {};
+  for (const flag of new PermissionsBitField(BigInt(allow)).toArray()) options[flag] = true;
+  for (const flag of new PermissionsBitField(BigInt(deny)).toArray()) options[flag] = false;
+  return options;
+}
+
+/**
+ * Server-wide lockdowns. Before anything is changed, every covered channel's @everyone overwrite and
+ * slowmode are saved, so ending the lockdown (even after a restart) puts each channel back exactly as it was.
+ */
+export class LockdownService {
+  #logger;
+  #client = null;
+  #timers = new Map();
+
+  constructor({ logger = null } = {}) {
+    this.#logger = logger;
+  }
+
+  setClient(client) {
+    this.#client = client;
+  }
+
+  /**
+   * Re-arms the end timers of lockdowns that were running when the bot stopped.
+   */
+  async onClientReady(client) {
+    if (client) this.#client = client;
+    const active = await LockdownModel.find({ active: true, endsAt: { $ne: null } }).lean();
+    for (const lockdown of active) this.#scheduleEnd(lockdown);
+  }
+
+  async getActive(guildId) {
+    return LockdownModel.findOne({ guildId, active: true }).lean();
+  }
+
+  /**
+   * Starting a manual lockdown while an automatic (anti-raid) one runs takes that lockdown over.
+   * @returns {Promise<{ lockdown: object, locked: number, failed: number, tookOver: string|null }>}
+   *   `tookOver` is the scope of the lockdown that was taken over
+   */
+  async start({
+    guild,
+    channels,
+    moderator = null,
+    reason = "",
+    durationMs = null,
+    slowmodeSeconds = null,
+    lockSend = true,
+    notify = true,
+    scope = "channels"
+  }) {
+    if (!guild) throw new Error("Missing guild instance for lockdown.");
+    if (!channels?.length) throw new Error("No lockable channels selected.");
+    const active = await this.getActive(guild.id);
+    if (active && (!TAKEOVER_SCOPES.has(active.scope) || TAKEOVER_SCOPES.has(scope))) throw new Error(ALREADY_ACTIVE);
+
+    const everyoneId = guild.roles.everyone.id;
+    let lockdown;
+    try {
+      lockdown = active
+        ? await this.#takeOver(active, { guild, channels, moderator, reason, durationMs, slowmodeSeconds, lockSend, scope })
+        : (await LockdownModel.create({
+          guildId: guild.id,
+          scope,
+          reason: reason || "",
+          startedBy: moderator?.id || null,
+          slowmodeSeconds: Number.isFinite(slowmodeSeconds) ? slowmodeSeconds : null,
+          lockSend,
+          endsAt: durationMs ? new Date(Date.now() + durationMs) : null,
+          channels: channels.map((channel) => snapshotChannel(channel, everyoneId))
+        })).toObject();
+    } catch (err) {
+      if (err?.code === 11000) throw new Error(ALREADY_ACTIVE);
+      throw err;
+    }
+
+    const auditReason = `Lockdown: ${reason || "no reason"}${moderator?.tag ? ` (by ${moderator.tag})` : ""}`.slice(0, 512);
+    let locked = 0;
+    let failed = 0;
+    for (const channel of channels) {
+      try {
+        if (lockSend) {
+          await channel.permissionOverwrites.edit(everyoneId, LOCK_DENY, { reason: auditReason, type: OverwriteType.Role });
+        }
+        if (Number.isFinite(slowmodeSeconds) && typeof channel.setRateLimitPerUser === "function") {
+          await channel.setRateLimitPerUser(slowmodeSeconds, auditReason);
+        }
+        locked += 1;
+      } catch (err) {
+        failed += 1;
+        this.#logger?.warn?.("lockdown.channel_lock_failed", {
+          guildId: guild.id,
+          channelId: channel.id,
+          error: String(err?.message || err)
+        });
+      }
+    }
+
+    if (notify) {
+      const until = lockdown.endsAt ? `\nExpected to end in **${formatDuration(durationMs)}**.` : "";
+      await this.#notify(guild, channels.map((channel) => ({ channelId: channel.id })), "🔒 Server lockdown", `This channel is temporarily locked.${reason ? `\nReason: ${reason}` : ""}${until}`);
+    }
+    this.#scheduleEnd(lockdown);
+    this.#logger?.info?.("lockdown.started", { guildId: guild.id, scope, locked, failed, tookOver: active?.scope ?? null });
+    return { lockdown, locked, failed, tookOver: active?.scope ?? null };
+  }
+
+  /**
+   * Hands a running automatic lockdown to the caller. Its snapshots are kept because they hold each
+   * channel's state from before it started; only channels it did not cover are snapshotted now.
+   */
+  async #takeOver(active, { guild, channels, moderator, reason, durationMs, slowmodeSeconds, lockSend, scope }) {
+    const covered = new Set(active.channels.map((snapshot) => snapshot.channelId));
+    const added = channels
+      .filter((channel) => !covered.has(channel.id))
+      .map((channel) => snapshotChannel(channel, guild.roles.everyone.id));
+    const lockdown = await LockdownModel.findOneAndUpdate(
+      { _id: active._id, active: true, scope: active.scope },
+      {
+        $set: {
+          scope,
+          reason: reason || "",
+          startedBy: moderator?.id || null,
+          slowmodeSeconds: Number.isFinite(slowmodeSeconds) ? slowmodeSeconds : null,
+          lockSend,
+          endsAt: durationMs ? new Date(Date.now() + durationMs) : null
+        },
+        $push: { channels: { $each: added } }
+      },
+      { new: true }
+    ).lean();
+    if (!lockdown) throw new Error(ALREADY_ACTIVE);
+    this.#clearTimer(guild.id);
+    return lockdown;
+  }
+
+  /**
+   * Restores every snapshotted channel and closes the lockdown. When some channels cannot be restored the
+   * lockdown stays active with only their snapshots, so ending it again retries exactly those.
+   * @returns {Promise<{ lockdown: object, restored: number, failed: number, ended: boolean } | null>}
+   *   null when no lockdown is active
+   */
+  async end({ guild, moderator = null, reason = "", notify = true }) {
+    if (!guild) throw new Error("Missing guild instance for lockdown.");
+    const lockdown = await this.getActive(guild.id);
+    if (!lockdown) return null;
+    this.#clearTimer(guild.id);
+
+    const auditReason = `Lockdown ended: ${reason || "no reason"}${moderator?.tag ? ` (by ${moderator.tag})` : ""}`.slice(0, 512);
+    const restored = [];
+    const pending = [];
+    for (const snapshot of lockdown.channels) {
+      try {
+        if (await this.#restoreChannel(guild, snapshot, auditReason)) restored.push(snapshot);
+      } catch (err) {
+        pending.push(snapshot);
+        this.#logger?.warn?.("lockdown.channel_restore_failed", {
+          guildId: guild.id,
+          channelId: snapshot.channelId,
+          error: String(err?.message || err)
+        });
+      }
+    }
+
+    const updated = pending.length
+      ? await LockdownModel.findOneAndUpdate({ _id: lockdown._id }, { $set: { channels: pending, endsAt: null } }, { new: true }).lean()
+      : await LockdownModel.findOneAndUpdate(
+        { _id: lockdown._id },
+        { active: false, endedAt: new Date(), endedBy: moderator?.id || null, endReason: reason || null },
+        { new: true }
+      ).lean();
+    if (notify) {
+      await this.#notify(guild, restored, "🔓 Lockdown lifted", `This channel is open again.${reason ? `\n${reason}` : ""}`);
+    }
+    const summary = { guildId: guild.id, restored: restored.length, failed: pending.length };
+    if (pending.length) this.#logger?.warn?.("lockdown.end_incomplete", summary);
+    else this.#logger?.info?.("lockdown.ended", summary);
+    return { lockdown: updated, restored: restored.length, failed: pending.length, ended: !pending.length };
+  }
+
+  /**
+   * Applies an @everyone overwrite change to the snapshot of a channel the active lockdown covers, so
+   * ending the lockdown restores the channel with that change instead of undoing it.
+   * @returns {Promise<object|null>} the covering lockdown, or null when no active lockdown covers the channel
+   */
+  async patchSnapshot(guildId, channelId, changes) {
+    const lockdown = await this.getActive(guildId);
+    const snapshot = lockdown?.channels?.find((entry) => entry.channelId === channelId);
+    if (!snapshot) return null;
+    await LockdownModel.updateOne(
+      { _id: lockdown._id, "channels.channelId": channelId },
+      { $set: { "channels.$.everyone": patchOverwrite(snapshot.everyone, changes) } }
+    );
+    return lockdown;
+  }
+
+  async #restoreChannel(guild, snapshot, auditReason) {
+    const channel = guild.channels.cache.get(snapshot.channelId)
+      ?? await guild.channels.fetch(snapshot.channelId).catch(() => null);
+    if (!channel) return false;
+    const everyoneId = guild.roles.everyone.id;
+    if (snapshot.everyone) {
+      // create() replaces the whole overwrite, unlike edit() which would merge with the lockdown denies
+      await channel.permissionOverwrites.create(everyoneId, overwriteOptions(snapshot.everyone), {
+        reason: auditReason,
+        type: OverwriteType.Role
+      });
+    } else if (channel.permissionOverwrites.cache.has(everyoneId)) {
+      await channel.permissionOverwrites.delete(everyoneId, auditReason);
+    }
+    const rateLimit = snapshot.rateLimitPerUser ?? 0;
+    if (typeof channel.setRateLimitPerUser === "function" && (channel.rateLimitPerUser ?? 0) !== rateLimit) {
+      await channel.setRateLimitPerUser(rateLimit, auditReason);
+    }
+    return true;
+  }
+
+  async #notify(guild, snapshots, title, text) {
+    for (const { channelId } of snapshots) {
+      const channel = guild.channels.cache.get(channelId);
+      if (!channel?.isTextBased?.()) continue;
+      await channel.send({ embeds: [infoEmbed(title, text)] }).catch(() => null);
+    }
+  }
+
+  #scheduleEnd(lockdown) {
+    if (!lockdown?.endsAt) return;
+    this.#clearTimer(lockdown.guildId);
+    const handle = scheduleWithMaxTimeout(() => {
+      this.#timers.delete(lockdown.guildId);
+      void this.#expire(lockdown.guildId);
+    }, new Date(lockdown.endsAt).getTime() - Date.now());
+    this.#timers.set(lockdown.guildId, handle);
+  }
+
+  #clearTimer(guildId) {
+    this.#timers.get(guildId)?.cancel?.();
+    this.#timers.delete(guildId);
+  }
+
+  async #expire(guildId) {
+    try {
+      const guild = this.#client?.guilds?.cache?.get(guildId)
+        ?? await this.#client?.guilds?.fetch?.(guildId).catch(() => null);
+      if (!guild) return;
+      await this.end({ guild, reason: "Lockdown duration elapsed" });
+    } catch (err) {
+      this.#logger?.error?.("lockdown.expire_failed", { guildId, error: String(err?.message || err) });
+    }
+  }
+}
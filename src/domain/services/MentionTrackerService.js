@@ -292,6 +292,10 @@ export class MentionTrackerService {
     }
   }
 
+  registerComponents(router) {
+    router.register({ prefix: BUTTON_PREFIX, types: ["button"], handle: (interaction) => this.handleInteraction(interaction) });
+  }
+
   async handleInteraction(interaction) {
     if (!this.enabled) return false;
     if (!interaction.isButton()) return false;
@@ -0,0 +1,237 @@
+import { AttachmentBuilder, EmbedBuilder } from "discord.js";
+import { resolveStaffChannel } from "../../shared/utils/staffChannels.js";
+import { renderTextTranscript, toTranscriptEntry } from "../../shared/utils/transcripts.js";
+
+const LOG_CHANNEL_KEY = "message_log";
+const DEFAULT_CACHE_SIZE = 5000;
+const STAFF_CHANNEL_TTL_MS = 5 * 60_000;
+const ARCHIVED_TTL_MS = 5 * 60_000;
+const MAX_FIELD_LENGTH = 1024;
+const DELETE_COLOR = 0xED4245;
+const EDIT_COLOR = 0xFEE75C;
+
+function clip(text, max = MAX_FIELD_LENGTH) {
+  const value = String(text ?? "");
+  return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+function jumpLink(entry) {
+  return `https://discord.com/channels/${entry.guildId}/${entry.channelId}/${entry.id}`;
+}
+
+function describeAttachments(attachments) {
+  return clip(attachments.map((attachment) => `[${attachment.name}](${attachment.url})`).join("\n"));
+}
+
+function authorLine(entry) {
+  return entry.authorId ? `<@${entry.authorId}> (${entry.authorTag})` : "Unknown (message was not cached)";
+}
+
+export function buildDeleteEmbed(entry) {
+  const embed = new EmbedBuilder()
+    .setTitle("Message deleted")
+    .setColor(DELETE_COLOR)
+    .setDescription(clip(entry.content || "*No text content or content unavailable.*", 4000))
+    .addFields(
+      { name: "Author", value: authorLine(entry), inline: true },
+      { name: "Channel", value: `<#${entry.channelId}>`, inline: true }
+    )
+    .setFooter({ text: `Message ID: ${entry.id}${entry.authorId ? ` • User ID: ${entry.authorId}` : ""}` })
+    .setTimestamp(new Date());
+  if (entry.attachments.length) embed.addFields({ name: "Attachments", value: describeAttachments(entry.attachments) });
+  if (entry.createdAt) embed.addFields({ name: "Sent", value: `<t:${Math.floor(entry.createdAt.getTime() / 1000)}:f>`, inline: true });
+  return embed;
+}
+
+export function buildEditEmbed(before, after) {
+  const embed = new EmbedBuilder()
+    .setTitle("Message edited")
+    .setColor(EDIT_COLOR)
+    .setDescription(`[Jump to message](${jumpLink(after)})`)
+    .addFields(
+      { name: "Author", value: authorLine(after), inline: true },
+      { name: "Channel", value: `<#${after.channelId}>`, inline: true },
+      { name: "Before", value: clip(before?.content || (before ? "*No text content.*" : "*Not cached.*")) },
+      { name: "After", value: clip(after.content || "*No text content.*") }
+    )
+    .setFooter({ text: `Message ID: ${after.id} • User ID: ${after.authorId}` })
+    .setTimestamp(new Date());
+  const removed = before?.attachments?.filter((attachment) => !after.attachments.some((kept) => kept.url === attachment.url)) ?? [];
+  if (removed.length) embed.addFields({ name: "Removed attachments", value: describeAttachments(removed) });
+  return embed;
+}
+
+/**
+ * Posts deleted and edited messages to the guild's message_log channel. Message content is kept in a
+ * bounded cache so deletes and edits of messages discord.js no longer holds can still show the text.
+ * Ignored channels (and their threads) and, unless enabled per guild, staff channels are skipped.
+ */
+export class MessageLogService {
+  #logger;
+  #channelMapService;
+  #guildConfigService;
+  #cacheSize;
+  #cache = new Map();
+  #archived = new Map();
+  #staffChannels = new Map();
+
+  constructor({ logger = null, channelMapService = null, guildConfigService = null, cacheSize = DEFAULT_CACHE_SIZE } = {}) {
+    this.#logger = logger;
+    this.#channelMapService = channelMapService;
+    this.#guildConfigService = guildConfigService;
+    this.#cacheSize = Number.isFinite(cacheSize) && cacheSize > 0 ? Math.floor(cacheSize) : DEFAULT_CACHE_SIZE;
+  }
+
+  get cacheSize() {
+    return this.#cache.size;
+  }
+
+  /**
+   * Caches a message's content, evicting the oldest entry once the cache is full.
+   */
+  remember(message) {
+    if (!message?.guildId || message.partial || message.author?.bot) return null;
+    const entry = { ...toTranscriptEntry(message), guildId: message.guildId };
+    this.#cache.delete(entry.id);
+    this.#cache.set(entry.id, entry);
+    while (this.#cache.size > this.#cacheSize) {
+      this.#cache.delete(this.#cache.keys().next().value);
+    }
+    return entry;
+  }
+
+  /**
+   * Marks messages as already archived (e.g. by /purge) so their bulk delete is not logged twice.
+   */
+  markArchived(messageIds) {
+    const expiresAt = Date.now() + ARCHIVED_TTL_MS;
+    for (const id of messageIds) this.#archived.set(id, expiresAt);
+  }
+
+  async logDelete(message) {
+    if (!message?.guild) return false;
+    const entry = this.#take(message);
+    if (this.#consumeArchived(message.id)) return false;
+    if (message.author?.bot) return false;
+    if (!(await this.#shouldLog(message.guild, message.channel))) return false;
+    return this.#send(message.guild, { embeds: [buildDeleteEmbed(entry)] });
+  }
+
+  async logBulkDelete(messages, channel) {
+    const guild = channel?.guild;
+    if (!guild) return false;
+    const entries = [];
+    let unknown = 0;
+    for (const message of messages.values()) {
+      const entry = this.#take(message);
+      if (this.#consumeArchived(message.id)) continue;
+      if (message.author?.bot) continue;
+      if (entry.authorId) entries.push(entry);
+      else unknown += 1;
+    }
+    if (!entries.length && !unknown) return false;
+    if (!(await this.#shouldLog(guild, channel))) return false;
+
+    const embed = new EmbedBuilder()
+      .setTitle("Messages bulk deleted")
+      .setColor(DELETE_COLOR)
+      .setDescription(`${entries.length + unknown} message(s) deleted in ${channel}${unknown ? ` (${unknown} not cached)` : ""}.`)
+      .setTimestamp(new Date());
+    const payload = { embeds: [embed] };
+    if (entries.length) {
+      const text = renderTextTranscript(entries, { title: `Bulk delete in #${channel.name} (${channel.id})` });
+      payload.files = [new AttachmentBuilder(Buffer.from(text, "utf8"), { name: `deleted-${channel.id}-${Date.now()}.txt` })];
+    }
+    return this.#send(guild, payload);
+  }
+
+  async logUpdate(oldMessage, newMessage) {
+    const message = newMessage?.partial ? await newMessage.fetch().catch(() => null) : newMessage;
+    if (!message?.guild || message.author?.bot) return false;
+    const before = this.#cache.get(message.id) ?? (oldMessage && !oldMessage.partial ? toTranscriptEntry(oldMessage) : null);
+    const after = this.remember(message);
+    if (!after) return false;
+    // embed unfurls and pins also fire messageUpdate
+    if (before && before.content === after.content && before.attachments.length === after.attachments.length) return false;
+    if (!(await this.#shouldLog(message.guild, message.channel))) return false;
+    return this.#send(message.guild, { embeds: [buildEditEmbed(before, after)] });
+  }
+
+  /**
+   * Cached snapshot (removed from the cache) or whatever the message object still carries.
+   */
+  #take(message) {
+    const cached = this.#cache.get(message.id);
+    this.#cache.delete(message.id);
+    if (cached) return cached;
+    if (!message.partial) return { ...toTranscriptEntry(message), guildId: message.guildId };
+    return {
+      id: message.id,
+      guildId: message.guildId,
+      channelId: message.channelId,
+      authorId: null,
+      authorTag: null,
+      createdAt: null,
+      content: "",
+      attachments: [],
+      embeds: [],
+      replyToId: null
+    };
+  }
+
+  #consumeArchived(messageId) {
+    const now = Date.now();
+    for (const [id, expiresAt] of this.#archived) {
+      if (expiresAt <= now) this.#archived.delete(id);
+    }
+    return this.#archived.delete(messageId);
+  }
+
+  async #shouldLog(guild, channel) {
+    if (!channel) return false;
+    const scope = [channel.id, channel.parentId, channel.parent?.parentId].filter(Boolean);
+    const logChannel = await this.#resolveLogChannel(guild);
+    if (!logChannel || scope.includes(logChannel.id)) return false;
+
+    const settings = await this.#guildConfigService?.getMessageLogSettings?.(guild.id);
+    if (scope.some((id) => settings?.ignoredChannelIds?.includes(id))) return false;
+    if (settings?.includeStaffChannels) return true;
+    const staff = await this.#getStaffChannelIds(guild.id);
+    return !scope.some((id) => staff.has(id));
+  }
+
+  /**
+   * Channels mapped with /channelmap plus the mod log channel count as staff channels.
+   */
+  async #getStaffChannelIds(guildId) {
+    const cached = this.#staffChannels.get(guildId);
+    if (cached && cached.expiresAt > Date.now()) return cached.ids;
+    const ids = new Set();
+    try {
+      const mappings = (await this.#channelMapService?.list?.(guildId)) ?? [];
+      for (const mapping of mappings) if (mapping.channelId) ids.add(mapping.channelId);
+      const modLogChannelId = await this.#guildConfigService?.getModLogChannelId?.(guildId);
+      if (modLogChannelId) ids.add(modLogChannelId);
+    } catch (err) {
+      this.#logger?.warn?.("message_log.staff_channels_failed", { guildId, error: String(err?.message || err) });
+    }
+    this.#staffChannels.set(guildId, { ids, expiresAt: Date.now() + STAFF_CHANNEL_TTL_MS });
+    return ids;
+  }
+
+  async #resolveLogChannel(guild) {
+    return resolveStaffChannel(guild, this.#channelMapService, LOG_CHANNEL_KEY);
+  }
+
+  async #send(guild, payload) {
+    try {
+      const channel = await this.#resolveLogChannel(guild);
+      if (!channel) return false;
+      await channel.send(payload);
+      return true;
+    } catch (err) {
+      this.#logger?.warn?.("message_log.send_failed", { guildId: guild.id, error: String(err?.message || err) });
+      return false;
+    }
+  }
+}
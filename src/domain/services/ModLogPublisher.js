@@ -0,0 +1,155 @@
+import { EmbedBuilder } from "discord.js";
+import { resolveStaffChannel } from "../../shared/utils/staffChannels.js";
+import { formatDuration } from "../../shared/utils/time.js";
+
+const MAX_FIELD_LENGTH = 1024;
+
+function toUnix(date) {
+  return Math.floor(new Date(date).getTime() / 1000);
+}
+
+function clip(text) {
+  const value = String(text ?? "");
+  return value.length > MAX_FIELD_LENGTH ? `${value.slice(0, MAX_FIELD_LENGTH - 1)}…` : value;
+}
+
+function actionLabel(action) {
+  return String(action || "case")
+    .split("_")
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join(" ");
+}
+
+/**
+ * Renders a case as the standard mod-log embed. Expunged and completed cases keep their original
+ * details and gain a status field, so edits to the posted message never lose information.
+ */
+export function buildCaseEmbed(entry) {
+  const tag = entry.metadata?.targetTag;
+  const title = `Case #${entry.caseNumber} — ${actionLabel(entry.action)}`;
+  const embed = new EmbedBuilder()
+    .setTitle(entry.expungedAt ? `~~${title}~~ (expunged)` : title)
+    .addFields(
+      entry.userId
+        ? { name: "Target", value: `<@${entry.userId}>${tag ? ` (${tag})` : ""}`, inline: true }
+        : { name: "Channel", value: entry.metadata?.channelId ? `<#${entry.metadata.channelId}>` : "Unknown", inline: true },
+      { name: "Moderator", value: entry.moderatorId ? `<@${entry.moderatorId}>` : "System", inline: true },
+      { name: "Reason", value: clip(entry.reason || "No reason provided.") }
+    )
+    .setFooter({ text: entry.userId ? `User ID: ${entry.userId}` : `Case #${entry.caseNumber}` });
+
+  if (entry.durationMs) embed.addFields({ name: "Duration", value: formatDuration(entry.durationMs), inline: true });
+  if (entry.expiresAt) {
+    const ts = toUnix(entry.expiresAt);
+    embed.addFields({ name: "Expires", value: `<t:${ts}:f> (<t:${ts}:R>)`, inline: true });
+  }
+  if (entry.metadata?.source) embed.addFields({ name: "Source", value: String(entry.metadata.source), inline: true });
+  if (entry.metadata?.transcriptUrl) {
+    embed.addFields({ name: "Transcript", value: `[${entry.metadata.deletedCount ?? "View"} message(s)](${entry.metadata.transcriptUrl})`, inline: true });
+  }
+  if (entry.evidence?.length) {
+    const links = entry.evidence.map((item, index) => `[${item.label || `Evidence ${index + 1}`}](${item.url})`);
+    embed.addFields({ name: "Evidence", value: clip(links.join("\n")) });
+  }
+  const linkedCase = entry.metadata?.linkedCaseNumber ?? entry.metadata?.triggerCaseNumber;
+  if (linkedCase) embed.addFields({ name: "Linked case", value: `#${linkedCase}`, inline: true });
+  if (entry.completedAt) {
+    const when = `<t:${toUnix(entry.completedAt)}:R>`;
+    const value = entry.undoContext?.via === "undo"
+      ? `Undone ${when}${entry.undoContext.undoCaseNumber ? ` in case #${entry.undoContext.undoCaseNumber}` : ""}`
+      : `Lifted ${entry.undoContext?.via === "auto" ? "automatically" : "manually"} ${when}`;
+    embed.addFields({ name: "Completed", value });
+  }
+  if (entry.expungedAt) {
+    const by = entry.expungedBy ? ` by <@${entry.expungedBy}>` : "";
+    const reason = entry.expungedReason ? `: ${entry.expungedReason}` : "";
+    embed.addFields({ name: "Expunged", value: clip(`<t:${toUnix(entry.expungedAt)}:R>${by}${reason}`) });
+  }
+  if (entry.createdAt) embed.setTimestamp(new Date(entry.createdAt));
+  return embed;
+}
+
+/**
+ * Posts cases to the guild's mod log channel and edits that message when the case changes.
+ * The channel comes from /modlog set, then the mod_log channel mapping, then the configured fallback.
+ */
+export class ModLogPublisher {
+  #logger;
+  #guildConfigService;
+  #channelMapService;
+  #fallbackChannelId;
+  #client = null;
+
+  constructor({ logger = null, guildConfigService = null, channelMapService = null, fallbackChannelId = "" } = {}) {
+    this.#logger = logger;
+    this.#guildConfigService = guildConfigService;
+    this.#channelMapService = channelMapService;
+    this.#fallbackChannelId = fallbackChannelId || "";
+  }
+
+  setClient(client) {
+    this.#client = client;
+  }
+
+  /**
+   * @returns {Promise<{ channelId: string, messageId: string } | null>}
+   */
+  async publish(entry) {
+    if (!entry?.guildId || !this.#client) return null;
+    try {
+      const guild = await this.#resolveGuild(entry.guildId);
+      const channel = guild ? await this.#resolveChannel(guild) : null;
+      if (!channel) return null;
+      const message = await channel.send({ embeds: [buildCaseEmbed(entry)], allowedMentions: { parse: [] } });
+      return { channelId: channel.id, messageId: message.id };
+    } catch (err) {
+      this.#logger?.warn?.("modlog.publish_failed", {
+        guildId: entry.guildId,
+        caseNumber: entry.caseNumber,
+        error: String(err?.message || err)
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Re-renders the posted message for a case; cases that were never posted are left alone.
+   */
+  async update(entry) {
+    if (!entry?.logChannelId || !entry?.logMessageId || !this.#client) return false;
+    try {
+      const guild = await this.#resolveGuild(entry.guildId);
+      const channel = guild?.channels?.cache?.get(entry.logChannelId)
+        ?? await guild?.channels?.fetch?.(entry.logChannelId).catch(() => null);
+      const message = await channel?.messages?.fetch?.(entry.logMessageId).catch(() => null);
+      if (!message) return false;
+      await message.edit({ embeds: [buildCaseEmbed(entry)], allowedMentions: { parse: [] } });
+      return true;
+    } catch (err) {
+      this.#logger?.warn?.("modlog.update_failed", {
+        guildId: entry.guildId,
+        caseNumber: entry.caseNumber,
+        error: String(err?.message || err)
+      });
+      return false;
+    }
+  }
+
+  async #resolveGuild(guildId) {
+    return this.#client.guilds.cache.get(guildId) ?? await this.#client.guilds.fetch(guildId).catch(() => null);
+  }
+
+  async #resolveChannel(guild) {
+    let configuredId = "";
+    try {
+      configuredId = await this.#guildConfigService?.getModLogChannelId?.(guild.id);
+    } catch {
+      // fall through to the channel map and configured fallback
+    }
+    if (configuredId) {
+      const configured = guild.channels.cache.get(configuredId) ?? await guild.channels.fetch(configuredId).catch(() => null);
+      if (configured?.isTextBased?.()) return configured;
+    }
+    return resolveStaffChannel(guild, this.#channelMapService, "mod_log", this.#fallbackChannelId);
+  }
+}
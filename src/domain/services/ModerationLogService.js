@@ -2,7 +2,35 @@ import mongoose from "mongoose";
 import { ModerationActionModel } from "../../infrastructure/database/models/ModerationAction.js";
 import { ModerationCounterModel } from "../../infrastructure/database/models/ModerationCounter.js";
 
+function buildRevision(type, moderatorId, changes) {
+  return { type, by: moderatorId || null, at: new Date(), ...changes };
+}
+
+/** One-line case summary, as listed by /history. */
+export function formatHistoryLine(entry) {
+  const when = `<t:${Math.floor(new Date(entry.createdAt).getTime() / 1000)}:R>`;
+  return `#${entry.caseNumber} — ${entry.action} — ${entry.reason} (${when})`;
+}
+
+/**
+ * Stores moderation cases. When a publisher is attached, every new case is posted to the mod log
+ * in the background and later changes (reason, expunge, completion) edit that same message.
+ */
 export class ModerationLogService {
+  #publisher = null;
+  #pending = new Map();
+
+  setPublisher(publisher) {
+    this.#publisher = publisher;
+  }
+
+  /**
+   * Resolves once queued mod log posts and edits have settled.
+   */
+  async flush() {
+    await Promise.all([...this.#pending.values()]);
+  }
+
   async record({ guildId, userId, moderatorId, action, reason, durationMs, expiresAt, metadata }) {
     const caseNumber = await this.#nextCaseNumber(guildId);
     const doc = await ModerationActionModel.create({
@@ -16,15 +44,26 @@ export class ModerationLogService {
       expiresAt: expiresAt || null,
       metadata: metadata || {}
     });
-    return doc.toObject();
+    const entry = doc.toObject();
+    this.#queue(entry._id, async () => {
+      const posted = await this.#publisher.publish(entry);
+      if (!posted?.messageId) return;
+      await ModerationActionModel.updateOne(
+        { _id: entry._id },
+        { logChannelId: posted.channelId, logMessageId: posted.messageId }
+      );
+    });
+    return entry;
   }
 
   async markCompleted(id, undoContext = null) {
-    return ModerationActionModel.findByIdAndUpdate(
+    const updated = await ModerationActionModel.findByIdAndUpdate(
       id,
       { completedAt: new Date(), undoContext },
       { new: true }
     ).lean();
+    this.#queueRefresh(updated);
+    return updated;
   }
 
   async getActiveTimedActions(action) {
@@ -94,25 +133,134 @@ export class ModerationLogService {
   async expunge({ guildId, caseNumber, moderatorId, reason }) {
     const numericCase = typeof caseNumber === "number" ? caseNumber : Number(caseNumber);
     if (!guildId || Number.isNaN(numericCase)) return null;
-    return ModerationActionModel.findOneAndUpdate(
+    const expungedReason = reason?.trim?.() || null;
+    const updated = await ModerationActionModel.findOneAndUpdate(
       { guildId, caseNumber: numericCase, expungedAt: null },
       {
-        expungedAt: new Date(),
-        expungedBy: moderatorId || null,
-        expungedReason: reason?.trim?.() || null
+        $set: {
+          expungedAt: new Date(),
+          expungedBy: moderatorId || null,
+          expungedReason
+        },
+        $push: { revisions: buildRevision("expunge", moderatorId, { reason: expungedReason }) }
       },
       { new: true }
     ).lean();
+    this.#queueRefresh(updated);
+    return updated;
   }
 
-  async updateReason({ guildId, caseNumber, reason }) {
-    const numericCase = typeof caseNumber === "number" ? caseNumber : Number(caseNumber);
-    if (!guildId || Number.isNaN(numericCase)) return null;
-    return ModerationActionModel.findOneAndUpdate(
-      { guildId, caseNumber: numericCase },
-      { reason: reason?.trim?.() || "No reason provided." },
+  /**
+   * Reverses an expunge; the previous expunge details are kept in the revision history.
+   */
+  async restore({ guildId, caseNumber, moderatorId, reason }) {
+    const existing = await this.getByCase(guildId, caseNumber);
+    if (!existing?.expungedAt) return null;
+    const updated = await ModerationActionModel.findOneAndUpdate(
+      { _id: existing._id, expungedAt: { $ne: null } },
+      {
+        $set: { expungedAt: null, expungedBy: null, expungedReason: null },
+        $push: {
+          revisions: buildRevision("restore", moderatorId, {
+            reason: reason?.trim?.() || null,
+            expungedAt: existing.expungedAt,
+            expungedBy: existing.expungedBy,
+            expungedReason: existing.expungedReason
+          })
+        }
+      },
       { new: true }
     ).lean();
+    this.#queueRefresh(updated);
+    return updated;
+  }
+
+  async updateReason({ guildId, caseNumber, reason, moderatorId = null }) {
+    const existing = await this.getByCase(guildId, caseNumber);
+    if (!existing) return null;
+    const nextReason = reason?.trim?.() || "No reason provided.";
+    const updated = await ModerationActionModel.findOneAndUpdate(
+      { _id: existing._id },
+      {
+        $set: { reason: nextReason },
+        $push: { revisions: buildRevision("reason", moderatorId, { from: existing.reason, to: nextReason }) }
+      },
+      { new: true }
+    ).lean();
+    this.#queueRefresh(updated);
+    return updated;
+  }
+
+  /**
+   * Changes the duration/expiry of a case and records the previous values.
+   */
+  async updateTiming({ guildId, caseNumber, durationMs, expiresAt, moderatorId = null, note = null }) {
+    const existing = await this.getByCase(guildId, caseNumber);
+    if (!existing) return null;
+    const updated = await ModerationActionModel.findOneAndUpdate(
+      { _id: existing._id },
+      {
+        $set: { durationMs, expiresAt },
+        $push: {
+          revisions: buildRevision("timing", moderatorId, {
+            from: { durationMs: existing.durationMs, expiresAt: existing.expiresAt },
+            to: { durationMs, expiresAt },
+            note: note?.trim?.() || null
+          })
+        }
+      },
+      { new: true }
+    ).lean();
+    this.#queueRefresh(updated);
+    return updated;
+  }
+
+  /**
+   * Attaches evidence (a transcript, message link, ...) to a case.
+   * @param {{ type: string, url: string, label?: string }} evidence
+   */
+  async addEvidence({ guildId, caseNumber, moderatorId = null, evidence }) {
+    const existing = await this.getByCase(guildId, caseNumber);
+    if (!existing) return null;
+    const item = { ...evidence, addedBy: moderatorId || null, addedAt: new Date() };
+    const updated = await ModerationActionModel.findOneAndUpdate(
+      { _id: existing._id },
+      {
+        $push: {
+          evidence: item,
+          revisions: buildRevision("evidence", moderatorId, { evidenceType: item.type, label: item.label || null, url: item.url })
+        }
+      },
+      { new: true }
+    ).lean();
+    this.#queueRefresh(updated);
+    return updated;
+  }
+
+  /**
+   * Runs a publisher task after any earlier task for the same case, so an edit never races the initial post.
+   */
+  #queue(id, task) {
+    if (!this.#publisher || !id) return;
+    const key = String(id);
+    const previous = this.#pending.get(key) || Promise.resolve();
+    const next = previous
+      .then(task)
+      .catch(() => {
+        // the publisher logs its own failures
+      })
+      .finally(() => {
+        if (this.#pending.get(key) === next) this.#pending.delete(key);
+      });
+    this.#pending.set(key, next);
+  }
+
+  #queueRefresh(entry) {
+    if (!entry?._id) return;
+    this.#queue(entry._id, async () => {
+      const fresh = await ModerationActionModel.findById(entry._id).lean();
+      if (fresh) await this.#publisher.update(fresh);
+    });
   }
 
   async #nextCaseNumber(guildId) {
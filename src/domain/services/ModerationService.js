@@ -1,6 +1,6 @@
 import { PermissionsBitField } from "discord.js";
-import { ModerationActionType, normalizeReason } from "./moderationActions.js";
-import { scheduleWithMaxTimeout } from "../../shared/utils/time.js";
+import { ModerationActionType, TARGETLESS_ACTIONS, normalizeReason } from "./moderationActions.js";
+import { MAX_MEMBER_TIMEOUT_MS, scheduleWithMaxTimeout } from "../../shared/utils/time.js";
 
 const MAX_TIMER_KEY_SIZE = 256;
 
@@ -10,6 +10,7 @@ export class ModerationService {
   #client;
   #timers = new Map();
   #timedHandlers = new Map();
+  #undoHandlers = new Map();
 
   constructor(logger, logService) {
     this.#logger = logger;
@@ -17,6 +18,17 @@ export class ModerationService {
     this.registerTimedActionHandler(ModerationActionType.Ban, {
       onExpire: (entry) => this.#completeBan(entry)
     });
+    this.registerTimedActionHandler(ModerationActionType.Mute, {
+      onExpire: (entry) => this.#completeMute(entry)
+    });
+    this.registerTimedActionHandler(ModerationActionType.Quarantine, {
+      onExpire: (entry) => this.#completeQuarantine(entry)
+    });
+    this.registerUndoHandler(ModerationActionType.Ban, { undo: (entry, context) => this.#undoBan(entry, context) });
+    this.registerUndoHandler(ModerationActionType.Mute, { undo: (entry, context) => this.#undoTimeout(entry, context) });
+    this.registerUndoHandler(ModerationActionType.Quarantine, {
+      undo: (entry, context) => this.#undoQuarantine(entry, context)
+    });
   }
 
   setClient(client) {
@@ -124,6 +136,279 @@ export class ModerationService {
     return entry;
   }
 
+  /**
+   * Bans by user id, for users who are no longer (or never were) members of the guild.
+   */
+  async banById({ guild, user, moderator, reason, metadata }) {
+    if (!guild) throw new Error("Missing guild instance for ban.");
+    const userId = typeof user === "string" ? user : user?.id;
+    if (!userId) throw new Error("Missing user for ban.");
+
+    const member = guild.members?.cache?.get(userId);
+    if (member && !member.bannable) throw new Error("Target not bannable (role/perms).");
+
+    const normalizedReason = normalizeReason(reason);
+    await guild.bans.create(userId, { reason: this.#buildAuditReason(moderator, normalizedReason, null) });
+
+    return this.#record({
+      guild,
+      userId,
+      moderator,
+      action: ModerationActionType.Ban,
+      reason: normalizedReason,
+      metadata: {
+        ...(metadata || {}),
+        targetTag: typeof user === "string" ? metadata?.targetTag ?? null : user?.tag || null
+      }
+    });
+  }
+
+  async unban({ guild, user, moderator, reason, metadata }) {
+    if (!guild) throw new Error("Missing guild instance for unban.");
+    const userId = typeof user === "string" ? user : user?.id;
+    if (!userId) throw new Error("Missing user for unban.");
+
+    const normalizedReason = normalizeReason(reason);
+    await guild.bans.remove(userId, this.#buildAuditReason(moderator, normalizedReason, null));
+
+    return this.#record({
+      guild,
+      userId,
+      moderator,
+      action: ModerationActionType.Unban,
+      reason: normalizedReason,
+      metadata: {
+        ...(metadata || {}),
+        targetTag: typeof user === "string" ? null : user?.tag || null
+      }
+    });
+  }
+
+  async kick({ guild, target, moderator, reason, metadata }) {
+    if (!target?.kickable) throw new Error("Target not kickable (role/perms).");
+    if (!guild) throw new Error("Missing guild instance for kick.");
+
+    const normalizedReason = normalizeReason(reason);
+    await target.kick(this.#buildAuditReason(moderator, normalizedReason, null));
+
+    return this.#record({
+      guild,
+      userId: target.id,
+      moderator,
+      action: ModerationActionType.Kick,
+      reason: normalizedReason,
+      metadata: {
+        ...(metadata || {}),
+        targetTag: target?.user?.tag || null
+      }
+    });
+  }
+
+  /**
+   * Mutes a member. Durations Discord can enforce use a native timeout; longer or permanent mutes
+   * apply `muteRole` instead, which is removed by the Mute timed handler and re-applied on rejoin.
+   */
+  async timeout({ guild, target, moderator, reason, durationMs, permanent = false, muteRole = null, metadata }) {
+    if (!guild) throw new Error("Missing guild instance for timeout.");
+    if (!permanent && (!Number.isFinite(durationMs) || durationMs <= 0)) {
+      throw new Error("A positive duration is required for timeout.");
+    }
+    const useRole = permanent || durationMs > MAX_MEMBER_TIMEOUT_MS;
+    if (useRole && !muteRole) {
+      throw new Error(permanent
+        ? "Permanent mutes need a mute role; run /setup mute first."
+        : "Timeouts cannot exceed 28 days without a mute role; run /setup mute first.");
+    }
+    if (useRole ? !target?.roles : !target?.moderatable) throw new Error("Target not moderatable (role/perms).");
+
+    const normalizedReason = normalizeReason(reason);
+    const expiresAt = permanent ? null : new Date(Date.now() + durationMs);
+    const auditReason = this.#buildAuditReason(moderator, normalizedReason, expiresAt);
+
+    if (useRole) {
+      await target.roles.add(muteRole, auditReason);
+    } else {
+      await target.timeout(durationMs, auditReason);
+    }
+
+    const entry = await this.#record({
+      guild,
+      userId: target.id,
+      moderator,
+      action: ModerationActionType.Mute,
+      reason: normalizedReason,
+      durationMs: permanent ? null : durationMs,
+      expiresAt,
+      metadata: {
+        ...(metadata || {}),
+        ...(useRole ? { roleId: muteRole.id } : {}),
+        targetTag: target?.user?.tag || null
+      }
+    });
+    if (entry && expiresAt) this.#scheduleTimer(entry, durationMs, guild.id);
+    return entry;
+  }
+
+  /**
+   * Lifts a mute of either kind: clears the native timeout and removes the mute role of the active case.
+   */
+  async untimeout({ guild, target, moderator, reason, metadata }) {
+    if (!target?.moderatable) throw new Error("Target not moderatable (role/perms).");
+    if (!guild) throw new Error("Missing guild instance for untimeout.");
+
+    const normalizedReason = normalizeReason(reason);
+    const auditReason = this.#buildAuditReason(moderator, normalizedReason, null);
+    const active = this.#logService
+      ? await this.#logService.findLatestActive({
+        guildId: guild.id,
+        userId: target.id,
+        action: ModerationActionType.Mute
+      })
+      : null;
+
+    const roleId = active?.metadata?.roleId;
+    if (roleId) await target.roles.remove(roleId, auditReason);
+    if (!roleId || target.isCommunicationDisabled?.()) await target.timeout(null, auditReason);
+
+    if (active) {
+      this.cancelTimerForEntry(active);
+      await this.#logService.markCompleted(active._id, { via: "manual", liftedAt: new Date().toISOString() });
+    }
+
+    return this.#record({
+      guild,
+      userId: target.id,
+      moderator,
+      action: ModerationActionType.Unmute,
+      reason: normalizedReason,
+      metadata: {
+        ...(metadata || {}),
+        ...(active ? { linkedCaseNumber: active.caseNumber } : {}),
+        targetTag: target?.user?.tag || null
+      }
+    });
+  }
+
+  /**
+   * Gives a rejoining member back the mute role of a role-based mute that is still running.
+   * @returns {Promise<object | null>} the mute case that was re-applied
+   */
+  async reapplyMuteRole(member) {
+    if (!this.#logService || !member?.guild) return null;
+    const active = await this.#logService.findLatestActive({
+      guildId: member.guild.id,
+      userId: member.id,
+      action: ModerationActionType.Mute
+    });
+    const roleId = active?.metadata?.roleId;
+    if (!roleId) return null;
+    if (active.expiresAt && new Date(active.expiresAt).getTime() <= Date.now()) return null;
+    if (!member.guild.roles?.cache?.has?.(roleId)) return null;
+    await member.roles.add(roleId, `Re-applying mute from case #${active.caseNumber} after rejoin`);
+    return active;
+  }
+
+  /**
+   * Applies the quarantine role and strips every other role the bot can manage. The stripped roles are
+   * stored on the case so /unquarantine, /case undo and expiry can give them back; with `durationMs`
+   * the quarantine lifts itself when it expires.
+   */
+  async quarantine({ guild, target, moderator, role, reason, durationMs = null, metadata }) {
+    if (!guild) throw new Error("Missing guild instance for quarantine.");
+    if (!target?.roles) throw new Error("Missing member for quarantine.");
+    if (!role) throw new Error("Missing quarantine role.");
+    if (durationMs !== null && durationMs !== undefined && (!Number.isFinite(durationMs) || durationMs <= 0)) {
+      throw new Error("Quarantine duration must be positive.");
+    }
+
+    if (this.#logService) {
+      const active = await this.#logService.findLatestActive({
+        guildId: guild.id,
+        userId: target.id,
+        action: ModerationActionType.Quarantine
+      });
+      if (active && target.roles.cache?.has?.(active.metadata?.roleId || role.id)) {
+        throw new Error(`Member is already quarantined (case #${active.caseNumber}).`);
+      }
+      if (active) {
+        // The role was removed by hand; close the stale case before opening a new one.
+        this.cancelTimerForEntry(active);
+        await this.#logService.markCompleted(active._id, { via: "manual", liftedAt: new Date().toISOString() });
+      }
+    }
+
+    const normalizedReason = normalizeReason(reason);
+    const expiresAt = durationMs ? new Date(Date.now() + durationMs) : null;
+    const auditReason = this.#buildAuditReason(moderator, normalizedReason, expiresAt);
+    const stripped = [...(target.roles.cache?.values?.() || [])]
+      .filter((held) => held.id !== guild.id && held.id !== role.id && !held.managed && held.editable !== false)
+      .map((held) => held.id);
+
+    await target.roles.add(role, auditReason);
+    if (stripped.length) await target.roles.remove(stripped, auditReason);
+
+    const entry = await this.#record({
+      guild,
+      userId: target.id,
+      moderator,
+      action: ModerationActionType.Quarantine,
+      reason: normalizedReason,
+      durationMs: durationMs || null,
+      expiresAt,
+      metadata: {
+        ...(metadata || {}),
+        roleId: role.id,
+        strippedRoleIds: stripped,
+        targetTag: target?.user?.tag || null
+      }
+    });
+    if (entry && expiresAt) this.#scheduleTimer(entry, durationMs, guild.id);
+    return entry;
+  }
+
+  async unquarantine({ guild, target, moderator, reason, metadata }) {
+    if (!guild) throw new Error("Missing guild instance for unquarantine.");
+    if (!target?.roles) throw new Error("Missing member for unquarantine.");
+    if (!this.#logService) throw new Error("Moderation log service not configured");
+
+    const active = await this.#logService.findLatestActive({
+      guildId: guild.id,
+      userId: target.id,
+      action: ModerationActionType.Quarantine
+    });
+    if (!active) throw new Error("Member has no active quarantine.");
+
+    const normalizedReason = normalizeReason(reason);
+    const restoredRoleIds = await this.#liftQuarantine(guild, target, active, this.#buildAuditReason(moderator, normalizedReason, null));
+    this.cancelTimerForEntry(active);
+    await this.#logService.markCompleted(active._id, { via: "manual", liftedAt: new Date().toISOString(), restoredRoleIds });
+
+    return this.#record({
+      guild,
+      userId: target.id,
+      moderator,
+      action: ModerationActionType.Unquarantine,
+      reason: normalizedReason,
+      metadata: {
+        ...(metadata || {}),
+        linkedCaseNumber: active.caseNumber,
+        roleId: active.metadata?.roleId || null,
+        restoredRoleIds,
+        targetTag: target?.user?.tag || null
+      }
+    });
+  }
+
+  /**
+   * Records a case for an action that was already carried out elsewhere (e.g. an automated message removal).
+   */
+  async recordCase({ guild, userId = null, moderator, action, reason, metadata }) {
+    if (!guild) throw new Error("Missing guild instance for case.");
+    if (!userId && !TARGETLESS_ACTIONS.has(action)) throw new Error("Missing user for case.");
+    if (!action) throw new Error("action is required to record a case");
+    return this.#record({ guild, userId, moderator, action, reason: normalizeReason(reason), metadata: metadata || {} });
+  }
+
   registerTimedActionHandler(action, handler) {
     if (!action) throw new Error("action is required for timed handler registration");
     if (!handler || typeof handler.onExpire !== "function") {
@@ -132,6 +417,54 @@ export class ModerationService {
     this.#timedHandlers.set(action, handler);
   }
 
+  /**
+   * Registers how cases of `action` are reversed by /case undo. `handler.undo(entry, context)` receives
+   * `{ guild, moderator, reason, metadata }`, carries out the reversal and returns the case it recorded;
+   * `metadata` links that case back to the original and should be stored on it.
+   */
+  registerUndoHandler(action, handler) {
+    if (!action) throw new Error("action is required for undo handler registration");
+    if (!handler || typeof handler.undo !== "function") {
+      throw new Error("Undo handler must provide an undo function");
+    }
+    this.#undoHandlers.set(action, handler);
+  }
+
+  canUndo(action) {
+    return this.#undoHandlers.has(action);
+  }
+
+  /**
+   * Reverses a case through the undo handler registered for its action, then marks the original case
+   * completed with an undoContext that points at the linked case.
+   * @returns {Promise<{ entry: object, linkedCase: object | null }>}
+   */
+  async undoCase({ guild, caseNumber, moderator, reason }) {
+    if (!this.#logService) throw new Error("Moderation log service not configured");
+    if (!guild) throw new Error("Missing guild instance for undo.");
+    const entry = await this.#logService.getByCase(guild.id, caseNumber);
+    if (!entry) throw new Error("Case not found.");
+    if (entry.expungedAt) throw new Error("Expunged cases cannot be undone.");
+    if (entry.completedAt) throw new Error(`Case #${entry.caseNumber} has already been lifted or undone.`);
+    const handler = this.#undoHandlers.get(entry.action);
+    if (!handler) throw new Error(`${entry.action} cases cannot be undone.`);
+
+    const linkedCase = await handler.undo(entry, {
+      guild,
+      moderator,
+      reason: normalizeReason(reason),
+      metadata: { source: "undo", linkedCaseNumber: entry.caseNumber }
+    });
+    this.cancelTimerForEntry(entry);
+    const completed = await this.#logService.markCompleted(entry._id, {
+      via: "undo",
+      undoneBy: moderator?.id || null,
+      undoCaseNumber: linkedCase?.caseNumber ?? null,
+      liftedAt: new Date().toISOString()
+    });
+    return { entry: completed, linkedCase: linkedCase || null };
+  }
+
   cancelTimerForEntry(entry) {
     if (!entry) return;
     const key = this.#timerKey(entry);
@@ -151,6 +484,63 @@ export class ModerationService {
     return this.#logService.expunge({ guildId, caseNumber: numericCase, moderatorId, reason });
   }
 
+  /**
+   * Un-expunges a case. A timed action that was still pending when it was expunged gets its timer back,
+   * and one whose expiry passed in the meantime is lifted straight away.
+   */
+  async restoreCase({ guildId, caseNumber, moderatorId, reason }) {
+    if (!this.#logService) throw new Error("Moderation log service not configured");
+    const restored = await this.#logService.restore({ guildId, caseNumber, moderatorId, reason });
+    if (restored && !restored.completedAt && restored.expiresAt) {
+      this.#scheduleTimer(restored, new Date(restored.expiresAt).getTime() - Date.now());
+    }
+    return restored;
+  }
+
+  /**
+   * Changes when an active timed action ends. Pass either `durationMs` (the new total length, counted
+   * from when the action was taken) or `expiresAt`. Native timeouts are re-applied on the member because
+   * Discord enforces their end time; other actions (including role mutes) just have their timer rescheduled.
+   */
+  async editCaseTiming({ guild, caseNumber, moderator, durationMs, expiresAt, note }) {
+    if (!this.#logService) throw new Error("Moderation log service not configured");
+    if (!guild) throw new Error("Missing guild instance for case edit.");
+    const entry = await this.#logService.getByCase(guild.id, caseNumber);
+    if (!entry) throw new Error("Case not found.");
+    if (entry.expungedAt) throw new Error("Expunged cases cannot be edited; restore it first.");
+    if (!entry.expiresAt || entry.completedAt) throw new Error("Only active timed actions can have their duration changed.");
+
+    const isTimeout = entry.action === ModerationActionType.Mute && !entry.metadata?.roleId;
+    if (!this.#timedHandlers.has(entry.action)) {
+      throw new Error(`${entry.action} cases do not expire on a timer.`);
+    }
+
+    const startedAt = new Date(entry.createdAt || Date.now()).getTime();
+    const nextExpiresAt = expiresAt ? new Date(expiresAt) : new Date(startedAt + durationMs);
+    if (Number.isNaN(nextExpiresAt.getTime())) throw new Error("A new duration or expiry is required.");
+    const remaining = nextExpiresAt.getTime() - Date.now();
+    if (remaining <= 0) throw new Error("The new expiry is already in the past.");
+
+    if (isTimeout) {
+      if (remaining > MAX_MEMBER_TIMEOUT_MS) throw new Error("Timeouts cannot exceed 28 days");
+      const member = await guild.members.fetch(entry.userId).catch(() => null);
+      if (!member) throw new Error("That member is no longer in the server.");
+      if (!member.moderatable) throw new Error("Target not moderatable (role/perms).");
+      await member.timeout(remaining, this.#buildAuditReason(moderator, `Case #${entry.caseNumber} duration changed`, nextExpiresAt));
+    }
+
+    const updated = await this.#logService.updateTiming({
+      guildId: guild.id,
+      caseNumber: entry.caseNumber,
+      durationMs: nextExpiresAt.getTime() - startedAt,
+      expiresAt: nextExpiresAt,
+      moderatorId: moderator?.id,
+      note
+    });
+    if (updated) this.#scheduleTimer(updated, remaining, guild.id);
+    return updated;
+  }
+
   async bulkDelete(textChannel, amount) {
     const clamped = Math.min(Math.max(amount, 1), 100);
     const deleted = await textChannel.bulkDelete(clamped, true);
@@ -227,6 +617,131 @@ export class ModerationService {
     }
   }
 
+  async #undoBan(entry, { guild, moderator, reason, metadata }) {
+    try {
+      await guild.bans.remove(entry.userId, this.#buildAuditReason(moderator, reason, null));
+    } catch (err) {
+      if (err?.code !== 10026 && !/unknown ban/i.test(err?.message || "")) throw err;
+    }
+    return this.#record({ guild, userId: entry.userId, moderator, action: ModerationActionType.Unban, reason, metadata });
+  }
+
+  async #undoTimeout(entry, { guild, moderator, reason, metadata }) {
+    if (entry.expiresAt && new Date(entry.expiresAt).getTime() <= Date.now()) {
+      throw new Error("This timeout has already ended.");
+    }
+    const roleId = entry.metadata?.roleId;
+    const auditReason = this.#buildAuditReason(moderator, reason, null);
+    let member = null;
+    if (roleId) {
+      // A departed member has nothing to remove, and the completed case stops the role coming back on rejoin.
+      member = await guild.members?.fetch?.(entry.userId).catch(() => null);
+      if (member) await member.roles.remove(roleId, auditReason);
+    } else {
+      member = await this.#fetchMember(guild, entry.userId);
+      if (!member.moderatable) throw new Error("Target not moderatable (role/perms).");
+      await member.timeout(null, auditReason);
+    }
+    return this.#record({
+      guild,
+      userId: entry.userId,
+      moderator,
+      action: ModerationActionType.Unmute,
+      reason,
+      metadata: { ...metadata, targetTag: member?.user?.tag || entry.metadata?.targetTag || null }
+    });
+  }
+
+  async #undoQuarantine(entry, { guild, moderator, reason, metadata }) {
+    const member = await this.#fetchMember(guild, entry.userId);
+    const restoredRoleIds = await this.#liftQuarantine(guild, member, entry, this.#buildAuditReason(moderator, reason, null));
+    return this.#record({
+      guild,
+      userId: entry.userId,
+      moderator,
+      action: ModerationActionType.Unquarantine,
+      reason,
+      metadata: { ...metadata, roleId: entry.metadata?.roleId || null, restoredRoleIds, targetTag: member.user?.tag || null }
+    });
+  }
+
+  /**
+   * Native timeouts are lifted by Discord, so only role mutes need work before the case is completed.
+   */
+  async #completeMute(entry) {
+    if (!entry) return;
+    const entryId = String(entry?._id || entry?.id || "");
+    if (this.#logService && entryId) {
+      const fresh = await this.#logService.getById(entryId);
+      if (!fresh || fresh.completedAt || fresh.expungedAt) return;
+    }
+    const roleId = entry.metadata?.roleId;
+    if (roleId && entry.guildId) {
+      if (!this.#client) throw new Error("ModerationService client not attached");
+      const guild = await this.#client.guilds.fetch(entry.guildId).catch(() => null);
+      const member = guild ? await guild.members.fetch(entry.userId).catch(() => null) : null;
+      if (member) await member.roles.remove(roleId, "Timed mute expired");
+    }
+    if (this.#logService && entryId) {
+      await this.#logService.markCompleted(entryId, { liftedAt: new Date().toISOString(), via: "auto" });
+    }
+  }
+
+  async #completeQuarantine(entry) {
+    if (!entry) return;
+    const entryId = String(entry?._id || entry?.id || "");
+    if (this.#logService && entryId) {
+      const fresh = await this.#logService.getById(entryId);
+      if (!fresh || fresh.completedAt || fresh.expungedAt) return;
+    }
+    if (!entry.guildId) return;
+    if (!this.#client) throw new Error("ModerationService client not attached");
+    const guild = await this.#client.guilds.fetch(entry.guildId).catch(() => null);
+    if (!guild) return;
+    const member = await guild.members.fetch(entry.userId).catch(() => null);
+    const restoredRoleIds = member ? await this.#liftQuarantine(guild, member, entry, "Timed quarantine expired") : [];
+    if (this.#logService && entryId) {
+      await this.#logService.markCompleted(entryId, {
+        liftedAt: new Date().toISOString(),
+        via: "auto",
+        restoredRoleIds,
+        memberPresent: Boolean(member)
+      });
+    }
+  }
+
+  /**
+   * Removes the quarantine role and gives back the roles the quarantine stripped, skipping roles
+   * that have since been deleted.
+   * @returns {Promise<string[]>} ids of the restored roles
+   */
+  async #liftQuarantine(guild, member, entry, auditReason) {
+    if (entry.metadata?.roleId) await member.roles.remove(entry.metadata.roleId, auditReason);
+    const restoredRoleIds = (entry.metadata?.strippedRoleIds || []).filter((roleId) => guild.roles?.cache?.has?.(roleId) ?? true);
+    if (restoredRoleIds.length) await member.roles.add(restoredRoleIds, auditReason);
+    return restoredRoleIds;
+  }
+
+  async #fetchMember(guild, userId) {
+    const member = guild.members?.cache?.get(userId) ?? await guild.members?.fetch?.(userId).catch(() => null);
+    if (!member) throw new Error("That member is no longer in the server.");
+    return member;
+  }
+
+  async #record({ guild, userId, moderator, action, reason, durationMs = null, expiresAt = null, metadata }) {
+    if (!this.#logService) return null;
+    return this.#logService.record({
+      guildId: guild.id,
+      userId,
+      moderatorId: moderator?.id,
+      action,
+      reason,
+      durationMs,
+      expiresAt,
+      metadata
+    });
+  }
+
   #buildAuditReason(moderator, reason, expiresAt) {
     const base = normalizeReason(reason);
     const modTag = moderator?.tag || moderator?.user?.tag;
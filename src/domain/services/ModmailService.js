@@ -0,0 +1,385 @@
+import {
+  ActionRowBuilder,
+  AttachmentBuilder,
+  ChannelType,
+  EmbedBuilder,
+  StringSelectMenuBuilder,
+  ThreadAutoArchiveDuration
+} from "discord.js";
+import { ModmailThreadModel } from "../../infrastructure/database/models/ModmailThread.js";
+import { ModmailBlockModel } from "../../infrastructure/database/models/ModmailBlock.js";
+import { findDefaultStaffChannel, resolveStaffChannel } from "../../shared/utils/staffChannels.js";
+import { fetchChannelHistory, renderTranscript, toTranscriptEntry } from "../../shared/utils/transcripts.js";
+import { formatHistoryLine } from "./ModerationLogService.js";
+
+const SELECT_PREFIX = "modmail";
+const MODMAIL_CHANNEL_KEY = "modmail";
+const TRANSCRIPT_CHANNEL_KEYS = ["transcript_log", "message_log"];
+const MAX_TRANSCRIPT_MESSAGES = 5000;
+const HISTORY_LIMIT = 10;
+const MAX_GUILD_CHOICES = 25;
+// members without a modmail server get one refusal (and one uncached lookup) per window
+const REFUSAL_COOLDOWN_MS = 10 * 60_000;
+
+const COLORS = {
+  user: 0x228be6,
+  staff: 0x51cf66,
+  opened: 0xf59f00,
+  closed: 0x868e96
+};
+
+function clip(text, max) {
+  const value = String(text ?? "");
+  return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+function isModmailParent(channel) {
+  return channel?.type === ChannelType.GuildForum || channel?.type === ChannelType.GuildText;
+}
+
+function attachmentFiles(attachments) {
+  const list = attachments?.values ? [...attachments.values()] : [...(attachments || [])];
+  return list.filter(Boolean).map((attachment) => ({ attachment: attachment.url, name: attachment.name }));
+}
+
+export function modmailThreadName(user) {
+  return clip(`${user.username}-${String(user.id).slice(-4)}`, 100);
+}
+
+/** Staff-side copy of a member's DM. */
+export function buildUserMessageEmbed(message) {
+  return new EmbedBuilder()
+    .setColor(COLORS.user)
+    .setAuthor({ name: message.author.tag, iconURL: message.author.displayAvatarURL?.() ?? undefined })
+    .setDescription(clip(message.content || "(no text)", 4000))
+    .setFooter({ text: `User ID ${message.author.id}` })
+    .setTimestamp(message.createdAt ?? new Date());
+}
+
+/**
+ * A staff reply. The member's copy (`forStaff` false) hides the author of anonymous replies behind
+ * the guild name; the copy kept in the thread always names who sent it.
+ */
+export function buildStaffReplyEmbed({ guild, staff, content, anonymous = false, forStaff = false }) {
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.staff)
+    .setDescription(clip(content || "(no text)", 4000))
+    .setTimestamp(new Date());
+  if (anonymous && !forStaff) {
+    embed.setAuthor({ name: `${guild.name} staff`, iconURL: guild.iconURL?.() ?? undefined }).setFooter({ text: guild.name });
+  } else {
+    embed.setAuthor({ name: staff.tag, iconURL: staff.displayAvatarURL?.() ?? undefined });
+    embed.setFooter({ text: forStaff ? (anonymous ? "Anonymous reply" : "Reply") : guild.name });
+  }
+  return embed;
+}
+
+export function buildGuildSelect(guilds, messageId) {
+  return new ActionRowBuilder().addComponents(new StringSelectMenuBuilder()
+    .setCustomId(`${SELECT_PREFIX}:open:${messageId}`)
+    .setPlaceholder("Choose a server")
+    .addOptions(guilds.slice(0, MAX_GUILD_CHOICES).map((guild) => ({ label: clip(guild.name, 100), value: guild.id }))));
+}
+
+/**
+ * Relays member DMs to a staff thread under the guild's `modmail` channel (a forum or a text
+ * channel) and staff replies back to the member. A member has at most one open thread; members in
+ * several modmail guilds pick one from a menu. Closing a thread posts an HTML transcript.
+ */
+export class ModmailService {
+  #logger;
+  #channelMapService;
+  #moderationLogService;
+  #refusedUntil = new Map();
+
+  constructor({ logger = null, channelMapService = null, moderationLogService = null } = {}) {
+    this.#logger = logger;
+    this.#channelMapService = channelMapService;
+    this.#moderationLogService = moderationLogService;
+  }
+
+  registerComponents(router) {
+    router.register({ prefix: SELECT_PREFIX, types: ["select"], handle: (interaction) => this.#handleGuildSelect(interaction) });
+  }
+
+  async getOpenThreadForUser(userId) {
+    return ModmailThreadModel.findOne({ userId, status: "open" }).lean();
+  }
+
+  async getThreadByChannel(channelId) {
+    return ModmailThreadModel.findOne({ channelId }).lean();
+  }
+
+  async isBlocked(guildId, userId) {
+    return Boolean(await ModmailBlockModel.exists({ guildId, userId }));
+  }
+
+  async block({ guildId, userId, moderatorId, reason = "" }) {
+    return ModmailBlockModel.findOneAndUpdate(
+      { guildId, userId },
+      { $set: { moderatorId, reason } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+  }
+
+  /** @returns {Promise<boolean>} false when the user was not blocked */
+  async unblock(guildId, userId) {
+    const res = await ModmailBlockModel.deleteOne({ guildId, userId });
+    return res.deletedCount === 1;
+  }
+
+  /** The mapped `modmail` channel, or a forum/text channel named like one. */
+  async resolveModmailChannel(guild) {
+    let mapping = null;
+    try {
+      mapping = await this.#channelMapService?.get?.(guild.id, MODMAIL_CHANNEL_KEY);
+    } catch {}
+    if (mapping?.channelId) {
+      const channel = guild.channels.cache.get(mapping.channelId) ?? await guild.channels.fetch(mapping.channelId).catch(() => null);
+      if (isModmailParent(channel)) return channel;
+    }
+    return findDefaultStaffChannel(guild, MODMAIL_CHANNEL_KEY, isModmailParent);
+  }
+
+  /**
+   * Entry point for DMs: relays into the open thread, or opens one. Returns true when the message
+   * reached staff or a guild menu was sent.
+   */
+  async handleDirectMessage(message) {
+    const open = await this.getOpenThreadForUser(message.author.id);
+    if (open) return this.#relayToStaff(message, open);
+
+    const guilds = await this.#availableGuilds(message.client, message.author);
+    if (!guilds.length) {
+      if (this.#recentlyRefused(message.author.id)) return false;
+      this.#markRefused(message.author.id);
+      await message.reply({ content: "Modmail isn’t available: you don’t share a server with me that accepts modmail." }).catch(() => {});
+      return false;
+    }
+    if (guilds.length === 1) return this.#open(guilds[0], message);
+
+    await message.reply({ content: "Which server’s staff do you want to contact?", components: [buildGuildSelect(guilds, message.id)] });
+    return true;
+  }
+
+  /**
+   * Sends a staff reply to the member. Throws when the member cannot be messaged.
+   */
+  async reply({ record, guild, staff, content, attachments = [], anonymous = false }) {
+    const user = await guild.client.users.fetch(record.userId);
+    const sent = await this.#sendWithAttachments(user, { embeds: [buildStaffReplyEmbed({ guild, staff, content, anonymous })] }, attachments);
+    await ModmailThreadModel.updateOne({ _id: record._id }, { $inc: { messageCount: 1 }, $set: { lastMessageAt: new Date() } });
+    this.#logger?.info?.("modmail.replied", { guildId: guild.id, userId: record.userId, staffId: staff.id, anonymous });
+    return sent;
+  }
+
+  /**
+   * Posts the thread transcript, tells the member, then locks and archives the thread.
+   * @returns {Promise<{record: object|null, transcript: import("discord.js").Message|null}>}
+   */
+  async close({ record, guild, thread, closedBy, reason = "" }) {
+    const messages = await fetchChannelHistory(thread, MAX_TRANSCRIPT_MESSAGES).catch(() => []);
+    const { content, extension } = renderTranscript("html", messages.map(toTranscriptEntry), {
+      title: `Modmail ${thread.name} — ${guild.name}`,
+      context: {
+        guildId: guild.id,
+        userId: record.userId,
+        closedBy: `${closedBy.tag} (${closedBy.id})`,
+        ...(reason ? { reason } : {})
+      }
+    });
+    const fileName = `modmail-${thread.name}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    const file = new AttachmentBuilder(Buffer.from(content, "utf8"), { name: fileName });
+    const summary = `Modmail with <@${record.userId}> in ${thread} closed by ${closedBy}.${reason ? `\n**Reason:** ${reason}` : ""}`;
+
+    let transcript = null;
+    const logChannel = await resolveStaffChannel(guild, this.#channelMapService, TRANSCRIPT_CHANNEL_KEYS).catch(() => null);
+    try {
+      transcript = await (logChannel ?? thread).send({
+        embeds: [new EmbedBuilder().setColor(COLORS.closed).setTitle("Modmail transcript").setDescription(summary)],
+        files: [file]
+      });
+    } catch (err) {
+      this.#logger?.warn?.("modmail.transcript_failed", { guildId: guild.id, threadId: thread.id, error: String(err?.message || err) });
+    }
+
+    const updated = await ModmailThreadModel.findOneAndUpdate(
+      { _id: record._id, status: "open" },
+      { $set: { status: "closed", closedAt: new Date(), closedBy: closedBy.id, closeReason: reason || null, transcriptUrl: transcript?.url ?? null } },
+      { new: true }
+    ).lean();
+
+    try {
+      const user = await guild.client.users.fetch(record.userId);
+      await user.send({
+        embeds: [new EmbedBuilder()
+          .setColor(COLORS.closed)
+          .setTitle("Modmail closed")
+          .setDescription(`Your conversation with the **${guild.name}** staff has been closed. Send another message to start a new one.`)]
+      });
+    } catch (err) {
+      this.#logger?.info?.("modmail.close_notify_failed", { guildId: guild.id, userId: record.userId, error: String(err?.message || err) });
+    }
+
+    if (transcript && logChannel) {
+      await thread.send({ content: `Closed by ${closedBy}. Transcript: ${transcript.url}` }).catch(() => {});
+    }
+    await thread.setLocked?.(true).catch(() => {});
+    await thread.setArchived?.(true).catch(() => {});
+    this.#logger?.info?.("modmail.closed", { guildId: guild.id, userId: record.userId, threadId: thread.id, closedBy: closedBy.id });
+    return { record: updated, transcript };
+  }
+
+  /**
+   * Guilds the user can open a thread in. Guilds where the member is cached are checked first, which
+   * costs no API calls; the member is only fetched from the other modmail guilds when none matched
+   * and the user has not been refused recently.
+   */
+  async #availableGuilds(client, user) {
+    const guilds = [...(client?.guilds?.cache?.values?.() ?? [])];
+    const cached = guilds.filter((guild) => guild.members.cache.has(user.id));
+    const found = await this.#openableGuilds(cached, user.id);
+    if (found.length || this.#recentlyRefused(user.id)) return found;
+
+    const fetched = [];
+    for (const guild of guilds) {
+      if (guild.members.cache.has(user.id) || !(await this.resolveModmailChannel(guild))) continue;
+      if (await guild.members.fetch(user.id).catch(() => null)) fetched.push(guild);
+    }
+    return this.#openableGuilds(fetched, user.id);
+  }
+
+  async #openableGuilds(guilds, userId) {
+    const openable = [];
+    for (const guild of guilds) {
+      if (!(await this.resolveModmailChannel(guild)) || (await this.isBlocked(guild.id, userId))) continue;
+      openable.push(guild);
+    }
+    return openable;
+  }
+
+  #recentlyRefused(userId) {
+    return (this.#refusedUntil.get(userId) ?? 0) > Date.now();
+  }
+
+  #markRefused(userId) {
+    const now = Date.now();
+    for (const [id, until] of this.#refusedUntil) {
+      if (until <= now) this.#refusedUntil.delete(id);
+    }
+    this.#refusedUntil.set(userId, now + REFUSAL_COOLDOWN_MS);
+  }
+
+  async #handleGuildSelect(interaction) {
+    const [, action, messageId] = interaction.customId.split(":");
+    if (action !== "open" || !messageId) return false;
+    const guild = interaction.client.guilds.cache.get(interaction.values?.[0]);
+    const channel = interaction.channel ?? await interaction.user.createDM().catch(() => null);
+    const message = await channel?.messages?.fetch(messageId).catch(() => null);
+    if (!guild || !message) return false;
+
+    await interaction.update({ content: `Contacting the **${guild.name}** staff…`, components: [] });
+    // the menu is already answered, so the router can no longer report a failure for us
+    try {
+      const open = await this.getOpenThreadForUser(interaction.user.id);
+      if (open) await this.#relayToStaff(message, open);
+      else await this.#open(guild, message);
+    } catch (err) {
+      this.#logger?.warn?.("modmail.open_failed", { guildId: guild.id, userId: interaction.user.id, error: String(err?.message || err) });
+      await interaction.editReply({ content: `Your message could not be delivered to the **${guild.name}** staff. Please try again later.`, components: [] })
+        .catch(() => {});
+    }
+    return true;
+  }
+
+  async #open(guild, message) {
+    const user = message.author;
+    const parent = await this.resolveModmailChannel(guild);
+    if (!parent || (await this.isBlocked(guild.id, user.id))) {
+      await message.reply({ content: `You can’t contact the **${guild.name}** staff through modmail.` }).catch(() => {});
+      return false;
+    }
+
+    const intro = await this.#buildIntroEmbed(guild, user);
+    let thread;
+    if (parent.type === ChannelType.GuildForum) {
+      thread = await parent.threads.create({ name: modmailThreadName(user), message: { embeds: [intro] } });
+    } else {
+      thread = await parent.threads.create({ name: modmailThreadName(user), autoArchiveDuration: ThreadAutoArchiveDuration.OneWeek });
+      await thread.send({ embeds: [intro] });
+    }
+
+    let record;
+    try {
+      const doc = await ModmailThreadModel.create({ guildId: guild.id, userId: user.id, channelId: thread.id, parentId: parent.id });
+      record = doc.toObject();
+    } catch (err) {
+      // a second DM raced this one and already opened a thread
+      await thread.delete().catch(() => {});
+      const existing = await this.getOpenThreadForUser(user.id);
+      if (existing) return this.#relayToStaff(message, existing);
+      throw err;
+    }
+    this.#logger?.info?.("modmail.opened", { guildId: guild.id, userId: user.id, threadId: thread.id });
+
+    await message.reply({
+      embeds: [new EmbedBuilder()
+        .setColor(COLORS.opened)
+        .setTitle("Modmail opened")
+        .setDescription(`Your message was sent to the **${guild.name}** staff. Their replies will arrive here, and anything else you send is passed on to them.`)]
+    }).catch(() => {});
+    return this.#relayToStaff(message, record, thread);
+  }
+
+  async #relayToStaff(message, record, thread = null) {
+    const channel = thread ?? await message.client.channels.fetch(record.channelId).catch(() => null);
+    if (!channel) {
+      // the staff thread was deleted; retire the record so the next attempt opens a new thread
+      await ModmailThreadModel.updateOne({ _id: record._id }, { $set: { status: "closed", closedAt: new Date(), closeReason: "Thread deleted" } });
+      this.#logger?.warn?.("modmail.thread_missing", { guildId: record.guildId, userId: record.userId, threadId: record.channelId });
+      return this.handleDirectMessage(message);
+    }
+    if (await this.isBlocked(record.guildId, message.author.id)) {
+      await message.reply({ content: "You can’t send modmail to this server." }).catch(() => {});
+      return false;
+    }
+
+    if (channel.archived) await channel.setArchived(false).catch(() => {});
+    await this.#sendWithAttachments(channel, { embeds: [buildUserMessageEmbed(message)] }, message.attachments);
+    await ModmailThreadModel.updateOne({ _id: record._id }, { $inc: { messageCount: 1 }, $set: { lastMessageAt: new Date() } });
+    await message.react("✅").catch(() => {});
+    return true;
+  }
+
+  /** Re-uploads attachments; if that fails (size limits, expired CDN links) sends their links instead. */
+  async #sendWithAttachments(target, payload, attachments) {
+    const files = attachmentFiles(attachments);
+    if (!files.length) return target.send(payload);
+    try {
+      return await target.send({ ...payload, files });
+    } catch (err) {
+      this.#logger?.warn?.("modmail.attachment_upload_failed", { targetId: target.id, error: String(err?.message || err) });
+      const links = files.map((file) => file.attachment).join("\n");
+      return target.send({ ...payload, content: clip(`Attachments:\n${links}`, 2000) });
+    }
+  }
+
+  async #buildIntroEmbed(guild, user) {
+    const member = guild.members.cache.get(user.id) ?? await guild.members.fetch(user.id).catch(() => null);
+    const cases = this.#moderationLogService
+      ? await this.#moderationLogService.list({ guildId: guild.id, userId: user.id, limit: HISTORY_LIMIT }).catch(() => [])
+      : [];
+    const since = (date) => (date ? `<t:${Math.floor(new Date(date).getTime() / 1000)}:R>` : "Unknown");
+    return new EmbedBuilder()
+      .setColor(COLORS.opened)
+      .setTitle("New modmail")
+      .setAuthor({ name: user.tag, iconURL: user.displayAvatarURL?.() ?? undefined })
+      .setDescription(`<@${user.id}> (${user.id}) opened a modmail thread.\nAnswer with \`/modmail reply\` or \`/modmail anonymous-reply\` in this thread and finish with \`/modmail close\`.`)
+      .addFields(
+        { name: "Account created", value: since(user.createdAt), inline: true },
+        { name: "Joined server", value: member ? since(member.joinedAt) : "Not present", inline: true },
+        { name: `History (${cases.length})`, value: clip(cases.length ? cases.map(formatHistoryLine).join("\n") : "No history found.", 1024) }
+      )
+      .setTimestamp(new Date());
+  }
+}
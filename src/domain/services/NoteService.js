@@ -0,0 +1,140 @@
+import { NoteModel } from "../../infrastructure/database/models/Note.js";
+import { ModerationCounterModel } from "../../infrastructure/database/models/ModerationCounter.js";
+import { GuildModerationStateModel } from "../../infrastructure/database/models/GuildModerationState.js";
+
+export const MAX_NOTE_LENGTH = 1000;
+const MAX_LINKED_CASES = 10;
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Parses "12, #15 17" into [12, 15, 17]; text that is not a positive integer is rejected,
+ * while arrays (already-stored values) are filtered instead.
+ */
+export function parseCaseNumbers(input) {
+  const numbers = [];
+  if (Array.isArray(input)) {
+    for (const value of input.map(Number)) {
+      if (Number.isInteger(value) && value > 0 && !numbers.includes(value)) numbers.push(value);
+    }
+  } else {
+    const parts = String(input ?? "").split(/[\s,]+/).map((part) => part.replace(/^#/, "")).filter(Boolean);
+    for (const part of parts) {
+      if (!/^\d+$/.test(part) || Number(part) < 1) throw new Error(`"${part}" is not a case number.`);
+      if (!numbers.includes(Number(part))) numbers.push(Number(part));
+    }
+  }
+  if (numbers.length > MAX_LINKED_CASES) throw new Error(`A note can link at most ${MAX_LINKED_CASES} cases.`);
+  return numbers;
+}
+
+function normalizeText(text) {
+  const value = String(text ?? "").trim();
+  if (!value) throw new Error("Note text is required.");
+  if (value.length > MAX_NOTE_LENGTH) throw new Error(`Notes are limited to ${MAX_NOTE_LENGTH} characters.`);
+  return value;
+}
+
+/**
+ * Moderator notes about users. Each note gets a per-guild note number so staff can edit or delete it by id.
+ */
+export class NoteService {
+  #logger;
+
+  constructor({ logger = null } = {}) {
+    this.#logger = logger;
+  }
+
+  async add({ guildId, userId, authorId = null, text, caseNumbers = [] }) {
+    if (!guildId || !userId) throw new Error("guildId and userId are required");
+    const noteNumber = await this.#nextNoteNumber(guildId);
+    const doc = await NoteModel.create({
+      guildId,
+      userId,
+      noteNumber,
+      authorId,
+      text: normalizeText(text),
+      caseNumbers: parseCaseNumbers(caseNumbers)
+    });
+    return doc.toObject();
+  }
+
+  /**
+   * Updates the text and/or linked cases of a note; omitted fields are left unchanged.
+   */
+  async edit({ guildId, noteNumber, editorId = null, text, caseNumbers }) {
+    const update = { editedAt: new Date(), editedBy: editorId };
+    if (text !== undefined && text !== null) update.text = normalizeText(text);
+    if (caseNumbers !== undefined && caseNumbers !== null) update.caseNumbers = parseCaseNumbers(caseNumbers);
+    return NoteModel.findOneAndUpdate({ guildId, noteNumber: Number(noteNumber) }, update, { new: true }).lean();
+  }
+
+  async delete({ guildId, noteNumber }) {
+    return NoteModel.findOneAndDelete({ guildId, noteNumber: Number(noteNumber) }).lean();
+  }
+
+  async get(guildId, noteNumber) {
+    return NoteModel.findOne({ guildId, noteNumber: Number(noteNumber) }).lean();
+  }
+
+  async list(guildId, userId, { limit = 25 } = {}) {
+    const safeLimit = Math.min(Math.max(limit, 1), 100);
+    return NoteModel.find({ guildId, userId }).sort({ createdAt: -1 }).limit(safeLimit).lean();
+  }
+
+  async count(guildId, userId) {
+    return NoteModel.countDocuments({ guildId, userId });
+  }
+
+  /**
+   * Case-insensitive substring search over note text, optionally limited to one user.
+   */
+  async search(guildId, query, { userId = null, limit = 25 } = {}) {
+    const text = String(query ?? "").trim();
+    if (!text) return [];
+    const filter = { guildId, text: { $regex: escapeRegex(text), $options: "i" } };
+    if (userId) filter.userId = userId;
+    const safeLimit = Math.min(Math.max(limit, 1), 100);
+    return NoteModel.find(filter).sort({ createdAt: -1 }).limit(safeLimit).lean();
+  }
+
+  /**
+   * Moves notes that older releases kept on the guild moderation state into the Note collection.
+   * @returns {Promise<number>} number of notes migrated
+   */
+  async migrateLegacyNotes() {
+    const states = await GuildModerationStateModel.collection
+      .find({ "notes.0": { $exists: true } }, { projection: { guildId: 1, notes: 1 } })
+      .toArray();
+    let migrated = 0;
+    for (const state of states) {
+      for (const note of state.notes) {
+        if (!note?.userId || !note?.text) continue;
+        const noteNumber = await this.#nextNoteNumber(state.guildId);
+        await NoteModel.create({
+          guildId: state.guildId,
+          userId: note.userId,
+          noteNumber,
+          authorId: note.authorId || null,
+          text: String(note.text).slice(0, MAX_NOTE_LENGTH),
+          createdAt: note.createdAt || new Date()
+        });
+        migrated += 1;
+      }
+      await GuildModerationStateModel.collection.updateOne({ _id: state._id }, { $unset: { notes: "" } });
+    }
+    if (migrated) this.#logger?.info?.("notes.legacy_migrated", { count: migrated });
+    return migrated;
+  }
+
+  async #nextNoteNumber(guildId) {
+    const counter = await ModerationCounterModel.findOneAndUpdate(
+      { guildId },
+      { $inc: { lastNoteNumber: 1 } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+    return counter.lastNoteNumber;
+  }
+}
@@ -0,0 +1,115 @@
+import { ProfanityFilterModel } from "../../infrastructure/database/models/ProfanityFilter.js";
+import { compileProfanityTerm, findProfanity, normalizeForProfanity } from "../../shared/utils/profanity.js";
+
+function toSettings(doc) {
+  const terms = Array.isArray(doc?.terms) ? doc.terms : [];
+  return {
+    terms: terms.map((term) => ({
+      value: term.value,
+      match: term.match === "substring" ? "substring" : "word",
+      addedBy: term.addedBy || null,
+      pattern: compileProfanityTerm(term)
+    })),
+    exemptChannelIds: new Set(doc?.exemptChannelIds || []),
+    warnOnMatch: Boolean(doc?.warnOnMatch)
+  };
+}
+
+function termKey(value) {
+  return normalizeForProfanity(value);
+}
+
+function serializeTerms(terms) {
+  return terms.map(({ value, match, addedBy }) => ({ value, match, addedBy: addedBy || null }));
+}
+
+/**
+ * Per-guild profanity word/phrase lists. Settings are cached after loadAll() so message checks stay synchronous.
+ * Whether the filter runs at all is controlled by the `/automod profanity` toggle in RuntimeModerationState.
+ */
+export class ProfanityFilterService {
+  #cache = new Map();
+
+  async loadAll() {
+    const docs = await ProfanityFilterModel.find().lean();
+    this.#cache.clear();
+    for (const doc of docs) {
+      if (!doc?.guildId) continue;
+      this.#cache.set(doc.guildId, toSettings(doc));
+    }
+    return this.#cache.size;
+  }
+
+  #settings(guildId) {
+    return this.#cache.get(guildId) || toSettings(null);
+  }
+
+  async #update(guildId, update) {
+    if (!guildId) throw new Error("guildId is required");
+    const doc = await ProfanityFilterModel.findOneAndUpdate(
+      { guildId },
+      update,
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    ).lean();
+    const settings = toSettings(doc);
+    this.#cache.set(guildId, settings);
+    return settings;
+  }
+
+  listTerms(guildId) {
+    return serializeTerms(this.#settings(guildId).terms);
+  }
+
+  async addTerm(guildId, value, { match = "word", addedBy = null } = {}) {
+    const trimmed = String(value ?? "").trim();
+    const key = termKey(trimmed);
+    if (!key) throw new Error("Term must contain at least one letter or digit.");
+    const entry = { value: trimmed, match: match === "substring" ? "substring" : "word", addedBy };
+    const existing = this.#settings(guildId).terms.filter((term) => termKey(term.value) !== key);
+    await this.#update(guildId, { $set: { terms: serializeTerms([...existing, entry]) } });
+    return { value: entry.value, match: entry.match };
+  }
+
+  async removeTerm(guildId, value) {
+    const key = termKey(value);
+    const current = this.#settings(guildId).terms;
+    const terms = current.filter((term) => termKey(term.value) !== key);
+    if (terms.length === current.length) return false;
+    await this.#update(guildId, { $set: { terms: serializeTerms(terms) } });
+    return true;
+  }
+
+  isChannelExempt(guildId, channelId) {
+    if (!channelId) return false;
+    return this.#settings(guildId).exemptChannelIds.has(channelId);
+  }
+
+  listExemptChannels(guildId) {
+    return [...this.#settings(guildId).exemptChannelIds];
+  }
+
+  async setChannelExempt(guildId, channelId, exempt) {
+    if (!channelId) throw new Error("channelId is required");
+    const update = exempt
+      ? { $addToSet: { exemptChannelIds: channelId } }
+      : { $pull: { exemptChannelIds: channelId } };
+    await this.#update(guildId, update);
+    return Boolean(exempt);
+  }
+
+  shouldWarn(guildId) {
+    return this.#settings(guildId).warnOnMatch;
+  }
+
+  async setWarnOnMatch(guildId, enabled) {
+    await this.#update(guildId, { $set: { warnOnMatch: Boolean(enabled) } });
+    return Boolean(enabled);
+  }
+
+  /**
+   * @returns {{ value: string, match: "word"|"substring" }|null}
+   */
+  check(guildId, content) {
+    return findProfanity(content, this.#settings(guildId).terms);
+  }
+}
@@ -0,0 +1,511 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  GuildVerificationLevel,
+  PermissionsBitField
+} from "discord.js";
+import { resolveStaffChannel } from "../../shared/utils/staffChannels.js";
+import { MAX_MEMBER_TIMEOUT_MS, formatDuration, scheduleWithMaxTimeout } from "../../shared/utils/time.js";
+
+export const RAID_POLICY_ACTIONS = Object.freeze(["kick", "timeout", "quarantine", "kick_new"]);
+
+export const RAID_VERIFICATION_LEVELS = Object.freeze({
+  none: GuildVerificationLevel.None,
+  low: GuildVerificationLevel.Low,
+  medium: GuildVerificationLevel.Medium,
+  high: GuildVerificationLevel.High,
+  very_high: GuildVerificationLevel.VeryHigh
+});
+
+const BUTTON_PREFIX = "raidmode";
+const BAN_ALL_ACTION = "ban-all";
+const SUMMARY_CHANNEL_KEYS = ["mod_log", "action_log"];
+const SUMMARY_DEBOUNCE_MS = 5_000;
+const MAX_SUMMARY_LINES = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ACTION_LABELS = {
+  kick: "kicked",
+  timeout: "timed out",
+  quarantine: "quarantined",
+  allow: "allowed"
+};
+
+const FALLBACK_POLICY = {
+  action: "timeout",
+  timeoutMs: 60 * 60_000,
+  minAccountAgeDays: 7,
+  quietMinutes: 30,
+  verificationLevel: "high",
+  quarantineRoleId: ""
+};
+
+/**
+ * Merges per-guild overrides over the configured defaults and clamps everything to usable values.
+ */
+export function resolveRaidPolicy(defaults = {}, overrides = {}) {
+  const merged = { ...FALLBACK_POLICY, ...(defaults || {}), ...(overrides || {}) };
+  const action = RAID_POLICY_ACTIONS.includes(merged.action) ? merged.action : FALLBACK_POLICY.action;
+  const timeoutMs = Number(merged.timeoutMs) > 0
+    ? Math.min(Number(merged.timeoutMs), MAX_MEMBER_TIMEOUT_MS)
+    : FALLBACK_POLICY.timeoutMs;
+  const minAccountAgeDays = Number(merged.minAccountAgeDays) > 0 ? Number(merged.minAccountAgeDays) : FALLBACK_POLICY.minAccountAgeDays;
+  const quietMinutes = Number(merged.quietMinutes) > 0 ? Number(merged.quietMinutes) : FALLBACK_POLICY.quietMinutes;
+  const verificationLevel = Object.hasOwn(RAID_VERIFICATION_LEVELS, merged.verificationLevel)
+    ? merged.verificationLevel
+    : FALLBACK_POLICY.verificationLevel;
+  return {
+    action,
+    timeoutMs,
+    minAccountAgeDays,
+    quietMinutes,
+    verificationLevel,
+    quarantineRoleId: merged.quarantineRoleId || ""
+  };
+}
+
+/**
+ * Decides what to do with a member that joined while raid mode is on.
+ * @returns {{ action: "kick"|"timeout"|"quarantine"|"allow", accountAgeMs: number|null }}
+ */
+export function decideRaidAction(policy, member, now = Date.now()) {
+  const createdAt = member?.user?.createdTimestamp ?? null;
+  const accountAgeMs = Number.isFinite(createdAt) ? Math.max(0, now - createdAt) : null;
+  if (policy.action === "kick_new") {
+    const young = accountAgeMs === null || accountAgeMs < policy.minAccountAgeDays * DAY_MS;
+    return { action: young ? "kick" : "allow", accountAgeMs };
+  }
+  return { action: policy.action, accountAgeMs };
+}
+
+function describePolicy(policy) {
+  switch (policy.action) {
+    case "kick":
+      return "Kick every join";
+    case "timeout":
+      return `Time out every join for ${formatDuration(policy.timeoutMs)}`;
+    case "quarantine":
+      return "Assign the quarantine role to every join";
+    case "kick_new":
+      return `Kick accounts younger than ${policy.minAccountAgeDays} day(s)`;
+    default:
+      return policy.action;
+  }
+}
+
+function verificationName(level) {
+  const entry = Object.entries(RAID_VERIFICATION_LEVELS).find(([, value]) => value === level);
+  return entry ? entry[0].replace("_", " ") : "unknown";
+}
+
+/**
+ * Raid mode: while active, every join is gated by the guild's raid policy, the verification level is raised,
+ * and a single mod-log summary (with a "ban all raid joins" button) is kept up to date.
+ * Raid mode ends on its own once no one has joined for the configured quiet period.
+ */
+export class RaidModeService {
+  #logger;
+  #runtime;
+  #moderation;
+  #channelMapService;
+  #guildConfigService;
+  #fallbackChannelResolver;
+  #defaults;
+  #client = null;
+  #expiryTimers = new Map();
+  #summaryTimers = new Map();
+
+  constructor({
+    logger = null,
+    runtimeState,
+    moderationService,
+    channelMapService = null,
+    guildConfigService = null,
+    fallbackChannelResolver = null,
+    defaults = {}
+  }) {
+    this.#logger = logger;
+    this.#runtime = runtimeState;
+    this.#moderation = moderationService;
+    this.#channelMapService = channelMapService;
+    this.#guildConfigService = guildConfigService;
+    this.#fallbackChannelResolver = fallbackChannelResolver;
+    this.#defaults = defaults || {};
+  }
+
+  setClient(client) {
+    this.#client = client;
+  }
+
+  async onClientReady(client) {
+    if (client) this.#client = client;
+    for (const { guildId, session } of this.#runtime.listRaidSessions?.() || []) {
+      if (session.endedAt || !this.#runtime.getRaidMode(guildId)) continue;
+      this.#scheduleExpiry(guildId, this.#remainingQuietMs(guildId, session));
+    }
+  }
+
+  isActive(guildId) {
+    return this.#runtime.getRaidMode(guildId);
+  }
+
+  getPolicy(guildId) {
+    return resolveRaidPolicy(this.#defaults, this.#runtime.getRaidPolicy(guildId));
+  }
+
+  getSession(guildId) {
+    return this.#runtime.getRaidSession(guildId);
+  }
+
+  updatePolicy(guildId, overrides = {}) {
+    const cleaned = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined && value !== null));
+    if (Object.keys(cleaned).length) {
+      this.#runtime.setRaidPolicy(guildId, { ...(this.#runtime.getRaidPolicy(guildId) || {}), ...cleaned });
+    }
+    return this.getPolicy(guildId);
+  }
+
+  async enable(guild, { moderator = null, policy: overrides = {} } = {}) {
+    const policy = this.updatePolicy(guild.id, overrides);
+    const existing = this.#runtime.getRaidSession(guild.id);
+    if (this.isActive(guild.id) && existing && !existing.endedAt) {
+      this.#scheduleExpiry(guild.id, this.#remainingQuietMs(guild.id, existing));
+      this.#queueSummary(guild, 0);
+      return { policy, alreadyActive: true, session: existing };
+    }
+
+    const previousLevel = guild.verificationLevel ?? null;
+    const targetLevel = RAID_VERIFICATION_LEVELS[policy.verificationLevel];
+    let appliedLevel = null;
+    if (Number.isFinite(targetLevel) && Number.isFinite(previousLevel) && targetLevel > previousLevel) {
+      try {
+        await guild.setVerificationLevel(targetLevel, "Raid mode enabled");
+        appliedLevel = targetLevel;
+      } catch (err) {
+        this.#logger?.warn?.("raidmode.verification_raise_failed", {
+          guildId: guild.id,
+          error: String(err?.message || err)
+        });
+      }
+    }
+
+    const session = {
+      startedAt: new Date().toISOString(),
+      startedBy: moderator?.id || null,
+      previousVerificationLevel: previousLevel,
+      appliedVerificationLevel: appliedLevel,
+      lastJoinAt: null,
+      joins: [],
+      summaryChannelId: null,
+      summaryMessageId: null
+    };
+    this.#runtime.setRaidSession(guild.id, session);
+    this.#runtime.setRaidMode(guild.id, true);
+    this.#scheduleExpiry(guild.id, policy.quietMinutes * 60_000);
+    await this.#publishSummary(guild);
+
+    this.#logger?.warn?.("raidmode.enabled", { guildId: guild.id, moderatorId: moderator?.id || null, action: policy.action });
+    return { policy, alreadyActive: false, session: this.#runtime.getRaidSession(guild.id) };
+  }
+
+  async disable(guild, { moderator = null, reason = "manual" } = {}) {
+    this.#cancelExpiry(guild.id);
+    const wasActive = this.isActive(guild.id);
+    this.#runtime.setRaidMode(guild.id, false);
+
+    const session = this.#runtime.getRaidSession(guild.id);
+    if (!session || session.endedAt) return { wasActive, session };
+
+    let restored = false;
+    const applied = session.appliedVerificationLevel;
+    if (Number.isFinite(applied) && Number.isFinite(session.previousVerificationLevel) && guild.verificationLevel === applied) {
+      try {
+        await guild.setVerificationLevel(session.previousVerificationLevel, "Raid mode ended");
+        restored = true;
+      } catch (err) {
+        this.#logger?.warn?.("raidmode.verification_restore_failed", {
+          guildId: guild.id,
+          error: String(err?.message || err)
+        });
+      }
+    }
+
+    const updated = this.#runtime.updateRaidSession(guild.id, {
+      endedAt: new Date().toISOString(),
+      endedBy: moderator?.id || null,
+      endReason: reason,
+      verificationRestored: restored
+    });
+    this.#cancelSummary(guild.id);
+    await this.#publishSummary(guild);
+
+    this.#logger?.warn?.("raidmode.disabled", { guildId: guild.id, moderatorId: moderator?.id || null, reason, joins: updated?.joins?.length ?? 0 });
+    return { wasActive, session: updated, verificationRestored: restored };
+  }
+
+  async handleJoin(member) {
+    const guild = member?.guild;
+    if (!guild || member.user?.bot) return null;
+    if (!this.isActive(guild.id)) return null;
+    const session = this.#runtime.getRaidSession(guild.id);
+    if (!session || session.endedAt) return null;
+
+    const policy = this.getPolicy(guild.id);
+    const decision = decideRaidAction(policy, member);
+    const moderator = this.#client?.user || guild.client?.user || null;
+    const reason = `[Raid mode] ${describePolicy(policy)}`;
+    const metadata = { source: "raidmode", raidStartedAt: session.startedAt };
+
+    let entry = null;
+    let error = null;
+    try {
+      if (decision.action === "kick") {
+        entry = await this.#moderation.kick({ guild, target: member, moderator, reason, metadata });
+      } else if (decision.action === "timeout") {
+        entry = await this.#moderation.timeout({ guild, target: member, moderator, reason, durationMs: policy.timeoutMs, metadata });
+      } else if (decision.action === "quarantine") {
+        const role = await this.#resolveQuarantineRole(guild, policy);
+        if (!role) throw new Error("No quarantine role configured or found.");
+        entry = await this.#moderation.quarantine({ guild, target: member, moderator, role, reason, metadata });
+      }
+    } catch (err) {
+      error = String(err?.message || err);
+      this.#logger?.warn?.("raidmode.join_action_failed", {
+        guildId: guild.id,
+        userId: member.id,
+        action: decision.action,
+        error
+      });
+    }
+
+    const join = this.#runtime.recordRaidJoin(guild.id, {
+      userId: member.id,
+      tag: member.user?.tag || null,
+      joinedAt: new Date().toISOString(),
+      accountAgeMs: decision.accountAgeMs,
+      action: decision.action,
+      ok: !error,
+      error,
+      caseNumber: entry?.caseNumber ?? null
+    });
+
+    this.#scheduleExpiry(guild.id, policy.quietMinutes * 60_000);
+    this.#queueSummary(guild);
+    return join;
+  }
+
+  registerComponents(router) {
+    router.register({ prefix: BUTTON_PREFIX, types: ["button"], handle: (interaction) => this.handleInteraction(interaction) });
+  }
+
+  async handleInteraction(interaction) {
+    if (!interaction.isButton?.()) return false;
+    if (interaction.customId !== `${BUTTON_PREFIX}:${BAN_ALL_ACTION}`) return false;
+
+    if (!interaction.inGuild?.() || !interaction.memberPermissions?.has(PermissionsBitField.Flags.BanMembers)) {
+      await interaction.reply({ content: "You need Ban Members to use this.", ephemeral: true });
+      return true;
+    }
+
+    const guild = interaction.guild;
+    const session = this.#runtime.getRaidSession(interaction.guildId);
+    if (!session?.joins?.length) {
+      await interaction.reply({ content: "There are no recorded raid joins to ban.", ephemeral: true });
+      return true;
+    }
+    if (session.bannedAt) {
+      await interaction.reply({ content: `Raid joins were already banned by <@${session.bannedBy}>.`, ephemeral: true });
+      return true;
+    }
+
+    // Mark first so a second click while bans are running is rejected.
+    this.#runtime.updateRaidSession(guild.id, { bannedAt: new Date().toISOString(), bannedBy: interaction.user.id });
+    await interaction.deferReply({ ephemeral: true });
+
+    const targets = new Map();
+    for (const join of session.joins) {
+      if (join?.userId && !targets.has(join.userId)) targets.set(join.userId, join);
+    }
+
+    let banned = 0;
+    const failures = [];
+    for (const [userId, join] of targets) {
+      try {
+        await this.#moderation.banById({
+          guild,
+          user: userId,
+          moderator: interaction.user,
+          reason: `[Raid mode] Banned with all raid joins from ${session.startedAt}`,
+          metadata: { source: "raidmode", targetTag: join.tag || null, raidStartedAt: session.startedAt }
+        });
+        banned += 1;
+      } catch (err) {
+        failures.push({ userId, error: String(err?.message || err) });
+      }
+    }
+
+    this.#runtime.updateRaidSession(guild.id, { bannedCount: banned, banFailures: failures.length });
+    this.#logger?.warn?.("raidmode.ban_all", { guildId: guild.id, moderatorId: interaction.user.id, banned, failed: failures.length });
+    await this.#publishSummary(guild);
+
+    const failureText = failures.length
+      ? `\nFailed: ${failures.slice(0, 10).map((f) => `<@${f.userId}> (${f.error})`).join(", ")}${failures.length > 10 ? "…" : ""}`
+      : "";
+    await interaction.editReply({ content: `Banned **${banned}** of **${targets.size}** raid joins.${failureText}` });
+    return true;
+  }
+
+  /**
+   * A role picked for raid mode (`/raidmode quarantine_role:` or config) wins; otherwise raid joins land in
+   * the role /quarantine uses (set by /setup quarantine), then in any role named like a quarantine role.
+   */
+  async #resolveQuarantineRole(guild, policy) {
+    const fromPolicy = policy.quarantineRoleId ? guild.roles.cache.get(policy.quarantineRoleId) : null;
+    if (fromPolicy) return fromPolicy;
+    let configuredId = "";
+    try {
+      configuredId = await this.#guildConfigService?.getQuarantineRoleId?.(guild.id);
+    } catch (err) {
+      this.#logger?.warn?.("raidmode.quarantine_role_lookup_failed", { guildId: guild.id, error: String(err?.message || err) });
+    }
+    const configured = configuredId ? guild.roles.cache.get(configuredId) : null;
+    if (configured) return configured;
+    return guild.roles.cache.find((role) => /quarantine|restricted/i.test(role.name)) || null;
+  }
+
+  #remainingQuietMs(guildId, session) {
+    const policy = this.getPolicy(guildId);
+    const anchor = Date.parse(session.lastJoinAt || session.startedAt || "") || Date.now();
+    return Math.max(0, anchor + policy.quietMinutes * 60_000 - Date.now());
+  }
+
+  #scheduleExpiry(guildId, delayMs) {
+    this.#cancelExpiry(guildId);
+    const timer = scheduleWithMaxTimeout(() => {
+      this.#expiryTimers.delete(guildId);
+      this.#expire(guildId).catch((err) => {
+        this.#logger?.error?.("raidmode.expire_failed", { guildId, error: String(err?.message || err) });
+      });
+    }, Math.max(1, delayMs));
+    this.#expiryTimers.set(guildId, timer);
+  }
+
+  #cancelExpiry(guildId) {
+    const timer = this.#expiryTimers.get(guildId);
+    if (timer) timer.cancel();
+    this.#expiryTimers.delete(guildId);
+  }
+
+  async #expire(guildId) {
+    if (!this.isActive(guildId)) return;
+    const guild = await this.#client?.guilds?.fetch(guildId).catch(() => null);
+    if (!guild) {
+      this.#runtime.setRaidMode(guildId, false);
+      return;
+    }
+    const policy = this.getPolicy(guildId);
+    await this.disable(guild, { reason: `quiet for ${policy.quietMinutes} minute(s)` });
+  }
+
+  #queueSummary(guild, delayMs = SUMMARY_DEBOUNCE_MS) {
+    if (this.#summaryTimers.has(guild.id)) return;
+    const handle = setTimeout(() => {
+      this.#summaryTimers.delete(guild.id);
+      this.#publishSummary(guild).catch(() => {});
+    }, delayMs);
+    handle.unref?.();
+    this.#summaryTimers.set(guild.id, handle);
+  }
+
+  #cancelSummary(guildId) {
+    const handle = this.#summaryTimers.get(guildId);
+    if (handle) clearTimeout(handle);
+    this.#summaryTimers.delete(guildId);
+  }
+
+  #buildSummary(guild, session) {
+    const policy = this.getPolicy(guild.id);
+    const active = !session.endedAt;
+    const joins = session.joins || [];
+    const counts = joins.reduce((acc, join) => {
+      const key = join.ok ? join.action : "failed";
+      acc[key] = (acc[key] || 0) + 1;
+      return acc;
+    }, {});
+    const countText = Object.entries(counts).map(([key, value]) => `${ACTION_LABELS[key] || key}: **${value}**`).join(" · ") || "none yet";
+
+    const lines = joins.slice(-MAX_SUMMARY_LINES).map((join) => {
+      const status = join.ok ? ACTION_LABELS[join.action] || join.action : `${ACTION_LABELS[join.action] || join.action} failed`;
+      const caseText = join.caseNumber ? ` (#${join.caseNumber})` : "";
+      return `• <@${join.userId}> ${join.tag ? `\`${join.tag}\`` : ""} — ${status}${caseText}`;
+    });
+    if (joins.length > MAX_SUMMARY_LINES) lines.unshift(`…${joins.length - MAX_SUMMARY_LINES} earlier join(s)`);
+
+    const startedTs = Math.floor((Date.parse(session.startedAt) || Date.now()) / 1000);
+    const verificationText = Number.isFinite(session.appliedVerificationLevel)
+      ? `Raised ${verificationName(session.previousVerificationLevel)} → ${verificationName(session.appliedVerificationLevel)}${session.endedAt ? (session.verificationRestored ? " (restored)" : " (not restored)") : ""}`
+      : "Unchanged";
+
+    const embed = new EmbedBuilder()
+      .setTitle(active ? "🚨 Raid mode active" : "Raid mode ended")
+      .setColor(active ? 0xed4245 : 0x5865f2)
+      .setDescription(lines.length ? lines.join("\n") : "No joins since raid mode started.")
+      .addFields(
+        { name: "Started", value: `<t:${startedTs}:f>${session.startedBy ? ` by <@${session.startedBy}>` : ""}`, inline: true },
+        { name: "Policy", value: describePolicy(policy), inline: true },
+        { name: "Verification", value: verificationText, inline: true },
+        { name: `Joins (${joins.length}${session.truncated ? "+" : ""})`, value: countText, inline: false }
+      )
+      .setTimestamp(new Date());
+
+    if (session.endedAt) {
+      const endedTs = Math.floor((Date.parse(session.endedAt) || Date.now()) / 1000);
+      embed.addFields({ name: "Ended", value: `<t:${endedTs}:f> — ${session.endedBy ? `<@${session.endedBy}>` : session.endReason || "auto"}`, inline: false });
+    } else {
+      embed.setFooter({ text: `Ends automatically after ${policy.quietMinutes} quiet minute(s)` });
+    }
+    if (session.bannedAt) {
+      embed.addFields({ name: "Ban all", value: `<@${session.bannedBy}> banned ${session.bannedCount ?? "…"} join(s)${session.banFailures ? ` (${session.banFailures} failed)` : ""}`, inline: false });
+    }
+
+    const button = new ButtonBuilder()
+      .setCustomId(`${BUTTON_PREFIX}:${BAN_ALL_ACTION}`)
+      .setStyle(ButtonStyle.Danger)
+      .setLabel(session.bannedAt ? "Raid joins banned" : `Ban all raid joins (${new Set(joins.map((j) => j.userId)).size})`)
+      .setDisabled(Boolean(session.bannedAt) || !joins.length);
+
+    return { embeds: [embed], components: [new ActionRowBuilder().addComponents(button)] };
+  }
+
+  async #publishSummary(guild) {
+    const session = this.#runtime.getRaidSession(guild.id);
+    if (!session) return null;
+    const payload = this.#buildSummary(guild, session);
+
+    try {
+      if (session.summaryChannelId && session.summaryMessageId) {
+        const channel = guild.channels.cache.get(session.summaryChannelId)
+          ?? await guild.channels.fetch(session.summaryChannelId).catch(() => null);
+        const message = await channel?.messages?.fetch(session.summaryMessageId).catch(() => null);
+        if (message) {
+          await message.edit(payload);
+          return message;
+        }
+      }
+
+      const channel = await resolveStaffChannel(guild, this.#channelMapService, SUMMARY_CHANNEL_KEYS, this.#fallbackChannelResolver);
+      if (!channel) {
+        this.#logger?.warn?.("raidmode.summary_channel_missing", { guildId: guild.id });
+        return null;
+      }
+      const message = await channel.send(payload);
+      this.#runtime.updateRaidSession(guild.id, { summaryChannelId: channel.id, summaryMessageId: message.id });
+      return message;
+    } catch (err) {
+      this.#logger?.warn?.("raidmode.summary_failed", { guildId: guild.id, error: String(err?.message || err) });
+      return null;
+    }
+  }
+}
@@ -0,0 +1,338 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  ModalBuilder,
+  PermissionsBitField,
+  TextInputBuilder,
+  TextInputStyle
+} from "discord.js";
+import { ReportModel } from "../../infrastructure/database/models/Report.js";
+import { resolveStaffChannel } from "../../shared/utils/staffChannels.js";
+
+const BUTTON_PREFIX = "report";
+const MODAL_PREFIX = "report-modal";
+const BUTTON_ACTIONS = new Set(["handling", "resolved", "invalid", "reopen"]);
+const STAFF_ROLE_KEYS = ["admin", "mod", "special"];
+const REPORT_CHANNEL_KEYS = ["report_log"];
+const DEFAULT_RATE_LIMIT = { max: 3, windowMs: 10 * 60_000 };
+const MAX_DETAILS_LENGTH = 1000;
+const SNAPSHOT_TTL_MS = 30 * 60_000;
+
+const COLORS = {
+  open: 0xf59f00,
+  handling: 0x228be6,
+  resolved: 0x51cf66,
+  invalid: 0xff6b6b
+};
+
+function clip(text, max) {
+  const value = String(text ?? "");
+  return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+/** The parts of a reported message a report keeps, captured when the menu is used. */
+export function snapshotReportedMessage(message) {
+  return {
+    id: message.id,
+    channelId: message.channelId,
+    content: message.content ?? "",
+    author: message.author ? { id: message.author.id } : null,
+    attachmentUrls: [...(message.attachments?.values?.() ?? [])].map((attachment) => attachment.url)
+  };
+}
+
+export function nextReportStatus(report, action, userId) {
+  if (action === "reopen") return { status: "open", handledBy: null };
+  return { status: action, handledBy: userId };
+}
+
+export function formatReportStatus(report) {
+  if (report.status === "open" || !report.handledBy) return "Open";
+  const label = report.status.charAt(0).toUpperCase() + report.status.slice(1);
+  return `${label} — <@${report.handledBy}>`;
+}
+
+export function buildReportEmbed(report) {
+  const embed = new EmbedBuilder()
+    .setColor(COLORS[report.status] || COLORS.open)
+    .setTitle(report.kind === "message" ? "Message report" : "User report")
+    .setDescription(clip(report.details || "(no details)", 4000))
+    .addFields(
+      { name: "Reporter", value: `<@${report.reporterId}>`, inline: true },
+      { name: "Reported", value: report.targetUserId ? `<@${report.targetUserId}> (${report.targetUserId})` : "Unknown", inline: true }
+    );
+  if (report.kind === "message") {
+    const link = `https://discord.com/channels/${report.guildId}/${report.channelId}/${report.messageId}`;
+    const quoted = report.messageContent
+      ? clip(report.messageContent, 900).split("\n").map((line) => `> ${line}`).join("\n")
+      : "> (no text content)";
+    embed.addFields({ name: "Message", value: `${quoted}\n[Jump to message](${link}) in <#${report.channelId}>` });
+    if (report.attachmentUrls?.length) {
+      embed.addFields({ name: "Attachments", value: clip(report.attachmentUrls.join("\n"), 1024) });
+    }
+  }
+  embed
+    .addFields({ name: "Status", value: formatReportStatus(report) })
+    .setFooter({ text: `Report ${report._id}${report.notifyReporter ? " • reporter will be notified" : ""}` })
+    .setTimestamp(new Date(report.createdAt ?? Date.now()));
+  return embed;
+}
+
+export function buildReportComponents(report) {
+  const id = String(report._id);
+  const button = (action, label, style, disabled) => new ButtonBuilder()
+    .setCustomId(`${BUTTON_PREFIX}:${action}:${id}`)
+    .setLabel(label)
+    .setStyle(style)
+    .setDisabled(disabled);
+  return new ActionRowBuilder().addComponents(
+    button("handling", "Handling", ButtonStyle.Primary, report.status === "handling"),
+    button("resolved", "Resolved", ButtonStyle.Success, report.status === "resolved"),
+    button("invalid", "Invalid", ButtonStyle.Danger, report.status === "invalid"),
+    button("reopen", "Reopen", ButtonStyle.Secondary, report.status === "open")
+  );
+}
+
+/**
+ * Member reports with tracked status. Reports come from /report and the "Report message" /
+ * "Report user" context menus; staff move them through open → handling → resolved/invalid with
+ * the buttons on the alert, and reporters who asked for it get a DM once theirs is resolved.
+ */
+export class ReportService {
+  #logger;
+  #channelMapService;
+  #staffRoleService;
+  #guildConfigService;
+  #rateLimit;
+  #snapshots = new Map();
+
+  constructor({ logger = null, channelMapService = null, staffRoleService = null, guildConfigService = null, rateLimit = {} } = {}) {
+    this.#logger = logger;
+    this.#channelMapService = channelMapService;
+    this.#staffRoleService = staffRoleService;
+    this.#guildConfigService = guildConfigService;
+    this.#rateLimit = {
+      max: Number(rateLimit.max) > 0 ? Number(rateLimit.max) : DEFAULT_RATE_LIMIT.max,
+      windowMs: Number(rateLimit.windowMs) > 0 ? Number(rateLimit.windowMs) : DEFAULT_RATE_LIMIT.windowMs
+    };
+  }
+
+  /**
+   * @returns {Promise<Date|null>} when the reporter may report again, or null if they are not limited
+   */
+  async getRateLimitReset(guildId, reporterId) {
+    const since = new Date(Date.now() - this.#rateLimit.windowMs);
+    const recent = await ReportModel.find({ guildId, reporterId, createdAt: { $gte: since } })
+      .sort({ createdAt: 1 })
+      .select({ createdAt: 1 })
+      .lean();
+    if (recent.length < this.#rateLimit.max) return null;
+    const oldest = recent[recent.length - this.#rateLimit.max];
+    return new Date(new Date(oldest.createdAt).getTime() + this.#rateLimit.windowMs);
+  }
+
+  /**
+   * Keeps the message as the reporter saw it until their modal is submitted, so the report still goes
+   * through when the author deletes it in the meantime.
+   */
+  rememberReportedMessage(reporterId, message) {
+    const now = Date.now();
+    for (const [key, entry] of this.#snapshots) {
+      if (entry.expiresAt <= now) this.#snapshots.delete(key);
+    }
+    this.#snapshots.set(`${reporterId}:${message.id}`, { expiresAt: now + SNAPSHOT_TTL_MS, message: snapshotReportedMessage(message) });
+  }
+
+  buildModal(kind, { userId = null, channelId = null, messageId = null } = {}) {
+    const customId = kind === "message"
+      ? `${MODAL_PREFIX}:message:${channelId}:${messageId}`
+      : `${MODAL_PREFIX}:user:${userId}`;
+    return new ModalBuilder()
+      .setCustomId(customId)
+      .setTitle(kind === "message" ? "Report message" : "Report user")
+      .addComponents(
+        new ActionRowBuilder().addComponents(new TextInputBuilder()
+          .setCustomId("details")
+          .setLabel("What is the problem?")
+          .setStyle(TextInputStyle.Paragraph)
+          .setRequired(true)
+          .setMaxLength(MAX_DETAILS_LENGTH)),
+        new ActionRowBuilder().addComponents(new TextInputBuilder()
+          .setCustomId("notify")
+          .setLabel("DM me when it is resolved? (yes/no)")
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false)
+          .setMaxLength(3))
+      );
+  }
+
+  /**
+   * Stores a report and posts its alert. Throws when the reporter is rate-limited.
+   */
+  async create({ guild, reporter, targetUser = null, message = null, details, notify = false }) {
+    const resetAt = await this.getRateLimitReset(guild.id, reporter.id);
+    if (resetAt) {
+      throw new Error(`You have sent too many reports recently. Try again <t:${Math.ceil(resetAt.getTime() / 1000)}:R>.`);
+    }
+    const target = targetUser ?? message?.author ?? null;
+    if (target?.id === reporter.id) throw new Error("You cannot report yourself.");
+
+    const doc = await ReportModel.create({
+      guildId: guild.id,
+      reporterId: reporter.id,
+      targetUserId: target?.id ?? null,
+      kind: message ? "message" : "user",
+      channelId: message?.channelId ?? null,
+      messageId: message?.id ?? null,
+      messageContent: message?.content ?? "",
+      attachmentUrls: message?.attachmentUrls ?? [...(message?.attachments?.values?.() ?? [])].map((attachment) => attachment.url),
+      details: clip(details?.trim?.() || "", MAX_DETAILS_LENGTH),
+      notifyReporter: Boolean(notify),
+      history: [{ status: "open", by: reporter.id, at: new Date() }]
+    });
+    const report = doc.toObject();
+
+    try {
+      const channel = await this.#resolveChannel(guild);
+      if (!channel) {
+        this.#logger?.warn?.("reports.missing_channel", { guildId: guild.id, reportId: String(report._id) });
+        return report;
+      }
+      const posted = await channel.send({ embeds: [buildReportEmbed(report)], components: [buildReportComponents(report)] });
+      await ReportModel.updateOne({ _id: report._id }, { alertChannelId: channel.id, alertMessageId: posted.id });
+      return { ...report, alertChannelId: channel.id, alertMessageId: posted.id };
+    } catch (err) {
+      this.#logger?.warn?.("reports.alert_failed", { guildId: guild.id, reportId: String(report._id), error: String(err?.message || err) });
+      return report;
+    }
+  }
+
+  registerComponents(router) {
+    router.register({ prefix: MODAL_PREFIX, types: ["modal"], handle: (interaction) => this.handleInteraction(interaction) });
+    router.register({ prefix: BUTTON_PREFIX, types: ["button"], handle: (interaction) => this.handleInteraction(interaction) });
+  }
+
+  /**
+   * Handles report modals and status buttons. Returns true when the interaction was ours.
+   */
+  async handleInteraction(interaction) {
+    if (interaction.isModalSubmit?.() && interaction.customId?.startsWith(`${MODAL_PREFIX}:`)) {
+      await this.#handleModal(interaction);
+      return true;
+    }
+    if (!interaction.isButton?.() || !interaction.customId?.startsWith(`${BUTTON_PREFIX}:`)) return false;
+    const [, action, reportId] = interaction.customId.split(":");
+    if (!BUTTON_ACTIONS.has(action) || !reportId) return false;
+
+    if (!(await this.#ensureStaff(interaction))) {
+      await interaction.reply({ content: "You don’t have permission to update this report.", ephemeral: true });
+      return true;
+    }
+
+    const existing = await ReportModel.findOne({ _id: reportId, guildId: interaction.guildId }).lean().catch(() => null);
+    if (!existing) {
+      await interaction.reply({ content: "This report no longer exists.", ephemeral: true });
+      return true;
+    }
+    const next = nextReportStatus(existing, action, interaction.user.id);
+    if (existing.status === next.status && existing.handledBy === next.handledBy) {
+      await interaction.reply({ content: "No changes to apply.", ephemeral: true });
+      return true;
+    }
+
+    const report = await ReportModel.findOneAndUpdate(
+      { _id: existing._id },
+      { $set: next, $push: { history: { status: next.status, by: interaction.user.id, at: new Date() } } },
+      { new: true }
+    ).lean();
+
+    try {
+      await interaction.update({ embeds: [buildReportEmbed(report)], components: [buildReportComponents(report)] });
+      this.#logger?.info?.("reports.status_updated", {
+        guildId: interaction.guildId,
+        reportId,
+        actorId: interaction.user.id,
+        status: report.status
+      });
+    } catch (err) {
+      this.#logger?.warn?.("reports.status_update_failed", { guildId: interaction.guildId, reportId, error: String(err?.message || err) });
+      if (!interaction.replied && !interaction.deferred) {
+        await interaction.reply({ content: "Failed to update the report.", ephemeral: true }).catch(() => {});
+      }
+    }
+
+    if (report.status === "resolved") await this.#notifyReporter(interaction, report);
+    return true;
+  }
+
+  async #handleModal(interaction) {
+    const [, kind, first, second] = interaction.customId.split(":");
+    const details = interaction.fields.getTextInputValue("details");
+    const notify = /^y/i.test(interaction.fields.getTextInputValue("notify")?.trim() || "");
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      let message = null;
+      let targetUser = null;
+      if (kind === "message") {
+        message = this.#takeSnapshot(interaction.user.id, second);
+        if (!message) {
+          const channel = interaction.guild.channels.cache.get(first) ?? await interaction.guild.channels.fetch(first).catch(() => null);
+          message = await channel?.messages?.fetch(second).catch(() => null);
+        }
+        if (!message) throw new Error("That message no longer exists.");
+      } else {
+        targetUser = await interaction.client.users.fetch(first).catch(() => null);
+        if (!targetUser) throw new Error("That user could not be found.");
+      }
+      await this.create({ guild: interaction.guild, reporter: interaction.user, targetUser, message, details, notify });
+      await interaction.editReply({ content: "Thanks, your report has been submitted to the moderators." });
+    } catch (err) {
+      await interaction.editReply({ content: err?.message || "Failed to submit the report." }).catch(() => {});
+    }
+  }
+
+  #takeSnapshot(reporterId, messageId) {
+    const key = `${reporterId}:${messageId}`;
+    const entry = this.#snapshots.get(key);
+    this.#snapshots.delete(key);
+    return entry && entry.expiresAt > Date.now() ? entry.message : null;
+  }
+
+  async #notifyReporter(interaction, report) {
+    if (!report.notifyReporter || report.reporterNotifiedAt) return;
+    try {
+      const user = await interaction.client.users.fetch(report.reporterId);
+      await user.send({
+        embeds: [new EmbedBuilder()
+          .setColor(COLORS.resolved)
+          .setTitle("Report resolved")
+          .setDescription(`Your report in **${interaction.guild.name}** has been handled by the moderators. Thank you for reporting it.`)]
+      });
+      await ReportModel.updateOne({ _id: report._id }, { reporterNotifiedAt: new Date() });
+    } catch (err) {
+      this.#logger?.info?.("reports.notify_failed", { guildId: report.guildId, reportId: String(report._id), error: String(err?.message || err) });
+    }
+  }
+
+  async #ensureStaff(interaction) {
+    if (!interaction.inGuild()) return false;
+    const member = interaction.member ?? await interaction.guild.members.fetch(interaction.user.id).catch(() => null);
+    if (!member) return false;
+    if (member.permissions?.has(PermissionsBitField.Flags.Administrator)) return true;
+    try {
+      const staffRoleIds = await this.#staffRoleService.getAllRoleIdsForKeys(interaction.guildId, STAFF_ROLE_KEYS);
+      return staffRoleIds.some((id) => member.roles?.cache?.has(id));
+    } catch {
+      return false;
+    }
+  }
+
+  async #resolveChannel(guild) {
+    return resolveStaffChannel(guild, this.#channelMapService, REPORT_CHANNEL_KEYS, async (target) => {
+      return (await this.#guildConfigService?.getModLogChannelId?.(target.id)) || "";
+    });
+  }
+}
@@ -1,120 +1,229 @@
+import { GuildModerationStateModel } from "../../infrastructure/database/models/GuildModerationState.js";
+
+const MAX_RAID_JOINS = 1000;
+
+function createEmptyState() {
+  return {
+    raidMode: false,
+    raidPolicy: null,
+    raidSession: null,
+    spamThresholds: null,
+    spamAction: null,
+    massMentionLimit: null,
+    warnEscalation: [],
+    warnExpiryDays: null,
+    automod: {}
+  };
+}
+
+function fromDocument(doc) {
+  const state = createEmptyState();
+  if (!doc) return state;
+  state.raidMode = Boolean(doc.raidMode);
+  state.raidPolicy = doc.raidPolicy ? { ...doc.raidPolicy } : null;
+  state.raidSession = doc.raidSession
+    ? { ...doc.raidSession, joins: Array.isArray(doc.raidSession.joins) ? [...doc.raidSession.joins] : [] }
+    : null;
+  state.spamThresholds = doc.spamThresholds ? { ...doc.spamThresholds } : null;
+  state.spamAction = doc.spamAction || null;
+  state.massMentionLimit = Number.isFinite(doc.massMentionLimit) ? doc.massMentionLimit : null;
+  state.warnExpiryDays = Number(doc.warnExpiryDays) > 0 ? Number(doc.warnExpiryDays) : null;
+  state.warnEscalation = Array.isArray(doc.warnEscalation) ? doc.warnEscalation.map((rung) => ({ ...rung })) : [];
+  const automod = doc.automod instanceof Map ? Object.fromEntries(doc.automod) : doc.automod;
+  state.automod = automod && typeof automod === "object" ? { ...automod } : {};
+  return state;
+}
+
+/**
+ * Per-guild moderation settings configured through slash commands.
+ * Reads are served synchronously from an in-memory cache that is filled by loadAll() on startup;
+ * every mutation updates the cache immediately and is written through to Mongo in the background.
+ */
 export class RuntimeModerationState {
-  #raidMode = new Map();
-  #linkRules = new Map();
-  #spamThresholds = new Map();
-  #spamAction = new Map();
-  #massMentionLimit = new Map();
-  #automodSettings = new Map();
-  #notes = new Map();
+  #logger;
+  #states = new Map();
+  #writes = new Map();
+
+  constructor({ logger = null } = {}) {
+    this.#logger = logger;
+  }
+
+  async loadAll() {
+    const docs = await GuildModerationStateModel.find().lean();
+    this.#states.clear();
+    for (const doc of docs) {
+      if (!doc?.guildId) continue;
+      this.#states.set(doc.guildId, fromDocument(doc));
+    }
+    return this.#states.size;
+  }
+
+  /**
+   * Resolves once every queued write (for one guild or all guilds) has settled.
+   */
+  async flush(guildId = null) {
+    if (guildId) {
+      await this.#writes.get(guildId);
+      return;
+    }
+    await Promise.all([...this.#writes.values()]);
+  }
+
+  #state(guildId) {
+    if (!this.#states.has(guildId)) {
+      this.#states.set(guildId, createEmptyState());
+    }
+    return this.#states.get(guildId);
+  }
+
+  #persist(guildId, update) {
+    if (!guildId) return;
+    const previous = this.#writes.get(guildId) || Promise.resolve();
+    const next = previous
+      .then(() => GuildModerationStateModel.updateOne({ guildId }, update, { upsert: true, setDefaultsOnInsert: true }))
+      .catch((error) => {
+        this.#logger?.error?.("runtime_state.persist_failed", {
+          guildId,
+          fields: Object.keys(update.$set || update.$push || {}),
+          error: String(error?.message || error)
+        });
+      })
+      .finally(() => {
+        if (this.#writes.get(guildId) === next) this.#writes.delete(guildId);
+      });
+    this.#writes.set(guildId, next);
+  }
 
   setRaidMode(guildId, active) {
-    this.#raidMode.set(guildId, Boolean(active));
+    this.#state(guildId).raidMode = Boolean(active);
+    this.#persist(guildId, { $set: { raidMode: Boolean(active) } });
   }
 
   getRaidMode(guildId) {
-    return Boolean(this.#raidMode.get(guildId));
+    return Boolean(this.#states.get(guildId)?.raidMode);
   }
 
-  #ensureLinkBucket(guildId) {
-    if (!this.#linkRules.has(guildId)) {
-      this.#linkRules.set(guildId, { allow: [], deny: [] });
-    }
-    return this.#linkRules.get(guildId);
+  setRaidPolicy(guildId, policy) {
+    const value = policy ? { ...policy } : null;
+    this.#state(guildId).raidPolicy = value;
+    this.#persist(guildId, { $set: { raidPolicy: value } });
+  }
+
+  getRaidPolicy(guildId) {
+    const policy = this.#states.get(guildId)?.raidPolicy;
+    return policy ? { ...policy } : null;
   }
 
-  addLinkRule(guildId, kind, rule) {
-    const bucket = this.#ensureLinkBucket(guildId);
-    const collection = kind === "deny" ? bucket.deny : bucket.allow;
-    const entry = { ...rule, id: `${Date.now()}-${Math.random()}` };
-    collection.push(entry);
+  setRaidSession(guildId, session) {
+    const value = session ? { ...session, joins: Array.isArray(session.joins) ? [...session.joins] : [] } : null;
+    this.#state(guildId).raidSession = value;
+    this.#persist(guildId, { $set: { raidSession: value } });
+  }
+
+  getRaidSession(guildId) {
+    const session = this.#states.get(guildId)?.raidSession;
+    return session ? { ...session, joins: [...session.joins] } : null;
+  }
+
+  listRaidSessions() {
+    const out = [];
+    for (const [guildId, state] of this.#states.entries()) {
+      if (state.raidSession) out.push({ guildId, session: { ...state.raidSession, joins: [...state.raidSession.joins] } });
+    }
+    return out;
+  }
+
+  /**
+   * Appends a join to the active raid session (capped) and bumps its last-join timestamp.
+   */
+  recordRaidJoin(guildId, join) {
+    const session = this.#states.get(guildId)?.raidSession;
+    if (!session) return null;
+    const entry = { ...join };
+    const lastJoinAt = entry.joinedAt || new Date().toISOString();
+    session.lastJoinAt = lastJoinAt;
+    if (session.joins.length < MAX_RAID_JOINS) {
+      session.joins.push(entry);
+      this.#persist(guildId, { $push: { "raidSession.joins": entry }, $set: { "raidSession.lastJoinAt": lastJoinAt } });
+    } else {
+      session.truncated = true;
+      this.#persist(guildId, { $set: { "raidSession.lastJoinAt": lastJoinAt, "raidSession.truncated": true } });
+    }
     return entry;
   }
 
-  removeLinkRule(guildId, kind, value) {
-    const bucket = this.#ensureLinkBucket(guildId);
-    const collection = kind === "deny" ? bucket.deny : bucket.allow;
-    const before = collection.length;
-    const lowered = String(value).toLowerCase();
-    const filtered = collection.filter((entry) => entry.value.toLowerCase() !== lowered);
-    if (filtered.length === before) return false;
-    if (kind === "deny") bucket.deny = filtered; else bucket.allow = filtered;
-    this.#linkRules.set(guildId, bucket);
-    return true;
-  }
-
-  listLinkRules(guildId, kind) {
-    const bucket = this.#ensureLinkBucket(guildId);
-    return [...(kind === "deny" ? bucket.deny : bucket.allow)];
-  }
-
-  testLink(guildId, url) {
-    const bucket = this.#ensureLinkBucket(guildId);
-    const lower = String(url).toLowerCase();
-    const matchFn = (entry) => {
-      if (entry.type === "exact") {
-        return lower === entry.value.toLowerCase();
-      }
-      try {
-        return lower.includes(entry.value.toLowerCase());
-      } catch {
-        return false;
-      }
-    };
-    const deny = bucket.deny.find(matchFn);
-    if (deny) return { result: "deny", rule: deny };
-    const allow = bucket.allow.find(matchFn);
-    if (allow) return { result: "allow", rule: allow };
-    return { result: "none", rule: null };
+  /**
+   * Merges fields into the active raid session without touching its join list.
+   */
+  updateRaidSession(guildId, fields) {
+    const session = this.#states.get(guildId)?.raidSession;
+    if (!session) return null;
+    const update = {};
+    for (const [key, value] of Object.entries(fields || {})) {
+      if (key === "joins") continue;
+      session[key] = value;
+      update[`raidSession.${key}`] = value;
+    }
+    if (Object.keys(update).length) this.#persist(guildId, { $set: update });
+    return { ...session, joins: [...session.joins] };
   }
 
   setSpamThresholds(guildId, thresholds) {
-    this.#spamThresholds.set(guildId, { ...thresholds });
+    const value = { ...thresholds };
+    this.#state(guildId).spamThresholds = value;
+    this.#persist(guildId, { $set: { spamThresholds: value } });
   }
 
   getSpamThresholds(guildId) {
-    return this.#spamThresholds.get(guildId) || null;
+    return this.#states.get(guildId)?.spamThresholds || null;
   }
 
   setSpamAction(guildId, action) {
-    this.#spamAction.set(guildId, action);
+    this.#state(guildId).spamAction = action;
+    this.#persist(guildId, { $set: { spamAction: action } });
   }
 
   getSpamAction(guildId) {
-    return this.#spamAction.get(guildId) || "warn";
+    return this.#states.get(guildId)?.spamAction || "warn";
   }
 
   setMassMentionLimit(guildId, limit) {
-    this.#massMentionLimit.set(guildId, limit);
+    this.#state(guildId).massMentionLimit = limit;
+    this.#persist(guildId, { $set: { massMentionLimit: limit } });
   }
 
   getMassMentionLimit(guildId) {
-    return this.#massMentionLimit.get(guildId) || null;
+    return this.#states.get(guildId)?.massMentionLimit || null;
   }
 
-  setAutomod(guildId, key, enabled) {
-    if (!this.#automodSettings.has(guildId)) {
-      this.#automodSettings.set(guildId, {});
-    }
-    const entry = this.#automodSettings.get(guildId);
-    entry[key] = Boolean(enabled);
-    this.#automodSettings.set(guildId, entry);
+  setWarnEscalation(guildId, rungs) {
+    const value = Array.isArray(rungs) ? rungs.map((rung) => ({ ...rung })) : [];
+    this.#state(guildId).warnEscalation = value;
+    this.#persist(guildId, { $set: { warnEscalation: value } });
   }
 
-  getAutomod(guildId, key) {
-    const entry = this.#automodSettings.get(guildId);
-    return entry ? Boolean(entry[key]) : false;
+  getWarnEscalation(guildId) {
+    const rungs = this.#states.get(guildId)?.warnEscalation || [];
+    return rungs.map((rung) => ({ ...rung }));
   }
 
-  addNote(guildId, userId, authorId, text) {
-    if (!this.#notes.has(guildId)) this.#notes.set(guildId, new Map());
-    const guildNotes = this.#notes.get(guildId);
-    if (!guildNotes.has(userId)) guildNotes.set(userId, []);
-    const note = { text, authorId, createdAt: new Date() };
-    guildNotes.get(userId).push(note);
-    return note;
+  setWarnExpiryDays(guildId, days) {
+    const value = Number(days) > 0 ? Number(days) : null;
+    this.#state(guildId).warnExpiryDays = value;
+    this.#persist(guildId, { $set: { warnExpiryDays: value } });
   }
 
-  getNotes(guildId, userId) {
-    return this.#notes.get(guildId)?.get(userId) || [];
+  getWarnExpiryDays(guildId) {
+    return this.#states.get(guildId)?.warnExpiryDays || null;
+  }
+
+  setAutomod(guildId, key, enabled) {
+    this.#state(guildId).automod[key] = Boolean(enabled);
+    this.#persist(guildId, { $set: { [`automod.${key}`]: Boolean(enabled) } });
+  }
+
+  getAutomod(guildId, key) {
+    const entry = this.#states.get(guildId)?.automod;
+    return entry ? Boolean(entry[key]) : false;
   }
 }
@@ -0,0 +1,179 @@
+import { MAX_MEMBER_TIMEOUT_MS, formatDuration } from "../../shared/utils/time.js";
+
+export const ESCALATION_ACTIONS = Object.freeze(["timeout", "kick", "ban"]);
+
+const MAX_RUNGS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validates a single ladder rung and returns its stored shape.
+ * windowDays of 0 counts every warning the user has ever received.
+ */
+export function normalizeRung({ threshold, windowDays = 0, action, durationMs = null } = {}) {
+  const count = Number(threshold);
+  if (!Number.isInteger(count) || count < 1) throw new Error("Threshold must be a positive whole number.");
+  const days = Number(windowDays) || 0;
+  if (days < 0) throw new Error("Window must not be negative.");
+  if (!ESCALATION_ACTIONS.includes(action)) throw new Error(`Unknown escalation action: ${action}`);
+
+  let duration = Number(durationMs) > 0 ? Number(durationMs) : null;
+  if (action === "timeout") {
+    if (!duration) throw new Error("Timeout rungs need a duration.");
+    if (duration > MAX_MEMBER_TIMEOUT_MS) throw new Error("Timeouts cannot exceed 28 days.");
+  }
+  if (action === "kick") duration = null;
+
+  return { threshold: count, windowDays: days, action, durationMs: duration };
+}
+
+export function describeRung(rung) {
+  const window = rung.windowDays ? ` in ${rung.windowDays}d` : "";
+  const duration = rung.durationMs ? ` ${formatDuration(rung.durationMs)}` : "";
+  return `${rung.threshold} warning(s)${window} → ${rung.action}${duration}`;
+}
+
+/**
+ * Picks the rung a new warning has just crossed: the highest rung whose active count now equals its threshold.
+ * Firing only on the crossing keeps later warnings from re-applying the same rung.
+ */
+export function findCrossedRung(positions) {
+  let crossed = null;
+  for (const position of positions) {
+    if (position.count === position.rung.threshold) crossed = position;
+  }
+  return crossed;
+}
+
+/**
+ * Per-guild warning escalation ladders, e.g. "3 warnings in 30 days → 1h timeout, 5 → 7d ban".
+ * Evaluated by WarningService right after a warning is stored; the action runs through ModerationService
+ * as the bot user and its case links back to the warning's case.
+ */
+export class WarningEscalationService {
+  #logger;
+  #runtime;
+  #moderation;
+  #warnings;
+  #client = null;
+
+  constructor({ logger = null, runtimeState, moderationService, warningService }) {
+    this.#logger = logger;
+    this.#runtime = runtimeState;
+    this.#moderation = moderationService;
+    this.#warnings = warningService;
+  }
+
+  setClient(client) {
+    this.#client = client;
+  }
+
+  getLadder(guildId) {
+    return this.#runtime.getWarnEscalation(guildId)
+      .map((rung) => ({ ...rung }))
+      .sort((a, b) => a.threshold - b.threshold);
+  }
+
+  setRung(guildId, input) {
+    const rung = normalizeRung(input);
+    const ladder = this.getLadder(guildId).filter((existing) => existing.threshold !== rung.threshold);
+    if (ladder.length >= MAX_RUNGS) throw new Error(`A ladder can have at most ${MAX_RUNGS} rungs.`);
+    ladder.push(rung);
+    ladder.sort((a, b) => a.threshold - b.threshold);
+    this.#runtime.setWarnEscalation(guildId, ladder);
+    return rung;
+  }
+
+  removeRung(guildId, threshold) {
+    const ladder = this.getLadder(guildId);
+    const kept = ladder.filter((rung) => rung.threshold !== Number(threshold));
+    if (kept.length === ladder.length) return false;
+    this.#runtime.setWarnEscalation(guildId, kept);
+    return true;
+  }
+
+  clear(guildId) {
+    this.#runtime.setWarnEscalation(guildId, []);
+  }
+
+  /**
+   * Counts the user's active warnings for every rung's window.
+   * @returns {Promise<{ rungs: Array<{ rung: object, count: number }>, reached: object|null, next: object|null }>}
+   */
+  async getPosition(guildId, userId, now = Date.now()) {
+    const ladder = this.getLadder(guildId);
+    const counts = new Map();
+    const rungs = [];
+    for (const rung of ladder) {
+      if (!counts.has(rung.windowDays)) {
+        const since = rung.windowDays ? new Date(now - rung.windowDays * DAY_MS) : null;
+        counts.set(rung.windowDays, await this.#warnings.countActive(guildId, userId, { since }));
+      }
+      rungs.push({ rung, count: counts.get(rung.windowDays) });
+    }
+    const reached = rungs.filter((position) => position.count >= position.rung.threshold).pop() || null;
+    const next = rungs.find((position) => position.count < position.rung.threshold) || null;
+    return { rungs, reached, next };
+  }
+
+  /**
+   * Applies the rung crossed by a freshly added warning, if any.
+   * @returns {Promise<null | { rung: object, count: number, caseEntry?: object, error?: string }>}
+   */
+  async evaluate({ guildId, userId, moderatorId = null, warning = null, caseEntry = null }) {
+    if (!this.getLadder(guildId).length) return null;
+    let crossed;
+    try {
+      crossed = findCrossedRung((await this.getPosition(guildId, userId)).rungs);
+    } catch (err) {
+      this.#logger?.warn?.("warn_escalation.count_failed", { guildId, userId, error: String(err?.message || err) });
+      return null;
+    }
+    if (!crossed) return null;
+
+    const { rung, count } = crossed;
+    try {
+      const entry = await this.#apply({ guildId, userId, rung, count, moderatorId, warning, caseEntry });
+      this.#logger?.info?.("warn_escalation.applied", {
+        guildId,
+        userId,
+        action: rung.action,
+        threshold: rung.threshold,
+        caseNumber: entry?.caseNumber ?? null,
+        triggerCaseNumber: caseEntry?.caseNumber ?? null
+      });
+      return { rung, count, caseEntry: entry };
+    } catch (err) {
+      const error = String(err?.message || err);
+      this.#logger?.warn?.("warn_escalation.failed", { guildId, userId, action: rung.action, error });
+      return { rung, count, error };
+    }
+  }
+
+  async #apply({ guildId, userId, rung, count, moderatorId, warning, caseEntry }) {
+    const guild = this.#client?.guilds?.cache?.get(guildId)
+      ?? await this.#client?.guilds?.fetch?.(guildId).catch(() => null);
+    if (!guild) throw new Error("Guild unavailable for escalation.");
+
+    const moderator = this.#client?.user ?? null;
+    const triggerCase = caseEntry?.caseNumber ?? null;
+    const reason = `Warning escalation: ${count} active warning(s)${triggerCase ? ` (case #${triggerCase})` : ""}`;
+    const metadata = {
+      source: "escalation",
+      triggerCaseNumber: triggerCase,
+      warningId: warning?._id?.toString?.() ?? null,
+      triggeredBy: moderatorId,
+      escalation: { ...rung }
+    };
+
+    const member = await guild.members.fetch(userId).catch(() => null);
+    if (rung.action === "ban") {
+      if (!member) return this.#moderation.banById({ guild, user: userId, moderator, reason, metadata });
+      return this.#moderation.ban({ guild, target: member, moderator, reason, durationMs: rung.durationMs, metadata });
+    }
+    if (!member) throw new Error("Member is no longer in the server.");
+    if (rung.action === "kick") {
+      return this.#moderation.kick({ guild, target: member, moderator, reason, metadata });
+    }
+    return this.#moderation.timeout({ guild, target: member, moderator, reason, durationMs: rung.durationMs, metadata });
+  }
+}
@@ -1,18 +1,56 @@
+
+import mongoose from "mongoose";
 import { WarningModel } from "../../infrastructure/database/models/Warning.js";
 import { ModerationActionType, normalizeReason } from "./moderationActions.js";
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @returns {"active"|"expired"|"pardoned"}
+ */
+export function warningStatus(warning, expiryDays = null, now = Date.now()) {
+  if (warning?.pardonedAt) return "pardoned";
+  if (expiryDays > 0) {
+    const createdAt = new Date(warning?.createdAt).getTime();
+    if (Number.isFinite(createdAt) && createdAt <= now - expiryDays * DAY_MS) return "expired";
+  }
+  return "active";
+}
+
+/**
+ * Warnings stay stored (and listed) after they expire or are pardoned; only active ones count
+ * towards escalation. Expiry is a per-guild age limit applied at read time, so changing it
+ * affects existing warnings too.
+ */
 export class WarningService {
   #logService;
-  constructor(logService) {
+  #resolveExpiryDays;
+  #escalationService = null;
+  constructor(logService, { resolveExpiryDays = null } = {}) {
     this.#logService = logService;
+    this.#resolveExpiryDays = typeof resolveExpiryDays === "function" ? resolveExpiryDays : () => null;
+  }
+
+  setEscalationService(escalationService) {
+    this.#escalationService = escalationService;
   }
 
-  async add(guildId, userId, modId, reason) {
+  expiryDays(guildId) {
+    const days = Number(this.#resolveExpiryDays(guildId));
+    return days > 0 ? days : null;
+  }
+
+  /**
+   * Stores a warning, records its case and then runs the guild's escalation ladder.
+   * The returned warning carries the case number and the escalation outcome (null when no rung fired).
+   */
+  async add(guildId, userId, modId, reason, metadata = {}) {
     const normalizedReason = normalizeReason(reason);
     const doc = await WarningModel.create({ guildId, userId, modId, reason: normalizedReason });
     const warning = doc.toObject();
+    let caseEntry = null;
     if (this.#logService) {
-      await this.#logService.record({
+      caseEntry = await this.#logService.record({
         guildId,
         userId,
         moderatorId: modId,
@@ -20,16 +58,137 @@ export class WarningService {
         reason: normalizedReason,
         durationMs: null,
         expiresAt: null,
-        metadata: { warningId: warning._id?.toString?.() }
+        metadata: { ...(metadata || {}), warningId: warning._id?.toString?.() }
       });
     }
+    warning.caseNumber = caseEntry?.caseNumber ?? null;
+    if (warning.caseNumber !== null) {
+      await WarningModel.updateOne({ _id: warning._id }, { caseNumber: warning.caseNumber });
+    }
+    warning.escalation = this.#escalationService
+      ? await this.#escalationService.evaluate({ guildId, userId, moderatorId: modId, warning, caseEntry })
+      : null;
     return warning;
   }
 
+  /**
+   * Latest warnings for a user, each tagged with its current status.
+   */
   async list(guildId, userId, limit = 10) {
-    return WarningModel.find({ guildId, userId }).sort({ createdAt: -1 }).limit(limit).lean();
+    const expiryDays = this.expiryDays(guildId);
+    const now = Date.now();
+    const docs = await WarningModel.find({ guildId, userId }).sort({ createdAt: -1 }).limit(limit).lean();
+    return docs.map((warning) => ({ ...warning, status: warningStatus(warning, expiryDays, now) }));
   }
+
+  /**
+   * @returns {Promise<{ active: number, total: number }>}
+   */
   async count(guildId, userId) {
-    return WarningModel.countDocuments({ guildId, userId });
+    const [active, total] = await Promise.all([
+      this.countActive(guildId, userId),
+      WarningModel.countDocuments({ guildId, userId })
+    ]);
+    return { active, total };
+  }
+
+  /**
+   * Counts unpardoned, unexpired warnings, optionally only those created after `since`.
+   */
+  async countActive(guildId, userId, { since = null } = {}) {
+    const query = { guildId, userId, pardonedAt: null };
+    const expiryDays = this.expiryDays(guildId);
+    const bounds = [since ? new Date(since).getTime() : null, expiryDays ? Date.now() - expiryDays * DAY_MS : null]
+      .filter((value) => Number.isFinite(value));
+    if (bounds.length) query.createdAt = { $gt: new Date(Math.max(...bounds)) };
+    return WarningModel.countDocuments(query);
+  }
+
+  /**
+   * Looks a warning up by its case number or its document id.
+   */
+  async find(guildId, ref) {
+    const text = String(ref ?? "").trim().replace(/^#/, "");
+    if (/^\d+$/.test(text)) return WarningModel.findOne({ guildId, caseNumber: Number(text) }).lean();
+    if (!mongoose.isValidObjectId(text)) return null;
+    return WarningModel.findOne({ guildId, _id: text }).lean();
+  }
+
+  async remove(guildId, ref, { moderatorId = null, reason = null } = {}) {
+    const warning = await this.find(guildId, ref);
+    if (!warning) return null;
+    await WarningModel.deleteOne({ _id: warning._id });
+    const caseEntry = await this.#audit(warning, ModerationActionType.WarnRemove, moderatorId, reason);
+    return { warning, caseEntry };
+  }
+
+  async pardon(guildId, ref, { moderatorId = null, reason = null, metadata = null } = {}) {
+    const warning = await this.find(guildId, ref);
+    if (!warning) return null;
+    if (warning.pardonedAt) throw new Error("That warning is already pardoned.");
+    const normalizedReason = normalizeReason(reason);
+    const updated = await WarningModel.findOneAndUpdate(
+      { _id: warning._id, pardonedAt: null },
+      { pardonedAt: new Date(), pardonedBy: moderatorId, pardonReason: normalizedReason },
+      { new: true }
+    ).lean();
+    if (!updated) throw new Error("That warning is already pardoned.");
+    const caseEntry = await this.#audit(updated, ModerationActionType.WarnPardon, moderatorId, normalizedReason, metadata);
+    return { warning: updated, caseEntry };
+  }
+
+  /**
+   * Undo handler for warn cases: undoing a warning pardons it and returns the pardon case.
+   * Warnings stored before case numbers were copied onto them are only reachable through the case's warningId.
+   */
+  async undoCase(entry, { moderator = null, reason = null, metadata = null } = {}) {
+    const ref = entry.metadata?.warningId || entry.caseNumber;
+    const result = await this.pardon(entry.guildId, ref, { moderatorId: moderator?.id ?? null, reason, metadata });
+    if (!result) throw new Error("The warning for this case no longer exists.");
+    return result.caseEntry;
+  }
+
+  /**
+   * Deletes every warning a user has in the guild and records a single audit case.
+   */
+  async clear(guildId, userId, { moderatorId = null, reason = null } = {}) {
+    const warnings = await WarningModel.find({ guildId, userId }).select({ _id: 1, caseNumber: 1 }).lean();
+    if (!warnings.length) return { count: 0, caseEntry: null };
+    await WarningModel.deleteMany({ _id: { $in: warnings.map((warning) => warning._id) } });
+    const caseEntry = this.#logService
+      ? await this.#logService.record({
+        guildId,
+        userId,
+        moderatorId,
+        action: ModerationActionType.WarnClear,
+        reason: normalizeReason(reason),
+        durationMs: null,
+        expiresAt: null,
+        metadata: {
+          count: warnings.length,
+          warningCaseNumbers: warnings.map((warning) => warning.caseNumber).filter((value) => value !== null && value !== undefined)
+        }
+      })
+      : null;
+    return { count: warnings.length, caseEntry };
+  }
+
+  async #audit(warning, action, moderatorId, reason, metadata = null) {
+    if (!this.#logService) return null;
+    return this.#logService.record({
+      guildId: warning.guildId,
+      userId: warning.userId,
+      moderatorId,
+      action,
+      reason: normalizeReason(reason),
+      durationMs: null,
+      expiresAt: null,
+      metadata: {
+        ...(metadata || {}),
+        warningId: warning._id?.toString?.(),
+        warningCaseNumber: warning.caseNumber ?? null,
+        warningReason: warning.reason
+      }
+    });
   }
 }
@@ -0,0 +1,37 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { AntiSpamService, parseSpamAction } from "../AntiSpamService.js";
+
+const baseConfig = { msgWindowMs: 10_000, msgMaxInWindow: 3, linkWindowMs: 10_000, linkMaxInWindow: 2 };
+
+test("record uses the global config when a guild has no thresholds", () => {
+  const service = new AntiSpamService({ ...baseConfig });
+  assert.equal(service.record("g1", "u1", 0, 1000).triggered, false);
+  assert.equal(service.record("g1", "u1", 0, 1001).triggered, false);
+  const result = service.record("g1", "u1", 0, 1002);
+  assert.equal(result.triggered, true);
+  assert.equal(result.kind, "messages");
+});
+
+test("record applies per-guild thresholds without affecting other guilds", () => {
+  const service = new AntiSpamService({ ...baseConfig }, {
+    resolveGuildThresholds: (guildId) => (guildId === "strict" ? { msgs: 1, links: 0, windowSec: 5 } : null)
+  });
+
+  assert.equal(service.record("strict", "u1", 0, 1000).triggered, true);
+  assert.equal(service.record("lenient", "u1", 0, 1000).triggered, false);
+});
+
+test("a link limit of zero disables link tracking", () => {
+  const service = new AntiSpamService({ ...baseConfig }, {
+    resolveGuildThresholds: () => ({ msgs: 50, links: 0, windowSec: 30 })
+  });
+  assert.equal(service.record("g1", "u1", 10, 1000).triggered, false);
+});
+
+test("parseSpamAction understands warn, ban and timeout values", () => {
+  assert.deepEqual(parseSpamAction("ban"), { type: "ban", durationMs: null });
+  assert.deepEqual(parseSpamAction("timeout:60000"), { type: "timeout", durationMs: 60_000 });
+  assert.deepEqual(parseSpamAction("timeout:abc"), { type: "warn", durationMs: null });
+  assert.deepEqual(parseSpamAction(undefined), { type: "warn", durationMs: null });
+});
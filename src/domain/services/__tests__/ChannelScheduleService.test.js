@@ -0,0 +1,76 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { ChannelScheduleService, activeWindow, describeDays, localClock, parseClock, parseDays } from "../ChannelScheduleService.js";
+import { ChannelTimerModel } from "../../../infrastructure/database/models/ChannelTimer.js";
+
+test("parseDays accepts presets, lists and wrapping ranges", () => {
+  assert.deepEqual(parseDays("weekdays"), [1, 2, 3, 4, 5]);
+  assert.deepEqual(parseDays("mon,wed, fri"), [1, 3, 5]);
+  assert.deepEqual(parseDays("fri-mon"), [0, 1, 5, 6]);
+  assert.equal(describeDays(parseDays("sat,sun")), "weekends");
+  assert.throws(() => parseDays("someday"), /not a day/);
+});
+
+test("parseClock validates 24h times", () => {
+  assert.equal(parseClock("18:30"), 1110);
+  assert.equal(parseClock("0:05"), 5);
+  assert.throws(() => parseClock("24:00"), /HH:MM/);
+});
+
+test("activeWindow handles same-day and overnight windows", () => {
+  const evening = { id: "a", days: [1, 2, 3, 4, 5], start: "18:00", end: "23:00", seconds: 15 };
+  const night = { id: "b", days: [5], start: "22:00", end: "02:00", seconds: 30 };
+
+  assert.equal(activeWindow([evening], { day: 1, minutes: 18 * 60 }), evening);
+  assert.equal(activeWindow([evening], { day: 1, minutes: 23 * 60 }), null);
+  assert.equal(activeWindow([evening], { day: 6, minutes: 19 * 60 }), null);
+  assert.equal(activeWindow([night], { day: 5, minutes: 23 * 60 }), night);
+  assert.equal(activeWindow([night], { day: 6, minutes: 60 }), night);
+  assert.equal(activeWindow([night], { day: 5, minutes: 60 }), null);
+});
+
+test("localClock reads the weekday and time in the schedule's time zone", () => {
+  const instant = new Date("2030-01-06T23:30:00Z"); // a Sunday in UTC
+  assert.deepEqual(localClock(instant, "UTC"), { day: 0, minutes: 23 * 60 + 30 });
+  assert.deepEqual(localClock(instant, "Europe/Berlin"), { day: 1, minutes: 30 });
+});
+
+test("a timed unlock that expires during a lockdown is applied to the lockdown snapshot, not the channel", async (t) => {
+  const timer = { _id: "t1", guildId: "g1", channelId: "c1", kind: "unlock", runAt: new Date(Date.now() - 1000) };
+  t.mock.method(ChannelTimerModel, "findOneAndUpdate", () => ({ lean: async () => timer }));
+  t.mock.method(ChannelTimerModel, "findOneAndDelete", () => ({ lean: async () => timer }));
+  const edits = [];
+  const channel = {
+    id: "c1",
+    guildId: "g1",
+    guild: { roles: { everyone: { id: "g1" } } },
+    permissionOverwrites: { edit: async (target, changes) => { edits.push(changes); } }
+  };
+  const guild = { channels: { cache: new Map([["c1", channel]]) } };
+  let lockdown = { scope: "all" };
+  const patched = [];
+  const lockdownService = {
+    patchSnapshot: async (guildId, channelId, changes) => {
+      patched.push({ guildId, channelId, changes });
+      return lockdown;
+    }
+  };
+  const service = new ChannelScheduleService({ lockdownService });
+  service.setClient({ guilds: { cache: new Map([["g1", guild]]) } });
+  const settle = async () => {
+    for (let i = 0; i < 10; i += 1) await new Promise((resolve) => setImmediate(resolve));
+  };
+
+  await service.scheduleUnlock(channel, 1000);
+  await settle();
+  assert.equal(patched.length, 1);
+  assert.deepEqual(patched[0].changes, { SendMessages: null, AddReactions: null });
+  assert.deepEqual(edits, []);
+
+  // an anti-raid lockdown only slows channels down, so the unlock also goes through right away
+  lockdown = { scope: "antiraid", lockSend: false };
+  await service.scheduleUnlock(channel, 1000);
+  await settle();
+  assert.equal(patched.length, 2);
+  assert.deepEqual(edits, [{ SendMessages: null, AddReactions: null }]);
+});
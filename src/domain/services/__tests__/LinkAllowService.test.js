@@ -0,0 +1,71 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { LinkAllowService, matchesLinkRule } from "../LinkAllowService.js";
+import { LinkPolicyModel } from "../../../infrastructure/database/models/LinkPolicy.js";
+import { GuildModerationStateModel } from "../../../infrastructure/database/models/GuildModerationState.js";
+
+test("host rules match the domain and its subdomains, ignoring www", () => {
+  const rule = { type: "host", value: "example.com" };
+  assert.equal(matchesLinkRule(rule, "https://example.com/a"), true);
+  assert.equal(matchesLinkRule(rule, "https://www.example.com/"), true);
+  assert.equal(matchesLinkRule(rule, "https://cdn.example.com/x.png"), true);
+  assert.equal(matchesLinkRule(rule, "https://notexample.com/"), false);
+});
+
+test("path_prefix rules support host-qualified and host-less prefixes", () => {
+  assert.equal(matchesLinkRule({ type: "path_prefix", value: "github.com/Rinzii" }, "https://www.github.com/Rinzii/wiz"), true);
+  assert.equal(matchesLinkRule({ type: "path_prefix", value: "github.com/Rinzii" }, "https://github.com/other"), false);
+  assert.equal(matchesLinkRule({ type: "path_prefix", value: "/download" }, "https://any.host/download/file"), true);
+});
+
+test("exact, substring and regex rules", () => {
+  assert.equal(matchesLinkRule({ type: "exact", value: "https://bad.com/x" }, "https://bad.com/x#frag"), true);
+  assert.equal(matchesLinkRule({ type: "exact", value: "https://bad.com/x" }, "https://bad.com/y"), false);
+  assert.equal(matchesLinkRule({ type: "substring", value: "FREE-NITRO" }, "https://scam.io/free-nitro"), true);
+  assert.equal(matchesLinkRule({ type: "regex", value: "^https://[a-z]+\\.ru/" }, "https://spam.ru/page"), true);
+  assert.equal(matchesLinkRule({ type: "regex", value: "(" }, "https://spam.ru/page"), false);
+});
+
+test("extractUrls finds links and invites, and isInviteUrl flags invites", () => {
+  const urls = LinkAllowService.extractUrls("see https://a.com/x and discord.gg/abc plus text");
+  assert.deepEqual(urls, ["https://a.com/x", "discord.gg/abc"]);
+  assert.equal(LinkAllowService.isInviteUrl("https://discord.com/invite/abc"), true);
+  assert.equal(LinkAllowService.isInviteUrl("https://a.com/x"), false);
+});
+
+test("evaluate and findViolation without stored rules", () => {
+  const service = new LinkAllowService();
+  assert.deepEqual(service.evaluate("g1", "https://a.com/"), { result: "none", rule: null });
+  assert.equal(service.getMode("g1"), "off");
+  assert.equal(service.findViolation("g1", "https://a.com/"), null);
+});
+
+test("migrateLegacyRules moves rules off the moderation state without duplicating existing ones", async (t) => {
+  const unset = [];
+  const pushed = [];
+  t.mock.method(GuildModerationStateModel.collection, "find", () => ({
+    toArray: async () => [{
+      _id: "s1",
+      guildId: "g1",
+      linkRules: {
+        allow: [{ id: "a1", type: "exact", value: "https://ok.com/" }],
+        deny: [{ id: "d1", type: "pattern", value: "free-nitro" }, { id: "d2", type: "pattern", value: "scam.io" }]
+      }
+    }]
+  }));
+  t.mock.method(GuildModerationStateModel.collection, "updateOne", async (filter, update) => { unset.push([filter, update]); });
+  t.mock.method(LinkPolicyModel, "findOne", () => ({
+    lean: async () => ({ guildId: "g1", rules: [{ list: "deny", type: "substring", value: "SCAM.io" }] })
+  }));
+  t.mock.method(LinkPolicyModel, "findOneAndUpdate", (filter, update) => {
+    pushed.push(...update.$push.rules.$each);
+    return { lean: async () => ({ guildId: "g1", mode: "off", rules: pushed }) };
+  });
+
+  const service = new LinkAllowService();
+  assert.equal(await service.migrateLegacyRules(), 2);
+  assert.deepEqual(pushed.map((rule) => [rule.list, rule.type, rule.value]), [["allow", "exact", "https://ok.com/"], ["deny", "substring", "free-nitro"]]);
+  assert.deepEqual(unset, [[{ _id: "s1" }, { $unset: { linkRules: "" } }]]);
+  assert.equal(service.getMode("g1"), "off");
+  assert.equal(service.evaluate("g1", "https://x.io/free-nitro").result, "deny");
+});
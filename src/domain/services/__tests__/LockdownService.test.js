@@ -0,0 +1,117 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { ChannelType, PermissionFlagsBits, PermissionsBitField } from "discord.js";
+import { LockdownService, overwriteOptions, patchOverwrite, selectLockdownChannels, snapshotChannel } from "../LockdownService.js";
+import { LockdownModel } from "../../../infrastructure/database/models/Lockdown.js";
+
+function createChannel(id, { type = ChannelType.GuildText, parentId = null, hidden = false, overwrite = null, rateLimitPerUser = 0 } = {}) {
+  return {
+    id,
+    type,
+    parentId,
+    rateLimitPerUser,
+    permissionsFor: () => new PermissionsBitField(hidden ? 0n : PermissionFlagsBits.ViewChannel),
+    permissionOverwrites: { cache: new Map(overwrite ? [["everyone", overwrite]] : []) }
+  };
+}
+
+function createGuild(channels) {
+  return {
+    roles: { everyone: { id: "everyone" } },
+    channels: { cache: new Map(channels.map((channel) => [channel.id, channel])) }
+  };
+}
+
+test("selectLockdownChannels skips hidden and non-text channels for category and server scopes", () => {
+  const guild = createGuild([
+    createChannel("general", { parentId: "community" }),
+    createChannel("staff", { parentId: "community", hidden: true }),
+    createChannel("voice", { type: ChannelType.GuildVoice, parentId: "community" }),
+    createChannel("news", { type: ChannelType.GuildAnnouncement })
+  ]);
+
+  assert.deepEqual(selectLockdownChannels(guild, { all: true }).map((c) => c.id), ["general", "news"]);
+  assert.deepEqual(selectLockdownChannels(guild, { categoryId: "community" }).map((c) => c.id), ["general"]);
+  assert.deepEqual(selectLockdownChannels(guild, { channelIds: ["staff", "voice", "missing"] }).map((c) => c.id), ["staff"]);
+});
+
+test("snapshotChannel and overwriteOptions round-trip the @everyone overwrite", () => {
+  const overwrite = {
+    allow: new PermissionsBitField(PermissionFlagsBits.AttachFiles),
+    deny: new PermissionsBitField(PermissionFlagsBits.EmbedLinks)
+  };
+  const snapshot = snapshotChannel(createChannel("general", { overwrite, rateLimitPerUser: 5 }), "everyone");
+
+  assert.equal(snapshot.rateLimitPerUser, 5);
+  assert.deepEqual(overwriteOptions(snapshot.everyone), { AttachFiles: true, EmbedLinks: false });
+  assert.equal(snapshotChannel(createChannel("bare"), "everyone").everyone, null);
+});
+
+test("a manual start takes over an anti-raid lockdown and keeps its pre-raid snapshots", async (t) => {
+  const general = { ...createChannel("general", { rateLimitPerUser: 30 }), permissionOverwrites: { cache: new Map(), edit: async () => {} } };
+  const news = { ...createChannel("news"), permissionOverwrites: { cache: new Map(), edit: async () => {} } };
+  const guild = createGuild([general, news]);
+  guild.id = "g1";
+  const antiraid = { _id: "l1", guildId: "g1", scope: "antiraid", active: true, channels: [{ channelId: "general", rateLimitPerUser: 0, everyone: null }] };
+  const updates = [];
+  t.mock.method(LockdownModel, "findOne", () => ({ lean: async () => antiraid }));
+  t.mock.method(LockdownModel, "findOneAndUpdate", (filter, update) => {
+    updates.push({ filter, update });
+    return { lean: async () => ({ ...antiraid, ...update.$set, channels: [...antiraid.channels, ...update.$push.channels.$each] }) };
+  });
+  const service = new LockdownService();
+
+  const result = await service.start({ guild, channels: [general, news], moderator: { id: "mod-1" }, scope: "all", notify: false });
+
+  assert.equal(result.tookOver, "antiraid");
+  assert.equal(result.locked, 2);
+  assert.deepEqual(updates[0].filter, { _id: "l1", active: true, scope: "antiraid" });
+  assert.deepEqual(updates[0].update.$push.channels.$each.map((snapshot) => snapshot.channelId), ["news"]);
+  assert.deepEqual(result.lockdown.channels.find((snapshot) => snapshot.channelId === "general"), antiraid.channels[0]);
+
+  await assert.rejects(
+    service.start({ guild, channels: [general], scope: "antiraid", notify: false }),
+    /already active/
+  );
+});
+
+test("end keeps the lockdown active with the snapshots it could not restore", async (t) => {
+  const restoredOverwrites = [];
+  const general = {
+    ...createChannel("general"),
+    permissionOverwrites: { cache: new Map([["everyone", {}]]), delete: async (id) => { restoredOverwrites.push(id); } }
+  };
+  const news = {
+    ...createChannel("news"),
+    permissionOverwrites: { cache: new Map([["everyone", {}]]), delete: async () => { throw new Error("Missing Permissions"); } }
+  };
+  const guild = createGuild([general, news]);
+  guild.id = "g1";
+  const snapshots = [{ channelId: "general", rateLimitPerUser: 0, everyone: null }, { channelId: "news", rateLimitPerUser: 0, everyone: null }];
+  const active = { _id: "l1", guildId: "g1", scope: "all", active: true, endsAt: new Date(Date.now() + 60_000), channels: snapshots };
+  const updates = [];
+  t.mock.method(LockdownModel, "findOne", () => ({ lean: async () => active }));
+  t.mock.method(LockdownModel, "findOneAndUpdate", (filter, update) => {
+    updates.push(update);
+    return { lean: async () => ({ ...active, ...(update.$set ?? update) }) };
+  });
+
+  const result = await new LockdownService().end({ guild, reason: "All clear", notify: false });
+
+  assert.deepEqual(restoredOverwrites, ["everyone"]);
+  assert.equal(result.ended, false);
+  assert.equal(result.restored, 1);
+  assert.equal(result.failed, 1);
+  assert.deepEqual(updates, [{ $set: { channels: [snapshots[1]], endsAt: null } }]);
+  assert.equal(result.lockdown.active, true);
+});
+
+test("patchOverwrite applies and clears flags on a stored overwrite", () => {
+  const locked = {
+    allow: String(PermissionFlagsBits.AttachFiles),
+    deny: String(PermissionFlagsBits.SendMessages | PermissionFlagsBits.AddReactions)
+  };
+  assert.deepEqual(patchOverwrite(locked, { SendMessages: null, AddReactions: null }), { allow: String(PermissionFlagsBits.AttachFiles), deny: "0" });
+  assert.equal(patchOverwrite({ allow: "0", deny: String(PermissionFlagsBits.SendMessages) }, { SendMessages: null }), null);
+  assert.deepEqual(patchOverwrite(null, { SendMessages: false }), { allow: "0", deny: String(PermissionFlagsBits.SendMessages) });
+});
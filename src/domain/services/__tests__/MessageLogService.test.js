@@ -0,0 +1,84 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { MessageLogService } from "../MessageLogService.js";
+
+function createGuild() {
+  const sent = [];
+  const logChannel = { id: "log", isTextBased: () => true, send: async (payload) => { sent.push(payload); } };
+  const guild = { id: "g1", channels: { cache: new Map([["log", logChannel]]), fetch: async () => null } };
+  return { guild, sent };
+}
+
+function createService({ settings = {}, mappings = [] } = {}) {
+  return new MessageLogService({
+    cacheSize: 2,
+    channelMapService: {
+      get: async (guildId, key) => (key === "message_log" ? { channelId: "log" } : null),
+      list: async () => [{ key: "message_log", channelId: "log" }, ...mappings]
+    },
+    guildConfigService: {
+      getMessageLogSettings: async () => ({ ignoredChannelIds: [], includeStaffChannels: false, ...settings }),
+      getModLogChannelId: async () => "modlog"
+    }
+  });
+}
+
+const message = (id, guild, overrides = {}) => ({
+  id,
+  guild,
+  guildId: guild.id,
+  channelId: "general",
+  channel: { id: "general", parentId: "cat-1" },
+  author: { id: "u1", tag: "user#0001" },
+  createdTimestamp: Date.UTC(2030, 0, 1),
+  content: `content ${id}`,
+  attachments: new Map(),
+  embeds: [],
+  ...overrides
+});
+
+test("remember keeps a bounded cache used for uncached deletes", async () => {
+  const { guild, sent } = createGuild();
+  const service = createService();
+  service.remember(message("1", guild));
+  service.remember(message("2", guild));
+  service.remember(message("3", guild));
+  assert.equal(service.cacheSize, 2);
+
+  const partial = { id: "3", guild, guildId: "g1", channelId: "general", channel: { id: "general" }, partial: true };
+  assert.equal(await service.logDelete(partial), true);
+  assert.equal(sent[0].embeds[0].toJSON().description, "content 3");
+  assert.equal(service.cacheSize, 1);
+});
+
+test("edits log before and after content and skip unchanged updates", async () => {
+  const { guild, sent } = createGuild();
+  const service = createService();
+  service.remember(message("1", guild, { content: "old" }));
+
+  assert.equal(await service.logUpdate(null, message("1", guild, { content: "new" })), true);
+  const fields = Object.fromEntries(sent[0].embeds[0].toJSON().fields.map((field) => [field.name, field.value]));
+  assert.equal(fields.Before, "old");
+  assert.equal(fields.After, "new");
+
+  assert.equal(await service.logUpdate(null, message("1", guild, { content: "new" })), false);
+});
+
+test("ignored channels, staff channels and purged messages are not logged", async () => {
+  const { guild, sent } = createGuild();
+  const ignoring = createService({ settings: { ignoredChannelIds: ["cat-1"] } });
+  assert.equal(await ignoring.logDelete(message("1", guild)), false);
+
+  const staff = createService({ mappings: [{ key: "flag_log", channelId: "general" }] });
+  assert.equal(await staff.logDelete(message("2", guild)), false);
+  const included = createService({ settings: { includeStaffChannels: true }, mappings: [{ key: "flag_log", channelId: "general" }] });
+  assert.equal(await included.logDelete(message("3", guild)), true);
+
+  const service = createService();
+  service.markArchived(["4"]);
+  const channel = { id: "general", guild, name: "general", toString: () => "<#general>" };
+  assert.equal(await service.logBulkDelete(new Map([["4", message("4", guild)]]), channel), false);
+  assert.equal(await service.logBulkDelete(new Map([["5", message("5", guild)]]), channel), true);
+  assert.equal(sent.at(-1).files.length, 1);
+  assert.equal(sent.length, 2);
+});
@@ -0,0 +1,84 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { ModLogPublisher, buildCaseEmbed } from "../ModLogPublisher.js";
+
+const baseEntry = {
+  guildId: "g1",
+  userId: "u1",
+  moderatorId: "m1",
+  action: "ban",
+  caseNumber: 7,
+  reason: "spam",
+  durationMs: 3_600_000,
+  expiresAt: new Date("2030-01-01T00:00:00Z"),
+  metadata: { targetTag: "user#0001" },
+  createdAt: new Date("2029-12-31T23:00:00Z")
+};
+
+function fieldNames(embed) {
+  return embed.toJSON().fields.map((field) => field.name);
+}
+
+test("buildCaseEmbed shows case details and status changes", () => {
+  const embed = buildCaseEmbed(baseEntry);
+  assert.equal(embed.toJSON().title, "Case #7 — Ban");
+  assert.deepEqual(fieldNames(embed), ["Target", "Moderator", "Reason", "Duration", "Expires"]);
+
+  const expunged = buildCaseEmbed({ ...baseEntry, expungedAt: new Date(), expungedBy: "m2", expungedReason: "mistake" });
+  assert.match(expunged.toJSON().title, /expunged/);
+  assert.ok(fieldNames(expunged).includes("Expunged"));
+
+  const withEvidence = buildCaseEmbed({ ...baseEntry, evidence: [{ type: "transcript", label: "Transcript of #general", url: "https://discord.com/channels/g1/c1/m1" }] });
+  const evidence = withEvidence.toJSON().fields.find((entry) => entry.name === "Evidence");
+  assert.equal(evidence.value, "[Transcript of #general](https://discord.com/channels/g1/c1/m1)");
+
+  const purge = buildCaseEmbed({ ...baseEntry, action: "purge", userId: null, durationMs: null, expiresAt: null, metadata: { channelId: "c1" } }).toJSON();
+  assert.deepEqual(purge.fields[0], { name: "Channel", value: "<#c1>", inline: true });
+  assert.equal(purge.footer.text, "Case #7");
+
+  const completed = buildCaseEmbed({ ...baseEntry, completedAt: new Date(), undoContext: { via: "auto" } });
+  const field = completed.toJSON().fields.find((entry) => entry.name === "Completed");
+  assert.match(field.value, /automatically/);
+});
+
+function createClient() {
+  const messages = new Map();
+  const channel = {
+    id: "c1",
+    isTextBased: () => true,
+    send: async (payload) => {
+      const message = { id: `m${messages.size + 1}`, payload, edit: async (next) => { message.payload = next; } };
+      messages.set(message.id, message);
+      return message;
+    },
+    messages: { fetch: async (id) => messages.get(id) || null }
+  };
+  const guild = {
+    id: "g1",
+    channels: { cache: new Map([["c1", channel]]), fetch: async () => null }
+  };
+  return { client: { guilds: { cache: new Map([["g1", guild]]) } }, messages };
+}
+
+test("publish posts to the configured mod log channel and update edits the same message", async () => {
+  const { client, messages } = createClient();
+  const publisher = new ModLogPublisher({ guildConfigService: { getModLogChannelId: async () => "c1" } });
+  publisher.setClient(client);
+
+  const posted = await publisher.publish(baseEntry);
+  assert.deepEqual(posted, { channelId: "c1", messageId: "m1" });
+
+  const updated = await publisher.update({ ...baseEntry, reason: "appeal denied", logChannelId: "c1", logMessageId: "m1" });
+  assert.equal(updated, true);
+  assert.equal(messages.size, 1);
+  const reason = messages.get("m1").payload.embeds[0].toJSON().fields.find((field) => field.name === "Reason");
+  assert.equal(reason.value, "appeal denied");
+});
+
+test("publish returns null when no channel can be resolved", async () => {
+  const { client } = createClient();
+  const publisher = new ModLogPublisher({ guildConfigService: { getModLogChannelId: async () => "" } });
+  publisher.setClient(client);
+  assert.equal(await publisher.publish(baseEntry), null);
+  assert.equal(await publisher.update(baseEntry), false);
+});
@@ -0,0 +1,283 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { ModerationService } from "../ModerationService.js";
+import { ModerationActionType } from "../moderationActions.js";
+
+const createLogService = () => {
+  const recorded = [];
+  const completed = [];
+  return {
+    recorded,
+    completed,
+    activeEntry: null,
+    async record(entry) {
+      const doc = { _id: `case-${recorded.length + 1}`, caseNumber: recorded.length + 1, ...entry };
+      recorded.push(doc);
+      return doc;
+    },
+    async findLatestActive() {
+      return this.activeEntry;
+    },
+    async markCompleted(id, undoContext) {
+      completed.push({ id, undoContext });
+      return { _id: id };
+    },
+    async getActiveTimedActions() {
+      return [];
+    }
+  };
+};
+
+const createMember = (overrides = {}) => {
+  const calls = { kick: [], timeout: [], roles: [] };
+  return {
+    id: "user-1",
+    user: { tag: "target#0001" },
+    kickable: true,
+    moderatable: true,
+    calls,
+    kick: async (reason) => { calls.kick.push(reason); },
+    timeout: async (ms, reason) => { calls.timeout.push({ ms, reason }); },
+    roles: { add: async (role, reason) => { calls.roles.push({ role, reason }); } },
+    ...overrides
+  };
+};
+
+const guild = { id: "guild-1", bans: { removed: [], remove: async function (id, reason) { this.removed.push({ id, reason }); } } };
+const moderator = { id: "mod-1", tag: "mod#0001" };
+
+test("kick records a kick case with the moderator in the audit reason", async () => {
+  const logService = createLogService();
+  const service = new ModerationService(null, logService);
+  const member = createMember();
+
+  const entry = await service.kick({ guild, target: member, moderator, reason: "spam" });
+
+  assert.equal(member.calls.kick[0], "spam - by mod#0001");
+  assert.equal(entry.action, ModerationActionType.Kick);
+  assert.equal(entry.moderatorId, "mod-1");
+  assert.equal(entry.metadata.targetTag, "target#0001");
+});
+
+test("timeout records a mute case with expiry", async () => {
+  const logService = createLogService();
+  const service = new ModerationService(null, logService);
+  const member = createMember();
+
+  const entry = await service.timeout({ guild, target: member, moderator, reason: "cool off", durationMs: 60_000 });
+  service.cancelTimerForEntry(entry);
+
+  assert.equal(member.calls.timeout[0].ms, 60_000);
+  assert.match(member.calls.timeout[0].reason, /^cool off - by mod#0001 \(until /);
+  assert.equal(entry.action, ModerationActionType.Mute);
+  assert.equal(entry.durationMs, 60_000);
+  assert.ok(entry.expiresAt instanceof Date);
+});
+
+test("untimeout completes the active mute and records an unmute case", async () => {
+  const logService = createLogService();
+  logService.activeEntry = { _id: "mute-1", action: ModerationActionType.Mute, guildId: "guild-1", userId: "user-1" };
+  const service = new ModerationService(null, logService);
+  const member = createMember();
+
+  const entry = await service.untimeout({ guild, target: member, moderator, reason: "" });
+
+  assert.equal(member.calls.timeout[0].ms, null);
+  assert.equal(logService.completed[0].id, "mute-1");
+  assert.equal(entry.action, ModerationActionType.Unmute);
+  assert.equal(entry.reason, "No reason provided.");
+});
+
+test("unban accepts a raw user id", async () => {
+  const logService = createLogService();
+  const service = new ModerationService(null, logService);
+
+  const entry = await service.unban({ guild, user: "user-9", moderator, reason: "appeal" });
+
+  assert.deepEqual(guild.bans.removed.at(-1), { id: "user-9", reason: "appeal - by mod#0001" });
+  assert.equal(entry.action, ModerationActionType.Unban);
+  assert.equal(entry.userId, "user-9");
+});
+
+test("quarantine records the applied role", async () => {
+  const logService = createLogService();
+  const service = new ModerationService(null, logService);
+  const member = createMember();
+
+  const entry = await service.quarantine({ guild, target: member, moderator, role: { id: "role-q" }, reason: "raid" });
+
+  assert.equal(member.calls.roles[0].role.id, "role-q");
+  assert.equal(entry.action, ModerationActionType.Quarantine);
+  assert.equal(entry.metadata.roleId, "role-q");
+});
+
+test("kick rejects members that cannot be kicked", async () => {
+  const service = new ModerationService(null, createLogService());
+  await assert.rejects(
+    service.kick({ guild, target: createMember({ kickable: false }), moderator }),
+    /not kickable/
+  );
+});
+
+test("editCaseTiming re-applies a timeout and records the new expiry", async () => {
+  const logService = createLogService();
+  const createdAt = new Date(Date.now() - 60_000);
+  const entry = { _id: "mute-2", caseNumber: 4, action: ModerationActionType.Mute, guildId: "guild-1", userId: "user-1", createdAt, expiresAt: new Date(Date.now() + 60_000) };
+  logService.getByCase = async () => entry;
+  logService.updateTiming = async (update) => ({ ...entry, ...update });
+  const member = createMember();
+  const service = new ModerationService(null, logService);
+
+  const updated = await service.editCaseTiming({
+    guild: { ...guild, members: { fetch: async () => member } },
+    caseNumber: 4,
+    moderator,
+    durationMs: 3_600_000
+  });
+  service.cancelTimerForEntry(updated);
+
+  assert.equal(updated.expiresAt.getTime(), createdAt.getTime() + 3_600_000);
+  assert.equal(updated.durationMs, 3_600_000);
+  assert.ok(Math.abs(member.calls.timeout[0].ms - 3_540_000) < 1_000);
+  assert.match(member.calls.timeout[0].reason, /^Case #4 duration changed - by mod#0001/);
+});
+
+test("editCaseTiming rejects completed, expunged and untimed cases", async () => {
+  const logService = createLogService();
+  const service = new ModerationService(null, logService);
+  const base = { _id: "x", caseNumber: 5, guildId: "guild-1", userId: "user-1", createdAt: new Date() };
+  const attempt = (entry) => {
+    logService.getByCase = async () => entry;
+    return service.editCaseTiming({ guild, caseNumber: 5, moderator, durationMs: 60_000 });
+  };
+
+  await assert.rejects(attempt({ ...base, action: ModerationActionType.Ban, expiresAt: new Date(), completedAt: new Date() }), /active timed/);
+  await assert.rejects(attempt({ ...base, action: ModerationActionType.Ban, expiresAt: new Date(), expungedAt: new Date() }), /restore it first/);
+  await assert.rejects(attempt({ ...base, action: ModerationActionType.Kick, expiresAt: new Date() }), /do not expire/);
+});
+
+test("undoCase runs the action's undo handler and links the new case to the original", async () => {
+  const logService = createLogService();
+  const entry = { _id: "ban-1", caseNumber: 9, action: ModerationActionType.Ban, guildId: "guild-1", userId: "user-3" };
+  logService.getByCase = async () => entry;
+  const service = new ModerationService(null, logService);
+
+  const { linkedCase } = await service.undoCase({ guild, caseNumber: 9, moderator, reason: "appeal" });
+
+  assert.deepEqual(guild.bans.removed.at(-1), { id: "user-3", reason: "appeal - by mod#0001" });
+  assert.equal(linkedCase.action, ModerationActionType.Unban);
+  assert.deepEqual(linkedCase.metadata, { source: "undo", linkedCaseNumber: 9 });
+  assert.equal(logService.completed[0].id, "ban-1");
+  assert.equal(logService.completed[0].undoContext.via, "undo");
+  assert.equal(logService.completed[0].undoContext.undoCaseNumber, linkedCase.caseNumber);
+});
+
+test("undoCase uses registered handlers and refuses cases without one", async () => {
+  const logService = createLogService();
+  const service = new ModerationService(null, logService);
+  const entry = { _id: "warn-1", caseNumber: 3, action: ModerationActionType.Warn, guildId: "guild-1", userId: "user-1" };
+  logService.getByCase = async () => entry;
+
+  await assert.rejects(service.undoCase({ guild, caseNumber: 3, moderator }), /warn cases cannot be undone/);
+
+  const calls = [];
+  service.registerUndoHandler(ModerationActionType.Warn, {
+    undo: async (undone, context) => {
+      calls.push({ undone, context });
+      return { caseNumber: 4 };
+    }
+  });
+  await service.undoCase({ guild, caseNumber: 3, moderator });
+  assert.equal(calls[0].undone, entry);
+  assert.equal(calls[0].context.reason, "No reason provided.");
+
+  logService.getByCase = async () => ({ ...entry, completedAt: new Date() });
+  await assert.rejects(service.undoCase({ guild, caseNumber: 3, moderator }), /already been lifted or undone/);
+});
+
+test("quarantine strips manageable roles and unquarantine restores them", async () => {
+  const logService = createLogService();
+  const service = new ModerationService(null, logService);
+  const removed = [];
+  const added = [];
+  const member = createMember({
+    roles: {
+      cache: new Map([
+        ["guild-1", { id: "guild-1" }],
+        ["role-a", { id: "role-a", editable: true }],
+        ["role-boost", { id: "role-boost", managed: true }],
+        ["role-high", { id: "role-high", editable: false }]
+      ]),
+      add: async (role) => { added.push(role); },
+      remove: async (role) => { removed.push(role); }
+    }
+  });
+
+  const entry = await service.quarantine({ guild, target: member, moderator, role: { id: "role-q" }, reason: "raid", durationMs: 60_000 });
+  service.cancelTimerForEntry(entry);
+
+  assert.deepEqual(added, [{ id: "role-q" }]);
+  assert.deepEqual(removed, [["role-a"]]);
+  assert.deepEqual(entry.metadata.strippedRoleIds, ["role-a"]);
+  assert.equal(entry.durationMs, 60_000);
+
+  logService.activeEntry = entry;
+  const released = await service.unquarantine({ guild, target: member, moderator, reason: "cleared" });
+
+  assert.equal(removed.at(-1), "role-q");
+  assert.deepEqual(added.at(-1), ["role-a"]);
+  assert.equal(released.action, ModerationActionType.Unquarantine);
+  assert.equal(released.metadata.linkedCaseNumber, entry.caseNumber);
+  assert.equal(logService.completed[0].id, entry._id);
+});
+
+test("timeout falls back to the mute role beyond Discord's cap and for permanent mutes", async () => {
+  const logService = createLogService();
+  const service = new ModerationService(null, logService);
+  const member = createMember();
+  const muteRole = { id: "role-muted" };
+
+  await assert.rejects(
+    service.timeout({ guild, target: member, moderator, durationMs: 40 * 86_400_000 }),
+    /without a mute role/
+  );
+
+  const long = await service.timeout({ guild, target: member, moderator, durationMs: 40 * 86_400_000, muteRole });
+  service.cancelTimerForEntry(long);
+  assert.equal(member.calls.timeout.length, 0);
+  assert.equal(member.calls.roles[0].role, muteRole);
+  assert.equal(long.metadata.roleId, "role-muted");
+
+  const permanent = await service.timeout({ guild, target: member, moderator, permanent: true, muteRole });
+  assert.equal(permanent.expiresAt, null);
+  assert.equal(permanent.durationMs, null);
+});
+
+test("reapplyMuteRole restores an active role mute on rejoin", async () => {
+  const logService = createLogService();
+  const service = new ModerationService(null, logService);
+  const added = [];
+  const rejoined = {
+    id: "user-1",
+    guild: { id: "guild-1", roles: { cache: new Map([["role-muted", {}]]) } },
+    roles: { add: async (roleId, reason) => { added.push({ roleId, reason }); } }
+  };
+
+  assert.equal(await service.reapplyMuteRole(rejoined), null);
+
+  logService.activeEntry = { caseNumber: 12, metadata: { roleId: "role-muted" }, expiresAt: new Date(Date.now() + 60_000) };
+  await service.reapplyMuteRole(rejoined);
+  assert.deepEqual(added, [{ roleId: "role-muted", reason: "Re-applying mute from case #12 after rejoin" }]);
+
+  logService.activeEntry = { caseNumber: 13, metadata: {}, expiresAt: new Date(Date.now() + 60_000) };
+  assert.equal(await service.reapplyMuteRole(rejoined), null);
+});
+
+test("recordCase files purges without a target user but still requires one for other actions", async () => {
+  const logService = createLogService();
+  const service = new ModerationService(null, logService);
+
+  const entry = await service.recordCase({ guild, moderator, action: ModerationActionType.Purge, reason: "cleanup", metadata: { channelId: "c1" } });
+  assert.equal(entry.userId, null);
+  await assert.rejects(service.recordCase({ guild, moderator, action: ModerationActionType.Warn, reason: "x" }), /Missing user/);
+});
@@ -0,0 +1,248 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { ChannelType } from "discord.js";
+import { ModmailService, buildGuildSelect, buildStaffReplyEmbed, modmailThreadName } from "../ModmailService.js";
+import { ModmailThreadModel } from "../../../infrastructure/database/models/ModmailThread.js";
+import { ModmailBlockModel } from "../../../infrastructure/database/models/ModmailBlock.js";
+
+const guild = { id: "g1", name: "Test Guild", iconURL: () => null };
+const staff = { id: "mod-1", tag: "mod#0001", displayAvatarURL: () => null };
+
+function createGuild(channels) {
+  const cache = new Map(channels.map((channel) => [channel.id, channel]));
+  return {
+    id: "g1",
+    channels: {
+      cache,
+      fetch: async (id) => cache.get(id) ?? null
+    }
+  };
+}
+
+test("anonymous replies hide the staff member from the user but not from the thread", () => {
+  const dm = buildStaffReplyEmbed({ guild, staff, content: "We're on it", anonymous: true }).toJSON();
+  assert.equal(dm.author.name, "Test Guild staff");
+  assert.doesNotMatch(JSON.stringify(dm), /mod#0001/);
+
+  const copy = buildStaffReplyEmbed({ guild, staff, content: "We're on it", anonymous: true, forStaff: true }).toJSON();
+  assert.equal(copy.author.name, "mod#0001");
+  assert.equal(copy.footer.text, "Anonymous reply");
+
+  const named = buildStaffReplyEmbed({ guild, staff, content: "Hi" }).toJSON();
+  assert.equal(named.author.name, "mod#0001");
+  assert.equal(named.footer.text, "Test Guild");
+});
+
+test("thread names and the guild menu carry enough to find the user and their message", () => {
+  assert.equal(modmailThreadName({ username: "someone", id: "123456789" }), "someone-6789");
+  const row = buildGuildSelect([{ id: "g1", name: "One" }, { id: "g2", name: "Two" }], "m1").toJSON();
+  assert.equal(row.components[0].custom_id, "modmail:open:m1");
+  assert.deepEqual(row.components[0].options.map((option) => option.value), ["g1", "g2"]);
+});
+
+test("resolveModmailChannel accepts a mapped forum and falls back to a channel named modmail", async () => {
+  const forum = { id: "f1", name: "support", type: ChannelType.GuildForum };
+  const voice = { id: "v1", name: "voice", type: ChannelType.GuildVoice, isTextBased: () => true };
+  const named = { id: "t1", name: "mod-mail", type: ChannelType.GuildText, isTextBased: () => true };
+
+  const mapped = new ModmailService({ channelMapService: { get: async () => ({ channelId: "f1" }) } });
+  assert.equal(await mapped.resolveModmailChannel(createGuild([forum, named])), forum);
+
+  const wrongType = new ModmailService({ channelMapService: { get: async () => ({ channelId: "v1" }) } });
+  assert.equal(await wrongType.resolveModmailChannel(createGuild([voice, named])), named);
+  assert.equal(await wrongType.resolveModmailChannel(createGuild([voice])), null);
+});
+
+const openRecord = { _id: "r1", guildId: "g1", userId: "u1", channelId: "t1", parentId: "f1", status: "open" };
+
+function stubModels(t, { open = null, blocked = false } = {}) {
+  const calls = { updates: [], created: [], closed: [] };
+  t.mock.method(ModmailThreadModel, "findOne", () => ({ lean: async () => open }));
+  t.mock.method(ModmailThreadModel, "updateOne", async (filter, update) => { calls.updates.push(update); });
+  t.mock.method(ModmailThreadModel, "create", async (fields) => {
+    calls.created.push(fields);
+    return { toObject: () => ({ _id: "r2", status: "open", ...fields }) };
+  });
+  t.mock.method(ModmailThreadModel, "findOneAndUpdate", (filter, update) => {
+    calls.closed.push({ filter, update });
+    return { lean: async () => ({ ...open, ...update.$set }) };
+  });
+  t.mock.method(ModmailBlockModel, "exists", async () => (blocked ? { _id: "b1" } : null));
+  return calls;
+}
+
+function createThread(id = "t1", { failFiles = false } = {}) {
+  const sent = [];
+  return {
+    id,
+    name: "someone-6789",
+    sent,
+    toString: () => `<#${id}>`,
+    async send(payload) {
+      if (failFiles && payload.files) throw new Error("Request entity too large");
+      sent.push(payload);
+      return { id: `m${sent.length}`, url: `https://discord.com/channels/g1/${id}/m${sent.length}` };
+    }
+  };
+}
+
+function createDm({ content = "hello", attachments = [], client } = {}) {
+  const replies = [];
+  const reactions = [];
+  return {
+    id: "dm-1",
+    content,
+    replies,
+    reactions,
+    client,
+    createdAt: new Date("2030-01-01T00:00:00Z"),
+    author: { id: "u1", tag: "someone#0001", username: "someone", createdAt: new Date("2020-01-01T00:00:00Z"), displayAvatarURL: () => null },
+    attachments: new Map(attachments.map((attachment) => [attachment.name, attachment])),
+    reply: async (payload) => { replies.push(payload); },
+    react: async (emoji) => { reactions.push(emoji); }
+  };
+}
+
+test("DMs from a member with an open thread are relayed with their attachments", async (t) => {
+  const calls = stubModels(t, { open: openRecord });
+  const thread = createThread();
+  const client = { channels: { fetch: async (id) => (id === "t1" ? thread : null) } };
+  const message = createDm({ client, attachments: [{ name: "proof.png", url: "https://cdn.example/proof.png" }] });
+
+  assert.equal(await new ModmailService().handleDirectMessage(message), true);
+  assert.equal(thread.sent[0].embeds[0].toJSON().description, "hello");
+  assert.deepEqual(thread.sent[0].files, [{ attachment: "https://cdn.example/proof.png", name: "proof.png" }]);
+  assert.deepEqual(message.reactions, ["✅"]);
+  assert.deepEqual(calls.updates[0].$inc, { messageCount: 1 });
+
+  const failing = createThread("t1", { failFiles: true });
+  client.channels.fetch = async () => failing;
+  await new ModmailService().handleDirectMessage(message);
+  assert.match(failing.sent[0].content, /https:\/\/cdn\.example\/proof\.png/);
+});
+
+test("blocked members are refused instead of relayed", async (t) => {
+  stubModels(t, { open: openRecord, blocked: true });
+  const thread = createThread();
+  const message = createDm({ client: { channels: { fetch: async () => thread } } });
+
+  assert.equal(await new ModmailService().handleDirectMessage(message), false);
+  assert.equal(thread.sent.length, 0);
+  assert.match(message.replies[0].content, /can’t send modmail/);
+});
+
+test("members without a modmail server are told once per cooldown", async (t) => {
+  stubModels(t);
+  let fetches = 0;
+  const guild = {
+    id: "g1",
+    channels: { cache: new Map(), fetch: async () => null },
+    members: { cache: new Map(), fetch: async () => { fetches += 1; return { id: "u1" }; } }
+  };
+  const service = new ModmailService();
+  const message = createDm({ client: { guilds: { cache: new Map([["g1", guild]]) } } });
+
+  await service.handleDirectMessage(message);
+  await service.handleDirectMessage(message);
+  assert.equal(message.replies.length, 1);
+  assert.match(message.replies[0].content, /isn’t available/);
+  // no modmail channel, so the member is never fetched
+  assert.equal(fetches, 0);
+});
+
+test("opening a thread posts the member's history summary before relaying", async (t) => {
+  const calls = stubModels(t);
+  const thread = createThread("t9");
+  const created = [];
+  const forum = {
+    id: "f1",
+    name: "modmail",
+    type: ChannelType.GuildForum,
+    threads: { create: async (options) => { created.push(options); return thread; } }
+  };
+  const guild = {
+    id: "g1",
+    name: "Test Guild",
+    channels: { cache: new Map([["f1", forum]]), fetch: async () => null },
+    members: { cache: new Map([["u1", { id: "u1", joinedAt: new Date("2024-01-01T00:00:00Z") }]]), fetch: async () => null }
+  };
+  const moderationLogService = {
+    list: async ({ userId, limit }) => {
+      assert.equal(userId, "u1");
+      assert.equal(limit, 10);
+      return [{ caseNumber: 4, action: "warn", reason: "spam", createdAt: new Date("2029-06-01T00:00:00Z") }];
+    }
+  };
+  const service = new ModmailService({ moderationLogService });
+  const message = createDm({ client: { guilds: { cache: new Map([["g1", guild]]) } } });
+
+  assert.equal(await service.handleDirectMessage(message), true);
+  const intro = created[0].message.embeds[0].toJSON();
+  const history = intro.fields.find((field) => field.name.startsWith("History"));
+  assert.equal(history.name, "History (1)");
+  assert.match(history.value, /^#4 — warn — spam \(<t:\d+:R>\)$/);
+  assert.deepEqual(calls.created[0], { guildId: "g1", userId: "u1", channelId: "t9", parentId: "f1" });
+  assert.match(message.replies[0].embeds[0].toJSON().title, /Modmail opened/);
+  assert.equal(thread.sent[0].embeds[0].toJSON().description, "hello");
+});
+
+test("a failed open from the server menu is reported to the member", async (t) => {
+  stubModels(t);
+  const forum = { id: "f1", name: "modmail", type: ChannelType.GuildForum, threads: { create: async () => { throw new Error("Missing Permissions"); } } };
+  const guild = {
+    id: "g1",
+    name: "Test Guild",
+    channels: { cache: new Map([["f1", forum]]), fetch: async () => null },
+    members: { cache: new Map([["u1", { id: "u1" }]]), fetch: async () => null }
+  };
+  const message = createDm();
+  let handle = null;
+  new ModmailService().registerComponents({ register: (entry) => { handle = entry.handle; } });
+
+  const edits = [];
+  const interaction = {
+    customId: "modmail:open:dm-1",
+    values: ["g1"],
+    user: message.author,
+    client: { guilds: { cache: new Map([["g1", guild]]) } },
+    channel: { messages: { fetch: async () => message } },
+    update: async () => {},
+    editReply: async (payload) => { edits.push(payload); }
+  };
+
+  assert.equal(await handle(interaction), true);
+  assert.match(edits[0].content, /could not be delivered to the \*\*Test Guild\*\* staff/);
+});
+
+test("close posts the transcript to the log channel, marks the record closed and locks the thread", async (t) => {
+  const calls = stubModels(t, { open: openRecord });
+  const logged = createThread("log-1");
+  logged.isTextBased = () => true;
+  const thread = createThread();
+  const history = new Map([["m1", { id: "m1", content: "help please", createdTimestamp: Date.now(), author: { id: "u1", tag: "someone#0001" } }]]);
+  thread.messages = { fetch: async () => history };
+  thread.setLocked = async (value) => { thread.locked = value; };
+  thread.setArchived = async (value) => { thread.archived = value; };
+  const dms = [];
+  const guild = {
+    id: "g1",
+    name: "Test Guild",
+    channels: { cache: new Map([["log-1", logged]]), fetch: async () => null },
+    client: { users: { fetch: async () => ({ send: async (payload) => { dms.push(payload); } }) } }
+  };
+  const channelMapService = { get: async (guildId, key) => (key === "transcript_log" ? { channelId: "log-1" } : null) };
+  const closedBy = { id: "mod-1", tag: "mod#0001", toString: () => "<@mod-1>" };
+
+  const { record, transcript } = await new ModmailService({ channelMapService }).close({ record: openRecord, guild, thread, closedBy, reason: "Resolved" });
+
+  assert.equal(logged.sent[0].files[0].name.endsWith(".html"), true);
+  assert.match(logged.sent[0].embeds[0].toJSON().description, /\*\*Reason:\*\* Resolved/);
+  assert.equal(transcript.url, "https://discord.com/channels/g1/log-1/m1");
+  assert.deepEqual(calls.closed[0].filter, { _id: "r1", status: "open" });
+  assert.equal(record.status, "closed");
+  assert.equal(record.transcriptUrl, transcript.url);
+  assert.match(dms[0].embeds[0].toJSON().title, /Modmail closed/);
+  assert.match(thread.sent[0].content, /Transcript: https:\/\/discord\.com\/channels\/g1\/log-1\/m1/);
+  assert.equal(thread.locked, true);
+  assert.equal(thread.archived, true);
+});
@@ -0,0 +1,131 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { MAX_NOTE_LENGTH, NoteService, parseCaseNumbers } from "../NoteService.js";
+import { NoteModel } from "../../../infrastructure/database/models/Note.js";
+import { ModerationCounterModel } from "../../../infrastructure/database/models/ModerationCounter.js";
+import { GuildModerationStateModel } from "../../../infrastructure/database/models/GuildModerationState.js";
+
+function stubCounter(t) {
+  const counters = new Map();
+  t.mock.method(ModerationCounterModel, "findOneAndUpdate", async ({ guildId }) => {
+    counters.set(guildId, (counters.get(guildId) ?? 0) + 1);
+    return { lastNoteNumber: counters.get(guildId) };
+  });
+}
+
+function stubCreate(t) {
+  const created = [];
+  t.mock.method(NoteModel, "create", async (fields) => {
+    created.push(fields);
+    return { toObject: () => ({ ...fields }) };
+  });
+  return created;
+}
+
+test("parseCaseNumbers accepts comma or space separated case numbers", () => {
+  assert.deepEqual(parseCaseNumbers("12, #15 17"), [12, 15, 17]);
+  assert.deepEqual(parseCaseNumbers("3,3"), [3]);
+  assert.deepEqual(parseCaseNumbers(""), []);
+  assert.deepEqual(parseCaseNumbers([4, "5", "x"]), [4, 5]);
+});
+
+test("parseCaseNumbers rejects anything that is not a case number", () => {
+  assert.throws(() => parseCaseNumbers("12, abc"), /not a case number/);
+  assert.throws(() => parseCaseNumbers("0"), /not a case number/);
+  assert.throws(() => parseCaseNumbers(Array.from({ length: 11 }, (_, i) => i + 1).join(",")), /at most/);
+});
+
+test("add numbers notes per guild and validates the text and linked cases", async (t) => {
+  stubCounter(t);
+  const created = stubCreate(t);
+  const service = new NoteService();
+
+  const first = await service.add({ guildId: "g1", userId: "u1", authorId: "mod-1", text: "  alt of u9  ", caseNumbers: "4, #7" });
+  const second = await service.add({ guildId: "g1", userId: "u2", text: "watch" });
+  const other = await service.add({ guildId: "g2", userId: "u1", text: "elsewhere" });
+
+  assert.deepEqual([first.noteNumber, second.noteNumber, other.noteNumber], [1, 2, 1]);
+  assert.equal(first.text, "alt of u9");
+  assert.deepEqual(first.caseNumbers, [4, 7]);
+  await assert.rejects(service.add({ guildId: "g1", userId: "u1", text: "   " }), /text is required/);
+  await assert.rejects(service.add({ guildId: "g1", userId: "u1", text: "x".repeat(MAX_NOTE_LENGTH + 1) }), /limited/);
+  assert.equal(created.length, 3);
+});
+
+test("edit only changes the fields it is given and delete targets the note number", async (t) => {
+  const updates = [];
+  t.mock.method(NoteModel, "findOneAndUpdate", (filter, update) => {
+    updates.push({ filter, update });
+    return { lean: async () => ({ noteNumber: filter.noteNumber, ...update }) };
+  });
+  const deletes = [];
+  t.mock.method(NoteModel, "findOneAndDelete", (filter) => {
+    deletes.push(filter);
+    return { lean: async () => (filter.noteNumber === 3 ? { noteNumber: 3 } : null) };
+  });
+  const service = new NoteService();
+
+  await service.edit({ guildId: "g1", noteNumber: "3", editorId: "mod-2", caseNumbers: "9" });
+  await service.edit({ guildId: "g1", noteNumber: 3, text: "updated" });
+
+  assert.deepEqual(updates[0].filter, { guildId: "g1", noteNumber: 3 });
+  assert.equal(updates[0].update.editedBy, "mod-2");
+  assert.deepEqual(updates[0].update.caseNumbers, [9]);
+  assert.equal("text" in updates[0].update, false);
+  assert.equal(updates[1].update.text, "updated");
+  assert.equal("caseNumbers" in updates[1].update, false);
+  await assert.rejects(service.edit({ guildId: "g1", noteNumber: 3, text: "" }), /text is required/);
+  assert.equal(updates.length, 2);
+
+  assert.deepEqual(await service.delete({ guildId: "g1", noteNumber: "3" }), { noteNumber: 3 });
+  assert.equal(await service.delete({ guildId: "g1", noteNumber: 4 }), null);
+  assert.deepEqual(deletes, [{ guildId: "g1", noteNumber: 3 }, { guildId: "g1", noteNumber: 4 }]);
+});
+
+test("search matches note text literally and case-insensitively", async (t) => {
+  const filters = [];
+  t.mock.method(NoteModel, "find", (filter) => {
+    filters.push(filter);
+    return { sort: () => ({ limit: () => ({ lean: async () => [] }) }) };
+  });
+  const service = new NoteService();
+
+  assert.deepEqual(await service.search("g1", "   "), []);
+  await service.search("g1", "a.b (alt)", { userId: "u1" });
+
+  assert.equal(filters.length, 1);
+  assert.deepEqual(filters[0], { guildId: "g1", userId: "u1", text: { $regex: "a\\.b \\(alt\\)", $options: "i" } });
+});
+
+test("migrateLegacyNotes moves notes off the moderation state and numbers them", async (t) => {
+  stubCounter(t);
+  const created = stubCreate(t);
+  const legacyDate = new Date("2023-05-01T00:00:00Z");
+  t.mock.method(GuildModerationStateModel.collection, "find", () => ({
+    toArray: async () => [
+      {
+        _id: "s1",
+        guildId: "g1",
+        notes: [
+          { userId: "u1", authorId: "mod-1", text: "old note", createdAt: legacyDate },
+          { userId: "u2", text: "" },
+          { text: "no user" },
+          { userId: "u3", text: "y".repeat(MAX_NOTE_LENGTH + 50) }
+        ]
+      }
+    ]
+  }));
+  const unsets = [];
+  t.mock.method(GuildModerationStateModel.collection, "updateOne", async (filter, update) => { unsets.push({ filter, update }); });
+  const logged = [];
+  const service = new NoteService({ logger: { info: (event, meta) => logged.push({ event, meta }) } });
+
+  assert.equal(await service.migrateLegacyNotes(), 2);
+  assert.deepEqual(created.map((note) => [note.userId, note.noteNumber]), [["u1", 1], ["u3", 2]]);
+  assert.equal(created[0].authorId, "mod-1");
+  assert.equal(created[0].createdAt, legacyDate);
+  assert.equal(created[1].authorId, null);
+  assert.equal(created[1].text.length, MAX_NOTE_LENGTH);
+  assert.deepEqual(unsets, [{ filter: { _id: "s1" }, update: { $unset: { notes: "" } } }]);
+  assert.deepEqual(logged, [{ event: "notes.legacy_migrated", meta: { count: 2 } }]);
+});
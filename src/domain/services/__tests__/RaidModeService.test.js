@@ -0,0 +1,121 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { RaidModeService, decideRaidAction, resolveRaidPolicy } from "../RaidModeService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createRuntime() {
+  const state = { raidMode: false, policy: null, session: null };
+  return {
+    state,
+    getRaidMode: () => state.raidMode,
+    setRaidMode: (_guildId, value) => { state.raidMode = Boolean(value); },
+    getRaidPolicy: () => state.policy,
+    setRaidPolicy: (_guildId, value) => { state.policy = value; },
+    getRaidSession: () => (state.session ? { ...state.session, joins: [...state.session.joins] } : null),
+    setRaidSession: (_guildId, value) => { state.session = value; },
+    updateRaidSession: (_guildId, fields) => {
+      Object.assign(state.session, fields);
+      return { ...state.session };
+    },
+    recordRaidJoin: (_guildId, join) => {
+      state.session.joins.push(join);
+      state.session.lastJoinAt = join.joinedAt;
+      return join;
+    },
+    listRaidSessions: () => []
+  };
+}
+
+function createGuild() {
+  const sent = [];
+  return {
+    id: "guild-1",
+    verificationLevel: 1,
+    sent,
+    setVerificationLevel: async function (level) { this.verificationLevel = level; },
+    roles: { cache: { get: () => null, find: () => null } },
+    channels: {
+      cache: new Map(),
+      fetch: async () => null
+    }
+  };
+}
+
+test("resolveRaidPolicy merges overrides and clamps invalid values", () => {
+  const policy = resolveRaidPolicy({ action: "kick", quietMinutes: 10 }, { action: "bogus", timeoutMs: 90 * DAY_MS });
+  assert.equal(policy.action, "timeout");
+  assert.equal(policy.quietMinutes, 10);
+  assert.equal(policy.timeoutMs, 28 * DAY_MS);
+});
+
+test("decideRaidAction only kicks young accounts in kick_new mode", () => {
+  const policy = resolveRaidPolicy({}, { action: "kick_new", minAccountAgeDays: 7 });
+  const now = Date.now();
+  const young = { user: { createdTimestamp: now - 2 * DAY_MS } };
+  const old = { user: { createdTimestamp: now - 30 * DAY_MS } };
+  assert.equal(decideRaidAction(policy, young, now).action, "kick");
+  assert.equal(decideRaidAction(policy, old, now).action, "allow");
+});
+
+test("enable raises verification, gates joins and disable restores the level", async () => {
+  const runtime = createRuntime();
+  const calls = [];
+  const moderationService = {
+    timeout: async ({ target, durationMs, metadata }) => {
+      calls.push({ userId: target.id, durationMs, source: metadata.source });
+      return { caseNumber: 7 };
+    }
+  };
+  const service = new RaidModeService({ runtimeState: runtime, moderationService, defaults: { action: "timeout", timeoutMs: 60_000 } });
+  const guild = createGuild();
+
+  await service.enable(guild, { moderator: { id: "mod-1" } });
+  assert.equal(runtime.state.raidMode, true);
+  assert.equal(guild.verificationLevel, 3);
+
+  const join = await service.handleJoin({ id: "user-9", guild, user: { tag: "raider", createdTimestamp: Date.now() } });
+  assert.deepEqual(calls, [{ userId: "user-9", durationMs: 60_000, source: "raidmode" }]);
+  assert.equal(join.caseNumber, 7);
+  assert.equal(join.ok, true);
+
+  const result = await service.disable(guild, { moderator: { id: "mod-1" } });
+  assert.equal(result.verificationRestored, true);
+  assert.equal(guild.verificationLevel, 1);
+  assert.equal(runtime.state.raidMode, false);
+  assert.ok(runtime.state.session.endedAt);
+});
+
+test("quarantine joins use the raid policy role, then the /setup quarantine role, then a name match", async () => {
+  const runtime = createRuntime();
+  const roles = new Map([
+    ["setup-role", { id: "setup-role", name: "Muted" }],
+    ["policy-role", { id: "policy-role", name: "Raid hold" }],
+    ["named-role", { id: "named-role", name: "Quarantine" }]
+  ]);
+  const guild = { ...createGuild(), roles: { cache: { get: (id) => roles.get(id) ?? null, find: (fn) => [...roles.values()].find(fn) ?? null } } };
+  const applied = [];
+  const moderationService = {
+    quarantine: async ({ role }) => {
+      applied.push(role.id);
+      return { caseNumber: 3 };
+    }
+  };
+  let setupRoleId = "setup-role";
+  const service = new RaidModeService({
+    runtimeState: runtime,
+    moderationService,
+    guildConfigService: { getQuarantineRoleId: async () => setupRoleId },
+    defaults: { action: "quarantine", quarantineRoleId: "policy-role" }
+  });
+  const join = (id) => service.handleJoin({ id, guild, user: { tag: "raider", createdTimestamp: Date.now() } });
+
+  await service.enable(guild, { moderator: { id: "mod-1" } });
+  await join("user-1");
+  service.updatePolicy(guild.id, { quarantineRoleId: "" });
+  await join("user-2");
+  setupRoleId = "";
+  await join("user-3");
+  assert.deepEqual(applied, ["policy-role", "setup-role", "named-role"]);
+  await service.disable(guild, { moderator: { id: "mod-1" } });
+});
@@ -0,0 +1,82 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { ReportService, buildReportComponents, buildReportEmbed, nextReportStatus } from "../ReportService.js";
+import { ReportModel } from "../../../infrastructure/database/models/Report.js";
+
+const report = {
+  _id: "64b000000000000000000001",
+  guildId: "g1",
+  kind: "message",
+  reporterId: "u1",
+  targetUserId: "u2",
+  channelId: "c1",
+  messageId: "m1",
+  messageContent: "buy cheap nitro",
+  attachmentUrls: [],
+  details: "scam link",
+  status: "open",
+  handledBy: null,
+  notifyReporter: true,
+  createdAt: new Date("2030-01-01T00:00:00Z")
+};
+
+test("status buttons move reports between states", () => {
+  assert.deepEqual(nextReportStatus(report, "handling", "mod-1"), { status: "handling", handledBy: "mod-1" });
+  assert.deepEqual(nextReportStatus({ ...report, status: "resolved" }, "reopen", "mod-1"), { status: "open", handledBy: null });
+});
+
+test("buildReportEmbed quotes the message and shows the status", () => {
+  const json = buildReportEmbed({ ...report, status: "handling", handledBy: "mod-1" }).toJSON();
+  const fields = Object.fromEntries(json.fields.map((field) => [field.name, field.value]));
+  assert.equal(json.title, "Message report");
+  assert.match(fields.Message, /^> buy cheap nitro\n\[Jump to message\]\(https:\/\/discord\.com\/channels\/g1\/c1\/m1\)/);
+  assert.equal(fields.Status, "Handling — <@mod-1>");
+  assert.match(json.footer.text, /reporter will be notified/);
+});
+
+test("buildReportComponents disables the current state's button", () => {
+  const row = buildReportComponents({ ...report, status: "resolved" }).toJSON();
+  const disabled = row.components.filter((button) => button.disabled).map((button) => button.custom_id);
+  assert.deepEqual(disabled, [`report:resolved:${report._id}`]);
+});
+
+test("buildModal encodes the reported message in the custom id", () => {
+  const modal = new ReportService().buildModal("message", { channelId: "c1", messageId: "m1" }).toJSON();
+  assert.equal(modal.custom_id, "report-modal:message:c1:m1");
+  assert.deepEqual(modal.components.map((row) => row.components[0].custom_id), ["details", "notify"]);
+});
+
+test("a message deleted while the reporter fills in the modal is still reported from the snapshot", async (t) => {
+  t.mock.method(ReportModel, "find", () => ({ sort: () => ({ select: () => ({ lean: async () => [] }) }) }));
+  const created = [];
+  t.mock.method(ReportModel, "create", async (fields) => {
+    created.push(fields);
+    return { toObject: () => ({ _id: "64b000000000000000000002", ...fields }) };
+  });
+  const service = new ReportService();
+  service.rememberReportedMessage("u1", {
+    id: "m1",
+    channelId: "c1",
+    content: "free nitro at scam.example",
+    author: { id: "u2" },
+    attachments: new Map([["a1", { url: "https://cdn.example/qr.png" }]])
+  });
+
+  const replies = [];
+  const channel = { messages: { fetch: async () => { throw new Error("Unknown Message"); } } };
+  const interaction = {
+    customId: "report-modal:message:c1:m1",
+    isModalSubmit: () => true,
+    fields: { getTextInputValue: (id) => (id === "details" ? "scam" : "no") },
+    user: { id: "u1" },
+    guild: { id: "g1", channels: { cache: new Map([["c1", channel]]), fetch: async () => channel } },
+    deferReply: async () => {},
+    editReply: async (payload) => { replies.push(payload); }
+  };
+
+  assert.equal(await service.handleInteraction(interaction), true);
+  assert.match(replies[0].content, /submitted/);
+  assert.equal(created[0].targetUserId, "u2");
+  assert.equal(created[0].messageContent, "free nitro at scam.example");
+  assert.deepEqual(created[0].attachmentUrls, ["https://cdn.example/qr.png"]);
+});
@@ -0,0 +1,82 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { WarningEscalationService, normalizeRung, describeRung } from "../WarningEscalationService.js";
+
+function createRuntime() {
+  const ladders = new Map();
+  return {
+    getWarnEscalation: (guildId) => ladders.get(guildId) || [],
+    setWarnEscalation: (guildId, rungs) => ladders.set(guildId, rungs)
+  };
+}
+
+function createHarness({ count = 0, member = { id: "u1" } } = {}) {
+  const calls = [];
+  const warningService = { countActive: async () => count };
+  const moderationService = {
+    timeout: async (args) => { calls.push({ type: "timeout", ...args }); return { caseNumber: 42 }; },
+    kick: async (args) => { calls.push({ type: "kick", ...args }); return { caseNumber: 43 }; },
+    ban: async (args) => { calls.push({ type: "ban", ...args }); return { caseNumber: 44 }; },
+    banById: async (args) => { calls.push({ type: "banById", ...args }); return { caseNumber: 45 }; }
+  };
+  const guild = { id: "g1", members: { fetch: async () => member } };
+  const service = new WarningEscalationService({ runtimeState: createRuntime(), moderationService, warningService });
+  service.setClient({ user: { id: "bot" }, guilds: { cache: new Map([["g1", guild]]) } });
+  return { service, calls, setCount: (value) => { warningService.countActive = async () => value; } };
+}
+
+test("normalizeRung validates actions and durations", () => {
+  assert.throws(() => normalizeRung({ threshold: 3, action: "timeout" }), /duration/);
+  assert.throws(() => normalizeRung({ threshold: 0, action: "kick" }), /Threshold/);
+  assert.throws(() => normalizeRung({ threshold: 2, action: "mute" }), /Unknown/);
+  assert.deepEqual(normalizeRung({ threshold: 2, action: "kick", durationMs: 5000 }), { threshold: 2, windowDays: 0, action: "kick", durationMs: null });
+  assert.equal(describeRung({ threshold: 3, windowDays: 30, action: "timeout", durationMs: 3_600_000 }).startsWith("3 warning(s) in 30d → timeout"), true);
+});
+
+test("setRung keeps the ladder sorted and replaces rungs with the same threshold", () => {
+  const { service } = createHarness();
+  service.setRung("g1", { threshold: 5, windowDays: 30, action: "ban" });
+  service.setRung("g1", { threshold: 3, windowDays: 30, action: "timeout", durationMs: 60_000 });
+  service.setRung("g1", { threshold: 5, windowDays: 30, action: "kick" });
+  assert.deepEqual(service.getLadder("g1").map((rung) => [rung.threshold, rung.action]), [[3, "timeout"], [5, "kick"]]);
+  assert.equal(service.removeRung("g1", 3), true);
+  assert.equal(service.removeRung("g1", 3), false);
+});
+
+test("evaluate fires the crossed rung once and links the trigger case", async () => {
+  const { service, calls, setCount } = createHarness({ count: 3 });
+  service.setRung("g1", { threshold: 3, windowDays: 30, action: "timeout", durationMs: 3_600_000 });
+  service.setRung("g1", { threshold: 5, windowDays: 30, action: "ban", durationMs: 7 * 86_400_000 });
+
+  const result = await service.evaluate({ guildId: "g1", userId: "u1", moderatorId: "mod", caseEntry: { caseNumber: 10 } });
+  assert.equal(result.rung.action, "timeout");
+  assert.equal(result.caseEntry.caseNumber, 42);
+  assert.equal(calls[0].durationMs, 3_600_000);
+  assert.equal(calls[0].moderator.id, "bot");
+  assert.equal(calls[0].metadata.triggerCaseNumber, 10);
+  assert.equal(calls[0].metadata.source, "escalation");
+
+  setCount(4);
+  assert.equal(await service.evaluate({ guildId: "g1", userId: "u1" }), null);
+
+  setCount(5);
+  const ban = await service.evaluate({ guildId: "g1", userId: "u1" });
+  assert.equal(ban.rung.action, "ban");
+  assert.equal(calls.at(-1).type, "ban");
+});
+
+test("evaluate reports failures instead of throwing", async () => {
+  const { service } = createHarness({ count: 1, member: null });
+  service.setRung("g1", { threshold: 1, action: "kick" });
+  const result = await service.evaluate({ guildId: "g1", userId: "u1" });
+  assert.match(result.error, /no longer in the server/);
+});
+
+test("getPosition reports the reached rung and the next one", async () => {
+  const { service } = createHarness({ count: 4 });
+  service.setRung("g1", { threshold: 3, action: "kick" });
+  service.setRung("g1", { threshold: 6, action: "ban" });
+  const { reached, next } = await service.getPosition("g1", "u1");
+  assert.equal(reached.rung.threshold, 3);
+  assert.equal(next.rung.threshold, 6);
+});
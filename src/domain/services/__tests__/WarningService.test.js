@@ -0,0 +1,53 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { WarningService, warningStatus } from "../WarningService.js";
+import { WarningModel } from "../../../infrastructure/database/models/Warning.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test("warningStatus distinguishes active, expired and pardoned warnings", () => {
+  const now = Date.now();
+  const recent = { createdAt: new Date(now - DAY_MS) };
+  const old = { createdAt: new Date(now - 40 * DAY_MS) };
+  assert.equal(warningStatus(recent, 30, now), "active");
+  assert.equal(warningStatus(old, 30, now), "expired");
+  assert.equal(warningStatus(old, null, now), "active");
+  assert.equal(warningStatus({ ...recent, pardonedAt: new Date() }, 30, now), "pardoned");
+});
+
+test("expiryDays reads the per-guild setting and ignores non-positive values", () => {
+  const settings = { g1: 30, g2: 0 };
+  const service = new WarningService(null, { resolveExpiryDays: (guildId) => settings[guildId] });
+  assert.equal(service.expiryDays("g1"), 30);
+  assert.equal(service.expiryDays("g2"), null);
+  assert.equal(new WarningService(null).expiryDays("g1"), null);
+});
+
+test("find rejects references that are neither case numbers nor ids", async () => {
+  const service = new WarningService(null);
+  assert.equal(await service.find("g1", "not-an-id"), null);
+});
+
+test("undoCase pardons a warning stored without a case number through the case's warningId", async (t) => {
+  const warningId = "65f000000000000000000001";
+  const legacy = { _id: warningId, guildId: "g1", userId: "u1", reason: "spam", pardonedAt: null };
+  const queries = [];
+  t.mock.method(WarningModel, "findOne", (query) => {
+    queries.push(query);
+    return { lean: async () => (String(query._id) === warningId ? legacy : null) };
+  });
+  t.mock.method(WarningModel, "findOneAndUpdate", (filter, update) => ({ lean: async () => ({ ...legacy, ...update }) }));
+  const recorded = [];
+  const service = new WarningService({ record: async (entry) => { recorded.push(entry); return { caseNumber: 8, ...entry }; } });
+
+  const caseEntry = await service.undoCase(
+    { guildId: "g1", caseNumber: 3, action: "warn", metadata: { warningId } },
+    { moderator: { id: "mod-1" }, reason: "mistake" }
+  );
+
+  assert.deepEqual(queries, [{ guildId: "g1", _id: warningId }]);
+  assert.equal(caseEntry.caseNumber, 8);
+  assert.equal(recorded[0].action, "warn_pardon");
+  assert.equal(recorded[0].metadata.warningId, warningId);
+  assert.equal(recorded[0].metadata.warningCaseNumber, null);
+});
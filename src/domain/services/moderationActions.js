@@ -1,11 +1,23 @@
 export const ModerationActionType = Object.freeze({
   Ban: "ban",
   Softban: "softban",
+  Unban: "unban",
   Kick: "kick",
   Mute: "mute",
-  Warn: "warn"
+  Unmute: "unmute",
+  Quarantine: "quarantine",
+  Unquarantine: "unquarantine",
+  Warn: "warn",
+  WarnRemove: "warn_remove",
+  WarnPardon: "warn_pardon",
+  WarnClear: "warn_clear",
+  LinkBlock: "link_block",
+  Purge: "purge"
 });
 
+// channel-level actions; recorded without a target user unless one was filtered on
+export const TARGETLESS_ACTIONS = Object.freeze(new Set([ModerationActionType.Purge]));
+
 export const DEFAULT_MOD_REASON = "No reason provided.";
 
 export function normalizeReason(reason) {
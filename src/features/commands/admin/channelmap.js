@@ -1,6 +1,7 @@
 import { ChannelType, PermissionFlagsBits, SlashCommandBuilder, MessageFlags } from "discord.js";
 import { TOKENS } from "../../../app/container/index.js";
 import { infoEmbed, listEmbed } from "../../../shared/utils/embeds.js";
+import { channelKeyChoices } from "../lib/autocomplete.js";
 
 export default {
   data: new SlashCommandBuilder()
@@ -9,7 +10,7 @@ export default {
     .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
     .addSubcommand(s =>
       s.setName("set").setDescription("Set a channel for a purpose key")
-       .addStringOption(o => o.setName("key").setDescription("Purpose key (e.g., bot_log)").setRequired(true))
+       .addStringOption(o => o.setName("key").setDescription("Purpose key (e.g., bot_log)").setRequired(true).setAutocomplete(true))
        .addChannelOption(o => o
          .setName("channel")
          .setDescription("Channel to map")
@@ -18,10 +19,10 @@ export default {
        .addStringOption(o => o.setName("note").setDescription("Optional note")))
     .addSubcommand(s =>
       s.setName("get").setDescription("Get a channel mapping")
-       .addStringOption(o => o.setName("key").setDescription("Purpose key").setRequired(true)))
+       .addStringOption(o => o.setName("key").setDescription("Purpose key").setRequired(true).setAutocomplete(true)))
     .addSubcommand(s =>
       s.setName("remove").setDescription("Remove a mapping")
-       .addStringOption(o => o.setName("key").setDescription("Purpose key").setRequired(true)))
+       .addStringOption(o => o.setName("key").setDescription("Purpose key").setRequired(true).setAutocomplete(true)))
     .addSubcommand(s => s.setName("list").setDescription("List all mappings")),
   async execute(interaction) {
     if (!interaction.inGuild()) {
@@ -54,6 +55,9 @@ export default {
       return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [listEmbed("Channel Map", lines, "No mappings yet.")] });
     }
   },
+  autocomplete: {
+    key: channelKeyChoices
+  },
   meta: {
     category: "admin",
     description: "Create, inspect, and remove channel purpose mappings.",
@@ -27,9 +27,12 @@ export default {
       embeds: [successEmbed("Restart", "Restarting bot…")] 
     });
 
-    setTimeout(() => {
+    const runtime = interaction.client.container.getOptional?.(TOKENS.RuntimeModerationState);
+
+    setTimeout(async () => {
       const res = logger.info("command.restart.exit", { delayMs: RESTART_DELAY_MS });
       res?.catch?.(() => {});
+      await runtime?.flush?.().catch?.(() => {});
       process.exit(0);
     }, RESTART_DELAY_MS).unref?.();
   },
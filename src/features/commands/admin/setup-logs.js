@@ -23,6 +23,94 @@ async function ensureCategory(guild, name, overwrites) {
   return cat;
 }
 
+/**
+ * Restricted roles /setup can create. Each is denied `deny` on every channel; channels whose overwrite
+ * already denies `marker` are left alone.
+ */
+const ROLE_SETUPS = {
+  quarantine: {
+    label: "Quarantine",
+    roleName: "Quarantined",
+    namePattern: /quarantine|restricted/i,
+    getId: (gcs, guildId) => gcs.getQuarantineRoleId(guildId),
+    setId: (gcs, guildId, roleId) => gcs.setQuarantineRoleId(guildId, roleId),
+    marker: "ViewChannel",
+    deny: {
+      ViewChannel: false,
+      SendMessages: false,
+      SendMessagesInThreads: false,
+      CreatePublicThreads: false,
+      CreatePrivateThreads: false,
+      AddReactions: false,
+      Connect: false,
+      Speak: false
+    }
+  },
+  mute: {
+    label: "Mute",
+    roleName: "Muted",
+    namePattern: /^muted?$/i,
+    getId: (gcs, guildId) => gcs.getMuteRoleId(guildId),
+    setId: (gcs, guildId, roleId) => gcs.setMuteRoleId(guildId, roleId),
+    marker: "SendMessages",
+    deny: {
+      SendMessages: false,
+      SendMessagesInThreads: false,
+      CreatePublicThreads: false,
+      CreatePrivateThreads: false,
+      AddReactions: false,
+      Speak: false
+    }
+  }
+};
+
+async function ensureRestrictedRole(guild, gcs, spec, requested, sub) {
+  if (requested) return { role: requested, created: false };
+  const configuredId = await spec.getId(gcs, guild.id);
+  const existing = (configuredId && guild.roles.cache.get(configuredId))
+    || guild.roles.cache.find(r => spec.namePattern.test(r.name));
+  if (existing) return { role: existing, created: false };
+  const role = await guild.roles.create({ name: spec.roleName, permissions: [], reason: `Created by /setup ${sub}` });
+  return { role, created: true };
+}
+
+async function applyRestrictedOverwrites(guild, role, spec) {
+  const counts = { updated: 0, skipped: 0, failed: 0 };
+  for (const channel of guild.channels.cache.values()) {
+    if (channel.isThread?.() || !channel.permissionOverwrites) continue;
+    const current = channel.permissionOverwrites.cache.get(role.id);
+    if (current?.deny?.has?.(spec.marker)) {
+      counts.skipped += 1;
+      continue;
+    }
+    try {
+      await channel.permissionOverwrites.edit(role, spec.deny, { reason: `${spec.label} role setup`, type: OverwriteType.Role });
+      counts.updated += 1;
+    } catch {
+      counts.failed += 1;
+    }
+  }
+  return counts;
+}
+
+async function setupRestrictedRole(interaction, sub) {
+  const spec = ROLE_SETUPS[sub];
+  const gcs = interaction.client.container.get(TOKENS.GuildConfigService);
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  const { role, created } = await ensureRestrictedRole(interaction.guild, gcs, spec, interaction.options.getRole("role"), sub);
+  await spec.setId(gcs, interaction.guildId, role.id);
+  const counts = await applyRestrictedOverwrites(interaction.guild, role, spec);
+
+  const lines = [
+    `• Role: <@&${role.id}>${created ? " (created)" : ""}`,
+    `• Channels updated: **${counts.updated}**`,
+    `• Already restricted: **${counts.skipped}**`
+  ];
+  if (counts.failed) lines.push(`• Failed (missing permissions?): **${counts.failed}**`);
+  return interaction.editReply({ embeds: [listEmbed(`${spec.label} setup complete`, lines)] });
+}
+
 async function ensureTextChannel(guild, name, parentId, overwrites) {
   const existing = guild.channels.cache.find(c => c.type === ChannelType.GuildText && c.name === name);
   if (existing) {
@@ -38,9 +126,19 @@ export default {
     .setName("setup")
     .setDescription("Server setup helpers")
     .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
-    .addSubcommand(s => s.setName("logs").setDescription("Create Staff Logs category & channels and map them")),
+    .addSubcommand(s => s.setName("logs").setDescription("Create Staff Logs category & channels and map them"))
+    .addSubcommand(s => s
+      .setName("quarantine")
+      .setDescription("Create/configure the quarantine role and hide every channel from it")
+      .addRoleOption(o => o.setName("role").setDescription("Use an existing role instead of creating one")))
+    .addSubcommand(s => s
+      .setName("mute")
+      .setDescription("Create/configure the mute role used for mutes longer than 28 days")
+      .addRoleOption(o => o.setName("role").setDescription("Use an existing role instead of creating one"))),
   async execute(interaction) {
     if (!interaction.inGuild()) return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Setup", "Guild only.")] });
+    const sub = interaction.options.getSubcommand();
+    if (ROLE_SETUPS[sub]) return setupRestrictedRole(interaction, sub);
 
     const cms = interaction.client.container.get(TOKENS.ChannelMapService);
     const srs = interaction.client.container.get(TOKENS.StaffRoleService);
@@ -75,9 +173,9 @@ export default {
   },
   meta: {
     category: "admin",
-    description: "Creates locked Staff Logs category at top and wires channel map.",
-    usage: "/setup logs",
-    examples: ["/setup logs"],
+    description: "Creates locked Staff Logs category at top and wires channel map, or sets up the quarantine/mute roles and their channel overwrites.",
+    usage: "/setup logs | /setup quarantine [role:@Role] | /setup mute [role:@Role]",
+    examples: ["/setup logs", "/setup quarantine", "/setup quarantine role:@Restricted", "/setup mute"],
     permissions: "Administrator"
   }
 };
@@ -1,6 +1,7 @@
 import { PermissionFlagsBits, SlashCommandBuilder, MessageFlags } from "discord.js";
 import { TOKENS } from "../../../app/container/index.js";
 import { infoEmbed, listEmbed } from "../../../shared/utils/embeds.js";
+import { staffKeyChoices } from "../lib/autocomplete.js";
 
 export default {
   data: new SlashCommandBuilder()
@@ -9,11 +10,11 @@ export default {
     .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
     .addSubcommand(s =>
       s.setName("add").setDescription("Add a role to a staff key")
-       .addStringOption(o => o.setName("key").setDescription("e.g., admin, mod").setRequired(true))
+       .addStringOption(o => o.setName("key").setDescription("e.g., admin, mod").setRequired(true).setAutocomplete(true))
        .addRoleOption(o => o.setName("role").setDescription("Role to add").setRequired(true)))
     .addSubcommand(s =>
       s.setName("remove").setDescription("Remove a role from a staff key")
-       .addStringOption(o => o.setName("key").setDescription("e.g., admin, mod").setRequired(true))
+       .addStringOption(o => o.setName("key").setDescription("e.g., admin, mod").setRequired(true).setAutocomplete(true))
        .addRoleOption(o => o.setName("role").setDescription("Role to remove").setRequired(true)))
     .addSubcommand(s => s.setName("list").setDescription("List mapped staff roles"))
     .addSubcommand(s => s.setName("keys").setDescription("List known keys you can assign roles to")),
@@ -45,6 +46,9 @@ export default {
       return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [listEmbed("Staff Role Keys", keys.map(k => `• ${k}`), "No keys yet.")] });
     }
   },
+  autocomplete: {
+    key: staffKeyChoices
+  },
   meta: {
     category: "admin",
     description: "Define which roles count as staff (e.g., admin, mod).",
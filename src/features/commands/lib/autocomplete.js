@@ -0,0 +1,71 @@
+import { TOKENS } from "../../../app/container/index.js";
+
+// Discord caps autocomplete at 25 choices and 100 characters per name/value
+export const MAX_CHOICES = 25;
+const MAX_CHOICE_LENGTH = 100;
+
+function clip(text) {
+  const value = String(text ?? "");
+  return value.length > MAX_CHOICE_LENGTH ? `${value.slice(0, MAX_CHOICE_LENGTH - 1)}…` : value;
+}
+
+function matches(query, ...fields) {
+  const needle = String(query || "").trim().toLowerCase();
+  if (!needle) return true;
+  return fields.some(field => String(field ?? "").toLowerCase().includes(needle));
+}
+
+function describeCase(entry) {
+  const target = entry.metadata?.targetTag || entry.userId;
+  const flag = entry.expungedAt ? " (expunged)" : "";
+  return clip(`#${entry.caseNumber} — ${entry.action}${target ? ` — ${target}` : ""}${flag}${entry.reason ? ` — ${entry.reason}` : ""}`);
+}
+
+/**
+ * Recent cases whose number starts with the typed digits. An exact number older than the recent
+ * window is looked up directly so it can still be picked.
+ */
+export async function caseNumberChoices(interaction, query) {
+  const svc = interaction.client.container.get(TOKENS.ModerationLogService);
+  const digits = String(query || "").replace(/\D/g, "");
+  const recent = await svc.list({ guildId: interaction.guildId, limit: 100, includeExpunged: true });
+  const found = recent.filter(entry => String(entry.caseNumber).startsWith(digits));
+  if (digits && !found.some(entry => String(entry.caseNumber) === digits)) {
+    const exact = await svc.getByCase(interaction.guildId, Number(digits));
+    if (exact) found.unshift(exact);
+  }
+  return found.slice(0, MAX_CHOICES).map(entry => ({ name: describeCase(entry), value: entry.caseNumber }));
+}
+
+/** Rules on the list named by the subcommand group (`allow` / `deny`). */
+export async function linkRuleChoices(interaction, query) {
+  const svc = interaction.client.container.get(TOKENS.LinkAllowService);
+  const list = interaction.options.getSubcommandGroup(false) === "deny" ? "deny" : "allow";
+  return svc.list(interaction.guildId, list)
+    .filter(rule => rule.value.length <= MAX_CHOICE_LENGTH && matches(query, rule.value, rule.note))
+    .slice(0, MAX_CHOICES)
+    .map(rule => ({ name: clip(`${rule.value} (${rule.type})`), value: rule.value }));
+}
+
+/** Keys mapped with /channelmap, labelled with their channel. */
+export async function channelKeyChoices(interaction, query) {
+  const svc = interaction.client.container.get(TOKENS.ChannelMapService);
+  const rows = await svc.list(interaction.guildId);
+  return rows
+    .filter(row => matches(query, row.key))
+    .slice(0, MAX_CHOICES)
+    .map(row => {
+      const channel = interaction.guild?.channels?.cache?.get(row.channelId);
+      return { name: clip(`${row.key} → ${channel ? `#${channel.name}` : row.channelId}`), value: clip(row.key) };
+    });
+}
+
+/** Default staff keys plus any key already mapped in this guild. */
+export async function staffKeyChoices(interaction, query) {
+  const svc = interaction.client.container.get(TOKENS.StaffRoleService);
+  const keys = await svc.distinctKeys(interaction.guildId);
+  return keys
+    .filter(key => matches(query, key))
+    .slice(0, MAX_CHOICES)
+    .map(key => ({ name: clip(key), value: clip(key) }));
+}
@@ -0,0 +1,58 @@
+import { EmbedBuilder } from "discord.js";
+import { TOKENS } from "../../../app/container/index.js";
+import { formatHistoryLine } from "../../../domain/services/ModerationLogService.js";
+import { listEmbed } from "../../../shared/utils/embeds.js";
+
+const KEY_PERMISSIONS = ["Administrator", "ManageGuild", "ManageMessages", "BanMembers", "KickMembers"];
+
+function formatDate(date) {
+  if (!date) return "Unknown";
+  return `<t:${Math.floor(new Date(date).getTime() / 1000)}:R>`;
+}
+
+function formatNotePreview(note) {
+  const text = note.text.length > 120 ? `${note.text.slice(0, 120)}…` : note.text;
+  return `N${note.noteNumber} — ${text}${note.authorId ? ` (<@${note.authorId}>)` : ""}`;
+}
+
+/** Whois card for `target`: account details, roles, recent cases and notes. Used by /whois and the user menu. */
+export async function buildWhoisEmbed(interaction, target) {
+  const member = await interaction.guild.members.fetch(target.id).catch(() => null);
+  const svc = interaction.client.container.get(TOKENS.ModerationLogService);
+  const cases = await svc.list({ guildId: interaction.guildId, userId: target.id, limit: 5 });
+  const noteService = interaction.client.container.getOptional(TOKENS.NoteService);
+  const [notes, noteCount] = noteService
+    ? await Promise.all([
+      noteService.list(interaction.guildId, target.id, { limit: 3 }),
+      noteService.count(interaction.guildId, target.id)
+    ])
+    : [[], 0];
+
+  const roles = member ? member.roles.cache.filter(r => r.id !== interaction.guild.roles.everyone.id).map(r => r.toString()).join(", ") || "None" : "Not in guild";
+  const embed = new EmbedBuilder()
+    .setTitle(`Whois: ${target.tag}`)
+    .setThumbnail(target.displayAvatarURL({ size: 256 }))
+    .addFields(
+      { name: "User ID", value: target.id, inline: true },
+      { name: "Account Created", value: formatDate(target.createdAt), inline: true },
+      { name: "Joined Server", value: member ? formatDate(member.joinedAt) : "Not present", inline: true },
+      { name: "Roles", value: roles },
+      { name: "Recent Cases", value: cases.length ? cases.map(c => `#${c.caseNumber} — ${c.action}`).join("\n") : "No recent cases" },
+      { name: `Notes (${noteCount})`, value: notes.length ? notes.map(formatNotePreview).join("\n") : "No notes" }
+    )
+    .setTimestamp(new Date());
+
+  const perms = member?.permissions?.toArray?.() || [];
+  const keyPerms = perms.filter(name => KEY_PERMISSIONS.includes(name));
+  if (keyPerms.length) {
+    embed.addFields({ name: "Key Permissions", value: keyPerms.map(p => `• ${p}`).join("\n") });
+  }
+  return embed;
+}
+
+/** Last 20 cases against `user`. Used by /history and the user menu. */
+export async function buildHistoryEmbed(interaction, user) {
+  const svc = interaction.client.container.get(TOKENS.ModerationLogService);
+  const entries = await svc.list({ guildId: interaction.guildId, userId: user.id, limit: 20 });
+  return listEmbed(`History for ${user.tag}`, entries.map(formatHistoryLine), "No history found.");
+}
@@ -0,0 +1,35 @@
+import { ActionRowBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } from "discord.js";
+import { TOKENS } from "../../../app/container/index.js";
+
+export const PROMPT_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Shows a one-off modal and waits for the invoking user to submit it through the component router.
+ * Resolves to the modal submit interaction, or null when the user dismisses the modal or lets it time
+ * out; a late submission then gets the router's "expired" reply.
+ */
+export async function promptModal(interaction, { title, inputs }) {
+  const customId = `prompt:${interaction.id}`;
+  const modal = new ModalBuilder()
+    .setCustomId(customId)
+    .setTitle(title.slice(0, 45))
+    .addComponents(inputs.map(input => {
+      const field = new TextInputBuilder()
+        .setCustomId(input.id)
+        .setLabel(input.label)
+        .setStyle(input.style ?? TextInputStyle.Short)
+        .setRequired(Boolean(input.required))
+        .setMaxLength(input.maxLength ?? 512);
+      if (input.placeholder) field.setPlaceholder(input.placeholder);
+      if (input.value) field.setValue(input.value);
+      return new ActionRowBuilder().addComponents(field);
+    }));
+
+  await interaction.showModal(modal);
+  return interaction.client.container.get(TOKENS.ComponentRouter).waitFor(customId, PROMPT_TIMEOUT_MS);
+}
+
+/** Trimmed value of a text input, or "" when it was left blank. */
+export function readInput(submission, id) {
+  return submission.fields.getTextInputValue(id)?.trim() || "";
+}
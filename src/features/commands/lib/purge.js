@@ -0,0 +1,66 @@
+import { AttachmentBuilder } from "discord.js";
+import { TOKENS } from "../../../app/container/index.js";
+import { CONFIG } from "../../../config/index.js";
+import { infoEmbed } from "../../../shared/utils/embeds.js";
+import { resolveStaffChannel } from "../../../shared/utils/staffChannels.js";
+import { renderTextTranscript, toTranscriptEntry } from "../../../shared/utils/transcripts.js";
+
+export const MAX_PURGE = Math.max(1, Math.floor(Number(CONFIG.purge?.maxMessages) || 1000));
+// how far back to look for matches before giving up, in pages of 100
+const MAX_FETCH_PAGES = Math.max(10, Math.ceil(MAX_PURGE / 100) * 5);
+const BULK_DELETE_WINDOW = 13 * 24 * 60 * 60 * 1000; // just under 14 days
+
+async function fetchMessages(channel, beforeId) {
+  return channel.messages.fetch({ limit: 100, before: beforeId || undefined }).catch(() => null);
+}
+
+/**
+ * Pages backwards from `before` (or the newest message) until `amount` matches are found, the `after`
+ * bound is reached, or messages become too old to bulk delete.
+ */
+export async function collectMessages(channel, predicate, amount, { after = null, before = null } = {}) {
+  const collected = [];
+  const afterId = after ? BigInt(after) : null;
+  let cursor = before;
+  for (let page = 0; page < MAX_FETCH_PAGES && collected.length < amount; page++) {
+    const batch = await fetchMessages(channel, cursor);
+    if (!batch || batch.size === 0) break;
+    const sorted = [...batch.values()].sort((a, b) => b.createdTimestamp - a.createdTimestamp);
+    for (const message of sorted) {
+      if (afterId !== null && BigInt(message.id) <= afterId) return collected;
+      if (Date.now() - message.createdTimestamp > BULK_DELETE_WINDOW) return collected;
+      if (predicate(message)) collected.push(message);
+      if (collected.length >= amount) break;
+    }
+    cursor = sorted.at(-1)?.id;
+    if (!cursor) break;
+  }
+  return collected;
+}
+
+export async function deleteMessages(channel, messages) {
+  let deleted = 0;
+  for (let i = 0; i < messages.length; i += 100) {
+    const ids = messages.slice(i, i + 100).map(m => m.id);
+    const result = await channel.bulkDelete(ids, true).catch(() => null);
+    deleted += result?.size || 0;
+  }
+  return deleted;
+}
+
+/**
+ * Uploads a text transcript of `messages` to the purge transcript channel (message_log by default) and
+ * tells the message log not to archive them again. Returns the posted message, or null when no channel
+ * is configured; upload failures throw so nothing is deleted without its archive.
+ */
+export async function archiveMessages(container, guild, messages, { heading, summary, title, fileName }) {
+  const channelMapService = container.getOptional(TOKENS.ChannelMapService);
+  const logChannel = await resolveStaffChannel(guild, channelMapService, CONFIG.purge?.transcriptChannelKey || "message_log");
+  if (!logChannel) return null;
+
+  const text = renderTextTranscript(messages.map(toTranscriptEntry), { title });
+  const file = new AttachmentBuilder(Buffer.from(text, "utf8"), { name: fileName });
+  const posted = await logChannel.send({ embeds: [infoEmbed(heading, summary)], files: [file] });
+  container.getOptional(TOKENS.MessageLogService)?.markArchived?.(messages.map(m => m.id));
+  return posted;
+}
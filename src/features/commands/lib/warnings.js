@@ -0,0 +1,9 @@
+import { describeRung } from "../../../domain/services/WarningEscalationService.js";
+
+/** Extra reply line describing the escalation rung a new warning triggered, if any. */
+export function describeEscalation(escalation) {
+  if (!escalation) return "";
+  if (escalation.error) return `\n**Escalation failed:** ${describeRung(escalation.rung)} — ${escalation.error}`;
+  const caseText = escalation.caseEntry?.caseNumber ? ` (case #${escalation.caseEntry.caseNumber})` : "";
+  return `\n**Escalation:** ${describeRung(escalation.rung)}${caseText}`;
+}
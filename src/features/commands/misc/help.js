@@ -1,5 +1,6 @@
 import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from "discord.js";
 import { hasDefaultPerms, hasAppLevelPerms } from "../../../shared/utils/permissions.js";
+import { contextMenuKind } from "../../../app/registry/commandKeys.js";
 
 function titleCase(s) {
   return String(s || "general")
@@ -19,8 +20,10 @@ async function collectVisible(interaction) {
       if (!(await hasAppLevelPerms(interaction, cmd))) return null;
 
       const meta = cmd.meta;
+      const kind = contextMenuKind(cmd.data);
       return {
-        name,
+        name: name.toLowerCase(),
+        label: kind ? `${cmd.data.name} (${kind} menu)` : `/${name}`,
         desc: meta.description || cmd.data?.description || "—",
         usage: meta.usage || `/${name}`,
         examples: Array.isArray(meta.examples) ? meta.examples : [],
@@ -38,7 +41,7 @@ async function collectVisible(interaction) {
     byCat.get(rec.category).push(rec);
   }
 
-  for (const [, items] of byCat) items.sort((a, b) => a.name.localeCompare(b.name));
+  for (const [, items] of byCat) items.sort((a, b) => a.label.localeCompare(b.label));
   return { byCat, byName };
 }
 
@@ -49,7 +52,7 @@ function buildOverview(byCat, interaction) {
   for (const cat of cats) {
     const items = byCat.get(cat);
     const text = items
-      .map(i => `\`/${i.name}\` — ${i.desc}`)
+      .map(i => `\`${i.label}\` — ${i.desc}`)
       .join("\n")
       .slice(0, 1024);
 
@@ -85,7 +88,7 @@ function buildDetail(rec) {
     .slice(0, 1024);
 
   return new EmbedBuilder()
-    .setTitle(`/${rec.name}`)
+    .setTitle(rec.label)
     .setDescription(rec.desc)
     .addFields(
       { name: "Category", value: titleCase(rec.category), inline: true },
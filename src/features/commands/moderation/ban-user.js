@@ -0,0 +1,61 @@
+import { ApplicationCommandType, ContextMenuCommandBuilder, InteractionContextType, MessageFlags, PermissionFlagsBits } from "discord.js";
+import { TOKENS } from "../../../app/container/index.js";
+import { infoEmbed } from "../../../shared/utils/embeds.js";
+import { parseDuration } from "../../../shared/utils/time.js";
+import { promptModal, readInput } from "../lib/modalPrompt.js";
+
+export default {
+  data: new ContextMenuCommandBuilder()
+    .setName("Ban")
+    .setType(ApplicationCommandType.User)
+    .setContexts(InteractionContextType.Guild)
+    .setDefaultMemberPermissions(PermissionFlagsBits.BanMembers),
+  async execute(interaction) {
+    const target = interaction.targetUser;
+    const submission = await promptModal(interaction, {
+      title: `Ban ${target.username}`,
+      inputs: [
+        { id: "reason", label: "Reason", maxLength: 1000 },
+        { id: "duration", label: "Duration (blank for permanent)", placeholder: "e.g. 7d12h", maxLength: 32 }
+      ]
+    });
+    if (!submission) return;
+
+    const reason = readInput(submission, "reason") || "No reason provided.";
+    const durationInput = readInput(submission, "duration");
+    let parsedDuration = null;
+    if (durationInput) {
+      try {
+        parsedDuration = parseDuration(durationInput);
+        if (!parsedDuration?.ms) parsedDuration = null;
+      } catch (err) {
+        return submission.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Ban", `Invalid duration: ${err?.message || err}`)] });
+      }
+    }
+
+    await submission.deferReply({ flags: MessageFlags.Ephemeral });
+    const mod = interaction.client.container.get(TOKENS.ModerationService);
+    const metadata = { commandId: interaction.commandId };
+    const member = await interaction.guild.members.fetch(target.id).catch(() => null);
+    try {
+      if (member) {
+        await mod.ban({ guild: interaction.guild, target: member, moderator: interaction.user, reason, durationMs: parsedDuration?.ms ?? null, metadata });
+      } else if (parsedDuration) {
+        return submission.editReply({ embeds: [infoEmbed("Ban", "Timed bans need the user to be in the server. Leave the duration blank to ban them anyway.")] });
+      } else {
+        await mod.banById({ guild: interaction.guild, user: target, moderator: interaction.user, reason, metadata });
+      }
+      const durationText = parsedDuration?.human ? `\n**Duration:** ${parsedDuration.human}` : "";
+      return submission.editReply({ embeds: [infoEmbed("Ban", `Banned **${target.tag}**\n**Reason:** ${reason}${durationText}`)] });
+    } catch (err) {
+      return submission.editReply({ embeds: [infoEmbed("Ban", `Failed: ${err?.message || err}`)] });
+    }
+  },
+  meta: {
+    category: "moderation",
+    description: "Ban a user from the user context menu, with an optional duration. Works for users who already left.",
+    usage: "Right-click a user → Apps → Ban",
+    examples: ["Apps → Ban"],
+    permissions: "Ban Members"
+  }
+};
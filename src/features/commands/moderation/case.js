@@ -1,15 +1,64 @@
 import { PermissionFlagsBits, SlashCommandBuilder, MessageFlags } from "discord.js";
 import { infoEmbed, listEmbed } from "../../../shared/utils/embeds.js";
 import { TOKENS } from "../../../app/container/index.js";
+import { formatDuration, parseDuration } from "../../../shared/utils/time.js";
+import { caseNumberChoices } from "../lib/autocomplete.js";
+
+const SHOWN_REVISIONS = 5;
+
+function timestamp(date) {
+  return `<t:${Math.floor(new Date(date).getTime() / 1000)}:f>`;
+}
+
+function describeRevision(revision) {
+  const by = revision.by ? `<@${revision.by}>` : "System";
+  const suffix = revision.reason || revision.note ? ` — ${revision.reason || revision.note}` : "";
+  switch (revision.type) {
+    case "reason":
+      return `${by} changed the reason from "${revision.from}"`;
+    case "expunge":
+      return `${by} expunged the case${suffix}`;
+    case "restore":
+      return `${by} restored the case${suffix}`;
+    case "evidence":
+      return `${by} attached ${revision.label || revision.evidenceType || "evidence"}`;
+    case "timing": {
+      const from = revision.from?.expiresAt ? timestamp(revision.from.expiresAt) : "none";
+      return `${by} moved the expiry from ${from} to ${timestamp(revision.to.expiresAt)}${suffix}`;
+    }
+    default:
+      return `${by} edited the case`;
+  }
+}
 
 function formatCase(entry) {
   const lines = [
     `**Case:** #${entry.caseNumber}`,
-    `**User:** <@${entry.userId}>`,
+    entry.userId ? `**User:** <@${entry.userId}>` : `**Channel:** <#${entry.metadata?.channelId}>`,
     `**Action:** ${entry.action}`,
     `**Reason:** ${entry.reason || "No reason"}`
   ];
-  if (entry.durationMs) lines.push(`**Duration:** ${Math.round(entry.durationMs / 1000)}s`);
+  if (entry.durationMs) lines.push(`**Duration:** ${formatDuration(entry.durationMs)}`);
+  if (entry.expiresAt) lines.push(`**${entry.completedAt ? "Expired" : "Expires"}:** ${timestamp(entry.expiresAt)}`);
+  if (entry.undoContext?.via === "undo") {
+    const linked = entry.undoContext.undoCaseNumber ? ` in case #${entry.undoContext.undoCaseNumber}` : "";
+    lines.push(`**Undone:** ${timestamp(entry.completedAt)}${linked}`);
+  }
+  if (entry.metadata?.linkedCaseNumber) lines.push(`**Linked case:** #${entry.metadata.linkedCaseNumber}`);
+  if (entry.expungedAt) {
+    lines.push(`**Expunged:** ${timestamp(entry.expungedAt)}${entry.expungedReason ? ` — ${entry.expungedReason}` : ""}`);
+  }
+  const evidence = entry.evidence || [];
+  if (evidence.length) {
+    lines.push(`**Evidence:** ${evidence.map((item, index) => `[${item.label || `#${index + 1}`}](${item.url})`).join(", ")}`);
+  }
+  const revisions = entry.revisions || [];
+  if (revisions.length) {
+    lines.push("", `**History** (${revisions.length} edit${revisions.length === 1 ? "" : "s"})`);
+    for (const revision of revisions.slice(-SHOWN_REVISIONS)) {
+      lines.push(`${timestamp(revision.at)} ${describeRevision(revision)}`);
+    }
+  }
   return lines.join("\n");
 }
 
@@ -21,11 +70,33 @@ export default {
     .addSubcommand(s => s
       .setName("show")
       .setDescription("Show a specific case")
-      .addIntegerOption(o => o.setName("id").setDescription("Case number").setRequired(true)))
+      .addIntegerOption(o => o.setName("id").setDescription("Case number").setRequired(true).setAutocomplete(true)))
     .addSubcommand(s => s
       .setName("search")
       .setDescription("Search cases for a user")
-      .addUserOption(o => o.setName("user").setDescription("User").setRequired(true))),
+      .addUserOption(o => o.setName("user").setDescription("User").setRequired(true)))
+    .addSubcommand(s => s
+      .setName("expunge")
+      .setDescription("Strike a case from the record")
+      .addIntegerOption(o => o.setName("id").setDescription("Case number").setRequired(true).setAutocomplete(true))
+      .addStringOption(o => o.setName("reason").setDescription("Why the case is being expunged").setRequired(true)))
+    .addSubcommand(s => s
+      .setName("restore")
+      .setDescription("Restore an expunged case")
+      .addIntegerOption(o => o.setName("id").setDescription("Case number").setRequired(true).setAutocomplete(true))
+      .addStringOption(o => o.setName("reason").setDescription("Why the case is being restored")))
+    .addSubcommand(s => s
+      .setName("edit")
+      .setDescription("Change when an active timed action ends")
+      .addIntegerOption(o => o.setName("id").setDescription("Case number").setRequired(true).setAutocomplete(true))
+      .addStringOption(o => o.setName("duration").setDescription("New total length from when the action was taken, e.g. 3d"))
+      .addStringOption(o => o.setName("expires_in").setDescription("New time remaining from now, e.g. 12h"))
+      .addStringOption(o => o.setName("note").setDescription("Note kept in the case history")))
+    .addSubcommand(s => s
+      .setName("undo")
+      .setDescription("Reverse a ban, timeout, quarantine or warning")
+      .addIntegerOption(o => o.setName("id").setDescription("Case number").setRequired(true).setAutocomplete(true))
+      .addStringOption(o => o.setName("reason").setDescription("Reason recorded on the undo case"))),
   async execute(interaction) {
     if (!interaction.inGuild()) {
       return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Case", "Guild only.")] });
@@ -34,6 +105,10 @@ export default {
     const svc = interaction.client.container.get(TOKENS.ModerationLogService);
     const sub = interaction.options.getSubcommand();
 
+    if (sub === "expunge" || sub === "restore" || sub === "edit" || sub === "undo") {
+      return handleChange(interaction, sub);
+    }
+
     if (sub === "show") {
       const id = interaction.options.getInteger("id", true);
       const entry = await svc.getByCase(interaction.guildId, id);
@@ -48,11 +123,89 @@ export default {
     const lines = entries.map(e => `#${e.caseNumber} — ${e.action} — ${e.reason}`);
     return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [listEmbed(`Cases for ${user.tag}`, lines, "No cases found.")] });
   },
+  autocomplete: {
+    id: caseNumberChoices
+  },
   meta: {
     category: "moderation",
-    description: "Search the moderation case log.",
-    usage: "/case show id:42 | /case search user:@User",
-    examples: ["/case show id:100", "/case search user:@Trouble"],
+    description: "Look up, expunge, restore, re-time and undo moderation cases. Every change is kept in the case history.",
+    usage: "/case show id:42 | /case search user:@User | /case expunge id:42 reason:<text> | /case restore id:42 | /case edit id:42 duration:3d | /case undo id:42",
+    examples: [
+      "/case show id:100",
+      "/case search user:@Trouble",
+      "/case expunge id:57 reason:Wrong user",
+      "/case restore id:57",
+      "/case edit id:60 expires_in:12h note:Shortened on appeal",
+      "/case undo id:61 reason:Appeal accepted"
+    ],
     permissions: "Moderate Members"
   }
 };
+
+async function handleChange(interaction, sub) {
+  const moderation = interaction.client.container.get(TOKENS.ModerationService);
+  const id = interaction.options.getInteger("id", true);
+  const reply = (text) => interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Case", text)] });
+
+  if (sub === "expunge") {
+    const existing = await interaction.client.container.get(TOKENS.ModerationLogService).getByCase(interaction.guildId, id);
+    if (!existing) return reply("Case not found.");
+    if (existing.expungedAt) return reply(`Case #${id} is already expunged.`);
+    await moderation.expungeCase({
+      guildId: interaction.guildId,
+      caseNumber: id,
+      moderatorId: interaction.user.id,
+      reason: interaction.options.getString("reason", true)
+    });
+    return reply(`Expunged case #${id}.`);
+  }
+
+  if (sub === "restore") {
+    const entry = await moderation.restoreCase({
+      guildId: interaction.guildId,
+      caseNumber: id,
+      moderatorId: interaction.user.id,
+      reason: interaction.options.getString("reason")
+    });
+    return reply(entry ? `Restored case #${id}.` : "Case not found or not expunged.");
+  }
+
+  if (sub === "undo") {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    try {
+      const { linkedCase } = await moderation.undoCase({
+        guild: interaction.guild,
+        caseNumber: id,
+        moderator: interaction.user,
+        reason: interaction.options.getString("reason")
+      });
+      const linked = linkedCase ? ` Recorded as case #${linkedCase.caseNumber}.` : "";
+      return interaction.editReply({ embeds: [infoEmbed("Case", `Undid case #${id}.${linked}`)] });
+    } catch (err) {
+      return interaction.editReply({ embeds: [infoEmbed("Case", err.message)] });
+    }
+  }
+
+  const durationInput = interaction.options.getString("duration");
+  const expiresInput = interaction.options.getString("expires_in");
+  if (Boolean(durationInput) === Boolean(expiresInput)) {
+    return reply("Provide exactly one of `duration` or `expires_in`.");
+  }
+
+  try {
+    const parsed = parseDuration(durationInput || expiresInput);
+    if (!parsed?.ms) throw new Error("Timed actions need a finite duration.");
+    const updated = await moderation.editCaseTiming({
+      guild: interaction.guild,
+      caseNumber: id,
+      moderator: interaction.user,
+      durationMs: durationInput ? parsed.ms : undefined,
+      expiresAt: expiresInput ? new Date(Date.now() + parsed.ms) : undefined,
+      note: interaction.options.getString("note")
+    });
+    if (!updated) return reply("Case not found.");
+    return reply(`Case #${id} now ends ${timestamp(updated.expiresAt)} (${formatDuration(updated.durationMs)} total).`);
+  } catch (err) {
+    return reply(err.message);
+  }
+}
@@ -0,0 +1,78 @@
+import { ApplicationCommandType, ContextMenuCommandBuilder, InteractionContextType, MessageFlags, PermissionFlagsBits, TextInputStyle } from "discord.js";
+import { TOKENS } from "../../../app/container/index.js";
+import { infoEmbed } from "../../../shared/utils/embeds.js";
+import { promptModal, readInput } from "../lib/modalPrompt.js";
+import { archiveMessages } from "../lib/purge.js";
+import { describeEscalation } from "../lib/warnings.js";
+
+export default {
+  data: new ContextMenuCommandBuilder()
+    .setName("Delete & warn")
+    .setType(ApplicationCommandType.Message)
+    .setContexts(InteractionContextType.Guild)
+    .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers | PermissionFlagsBits.ManageMessages),
+  async execute(interaction) {
+    const message = interaction.targetMessage;
+    const author = message.author;
+    if (!author || author.bot || message.webhookId) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Delete & warn", "Only messages from members can be warned for.")] });
+    }
+
+    const submission = await promptModal(interaction, {
+      title: `Delete & warn ${author.username}`,
+      inputs: [{ id: "reason", label: "Reason", style: TextInputStyle.Paragraph, required: true, maxLength: 1000 }]
+    });
+    if (!submission) return;
+
+    const reason = readInput(submission, "reason") || "No reason provided.";
+    const { container } = interaction.client;
+    const channel = message.channel;
+    await submission.deferReply({ flags: MessageFlags.Ephemeral });
+
+    let archived;
+    try {
+      archived = await archiveMessages(container, interaction.guild, [message], {
+        heading: "Deleted message",
+        summary: `Message by ${author} in ${channel} deleted with a warning by ${interaction.user}.\n**Reason:** ${reason}`,
+        title: `Message ${message.id} in #${channel.name} (${channel.id}) deleted by ${interaction.user.tag} (${interaction.user.id})`,
+        fileName: `message-${message.id}.txt`
+      });
+      await message.delete();
+    } catch (err) {
+      return submission.editReply({ embeds: [infoEmbed("Delete & warn", `Failed to delete the message: ${err?.message || err}`)] });
+    }
+
+    let warning;
+    try {
+      warning = await container.get(TOKENS.WarningService).add(interaction.guildId, author.id, interaction.user.id, reason, {
+        commandId: interaction.commandId,
+        channelId: channel.id,
+        messageId: message.id
+      });
+    } catch (err) {
+      return submission.editReply({ embeds: [infoEmbed("Delete & warn", `Deleted the message, but the warning failed: ${err?.message || err}`)] });
+    }
+
+    if (archived && warning.caseNumber) {
+      await container.get(TOKENS.ModerationLogService).addEvidence({
+        guildId: interaction.guildId,
+        caseNumber: warning.caseNumber,
+        moderatorId: interaction.user.id,
+        evidence: { type: "message", label: "Deleted message", url: archived.url, channelId: channel.id, messageId: message.id }
+      }).catch(() => null);
+    }
+
+    const caseText = warning.caseNumber ? ` (case #${warning.caseNumber})` : "";
+    const archiveText = archived ? `\nArchived copy: ${archived.url}` : "\nNo message_log channel is mapped, so no copy was archived.";
+    return submission.editReply({
+      embeds: [infoEmbed("Delete & warn", `Deleted the message and warned **${author.tag}**${caseText}\n**Reason:** ${reason}${describeEscalation(warning.escalation)}${archiveText}`)]
+    });
+  },
+  meta: {
+    category: "moderation",
+    description: "Delete a message and warn its author. A copy is archived to message_log and attached to the warning case.",
+    usage: "Right-click a message → Apps → Delete & warn",
+    examples: ["Apps → Delete & warn"],
+    permissions: "Timeout Members and Manage Messages"
+  }
+};
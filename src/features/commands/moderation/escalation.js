@@ -0,0 +1,98 @@
+import { PermissionFlagsBits, SlashCommandBuilder, MessageFlags } from "discord.js";
+import { infoEmbed, listEmbed } from "../../../shared/utils/embeds.js";
+import { TOKENS } from "../../../app/container/index.js";
+import { parseDuration } from "../../../shared/utils/time.js";
+import { describeRung } from "../../../domain/services/WarningEscalationService.js";
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName("escalation")
+    .setDescription("Configure warning expiry and automatic escalation")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand(s => s
+      .setName("set")
+      .setDescription("Add or replace a rung of the escalation ladder")
+      .addIntegerOption(o => o.setName("warnings").setDescription("Active warnings that trigger this rung").setRequired(true).setMinValue(1).setMaxValue(100))
+      .addStringOption(o => o.setName("action").setDescription("What happens when the rung is reached").setRequired(true).addChoices(
+        { name: "timeout", value: "timeout" },
+        { name: "kick", value: "kick" },
+        { name: "ban", value: "ban" }
+      ))
+      .addIntegerOption(o => o.setName("window_days").setDescription("Only count warnings from the last N days (0 = all time)").setMinValue(0).setMaxValue(3650))
+      .addStringOption(o => o.setName("duration").setDescription("Timeout length (required) or ban length (optional), e.g. 1h, 7d")))
+    .addSubcommand(s => s
+      .setName("remove")
+      .setDescription("Remove a rung")
+      .addIntegerOption(o => o.setName("warnings").setDescription("Threshold of the rung to remove").setRequired(true).setMinValue(1)))
+    .addSubcommand(s => s
+      .setName("list")
+      .setDescription("Show the escalation ladder"))
+    .addSubcommand(s => s
+      .setName("clear")
+      .setDescription("Remove every rung"))
+    .addSubcommand(s => s
+      .setName("expiry")
+      .setDescription("Stop counting warnings after they reach a certain age")
+      .addIntegerOption(o => o.setName("days").setDescription("Days until a warning expires (0 = never)").setRequired(true).setMinValue(0).setMaxValue(3650))),
+  async execute(interaction) {
+    if (!interaction.inGuild()) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Escalation", "Guild only.")] });
+    }
+
+    const service = interaction.client.container.get(TOKENS.WarningEscalationService);
+    const sub = interaction.options.getSubcommand();
+    const guildId = interaction.guildId;
+
+    if (sub === "set") {
+      let durationMs = null;
+      const durationInput = interaction.options.getString("duration");
+      try {
+        if (durationInput) {
+          const parsed = parseDuration(durationInput);
+          if (!parsed?.ms) throw new Error("Invalid duration");
+          durationMs = parsed.ms;
+        }
+        const rung = service.setRung(guildId, {
+          threshold: interaction.options.getInteger("warnings", true),
+          windowDays: interaction.options.getInteger("window_days") ?? 0,
+          action: interaction.options.getString("action", true),
+          durationMs
+        });
+        return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Escalation", `Rung saved: **${describeRung(rung)}**.`)] });
+      } catch (err) {
+        return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Escalation", `Failed: ${err?.message || err}`)] });
+      }
+    }
+
+    if (sub === "remove") {
+      const threshold = interaction.options.getInteger("warnings", true);
+      const removed = service.removeRung(guildId, threshold);
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Escalation", removed ? `Removed the rung at **${threshold}** warning(s).` : "No rung with that threshold.")] });
+    }
+
+    if (sub === "expiry") {
+      const days = interaction.options.getInteger("days", true);
+      interaction.client.container.get(TOKENS.RuntimeModerationState).setWarnExpiryDays(guildId, days);
+      const text = days ? `Warnings now expire after **${days}** day(s). Expired warnings stay listed but no longer count.` : "Warnings no longer expire.";
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Escalation", text)] });
+    }
+
+    if (sub === "clear") {
+      service.clear(guildId);
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Escalation", "Escalation ladder cleared.")] });
+    }
+
+    const ladder = service.getLadder(guildId);
+    const expiryDays = interaction.client.container.get(TOKENS.RuntimeModerationState).getWarnExpiryDays(guildId);
+    const lines = ladder.length ? ladder.map((rung) => `• ${describeRung(rung)}`) : ["No escalation rungs configured."];
+    lines.push("", `Warning expiry: **${expiryDays ? `${expiryDays}d` : "never"}**`);
+    return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [listEmbed("Warning escalation", lines)] });
+  },
+  meta: {
+    category: "moderation",
+    description: "Configure when warnings expire and the ladder of automatic actions applied when a user collects them.",
+    usage: "/escalation set warnings:<n> action:<timeout|kick|ban> [window_days:<n>] [duration:<dur>]",
+    examples: ["/escalation set warnings:3 action:timeout window_days:30 duration:1h", "/escalation set warnings:5 action:ban window_days:30 duration:7d", "/escalation expiry days:90", "/escalation list"],
+    permissions: "Manage Server"
+  }
+};
@@ -0,0 +1,59 @@
+import { ApplicationCommandType, ContextMenuCommandBuilder, InteractionContextType, MessageFlags, PermissionFlagsBits } from "discord.js";
+import { TOKENS } from "../../../app/container/index.js";
+import { infoEmbed } from "../../../shared/utils/embeds.js";
+import { promptModal, readInput } from "../lib/modalPrompt.js";
+
+const SNAPSHOT_LENGTH = 1000;
+
+export default {
+  data: new ContextMenuCommandBuilder()
+    .setName("Add as case evidence")
+    .setType(ApplicationCommandType.Message)
+    .setContexts(InteractionContextType.Guild)
+    .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers),
+  async execute(interaction) {
+    const message = interaction.targetMessage;
+    const submission = await promptModal(interaction, {
+      title: "Add message as case evidence",
+      inputs: [
+        { id: "case", label: "Case number", required: true, placeholder: "e.g. 42", maxLength: 10 },
+        { id: "label", label: "Label", placeholder: `Message by ${message.author?.username ?? "unknown"}`, maxLength: 100 }
+      ]
+    });
+    if (!submission) return;
+
+    const caseNumber = Number.parseInt(readInput(submission, "case").replace(/^#/, ""), 10);
+    if (!Number.isInteger(caseNumber) || caseNumber < 1) {
+      return submission.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Evidence", "Enter a valid case number.")] });
+    }
+
+    const label = readInput(submission, "label") || `Message by ${message.author?.tag ?? "unknown"}`;
+    const updated = await interaction.client.container.get(TOKENS.ModerationLogService).addEvidence({
+      guildId: interaction.guildId,
+      caseNumber,
+      moderatorId: interaction.user.id,
+      evidence: {
+        type: "message",
+        label,
+        url: message.url,
+        channelId: message.channelId,
+        messageId: message.id,
+        authorId: message.author?.id ?? null,
+        // keep a copy in case the message is deleted later
+        content: (message.content || "").slice(0, SNAPSHOT_LENGTH),
+        attachments: [...(message.attachments?.values() ?? [])].map(a => a.url)
+      }
+    });
+    if (!updated) {
+      return submission.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Evidence", `Case #${caseNumber} not found.`)] });
+    }
+    return submission.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Evidence", `Attached [${label}](${message.url}) to case #${caseNumber}.`)] });
+  },
+  meta: {
+    category: "moderation",
+    description: "Attach a message link (with a snapshot of its content) to an existing case as evidence.",
+    usage: "Right-click a message → Apps → Add as case evidence",
+    examples: ["Apps → Add as case evidence"],
+    permissions: "Moderate Members"
+  }
+};
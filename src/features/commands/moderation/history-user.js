@@ -0,0 +1,21 @@
+import { ApplicationCommandType, ContextMenuCommandBuilder, InteractionContextType, MessageFlags, PermissionFlagsBits } from "discord.js";
+import { buildHistoryEmbed } from "../lib/memberInfo.js";
+
+export default {
+  data: new ContextMenuCommandBuilder()
+    .setName("History")
+    .setType(ApplicationCommandType.User)
+    .setContexts(InteractionContextType.Guild)
+    .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers),
+  async execute(interaction) {
+    const embed = await buildHistoryEmbed(interaction, interaction.targetUser);
+    return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [embed] });
+  },
+  meta: {
+    category: "moderation",
+    description: "Show a user's recent moderation cases from the user context menu.",
+    usage: "Right-click a user → Apps → History",
+    examples: ["Apps → History"],
+    permissions: "Moderate Members"
+  }
+};
@@ -1,11 +1,6 @@
 import { PermissionFlagsBits, SlashCommandBuilder, MessageFlags } from "discord.js";
 import { listEmbed } from "../../../shared/utils/embeds.js";
-import { TOKENS } from "../../../app/container/index.js";
-
-function formatEntry(entry) {
-  const when = `<t:${Math.floor(new Date(entry.createdAt).getTime() / 1000)}:R>`;
-  return `#${entry.caseNumber} — ${entry.action} — ${entry.reason} (${when})`;
-}
+import { buildHistoryEmbed } from "../lib/memberInfo.js";
 
 export default {
   data: new SlashCommandBuilder()
@@ -19,10 +14,7 @@ export default {
     }
 
     const user = interaction.options.getUser("user", true);
-    const svc = interaction.client.container.get(TOKENS.ModerationLogService);
-    const entries = await svc.list({ guildId: interaction.guildId, userId: user.id, limit: 20 });
-    const lines = entries.map(formatEntry);
-    return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [listEmbed(`History for ${user.tag}`, lines, "No history found.")] });
+    return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [await buildHistoryEmbed(interaction, user)] });
   },
   meta: {
     category: "moderation",
@@ -1,4 +1,5 @@
 import { PermissionFlagsBits, SlashCommandBuilder, MessageFlags } from "discord.js";
+import { TOKENS } from "../../../app/container/index.js";
 import { infoEmbed } from "../../../shared/utils/embeds.js";
 
 export default {
@@ -25,8 +26,15 @@ export default {
       return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Kick", "Cannot kick this member.")] });
     }
 
+    const mod = interaction.client.container.get(TOKENS.ModerationService);
     try {
-      await member.kick(reason);
+      await mod.kick({
+        guild: interaction.guild,
+        target: member,
+        moderator: interaction.user,
+        reason,
+        metadata: { commandId: interaction.commandId }
+      });
       return interaction.reply({ embeds: [infoEmbed("Kick", `Kicked **${target.tag}**.\nReason: ${reason}`)] });
     } catch (err) {
       return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Kick", `Failed: ${err?.message || err}`)] });
@@ -1,90 +1,164 @@
-import { PermissionFlagsBits, SlashCommandBuilder, MessageFlags } from "discord.js";
+import { ChannelType, PermissionFlagsBits, SlashCommandBuilder, MessageFlags } from "discord.js";
 import { infoEmbed, listEmbed } from "../../../shared/utils/embeds.js";
 import { TOKENS } from "../../../app/container/index.js";
+import { linkRuleChoices } from "../lib/autocomplete.js";
 
-const ruleDescription = (rule) => `• **${rule.type}** — ${rule.value}`;
+const RULE_TYPE_CHOICES = [
+  { name: "host (domain and subdomains)", value: "host" },
+  { name: "exact URL", value: "exact" },
+  { name: "path prefix", value: "path_prefix" },
+  { name: "substring", value: "substring" },
+  { name: "regex", value: "regex" }
+];
+
+const MODE_DESCRIPTIONS = {
+  off: "off — links are not checked",
+  denylist: "denylist — links matching a deny rule are removed",
+  allowlist: "allowlist — only links matching an allow rule are kept"
+};
+
+const ruleDescription = (rule) => `• **${rule.type}** — ${rule.value}${rule.note ? ` _(${rule.note})_` : ""}`;
+
+function addRuleSubcommands(group, label) {
+  return group
+    .addSubcommand(s => s
+      .setName("add")
+      .setDescription(`Add ${label} link rule`)
+      .addStringOption(o => o.setName("type").setDescription("Match type").setRequired(true).addChoices(...RULE_TYPE_CHOICES))
+      .addStringOption(o => o.setName("value").setDescription("Value to match").setRequired(true).setMaxLength(200))
+      .addStringOption(o => o.setName("note").setDescription("Why this rule exists").setMaxLength(200)))
+    .addSubcommand(s => s
+      .setName("remove")
+      .setDescription(`Remove ${label} link rule`)
+      .addStringOption(o => o.setName("value").setDescription("Value to remove").setRequired(true).setAutocomplete(true)))
+    .addSubcommand(s => s
+      .setName("list")
+      .setDescription(`List ${label} link rules`));
+}
+
+function buildStateOption(option) {
+  return option.addStringOption(o => o.setName("state").setDescription("Exempt or not").setRequired(true).addChoices(
+    { name: "on", value: "on" },
+    { name: "off", value: "off" }
+  ));
+}
 
 export default {
   data: new SlashCommandBuilder()
     .setName("links")
     .setDescription("Manage link allow/deny lists")
     .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
-    .addSubcommandGroup(g => g
-      .setName("allow")
-      .setDescription("Allowlist controls")
-      .addSubcommand(s => s
-        .setName("add")
-        .setDescription("Add an allowed link rule")
-        .addStringOption(o => o.setName("type").setDescription("Match type").setRequired(true).addChoices(
-          { name: "pattern", value: "pattern" },
-          { name: "exact", value: "exact" }
-        ))
-        .addStringOption(o => o.setName("value").setDescription("Value to allow").setRequired(true)))
-      .addSubcommand(s => s
-        .setName("remove")
-        .setDescription("Remove an allowed link rule")
-        .addStringOption(o => o.setName("value").setDescription("Value to remove").setRequired(true)))
-      .addSubcommand(s => s
-        .setName("list")
-        .setDescription("List allowed link rules")))
-    .addSubcommandGroup(g => g
-      .setName("deny")
-      .setDescription("Deny list controls")
-      .addSubcommand(s => s
-        .setName("add")
-        .setDescription("Add a denied link rule")
-        .addStringOption(o => o.setName("type").setDescription("Match type").setRequired(true).addChoices(
-          { name: "pattern", value: "pattern" },
-          { name: "exact", value: "exact" }
-        ))
-        .addStringOption(o => o.setName("value").setDescription("Value to deny").setRequired(true)))
-      .addSubcommand(s => s
-        .setName("remove")
-        .setDescription("Remove a denied link rule")
-        .addStringOption(o => o.setName("value").setDescription("Value to remove").setRequired(true)))
-      .addSubcommand(s => s
-        .setName("list")
-        .setDescription("List denied link rules")))
+    .addSubcommandGroup(g => addRuleSubcommands(g.setName("allow").setDescription("Allowlist controls"), "an allowed"))
+    .addSubcommandGroup(g => addRuleSubcommands(g.setName("deny").setDescription("Deny list controls"), "a denied"))
     .addSubcommand(s => s
       .setName("test")
       .setDescription("Test a URL against the rules")
-      .addStringOption(o => o.setName("url").setDescription("URL to test").setRequired(true))),
+      .addStringOption(o => o.setName("url").setDescription("URL to test").setRequired(true)))
+    .addSubcommand(s => s
+      .setName("mode")
+      .setDescription("Choose how the link guard enforces the rules")
+      .addStringOption(o => o.setName("value").setDescription("Guard mode").setRequired(true).addChoices(
+        { name: "off", value: "off" },
+        { name: "denylist", value: "denylist" },
+        { name: "allowlist only", value: "allowlist" }
+      )))
+    .addSubcommand(s => buildStateOption(s
+      .setName("exempt-channel")
+      .setDescription("Exempt a channel from the link guard")
+      .addChannelOption(o => o.setName("channel").setDescription("Channel").setRequired(true).addChannelTypes(
+        ChannelType.GuildText,
+        ChannelType.GuildAnnouncement,
+        ChannelType.GuildForum,
+        ChannelType.GuildVoice
+      ))))
+    .addSubcommand(s => buildStateOption(s
+      .setName("exempt-role")
+      .setDescription("Exempt a role from the link guard")
+      .addRoleOption(o => o.setName("role").setDescription("Role").setRequired(true))))
+    .addSubcommand(s => s
+      .setName("status")
+      .setDescription("Show the link guard mode and exemptions")),
   async execute(interaction) {
     if (!interaction.inGuild()) {
       return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Links", "Guild only.")] });
     }
 
-    const runtime = interaction.client.container.get(TOKENS.RuntimeModerationState);
+    const links = interaction.client.container.get(TOKENS.LinkAllowService);
     const group = interaction.options.getSubcommandGroup(false);
     const sub = interaction.options.getSubcommand();
+    const guildId = interaction.guildId;
 
-    if (!group) {
-      const url = interaction.options.getString("url", true);
-      const result = runtime.testLink(interaction.guildId, url);
-      const resText = result.result === "none" ? "No rules matched." : `Matched **${result.result}** (${result.rule?.type ?? "?"} → ${result.rule?.value ?? ""}).`;
-      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Links Test", resText)] });
-    }
+    try {
+      if (!group) {
+        if (sub === "test") {
+          const url = interaction.options.getString("url", true);
+          const result = links.evaluate(guildId, url);
+          const violation = links.findViolation(guildId, url);
+          const resText = result.result === "none" ? "No rules matched." : `Matched **${result.result}** (${result.rule?.type ?? "?"} → ${result.rule?.value ?? ""}).`;
+          const verdict = violation ? `Would be **removed** (${violation.reason}).` : "Would be **kept**.";
+          return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Links Test", `${resText}\n${verdict}\nMode: ${MODE_DESCRIPTIONS[links.getMode(guildId)]}`)] });
+        }
 
-    const kind = group;
-    if (sub === "add") {
-      const type = interaction.options.getString("type", true) === "exact" ? "exact" : "pattern";
-      const value = interaction.options.getString("value", true);
-      runtime.addLinkRule(interaction.guildId, kind, { type, value });
-      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Links", `${kind === "allow" ? "Allow" : "Deny"} rule added for **${value}** (${type}).`)] });
-    }
-    if (sub === "remove") {
-      const value = interaction.options.getString("value", true);
-      const removed = runtime.removeLinkRule(interaction.guildId, kind, value);
-      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Links", removed ? `Removed ${kind} rule for **${value}**.` : "No matching rule.")] });
+        if (sub === "mode") {
+          const mode = await links.setMode(guildId, interaction.options.getString("value", true));
+          return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Links", `Link guard mode: ${MODE_DESCRIPTIONS[mode]}.`)] });
+        }
+
+        if (sub === "exempt-channel") {
+          const channel = interaction.options.getChannel("channel", true);
+          const state = interaction.options.getString("state", true) === "on";
+          await links.setChannelExempt(guildId, channel.id, state);
+          return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Links", `${channel} is ${state ? "now exempt from" : "no longer exempt from"} the link guard.`)] });
+        }
+
+        if (sub === "exempt-role") {
+          const role = interaction.options.getRole("role", true);
+          const state = interaction.options.getString("state", true) === "on";
+          await links.setRoleExempt(guildId, role.id, state);
+          return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Links", `${role} is ${state ? "now exempt from" : "no longer exempt from"} the link guard.`)] });
+        }
+
+        const { channelIds, roleIds } = links.listExemptions(guildId);
+        const lines = [
+          `Mode: ${MODE_DESCRIPTIONS[links.getMode(guildId)]}`,
+          `Allow rules: **${links.list(guildId, "allow").length}** · Deny rules: **${links.list(guildId, "deny").length}**`,
+          `Exempt channels: ${channelIds.length ? channelIds.map((id) => `<#${id}>`).join(", ") : "none"}`,
+          `Exempt roles: ${roleIds.length ? roleIds.map((id) => `<@&${id}>`).join(", ") : "none"}`,
+          "Staff are always exempt. Discord invites are handled by `/allowed-invites`."
+        ];
+        return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [listEmbed("Link guard", lines)] });
+      }
+
+      const kind = group;
+      if (sub === "add") {
+        const rule = await links.add(guildId, kind, {
+          type: interaction.options.getString("type", true),
+          value: interaction.options.getString("value", true),
+          note: interaction.options.getString("note"),
+          addedBy: interaction.user.id
+        });
+        return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Links", `${kind === "allow" ? "Allow" : "Deny"} rule added for **${rule.value}** (${rule.type}).`)] });
+      }
+      if (sub === "remove") {
+        const value = interaction.options.getString("value", true);
+        const removed = await links.remove(guildId, kind, value);
+        return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Links", removed ? `Removed ${kind} rule for **${value}**.` : "No matching rule.")] });
+      }
+
+      const rules = links.list(guildId, kind).map(ruleDescription);
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [listEmbed(`${kind === "allow" ? "Allowed" : "Denied"} links`, rules)] });
+    } catch (err) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Links", `Failed: ${err?.message || err}`)] });
     }
-    const rules = runtime.listLinkRules(interaction.guildId, kind).map(ruleDescription);
-    return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [listEmbed(`${kind === "allow" ? "Allowed" : "Denied"} links`, rules)] });
+  },
+  autocomplete: {
+    value: linkRuleChoices
   },
   meta: {
     category: "moderation",
-    description: "Manage link allow/deny rules.",
-    usage: "/links allow add type:pattern value:example.com",
-    examples: ["/links allow list", "/links deny add type:exact value:bad.com"],
+    description: "Manage link allow/deny rules and the link guard that enforces them.",
+    usage: "/links allow add type:host value:example.com | /links mode value:allowlist",
+    examples: ["/links allow list", "/links deny add type:exact value:https://bad.com/", "/links exempt-channel channel:#media state:on"],
     permissions: "Manage Server"
   }
 };
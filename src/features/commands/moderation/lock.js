@@ -1,5 +1,7 @@
 import { PermissionFlagsBits, SlashCommandBuilder, ChannelType, MessageFlags } from "discord.js";
+import { TOKENS } from "../../../app/container/index.js";
 import { infoEmbed } from "../../../shared/utils/embeds.js";
+import { formatDuration, parseDuration } from "../../../shared/utils/time.js";
 
 function resolveChannel(interaction) {
   const channel = interaction.options.getChannel("channel") || interaction.channel;
@@ -13,7 +15,8 @@ export default {
     .setDescription("Lock a text channel")
     .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels)
     .addChannelOption(o => o.setName("channel").setDescription("Channel to lock").addChannelTypes(ChannelType.GuildText))
-    .addStringOption(o => o.setName("reason").setDescription("Reason")),
+    .addStringOption(o => o.setName("reason").setDescription("Reason"))
+    .addStringOption(o => o.setName("duration").setDescription("Unlock automatically after e.g. 30m, 2h")),
   async execute(interaction) {
     if (!interaction.inGuild()) {
       return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Lock", "Guild only.")] });
@@ -24,21 +27,36 @@ export default {
       return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Lock", "Select a text channel.")] });
     }
 
+    let durationMs = null;
+    try {
+      durationMs = parseDuration(interaction.options.getString("duration"))?.ms ?? null;
+    } catch (err) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Lock", err.message)] });
+    }
+
     const reason = interaction.options.getString("reason") || "Channel locked";
     const everyone = interaction.guild.roles.everyone;
+    const schedules = interaction.client.container.getOptional(TOKENS.ChannelScheduleService);
+    if (durationMs && !schedules) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Lock", "Timed locks are unavailable.")] });
+    }
 
     try {
       await channel.permissionOverwrites.edit(everyone, { SendMessages: false, AddReactions: false }, `${reason} (by ${interaction.user.tag})`);
-      return interaction.reply({ embeds: [infoEmbed("Lock", `Locked ${channel}.\nReason: ${reason}`)] });
+      // a plain /lock replaces any earlier timed lock on the channel
+      if (durationMs) await schedules.scheduleUnlock(channel, durationMs, interaction.user.id);
+      else await schedules?.cancel?.(channel.id, "unlock");
+      const until = durationMs ? `\nUnlocks <t:${Math.floor((Date.now() + durationMs) / 1000)}:R> (${formatDuration(durationMs)}).` : "";
+      return interaction.reply({ embeds: [infoEmbed("Lock", `Locked ${channel}.\nReason: ${reason}${until}`)] });
     } catch (err) {
       return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Lock", `Failed: ${err?.message || err}`)] });
     }
   },
   meta: {
     category: "moderation",
-    description: "Prevent @everyone from sending messages in a text channel.",
-    usage: "/lock [channel:#general] [reason:<text>]",
-    examples: ["/lock channel:#general reason:raid"],
+    description: "Prevent @everyone from sending messages in a text channel, optionally unlocking it after a duration.",
+    usage: "/lock [channel:#general] [reason:<text>] [duration:30m]",
+    examples: ["/lock channel:#general reason:raid", "/lock duration:2h reason:cooling off"],
     permissions: "Manage Channels"
   }
 };
@@ -0,0 +1,131 @@
+import { PermissionFlagsBits, SlashCommandBuilder, ChannelType, MessageFlags } from "discord.js";
+import { TOKENS } from "../../../app/container/index.js";
+import { infoEmbed } from "../../../shared/utils/embeds.js";
+import { parseDuration } from "../../../shared/utils/time.js";
+import { selectLockdownChannels } from "../../../domain/services/LockdownService.js";
+
+function parseChannelIds(input) {
+  return [...String(input ?? "").matchAll(/(?:<#)?(\d{15,25})>?/g)].map((match) => match[1]);
+}
+
+function describeScope({ all, category, channelIds }) {
+  if (all) return "all";
+  if (category) return "category";
+  return channelIds.length ? "channels" : "channel";
+}
+
+async function start(interaction, svc) {
+  const all = interaction.options.getBoolean("all") ?? false;
+  const category = interaction.options.getChannel("category");
+  const channelIds = parseChannelIds(interaction.options.getString("channels"));
+  const reason = interaction.options.getString("reason") || "";
+  const slowmodeSeconds = interaction.options.getInteger("slowmode");
+
+  let durationMs = null;
+  try {
+    durationMs = parseDuration(interaction.options.getString("duration"))?.ms ?? null;
+  } catch (err) {
+    return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Lockdown", err.message)] });
+  }
+
+  const channels = selectLockdownChannels(interaction.guild, {
+    all,
+    categoryId: category?.id ?? null,
+    channelIds: all || category || channelIds.length ? channelIds : [interaction.channelId]
+  });
+  if (!channels.length) {
+    return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Lockdown", "No lockable channels matched.")] });
+  }
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  try {
+    const { lockdown, locked, failed, tookOver } = await svc.start({
+      guild: interaction.guild,
+      channels,
+      moderator: interaction.user,
+      reason,
+      durationMs,
+      slowmodeSeconds,
+      scope: describeScope({ all, category, channelIds })
+    });
+    const lines = [`Locked **${locked}** channel${locked === 1 ? "" : "s"}.`];
+    if (tookOver) lines.push(`Took over the running ${tookOver} lockdown; the channels it covered are restored with the rest on end.`);
+    if (failed) lines.push(`Failed to lock **${failed}** (missing permissions?).`);
+    if (lockdown.endsAt) lines.push(`Ends <t:${Math.floor(new Date(lockdown.endsAt).getTime() / 1000)}:R>.`);
+    lines.push("Run `/lockdown end` to restore every channel.");
+    return interaction.editReply({ embeds: [infoEmbed("Lockdown started", lines.join("\n"))] });
+  } catch (err) {
+    return interaction.editReply({ embeds: [infoEmbed("Lockdown", `Failed: ${err?.message || err}`)] });
+  }
+}
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName("lockdown")
+    .setDescription("Lock many channels at once and restore them exactly afterwards")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels)
+    .addSubcommand(s => s
+      .setName("start")
+      .setDescription("Start a lockdown (defaults to this channel)")
+      .addStringOption(o => o.setName("channels").setDescription("Channels to lock, e.g. #general #memes"))
+      .addChannelOption(o => o.setName("category").setDescription("Lock every public channel in a category").addChannelTypes(ChannelType.GuildCategory))
+      .addBooleanOption(o => o.setName("all").setDescription("Lock every public channel in the server"))
+      .addStringOption(o => o.setName("duration").setDescription("End automatically after, e.g. 30m"))
+      .addIntegerOption(o => o.setName("slowmode").setDescription("Also set slowmode (seconds)").setMinValue(0).setMaxValue(21600))
+      .addStringOption(o => o.setName("reason").setDescription("Reason shown in the notice")))
+    .addSubcommand(s => s
+      .setName("end")
+      .setDescription("End the lockdown and restore every channel")
+      .addStringOption(o => o.setName("reason").setDescription("Note shown in the notice")))
+    .addSubcommand(s => s.setName("status").setDescription("Show the active lockdown")),
+  async execute(interaction) {
+    if (!interaction.inGuild()) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Lockdown", "Guild only.")] });
+    }
+
+    const svc = interaction.client.container.get(TOKENS.LockdownService);
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === "start") return start(interaction, svc);
+
+    if (sub === "end") {
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      try {
+        const result = await svc.end({
+          guild: interaction.guild,
+          moderator: interaction.user,
+          reason: interaction.options.getString("reason") || ""
+        });
+        if (!result) return interaction.editReply({ embeds: [infoEmbed("Lockdown", "No lockdown is active.")] });
+        const lines = [`Restored **${result.restored}** channel${result.restored === 1 ? "" : "s"}.`];
+        if (!result.ended) {
+          lines.push(`Failed to restore **${result.failed}**, so the lockdown stays active for them. Fix the bot's permissions there and run \`/lockdown end\` again.`);
+          return interaction.editReply({ embeds: [infoEmbed("Lockdown partly ended", lines.join("\n"))] });
+        }
+        return interaction.editReply({ embeds: [infoEmbed("Lockdown ended", lines.join("\n"))] });
+      } catch (err) {
+        return interaction.editReply({ embeds: [infoEmbed("Lockdown", `Failed: ${err?.message || err}`)] });
+      }
+    }
+
+    const active = await svc.getActive(interaction.guildId);
+    if (!active) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Lockdown", "No lockdown is active.")] });
+    }
+    const startedAt = Math.floor(new Date(active.createdAt).getTime() / 1000);
+    const lines = [
+      `Scope: **${active.scope}** (${active.channels.length} channels)`,
+      `Started <t:${startedAt}:R>${active.startedBy ? ` by <@${active.startedBy}>` : ""}`
+    ];
+    if (active.endsAt) lines.push(`Ends <t:${Math.floor(new Date(active.endsAt).getTime() / 1000)}:R>`);
+    if (active.reason) lines.push(`Reason: ${active.reason}`);
+    return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Lockdown active", lines.join("\n"))] });
+  },
+  meta: {
+    category: "moderation",
+    description: "Lock a set of channels, a category or the whole server. Each channel's @everyone permissions and slowmode are saved and restored exactly on end, even across restarts.",
+    usage: "/lockdown start [channels:<#a #b>] [category:<category>] [all:true] [duration:<time>] [slowmode:<seconds>] [reason:<text>] | /lockdown end [reason:<text>] | /lockdown status",
+    examples: ["/lockdown start all:true duration:30m reason:Raid", "/lockdown start category:#Community", "/lockdown end reason:All clear"],
+    permissions: "Manage Channels"
+  }
+};
@@ -22,11 +22,11 @@ export default {
     const limit = interaction.options.getInteger("count", true);
     const runtime = interaction.client.container.get(TOKENS.RuntimeModerationState);
     runtime.setMassMentionLimit(interaction.guildId, limit);
-    return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Massmention", `Limit set to **${limit}** mentions per message.`)] });
+    return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Massmention", `Limit set to **${limit}** mentions per message (unique users, roles and @everyone/@here combined). Offenders are timed out.`)] });
   },
   meta: {
     category: "moderation",
-    description: "Limit how many users can be mentioned per message.",
+    description: "Limit how many users and roles can be mentioned per message; offenders are timed out.",
     usage: "/massmention limit set count:5",
     examples: ["/massmention limit set count:3"],
     permissions: "Manage Server"
@@ -0,0 +1,64 @@
+import { PermissionFlagsBits, SlashCommandBuilder, ChannelType, MessageFlags } from "discord.js";
+import { TOKENS } from "../../../app/container/index.js";
+import { infoEmbed } from "../../../shared/utils/embeds.js";
+
+const IGNORABLE_CHANNEL_TYPES = [ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum, ChannelType.GuildCategory];
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName("messagelog")
+    .setDescription("Configure deleted/edited message logging")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand(s => s.setName("status").setDescription("Show the message log settings"))
+    .addSubcommand(s => s
+      .setName("ignore")
+      .setDescription("Stop logging a channel or category")
+      .addChannelOption(o => o.setName("channel").setDescription("Channel or category").setRequired(true).addChannelTypes(...IGNORABLE_CHANNEL_TYPES)))
+    .addSubcommand(s => s
+      .setName("unignore")
+      .setDescription("Resume logging a channel or category")
+      .addChannelOption(o => o.setName("channel").setDescription("Channel or category").setRequired(true).addChannelTypes(...IGNORABLE_CHANNEL_TYPES)))
+    .addSubcommand(s => s
+      .setName("staffchannels")
+      .setDescription("Choose whether staff channels are logged")
+      .addBooleanOption(o => o.setName("include").setDescription("Log staff channels too").setRequired(true))),
+  async execute(interaction) {
+    if (!interaction.inGuild()) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Message log", "Guild only.")] });
+    }
+
+    const sub = interaction.options.getSubcommand();
+    const guildConfigService = interaction.client.container.get(TOKENS.GuildConfigService);
+
+    if (sub === "status") {
+      const settings = await guildConfigService.getMessageLogSettings(interaction.guildId);
+      const mapping = await interaction.client.container.getOptional(TOKENS.ChannelMapService)?.get?.(interaction.guildId, "message_log");
+      const lines = [
+        `Channel: ${mapping?.channelId ? `<#${mapping.channelId}>` : "not mapped (falls back to a #message-log channel)"}`,
+        `Staff channels: ${settings.includeStaffChannels ? "logged" : "excluded"}`,
+        `Ignored: ${settings.ignoredChannelIds.length ? settings.ignoredChannelIds.map((id) => `<#${id}>`).join(", ") : "none"}`
+      ];
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Message log", lines.join("\n"))] });
+    }
+
+    if (sub === "staffchannels") {
+      const include = interaction.options.getBoolean("include", true);
+      await guildConfigService.setMessageLogIncludeStaffChannels(interaction.guildId, include);
+      const message = include ? "Staff channels will be logged." : "Staff channels are excluded from the message log.";
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Message log", message)] });
+    }
+
+    const channel = interaction.options.getChannel("channel", true);
+    const ignored = sub === "ignore";
+    await guildConfigService.setMessageLogChannelIgnored(interaction.guildId, channel.id, ignored);
+    const message = ignored ? `No longer logging ${channel}.` : `Logging ${channel} again.`;
+    return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Message log", message)] });
+  },
+  meta: {
+    category: "moderation",
+    description: "Configure which channels have deleted and edited messages logged to message_log. Staff channels (mapped with /channelmap, plus the mod log) are excluded unless enabled.",
+    usage: "/messagelog status | /messagelog ignore channel:#bots | /messagelog unignore channel:#bots | /messagelog staffchannels include:true",
+    examples: ["/messagelog ignore channel:#bot-commands", "/messagelog staffchannels include:false"],
+    permissions: "Manage Server"
+  }
+};
@@ -38,7 +38,7 @@ export default {
   },
   meta: {
     category: "moderation",
-    description: "Configure where moderation logs are sent.",
+    description: "Configure the channel every moderation case is posted to.",
     usage: "/modlog where | /modlog set channel:#logs",
     examples: ["/modlog set channel:#mod-log"],
     permissions: "Manage Server"
@@ -0,0 +1,105 @@
+import { PermissionFlagsBits, SlashCommandBuilder, MessageFlags } from "discord.js";
+import { TOKENS } from "../../../app/container/index.js";
+import { infoEmbed } from "../../../shared/utils/embeds.js";
+import { buildStaffReplyEmbed } from "../../../domain/services/ModmailService.js";
+
+const addReplyOptions = (s) => s
+  .addStringOption(o => o.setName("message").setDescription("Message to send").setRequired(true).setMaxLength(4000))
+  .addAttachmentOption(o => o.setName("attachment").setDescription("File to send along"));
+
+async function openThreadFor(interaction, svc) {
+  const record = await svc.getThreadByChannel(interaction.channelId);
+  return record?.status === "open" && record.guildId === interaction.guildId ? record : null;
+}
+
+async function handleReply(interaction, svc, anonymous) {
+  const record = await openThreadFor(interaction, svc);
+  if (!record) {
+    return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Modmail", "Use this inside an open modmail thread.")] });
+  }
+  const content = interaction.options.getString("message", true);
+  const attachment = interaction.options.getAttachment("attachment");
+  const attachments = attachment ? [attachment] : [];
+
+  await interaction.deferReply();
+  try {
+    await svc.reply({ record, guild: interaction.guild, staff: interaction.user, content, attachments, anonymous });
+  } catch (err) {
+    return interaction.editReply({ embeds: [infoEmbed("Modmail", `Could not message <@${record.userId}>: ${err?.message || err}`)] });
+  }
+  // the public copy keeps the reply in the thread (and its transcript)
+  return interaction.editReply({
+    embeds: [buildStaffReplyEmbed({ guild: interaction.guild, staff: interaction.user, content, anonymous, forStaff: true })],
+    files: attachments.map(a => ({ attachment: a.url, name: a.name }))
+  });
+}
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName("modmail")
+    .setDescription("Answer and manage modmail threads")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
+    .addSubcommand(s => addReplyOptions(s.setName("reply").setDescription("Reply to the member in this thread")))
+    .addSubcommand(s => addReplyOptions(s.setName("anonymous-reply").setDescription("Reply without showing your name")))
+    .addSubcommand(s => s
+      .setName("close")
+      .setDescription("Close this thread and save a transcript")
+      .addStringOption(o => o.setName("reason").setDescription("Reason (kept in the transcript)").setMaxLength(500)))
+    .addSubcommand(s => s
+      .setName("block")
+      .setDescription("Stop a user from opening modmail")
+      .addUserOption(o => o.setName("user").setDescription("User (defaults to this thread's member)"))
+      .addStringOption(o => o.setName("reason").setDescription("Reason").setMaxLength(500)))
+    .addSubcommand(s => s
+      .setName("unblock")
+      .setDescription("Allow a blocked user to use modmail again")
+      .addUserOption(o => o.setName("user").setDescription("User").setRequired(true))),
+  async execute(interaction) {
+    if (!interaction.inGuild()) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Modmail", "Use this command in a server.")] });
+    }
+
+    const svc = interaction.client.container.get(TOKENS.ModmailService);
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === "reply" || sub === "anonymous-reply") return handleReply(interaction, svc, sub === "anonymous-reply");
+
+    if (sub === "close") {
+      const record = await openThreadFor(interaction, svc);
+      if (!record) {
+        return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Modmail", "Use this inside an open modmail thread.")] });
+      }
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      const reason = interaction.options.getString("reason") || "";
+      const { transcript } = await svc.close({ record, guild: interaction.guild, thread: interaction.channel, closedBy: interaction.user, reason });
+      return interaction.editReply({
+        embeds: [infoEmbed("Modmail", transcript ? `Thread closed. [Transcript](${transcript.url})` : "Thread closed, but the transcript could not be posted.")]
+      });
+    }
+
+    if (sub === "block") {
+      const user = interaction.options.getUser("user");
+      const userId = user?.id ?? (await openThreadFor(interaction, svc))?.userId;
+      if (!userId) {
+        return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Modmail", "Pick a user, or run this inside their modmail thread.")] });
+      }
+      const reason = interaction.options.getString("reason") || "";
+      await svc.block({ guildId: interaction.guildId, userId, moderatorId: interaction.user.id, reason });
+      return interaction.reply({ embeds: [infoEmbed("Modmail", `<@${userId}> can no longer use modmail here.${reason ? `\n**Reason:** ${reason}` : ""}`)] });
+    }
+
+    const user = interaction.options.getUser("user", true);
+    const removed = await svc.unblock(interaction.guildId, user.id);
+    return interaction.reply({
+      flags: removed ? undefined : MessageFlags.Ephemeral,
+      embeds: [infoEmbed("Modmail", removed ? `${user} can use modmail again.` : `${user} is not blocked.`)]
+    });
+  },
+  meta: {
+    category: "moderation",
+    description: "Members DM the bot to open a private thread in the `modmail` channel (map it with /channelmap, forum or text). Reply from that thread, anonymously if needed, and close it to save a transcript.",
+    usage: "/modmail reply message:<text> [attachment] | /modmail anonymous-reply message:<text> | /modmail close [reason] | /modmail block [user] [reason] | /modmail unblock user:@User",
+    examples: ["/modmail reply message:Thanks, we're looking into it.", "/modmail close reason:Resolved", "/modmail block user:@Spammer reason:Abusing modmail"],
+    permissions: "Moderate Members"
+  }
+};
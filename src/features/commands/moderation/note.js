@@ -1,51 +1,115 @@
 import { PermissionFlagsBits, SlashCommandBuilder, MessageFlags } from "discord.js";
 import { infoEmbed, listEmbed } from "../../../shared/utils/embeds.js";
 import { TOKENS } from "../../../app/container/index.js";
+import { MAX_NOTE_LENGTH } from "../../../domain/services/NoteService.js";
 
-function formatNote(note) {
+const PREVIEW_LENGTH = 200;
+
+function formatNote(note, { showUser = false } = {}) {
   const author = note.authorId ? `<@${note.authorId}>` : "Unknown";
-  const ts = note.createdAt instanceof Date ? note.createdAt.toISOString() : new Date(note.createdAt).toISOString();
-  return `• ${note.text} — ${author} (${ts})`;
+  const ts = `<t:${Math.floor(new Date(note.createdAt).getTime() / 1000)}:R>`;
+  const cases = note.caseNumbers?.length ? ` · cases ${note.caseNumbers.map((n) => `#${n}`).join(", ")}` : "";
+  const edited = note.editedAt ? " _(edited)_" : "";
+  const user = showUser ? ` <@${note.userId}>` : "";
+  const text = note.text.length > PREVIEW_LENGTH ? `${note.text.slice(0, PREVIEW_LENGTH)}…` : note.text;
+  return `• **N${note.noteNumber}**${user} ${text} — ${author} ${ts}${cases}${edited}`;
 }
 
 export default {
   data: new SlashCommandBuilder()
     .setName("note")
-    .setDescription("Add or view moderator notes")
+    .setDescription("Add, view and manage moderator notes")
     .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
     .addSubcommand(s => s
       .setName("add")
       .setDescription("Add a note for a user")
       .addUserOption(o => o.setName("user").setDescription("User").setRequired(true))
-      .addStringOption(o => o.setName("text").setDescription("Note text").setRequired(true)))
+      .addStringOption(o => o.setName("text").setDescription("Note text").setRequired(true).setMaxLength(MAX_NOTE_LENGTH))
+      .addStringOption(o => o.setName("cases").setDescription("Related case numbers, e.g. 12, 15")))
     .addSubcommand(s => s
       .setName("list")
       .setDescription("List notes for a user")
-      .addUserOption(o => o.setName("user").setDescription("User").setRequired(true))),
+      .addUserOption(o => o.setName("user").setDescription("User").setRequired(true)))
+    .addSubcommand(s => s
+      .setName("edit")
+      .setDescription("Edit a note")
+      .addIntegerOption(o => o.setName("id").setDescription("Note number").setRequired(true).setMinValue(1))
+      .addStringOption(o => o.setName("text").setDescription("New note text").setMaxLength(MAX_NOTE_LENGTH))
+      .addStringOption(o => o.setName("cases").setDescription("Replace linked case numbers (\"none\" to clear)")))
+    .addSubcommand(s => s
+      .setName("delete")
+      .setDescription("Delete a note")
+      .addIntegerOption(o => o.setName("id").setDescription("Note number").setRequired(true).setMinValue(1)))
+    .addSubcommand(s => s
+      .setName("search")
+      .setDescription("Search notes by text")
+      .addStringOption(o => o.setName("query").setDescription("Text to look for").setRequired(true))
+      .addUserOption(o => o.setName("user").setDescription("Only search this user's notes"))),
   async execute(interaction) {
     if (!interaction.inGuild()) {
       return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Note", "Guild only.")] });
     }
 
-    const runtime = interaction.client.container.get(TOKENS.RuntimeModerationState);
+    const notes = interaction.client.container.get(TOKENS.NoteService);
     const sub = interaction.options.getSubcommand();
-    const user = interaction.options.getUser("user", true);
+    const guildId = interaction.guildId;
 
-    if (sub === "add") {
-      const text = interaction.options.getString("text", true);
-      runtime.addNote(interaction.guildId, user.id, interaction.user.id, text);
-      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Note", `Added note for **${user.tag}**.`)] });
-    }
+    try {
+      if (sub === "add") {
+        const user = interaction.options.getUser("user", true);
+        const note = await notes.add({
+          guildId,
+          userId: user.id,
+          authorId: interaction.user.id,
+          text: interaction.options.getString("text", true),
+          caseNumbers: interaction.options.getString("cases") ?? []
+        });
+        return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Note", `Added note **N${note.noteNumber}** for **${user.tag}**.`)] });
+      }
 
-    const notes = runtime.getNotes(interaction.guildId, user.id);
-    const lines = notes.map(formatNote);
-    return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [listEmbed(`Notes for ${user.tag}`, lines, "No notes recorded.")] });
+      if (sub === "edit") {
+        const text = interaction.options.getString("text");
+        const casesInput = interaction.options.getString("cases");
+        if (text === null && casesInput === null) {
+          return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Note", "Provide new text or case numbers.")] });
+        }
+        const note = await notes.edit({
+          guildId,
+          noteNumber: interaction.options.getInteger("id", true),
+          editorId: interaction.user.id,
+          text,
+          caseNumbers: casesInput === null ? undefined : (casesInput.trim().toLowerCase() === "none" ? [] : casesInput)
+        });
+        if (!note) return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Note", "Note not found.")] });
+        return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Note", `Updated note:\n${formatNote(note, { showUser: true })}`)] });
+      }
+
+      if (sub === "delete") {
+        const note = await notes.delete({ guildId, noteNumber: interaction.options.getInteger("id", true) });
+        if (!note) return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Note", "Note not found.")] });
+        return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Note", `Deleted note **N${note.noteNumber}** for <@${note.userId}>.`)] });
+      }
+
+      if (sub === "search") {
+        const query = interaction.options.getString("query", true);
+        const user = interaction.options.getUser("user");
+        const results = await notes.search(guildId, query, { userId: user?.id ?? null, limit: 15 });
+        const lines = results.map((note) => formatNote(note, { showUser: !user }));
+        return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [listEmbed(`Notes matching "${query.slice(0, 50)}"`, lines, "No notes found.")] });
+      }
+
+      const user = interaction.options.getUser("user", true);
+      const list = await notes.list(guildId, user.id, { limit: 15 });
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [listEmbed(`Notes for ${user.tag}`, list.map((note) => formatNote(note)), "No notes recorded.")] });
+    } catch (err) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Note", `Failed: ${err?.message || err}`)] });
+    }
   },
   meta: {
     category: "moderation",
-    description: "Maintain informal notes about users.",
-    usage: "/note add user:@User text:Spoke to them | /note list user:@User",
-    examples: ["/note add user:@Helper text:Great helper"],
+    description: "Maintain moderator notes about users, optionally linked to cases.",
+    usage: "/note add user:@User text:Spoke to them [cases:12,15] | /note edit id:3 text:<new> | /note search query:<text>",
+    examples: ["/note add user:@Helper text:Great helper", "/note delete id:4", "/note search query:alt account"],
     permissions: "Moderate Members"
   }
 };
@@ -0,0 +1,107 @@
+import { ChannelType, PermissionFlagsBits, SlashCommandBuilder, MessageFlags } from "discord.js";
+import { infoEmbed, listEmbed } from "../../../shared/utils/embeds.js";
+import { TOKENS } from "../../../app/container/index.js";
+
+const MAX_LISTED_TERMS = 60;
+
+function buildStateOption(option) {
+  return option.addStringOption(o => o.setName("state").setDescription("Enable or disable").setRequired(true).addChoices(
+    { name: "on", value: "on" },
+    { name: "off", value: "off" }
+  ));
+}
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName("profanity")
+    .setDescription("Manage the profanity filter word list")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand(s => s
+      .setName("add")
+      .setDescription("Add a word or phrase to the filter")
+      .addStringOption(o => o.setName("term").setDescription("Word or phrase").setRequired(true).setMaxLength(100))
+      .addStringOption(o => o.setName("match").setDescription("How the term is matched (default: word)").addChoices(
+        { name: "whole word", value: "word" },
+        { name: "substring", value: "substring" }
+      )))
+    .addSubcommand(s => s
+      .setName("remove")
+      .setDescription("Remove a word or phrase from the filter")
+      .addStringOption(o => o.setName("term").setDescription("Word or phrase").setRequired(true)))
+    .addSubcommand(s => s
+      .setName("list")
+      .setDescription("List filtered words, phrases and exempt channels"))
+    .addSubcommand(s => buildStateOption(s
+      .setName("exempt")
+      .setDescription("Exempt a channel from the filter")
+      .addChannelOption(o => o.setName("channel").setDescription("Channel").setRequired(true).addChannelTypes(
+        ChannelType.GuildText,
+        ChannelType.GuildAnnouncement,
+        ChannelType.GuildForum,
+        ChannelType.GuildVoice
+      ))))
+    .addSubcommand(s => buildStateOption(s
+      .setName("warn")
+      .setDescription("Also issue a warning when a message is filtered"))),
+  async execute(interaction) {
+    if (!interaction.inGuild()) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Profanity", "Guild only.")] });
+    }
+
+    const container = interaction.client.container;
+    const filter = container.get(TOKENS.ProfanityFilterService);
+    const runtime = container.get(TOKENS.RuntimeModerationState);
+    const sub = interaction.options.getSubcommand();
+    const guildId = interaction.guildId;
+
+    try {
+      if (sub === "add") {
+        const term = interaction.options.getString("term", true);
+        const match = interaction.options.getString("match") || "word";
+        const added = await filter.addTerm(guildId, term, { match, addedBy: interaction.user.id });
+        const hint = runtime.getAutomod(guildId, "profanity") ? "" : "\nThe filter is currently off — enable it with `/automod profanity state:on`.";
+        return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Profanity", `Added ||${added.value}|| (${added.match}).${hint}`)] });
+      }
+
+      if (sub === "remove") {
+        const term = interaction.options.getString("term", true);
+        const removed = await filter.removeTerm(guildId, term);
+        return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Profanity", removed ? `Removed ||${term}||.` : "No matching term.")] });
+      }
+
+      if (sub === "exempt") {
+        const channel = interaction.options.getChannel("channel", true);
+        const state = interaction.options.getString("state", true) === "on";
+        await filter.setChannelExempt(guildId, channel.id, state);
+        return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Profanity", `${channel} is ${state ? "now exempt from" : "no longer exempt from"} the filter.`)] });
+      }
+
+      if (sub === "warn") {
+        const state = interaction.options.getString("state", true) === "on";
+        await filter.setWarnOnMatch(guildId, state);
+        return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Profanity", `Warnings on filtered messages are **${state ? "ENABLED" : "disabled"}**.`)] });
+      }
+    } catch (err) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Profanity", `Failed: ${err?.message || err}`)] });
+    }
+
+    const terms = filter.listTerms(guildId).map((term) => `• ||${term.value}|| — ${term.match}${term.value.includes(" ") ? " (phrase)" : ""}`);
+    const exempt = filter.listExemptChannels(guildId).map((id) => `<#${id}>`);
+    const lines = [
+      `Filter: **${runtime.getAutomod(guildId, "profanity") ? "ENABLED" : "disabled"}**`,
+      `Warn on match: **${filter.shouldWarn(guildId) ? "yes" : "no"}**`,
+      `Exempt channels: ${exempt.length ? exempt.join(", ") : "none"}`,
+      "",
+      ...(terms.length ? terms.slice(0, MAX_LISTED_TERMS) : ["No terms configured."])
+    ];
+    if (terms.length > MAX_LISTED_TERMS) lines.push(`…and ${terms.length - MAX_LISTED_TERMS} more`);
+    return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [listEmbed("Profanity filter", lines)] });
+  },
+  meta: {
+    category: "moderation",
+    description: "Manage per-server profanity words, phrases and exempt channels.",
+    usage: "/profanity add term:<word> [match:word|substring] | /profanity list",
+    examples: ["/profanity add term:badword", "/profanity exempt channel:#nsfw state:on", "/profanity warn state:on"],
+    permissions: "Manage Server"
+  }
+};
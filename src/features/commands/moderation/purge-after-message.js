@@ -0,0 +1,89 @@
+import { ApplicationCommandType, ContextMenuCommandBuilder, InteractionContextType, MessageFlags, PermissionFlagsBits } from "discord.js";
+import { TOKENS } from "../../../app/container/index.js";
+import { ModerationActionType } from "../../../domain/services/moderationActions.js";
+import { infoEmbed } from "../../../shared/utils/embeds.js";
+import { promptModal, readInput } from "../lib/modalPrompt.js";
+import { MAX_PURGE, archiveMessages, collectMessages, deleteMessages } from "../lib/purge.js";
+
+export default {
+  data: new ContextMenuCommandBuilder()
+    .setName("Purge after this")
+    .setType(ApplicationCommandType.Message)
+    .setContexts(InteractionContextType.Guild)
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages),
+  async execute(interaction) {
+    const message = interaction.targetMessage;
+    const channel = message.channel;
+    if (typeof channel?.bulkDelete !== "function") {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Purge", "Messages in this channel cannot be bulk deleted.")] });
+    }
+
+    const submission = await promptModal(interaction, {
+      title: "Purge this message and everything after",
+      inputs: [{ id: "reason", label: "Reason", maxLength: 512 }]
+    });
+    if (!submission) return;
+
+    const reason = readInput(submission, "reason");
+    const { container } = interaction.client;
+    const filters = `from message ${message.id}`;
+    await submission.deferReply({ flags: MessageFlags.Ephemeral });
+
+    let messages;
+    let transcript;
+    let deleted;
+    try {
+      // the bound is exclusive, so step back one id to include the selected message
+      const after = (BigInt(message.id) - 1n).toString();
+      messages = await collectMessages(channel, () => true, MAX_PURGE, { after });
+      if (!messages.length) {
+        return submission.editReply({ embeds: [infoEmbed("Purge", "No deletable messages found (messages older than 14 days cannot be bulk deleted).")] });
+      }
+      transcript = await archiveMessages(container, interaction.guild, messages, {
+        heading: "Purge transcript",
+        summary: `${messages.length} message(s) from ${channel} purged by ${interaction.user}.\nFilters: ${filters}`,
+        title: `Purge in #${channel.name} (${channel.id}) by ${interaction.user.tag} (${interaction.user.id}) — filters: ${filters}`,
+        fileName: `purge-${channel.id}-${Date.now()}.txt`
+      });
+      deleted = await deleteMessages(channel, messages);
+    } catch (err) {
+      return submission.editReply({ embeds: [infoEmbed("Purge", `Failed: ${err?.message || err}`)] });
+    }
+
+    let entry = null;
+    try {
+      entry = await container.get(TOKENS.ModerationService).recordCase({
+        guild: interaction.guild,
+        userId: null,
+        moderator: interaction.user,
+        action: ModerationActionType.Purge,
+        reason: reason || `Purged ${deleted} message(s) in #${channel.name}`,
+        metadata: {
+          source: "purge",
+          channelId: channel.id,
+          deletedCount: deleted,
+          filters,
+          after: message.id,
+          before: null,
+          transcriptUrl: transcript?.url ?? null,
+          targetTag: null
+        }
+      });
+    } catch (err) {
+      container.getOptional(TOKENS.Logger)?.warn?.("purge.case_failed", { guildId: interaction.guildId, channelId: channel.id, error: String(err?.message || err) });
+    }
+
+    const lines = [`Deleted **${deleted}** message(s).`];
+    if (messages.length >= MAX_PURGE) lines.push(`Stopped at the ${MAX_PURGE}-message limit; the oldest messages after the target were kept.`);
+    if (entry) lines.push(`Recorded as case #${entry.caseNumber}.`);
+    lines.push(transcript ? `Transcript: ${transcript.url}` : "No message_log channel is mapped, so no transcript was archived.");
+    return submission.editReply({ embeds: [infoEmbed("Purge", lines.join("\n"))] });
+  },
+  meta: {
+    category: "moderation",
+    description: "Delete the selected message and everything posted after it, with the same transcript and case as /purge.",
+    usage: "Right-click a message → Apps → Purge after this",
+    examples: ["Apps → Purge after this"],
+    permissions: "Manage Messages"
+  }
+};
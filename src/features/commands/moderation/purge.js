@@ -1,36 +1,73 @@
 import { PermissionFlagsBits, SlashCommandBuilder, ChannelType, MessageFlags } from "discord.js";
+import { TOKENS } from "../../../app/container/index.js";
+import { ModerationActionType } from "../../../domain/services/moderationActions.js";
 import { infoEmbed } from "../../../shared/utils/embeds.js";
+import { parseSnowflakeBound } from "../../../shared/utils/snowflake.js";
+import { MAX_PURGE, archiveMessages, collectMessages, deleteMessages } from "../lib/purge.js";
 
-const MAX_FETCH_ITERATIONS = 10;
-const BULK_DELETE_WINDOW = 13 * 24 * 60 * 60 * 1000; // just under 14 days
+const LINK_PATTERN = /https?:\/\/|discord\.gg\//i;
+const INVITE_PATTERN = /discord\.gg\//i;
 
-async function fetchMessages(channel, beforeId) {
-  return channel.messages.fetch({ limit: 100, before: beforeId || undefined }).catch(() => null);
+function hasLink(message) {
+  return LINK_PATTERN.test(message.content || "") || (message.embeds?.length ?? 0) > 0 || (message.attachments?.size ?? 0) > 0;
 }
 
-async function collectMessages(channel, predicate, amount) {
-  const collected = [];
-  let before;
-  for (let i = 0; i < MAX_FETCH_ITERATIONS && collected.length < amount; i++) {
-    const batch = await fetchMessages(channel, before);
-    if (!batch || batch.size === 0) break;
-    const sorted = [...batch.values()].sort((a, b) => b.createdTimestamp - a.createdTimestamp);
-    for (const message of sorted) {
-      if (Date.now() - message.createdTimestamp > BULK_DELETE_WINDOW) continue;
-      if (predicate(message)) collected.push(message);
-      if (collected.length >= amount) break;
-    }
-    before = sorted.at(-1)?.id;
-    if (!before) break;
-  }
-  return collected;
+/**
+ * Combines the subcommand's own filter with the optional user/contains/links options.
+ */
+function buildFilters(interaction, sub) {
+  const filters = {};
+  const user = interaction.options.getUser("user");
+  if (user) filters.user = user;
+  const text = sub === "contains" ? interaction.options.getString("text", true) : interaction.options.getString("contains");
+  if (text) filters.contains = text;
+  if (sub === "links" || interaction.options.getBoolean("links")) filters.links = true;
+  if (sub === "invites") filters.invites = true;
+  if (sub === "bots") filters.bots = true;
+  return filters;
+}
+
+function buildPredicate(filters) {
+  const needle = filters.contains?.toLowerCase();
+  return (message) => {
+    if (filters.user && message.author?.id !== filters.user.id) return false;
+    if (needle && !(message.content || "").toLowerCase().includes(needle)) return false;
+    if (filters.links && !hasLink(message)) return false;
+    if (filters.invites && !INVITE_PATTERN.test(message.content || "")) return false;
+    if (filters.bots && !message.author?.bot) return false;
+    return true;
+  };
+}
+
+function describeFilters(filters) {
+  const parts = [];
+  if (filters.user) parts.push(`user ${filters.user.tag ?? filters.user.id}`);
+  if (filters.contains) parts.push(`contains "${filters.contains}"`);
+  if (filters.links) parts.push("links");
+  if (filters.invites) parts.push("invites");
+  if (filters.bots) parts.push("bots");
+  return parts.join(", ") || "none";
+}
+
+async function archiveTranscript(interaction, messages, filters) {
+  const { channel } = interaction;
+  return archiveMessages(interaction.client.container, interaction.guild, messages, {
+    heading: "Purge transcript",
+    summary: `${messages.length} message(s) from ${channel} purged by ${interaction.user}.\nFilters: ${describeFilters(filters)}`,
+    title: `Purge in #${channel.name} (${channel.id}) by ${interaction.user.tag} (${interaction.user.id}) — filters: ${describeFilters(filters)}`,
+    fileName: `purge-${channel.id}-${Date.now()}.txt`
+  });
 }
 
-async function deleteMessages(channel, messages) {
-  if (!messages.length) return 0;
-  const ids = messages.map(m => m.id);
-  const deleted = await channel.bulkDelete(ids, true).catch(() => null);
-  return deleted?.size || 0;
+function addCommonOptions(sub, { user = true, contains = true, links = true } = {}) {
+  sub.addIntegerOption(o => o.setName("count").setDescription(`Number to delete (max ${MAX_PURGE})`).setRequired(true).setMinValue(1).setMaxValue(MAX_PURGE));
+  if (user) sub.addUserOption(o => o.setName("user").setDescription("Only messages from this user"));
+  if (contains) sub.addStringOption(o => o.setName("contains").setDescription("Only messages containing this text"));
+  if (links) sub.addBooleanOption(o => o.setName("links").setDescription("Only messages with links, embeds or attachments"));
+  return sub
+    .addStringOption(o => o.setName("after").setDescription("Only messages after this message ID/link, date or duration ago (e.g. 2h)"))
+    .addStringOption(o => o.setName("before").setDescription("Only messages before this message ID/link, date or duration ago"))
+    .addStringOption(o => o.setName("reason").setDescription("Reason recorded on the purge case"));
 }
 
 function ensureTextChannel(interaction) {
@@ -46,32 +83,26 @@ export default {
     .setName("purge")
     .setDescription("Bulk delete messages with filters")
     .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
-    .addSubcommand(s => s
+    .addSubcommand(s => addCommonOptions(s
       .setName("recent")
-      .setDescription("Delete the most recent messages")
-      .addIntegerOption(o => o.setName("count").setDescription("Number to delete").setRequired(true).setMinValue(1).setMaxValue(100)))
-    .addSubcommand(s => s
+      .setDescription("Delete the most recent messages")))
+    .addSubcommand(s => addCommonOptions(s
       .setName("user")
       .setDescription("Delete recent messages from a user")
-      .addUserOption(o => o.setName("user").setDescription("User to target").setRequired(true))
-      .addIntegerOption(o => o.setName("count").setDescription("Number to delete").setRequired(true).setMinValue(1).setMaxValue(100)))
-    .addSubcommand(s => s
+      .addUserOption(o => o.setName("user").setDescription("User to target").setRequired(true)), { user: false }))
+    .addSubcommand(s => addCommonOptions(s
       .setName("contains")
       .setDescription("Delete messages containing text")
-      .addStringOption(o => o.setName("text").setDescription("Substring to match").setRequired(true))
-      .addIntegerOption(o => o.setName("count").setDescription("Number to delete").setRequired(true).setMinValue(1).setMaxValue(100)))
-    .addSubcommand(s => s
+      .addStringOption(o => o.setName("text").setDescription("Substring to match").setRequired(true)), { contains: false }))
+    .addSubcommand(s => addCommonOptions(s
       .setName("links")
-      .setDescription("Delete recent messages containing links")
-      .addIntegerOption(o => o.setName("count").setDescription("Number to delete").setRequired(true).setMinValue(1).setMaxValue(100)))
-    .addSubcommand(s => s
+      .setDescription("Delete recent messages containing links"), { links: false }))
+    .addSubcommand(s => addCommonOptions(s
       .setName("invites")
-      .setDescription("Delete recent messages containing invites")
-      .addIntegerOption(o => o.setName("count").setDescription("Number to delete").setRequired(true).setMinValue(1).setMaxValue(100)))
-    .addSubcommand(s => s
+      .setDescription("Delete recent messages containing invites")))
+    .addSubcommand(s => addCommonOptions(s
       .setName("bots")
-      .setDescription("Delete recent bot messages")
-      .addIntegerOption(o => o.setName("count").setDescription("Number to delete").setRequired(true).setMinValue(1).setMaxValue(100))),
+      .setDescription("Delete recent bot messages"))),
   async execute(interaction) {
     if (!interaction.inGuild()) {
       return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Purge", "Guild only.")] });
@@ -80,55 +111,78 @@ export default {
       return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Purge", "Use in a text channel.")] });
     }
 
-    await interaction.deferReply({ ephemeral: true });
+    let after = null;
+    let before = null;
+    try {
+      after = parseSnowflakeBound(interaction.options.getString("after"));
+      before = parseSnowflakeBound(interaction.options.getString("before"));
+    } catch (err) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Purge", err.message)] });
+    }
+    if (after && before && BigInt(after) >= BigInt(before)) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Purge", "`after` must be earlier than `before`.")] });
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
 
     const sub = interaction.options.getSubcommand();
+    const count = interaction.options.getInteger("count", true);
+    const reason = interaction.options.getString("reason") || "";
+    const filters = buildFilters(interaction, sub);
     const { channel } = interaction;
-    let deleted = 0;
+    const logger = interaction.client.container.getOptional(TOKENS.Logger);
 
+    let messages;
+    let transcript;
+    let deleted;
     try {
-      if (sub === "recent") {
-        const count = interaction.options.getInteger("count", true);
-        deleted = await channel.bulkDelete(count, true).then(col => col.size).catch(() => 0);
-      } else if (sub === "user") {
-        const user = interaction.options.getUser("user", true);
-        const count = interaction.options.getInteger("count", true);
-        const msgs = await collectMessages(channel, (m) => m.author?.id === user.id, count);
-        deleted = await deleteMessages(channel, msgs);
-      } else if (sub === "contains") {
-        const text = interaction.options.getString("text", true).toLowerCase();
-        const count = interaction.options.getInteger("count", true);
-        const msgs = await collectMessages(channel, (m) => (m.content || "").toLowerCase().includes(text), count);
-        deleted = await deleteMessages(channel, msgs);
-      } else if (sub === "links") {
-        const count = interaction.options.getInteger("count", true);
-        const linkRegex = /https?:\/\/|discord\.gg\//i;
-        const msgs = await collectMessages(channel, (m) => linkRegex.test(m.content || "") || (m.embeds?.length ?? 0) > 0 || (m.attachments?.size ?? 0) > 0, count);
-        deleted = await deleteMessages(channel, msgs);
-      } else if (sub === "invites") {
-        const count = interaction.options.getInteger("count", true);
-        const inviteRegex = /discord\.gg\//i;
-        const msgs = await collectMessages(channel, (m) => inviteRegex.test(m.content || ""), count);
-        deleted = await deleteMessages(channel, msgs);
-      } else if (sub === "bots") {
-        const count = interaction.options.getInteger("count", true);
-        const msgs = await collectMessages(channel, (m) => Boolean(m.author?.bot), count);
-        deleted = await deleteMessages(channel, msgs);
+      messages = await collectMessages(channel, buildPredicate(filters), count, { after, before });
+      if (!messages.length) {
+        return interaction.editReply({ embeds: [infoEmbed("Purge", "No deletable messages matched (messages older than 14 days cannot be bulk deleted).")] });
       }
+      transcript = await archiveTranscript(interaction, messages, filters);
+      deleted = await deleteMessages(channel, messages);
     } catch (err) {
       return interaction.editReply({ embeds: [infoEmbed("Purge", `Failed: ${err?.message || err}`)] });
     }
 
-    return interaction.editReply({ embeds: [infoEmbed("Purge", `Deleted **${deleted}** message(s).`)] });
+    let entry = null;
+    try {
+      entry = await interaction.client.container.get(TOKENS.ModerationService).recordCase({
+        guild: interaction.guild,
+        userId: filters.user?.id ?? null,
+        moderator: interaction.user,
+        action: ModerationActionType.Purge,
+        reason: reason || `Purged ${deleted} message(s) in #${channel.name}`,
+        metadata: {
+          source: "purge",
+          channelId: channel.id,
+          deletedCount: deleted,
+          filters: describeFilters(filters),
+          after,
+          before,
+          transcriptUrl: transcript?.url ?? null,
+          targetTag: filters.user?.tag ?? null
+        }
+      });
+    } catch (err) {
+      logger?.warn?.("purge.case_failed", { guildId: interaction.guildId, channelId: channel.id, error: String(err?.message || err) });
+    }
+
+    const lines = [`Deleted **${deleted}** message(s).`];
+    if (entry) lines.push(`Recorded as case #${entry.caseNumber}.`);
+    lines.push(transcript ? `Transcript: ${transcript.url}` : "No message_log channel is mapped, so no transcript was archived.");
+    return interaction.editReply({ embeds: [infoEmbed("Purge", lines.join("\n"))] });
   },
   meta: {
     category: "moderation",
-    description: "Delete recent messages with optional filters.",
-    usage: "/purge <recent|user|contains|links|invites|bots>",
+    description: "Delete messages with combinable filters and date bounds; archives a transcript to message_log and records a purge case.",
+    usage: "/purge <recent|user|contains|links|invites|bots> count:<n> [user] [contains] [links] [after] [before] [reason]",
     examples: [
       "/purge recent count:25",
-      "/purge user user:@Spammer count:10",
-      "/purge contains text:spam count:15"
+      "/purge user user:@Spammer count:300 links:true",
+      "/purge contains text:spam count:15 after:2h",
+      "/purge recent count:500 after:123456789012345678 before:2030-01-01T12:00:00Z"
     ],
     permissions: "Manage Messages"
   }
@@ -1,7 +1,15 @@
 import { PermissionFlagsBits, SlashCommandBuilder, MessageFlags } from "discord.js";
+import { TOKENS } from "../../../app/container/index.js";
 import { infoEmbed } from "../../../shared/utils/embeds.js";
+import { parseDuration } from "../../../shared/utils/time.js";
 
-function findQuarantineRole(guild) {
+/**
+ * The role set by /setup quarantine, falling back to a role named like "quarantine" or "restricted".
+ */
+async function findQuarantineRole(guild, container) {
+  const configuredId = await container.getOptional(TOKENS.GuildConfigService)?.getQuarantineRoleId?.(guild.id);
+  const configured = configuredId ? guild.roles.cache.get(configuredId) : null;
+  if (configured) return configured;
   const byName = guild.roles.cache.find(r => /quarantine|restricted/i.test(r.name));
   return byName || null;
 }
@@ -9,9 +17,10 @@ function findQuarantineRole(guild) {
 export default {
   data: new SlashCommandBuilder()
     .setName("quarantine")
-    .setDescription("Move a member into a restricted role")
+    .setDescription("Strip a member's roles and move them into the quarantine role")
     .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles)
     .addUserOption(o => o.setName("user").setDescription("Target user").setRequired(true))
+    .addStringOption(o => o.setName("duration").setDescription("How long, e.g. 12h or 3d (omit for indefinite)"))
     .addStringOption(o => o.setName("reason").setDescription("Reason")),
   async execute(interaction) {
     if (!interaction.inGuild()) {
@@ -20,28 +29,54 @@ export default {
 
     const target = interaction.options.getUser("user", true);
     const reason = interaction.options.getString("reason") || "Quarantined";
+    const durationInput = interaction.options.getString("duration");
+    let durationMs = null;
+    try {
+      durationMs = parseDuration(durationInput)?.ms ?? null;
+    } catch (err) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Quarantine", err.message)] });
+    }
+
     const member = await interaction.guild.members.fetch(target.id).catch(() => null);
     if (!member) {
       return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Quarantine", "User not found in guild.")] });
     }
 
-    const role = findQuarantineRole(interaction.guild);
+    const role = await findQuarantineRole(interaction.guild, interaction.client.container);
     if (!role) {
-      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Quarantine", "No quarantine/restricted role found.")] });
+      return interaction.reply({
+        flags: MessageFlags.Ephemeral,
+        embeds: [infoEmbed("Quarantine", "No quarantine role configured. Run `/setup quarantine` first.")]
+      });
     }
 
+    await interaction.deferReply();
+    const mod = interaction.client.container.get(TOKENS.ModerationService);
     try {
-      await member.roles.add(role, `${reason} (by ${interaction.user.tag})`);
-      return interaction.reply({ embeds: [infoEmbed("Quarantine", `Assigned **${role.name}** to **${target.tag}**.`)] });
+      const entry = await mod.quarantine({
+        guild: interaction.guild,
+        target: member,
+        moderator: interaction.user,
+        role,
+        reason,
+        durationMs,
+        metadata: { commandId: interaction.commandId }
+      });
+      const stripped = entry?.metadata?.strippedRoleIds?.length ?? 0;
+      const until = entry?.expiresAt ? ` until <t:${Math.floor(new Date(entry.expiresAt).getTime() / 1000)}:f>` : "";
+      const caseLabel = entry?.caseNumber ? ` (case #${entry.caseNumber})` : "";
+      return interaction.editReply({
+        embeds: [infoEmbed("Quarantine", `Quarantined **${target.tag}**${until}${caseLabel}. Stripped ${stripped} role${stripped === 1 ? "" : "s"}.`)]
+      });
     } catch (err) {
-      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Quarantine", `Failed: ${err?.message || err}`)] });
+      return interaction.editReply({ embeds: [infoEmbed("Quarantine", `Failed: ${err?.message || err}`)] });
     }
   },
   meta: {
     category: "moderation",
-    description: "Assign a restricted role to a member.",
-    usage: "/quarantine user:@User [reason:<text>]",
-    examples: ["/quarantine user:@Trouble reason:Spamming invites"],
+    description: "Strip a member's roles and assign the quarantine role, optionally for a set time. Roles are restored on expiry or /unquarantine.",
+    usage: "/quarantine user:@User [duration:<time>] [reason:<text>]",
+    examples: ["/quarantine user:@Trouble reason:Spamming invites", "/quarantine user:@Trouble duration:2d reason:Cool down"],
     permissions: "Manage Roles"
   }
 };
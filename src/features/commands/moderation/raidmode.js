@@ -1,31 +1,100 @@
 import { PermissionFlagsBits, SlashCommandBuilder, MessageFlags } from "discord.js";
 import { infoEmbed } from "../../../shared/utils/embeds.js";
 import { TOKENS } from "../../../app/container/index.js";
+import { formatDuration, parseDuration } from "../../../shared/utils/time.js";
+
+function describeStatus(service, guildId) {
+  const policy = service.getPolicy(guildId);
+  const session = service.getSession(guildId);
+  const active = service.isActive(guildId);
+  const lines = [
+    `Raidmode: **${active ? "ON" : "OFF"}**`,
+    `Policy: **${policy.action}**${policy.action === "timeout" ? ` (${formatDuration(policy.timeoutMs)})` : ""}${policy.action === "kick_new" ? ` (< ${policy.minAccountAgeDays}d)` : ""}`,
+    `Verification while active: **${policy.verificationLevel.replace("_", " ")}**`,
+    `Auto-off after: **${policy.quietMinutes}m** without joins`
+  ];
+  if (active && session) lines.push(`Joins gated so far: **${session.joins.length}**`);
+  return lines.join("\n");
+}
 
 export default {
   data: new SlashCommandBuilder()
     .setName("raidmode")
     .setDescription("Toggle hardened raid mode")
     .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
-    .addStringOption(o => o.setName("state").setDescription("on or off").setRequired(true).addChoices(
+    .addStringOption(o => o.setName("state").setDescription("on, off or status").setRequired(true).addChoices(
       { name: "on", value: "on" },
-      { name: "off", value: "off" }
-    )),
+      { name: "off", value: "off" },
+      { name: "status", value: "status" }
+    ))
+    .addStringOption(o => o.setName("action").setDescription("What happens to new joins").addChoices(
+      { name: "kick", value: "kick" },
+      { name: "timeout", value: "timeout" },
+      { name: "quarantine role", value: "quarantine" },
+      { name: "kick young accounts", value: "kick_new" }
+    ))
+    .addIntegerOption(o => o.setName("min_account_age_days").setDescription("Account age cutoff for 'kick young accounts'").setMinValue(1).setMaxValue(365))
+    .addStringOption(o => o.setName("timeout").setDescription("Timeout length for the timeout action, e.g. 1h (max 28d)"))
+    .addIntegerOption(o => o.setName("quiet_minutes").setDescription("Turn off after this many minutes without joins").setMinValue(1).setMaxValue(1440))
+    .addStringOption(o => o.setName("verification").setDescription("Verification level while active (never lowered)").addChoices(
+      { name: "low", value: "low" },
+      { name: "medium", value: "medium" },
+      { name: "high", value: "high" },
+      { name: "very high", value: "very_high" }
+    ))
+    .addRoleOption(o => o.setName("quarantine_role").setDescription("Role for the quarantine action (default: the /setup quarantine role)")),
   async execute(interaction) {
     if (!interaction.inGuild()) {
       return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Raidmode", "Guild only.")] });
     }
 
-    const state = interaction.options.getString("state", true) === "on";
-    const runtime = interaction.client.container.get(TOKENS.RuntimeModerationState);
-    runtime.setRaidMode(interaction.guildId, state);
-    return interaction.reply({ embeds: [infoEmbed("Raidmode", `Raidmode is now **${state ? "ON" : "OFF"}**.`)] });
+    const service = interaction.client.container.get(TOKENS.RaidModeService);
+    const state = interaction.options.getString("state", true);
+
+    let timeoutMs;
+    const timeoutInput = interaction.options.getString("timeout");
+    if (timeoutInput) {
+      try {
+        const parsed = parseDuration(timeoutInput);
+        if (!parsed?.ms) throw new Error("Invalid duration");
+        timeoutMs = parsed.ms;
+      } catch (err) {
+        return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Raidmode", `Invalid timeout: ${err?.message || err}`)] });
+      }
+    }
+
+    const overrides = {
+      action: interaction.options.getString("action") ?? undefined,
+      minAccountAgeDays: interaction.options.getInteger("min_account_age_days") ?? undefined,
+      quietMinutes: interaction.options.getInteger("quiet_minutes") ?? undefined,
+      verificationLevel: interaction.options.getString("verification") ?? undefined,
+      quarantineRoleId: interaction.options.getRole("quarantine_role")?.id ?? undefined,
+      timeoutMs
+    };
+
+    if (state === "status") {
+      service.updatePolicy(interaction.guildId, overrides);
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Raidmode", describeStatus(service, interaction.guildId))] });
+    }
+
+    await interaction.deferReply();
+
+    if (state === "on") {
+      const result = await service.enable(interaction.guild, { moderator: interaction.user, policy: overrides });
+      const prefix = result.alreadyActive ? "Raidmode was already **ON**; policy updated." : "Raidmode is now **ON**.";
+      return interaction.editReply({ embeds: [infoEmbed("Raidmode", `${prefix}\n\n${describeStatus(service, interaction.guildId)}`)] });
+    }
+
+    service.updatePolicy(interaction.guildId, overrides);
+    const result = await service.disable(interaction.guild, { moderator: interaction.user, reason: "manual" });
+    const restoredText = result.verificationRestored ? " Verification level restored." : "";
+    return interaction.editReply({ embeds: [infoEmbed("Raidmode", `Raidmode is now **OFF**.${restoredText}`)] });
   },
   meta: {
     category: "security",
-    description: "Toggle raid hardening mode.",
-    usage: "/raidmode on|off",
-    examples: ["/raidmode on"],
+    description: "Toggle raid hardening mode: gate new joins, raise verification and summarise joins in the mod log.",
+    usage: "/raidmode state:on|off|status [action:<kick|timeout|quarantine|kick_new>] [timeout:<duration>] [quiet_minutes:<n>]",
+    examples: ["/raidmode state:on", "/raidmode state:on action:kick_new min_account_age_days:14", "/raidmode state:off"],
     permissions: "Manage Server"
   }
 };
@@ -1,13 +1,14 @@
 import { PermissionFlagsBits, SlashCommandBuilder, MessageFlags } from "discord.js";
 import { infoEmbed } from "../../../shared/utils/embeds.js";
 import { TOKENS } from "../../../app/container/index.js";
+import { caseNumberChoices } from "../lib/autocomplete.js";
 
 export default {
   data: new SlashCommandBuilder()
     .setName("reason")
     .setDescription("Update the reason for a moderation case")
     .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
-    .addIntegerOption(o => o.setName("case_id").setDescription("Case number").setRequired(true))
+    .addIntegerOption(o => o.setName("case_id").setDescription("Case number").setRequired(true).setAutocomplete(true))
     .addStringOption(o => o.setName("reason").setDescription("New reason").setRequired(true)),
   async execute(interaction) {
     if (!interaction.inGuild()) {
@@ -18,12 +19,15 @@ export default {
     const reason = interaction.options.getString("reason", true);
     const svc = interaction.client.container.get(TOKENS.ModerationLogService);
 
-    const updated = await svc.updateReason({ guildId: interaction.guildId, caseNumber: caseId, reason });
+    const updated = await svc.updateReason({ guildId: interaction.guildId, caseNumber: caseId, reason, moderatorId: interaction.user.id });
     if (!updated) {
       return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Reason", "Case not found.")] });
     }
     return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Reason", `Updated case #${updated.caseNumber}.`)] });
   },
+  autocomplete: {
+    case_id: caseNumberChoices
+  },
   meta: {
     category: "moderation",
     description: "Edit the reason for a logged moderation action.",
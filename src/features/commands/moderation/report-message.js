@@ -0,0 +1,35 @@
+import { ApplicationCommandType, ContextMenuCommandBuilder, InteractionContextType, MessageFlags } from "discord.js";
+import { infoEmbed } from "../../../shared/utils/embeds.js";
+import { TOKENS } from "../../../app/container/index.js";
+
+export default {
+  data: new ContextMenuCommandBuilder()
+    .setName("Report message")
+    .setType(ApplicationCommandType.Message)
+    .setContexts(InteractionContextType.Guild),
+  async execute(interaction) {
+    const message = interaction.targetMessage;
+    const reportService = interaction.client.container.get(TOKENS.ReportService);
+
+    if (message.author?.id === interaction.user.id) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Report", "You cannot report your own message.")] });
+    }
+    const resetAt = await reportService.getRateLimitReset(interaction.guildId, interaction.user.id);
+    if (resetAt) {
+      return interaction.reply({
+        flags: MessageFlags.Ephemeral,
+        embeds: [infoEmbed("Report", `You have sent too many reports recently. Try again <t:${Math.ceil(resetAt.getTime() / 1000)}:R>.`)]
+      });
+    }
+
+    reportService.rememberReportedMessage(interaction.user.id, message);
+    return interaction.showModal(reportService.buildModal("message", { channelId: message.channelId, messageId: message.id }));
+  },
+  meta: {
+    category: "utility",
+    description: "Report a specific message to the moderators (message context menu).",
+    usage: "Right-click a message → Apps → Report message",
+    examples: ["Apps → Report message"],
+    permissions: "Everyone"
+  }
+};
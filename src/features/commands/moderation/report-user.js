@@ -0,0 +1,34 @@
+import { ApplicationCommandType, ContextMenuCommandBuilder, InteractionContextType, MessageFlags } from "discord.js";
+import { infoEmbed } from "../../../shared/utils/embeds.js";
+import { TOKENS } from "../../../app/container/index.js";
+
+export default {
+  data: new ContextMenuCommandBuilder()
+    .setName("Report user")
+    .setType(ApplicationCommandType.User)
+    .setContexts(InteractionContextType.Guild),
+  async execute(interaction) {
+    const target = interaction.targetUser;
+    const reportService = interaction.client.container.get(TOKENS.ReportService);
+
+    if (target.id === interaction.user.id) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Report", "You cannot report yourself.")] });
+    }
+    const resetAt = await reportService.getRateLimitReset(interaction.guildId, interaction.user.id);
+    if (resetAt) {
+      return interaction.reply({
+        flags: MessageFlags.Ephemeral,
+        embeds: [infoEmbed("Report", `You have sent too many reports recently. Try again <t:${Math.ceil(resetAt.getTime() / 1000)}:R>.`)]
+      });
+    }
+
+    return interaction.showModal(reportService.buildModal("user", { userId: target.id }));
+  },
+  meta: {
+    category: "utility",
+    description: "Report a member to the moderators (user context menu).",
+    usage: "Right-click a user → Apps → Report user",
+    examples: ["Apps → Report user"],
+    permissions: "Everyone"
+  }
+};
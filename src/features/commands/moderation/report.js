@@ -1,4 +1,4 @@
-import { SlashCommandBuilder, MessageFlags, EmbedBuilder } from "discord.js";
+import { SlashCommandBuilder, MessageFlags } from "discord.js";
 import { infoEmbed } from "../../../shared/utils/embeds.js";
 import { TOKENS } from "../../../app/container/index.js";
 
@@ -7,7 +7,8 @@ export default {
     .setName("report")
     .setDescription("Report a user to the moderation team")
     .addUserOption(o => o.setName("user").setDescription("User to report").setRequired(true))
-    .addStringOption(o => o.setName("text").setDescription("Details").setRequired(true)),
+    .addStringOption(o => o.setName("text").setDescription("Details").setRequired(true).setMaxLength(1000))
+    .addBooleanOption(o => o.setName("notify").setDescription("DM me when the report is resolved")),
   async execute(interaction) {
     if (!interaction.inGuild()) {
       return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Report", "Use this command in a server.")] });
@@ -15,31 +16,23 @@ export default {
 
     const target = interaction.options.getUser("user", true);
     const text = interaction.options.getString("text", true);
-    const guildConfigService = interaction.client.container.get(TOKENS.GuildConfigService);
-    const channelId = await guildConfigService.getModLogChannelId(interaction.guildId);
+    const notify = interaction.options.getBoolean("notify") ?? false;
+    const reportService = interaction.client.container.get(TOKENS.ReportService);
 
-    if (channelId) {
-      const channel = interaction.guild.channels.cache.get(channelId) || await interaction.guild.channels.fetch(channelId).catch(() => null);
-      if (channel?.isTextBased?.()) {
-        const embed = new EmbedBuilder()
-          .setTitle("User Report")
-          .setDescription(text)
-          .addFields(
-            { name: "Reporter", value: `${interaction.user.tag} (${interaction.user.id})` },
-            { name: "Reported", value: `${target.tag} (${target.id})` }
-          )
-          .setTimestamp(new Date());
-        await channel.send({ embeds: [embed] }).catch(() => {});
-      }
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    try {
+      await reportService.create({ guild: interaction.guild, reporter: interaction.user, targetUser: target, details: text, notify });
+    } catch (err) {
+      return interaction.editReply({ embeds: [infoEmbed("Report", err?.message || "Failed to submit the report.")] });
     }
 
-    return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Report", "Thanks, your report has been submitted to the moderators.")] });
+    return interaction.editReply({ embeds: [infoEmbed("Report", "Thanks, your report has been submitted to the moderators.")] });
   },
   meta: {
     category: "utility",
-    description: "Send a report for staff review.",
-    usage: "/report user:@User text:<details>",
-    examples: ["/report user:@Trouble text:Spamming slurs"],
+    description: "Send a report for staff review. Right-click a message or user and pick Apps → Report to report them with context.",
+    usage: "/report user:@User text:<details> [notify:true]",
+    examples: ["/report user:@Trouble text:Spamming slurs", "/report user:@Trouble text:Scam DMs notify:true"],
     permissions: "Everyone"
   }
 };
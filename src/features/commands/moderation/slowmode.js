@@ -1,5 +1,8 @@
 import { PermissionFlagsBits, SlashCommandBuilder, ChannelType, MessageFlags } from "discord.js";
+import { TOKENS } from "../../../app/container/index.js";
 import { infoEmbed } from "../../../shared/utils/embeds.js";
+import { formatDuration, parseDuration } from "../../../shared/utils/time.js";
+import { describeDays } from "../../../domain/services/ChannelScheduleService.js";
 
 function resolveTargetChannel(interaction, optionName = "channel") {
   const channel = interaction.options.getChannel(optionName) || interaction.channel;
@@ -7,6 +10,54 @@ function resolveTargetChannel(interaction, optionName = "channel") {
   return channel;
 }
 
+function describeWindow(window, index) {
+  return `${index + 1}. ${describeDays(window.days)} ${window.start}–${window.end} → **${window.seconds}s**`;
+}
+
+async function handleSchedule(interaction, sub, channel, schedules) {
+  if (sub === "list") {
+    const list = interaction.options.getChannel("channel")
+      ? [schedules.getSchedule(channel.id)].filter(Boolean)
+      : schedules.listSchedules(interaction.guildId);
+    if (!list.length) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Slowmode schedule", "No slowmode schedules configured.")] });
+    }
+    const lines = list.map((schedule) => [
+      `<#${schedule.channelId}> (${schedule.timezone}, otherwise ${schedule.baseSeconds}s)`,
+      ...schedule.windows.map(describeWindow)
+    ].join("\n"));
+    return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Slowmode schedule", lines.join("\n\n"))] });
+  }
+
+  if (sub === "clear") {
+    const cleared = await schedules.clearSchedule(channel.id);
+    const message = cleared ? `Cleared the slowmode schedule for ${channel}.` : `${channel} has no slowmode schedule.`;
+    return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Slowmode schedule", message)] });
+  }
+
+  if (sub === "remove") {
+    const removed = await schedules.removeWindow(channel.id, interaction.options.getInteger("window", true));
+    const message = removed
+      ? `Removed window ${removed.start}–${removed.end} from ${channel}.`
+      : "No such window. Use `/slowmode schedule list` to see the window numbers.";
+    return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Slowmode schedule", message)] });
+  }
+
+  const { schedule, window } = await schedules.addWindow(channel, {
+    days: interaction.options.getString("days") || "daily",
+    start: interaction.options.getString("start", true),
+    end: interaction.options.getString("end", true),
+    seconds: interaction.options.getInteger("seconds", true),
+    timezone: interaction.options.getString("timezone"),
+    addedBy: interaction.user.id
+  });
+  const position = schedule.windows.findIndex((entry) => entry.id === window.id);
+  return interaction.reply({
+    flags: MessageFlags.Ephemeral,
+    embeds: [infoEmbed("Slowmode schedule", `Added to ${channel} (${schedule.timezone}):\n${describeWindow(window, position)}\nOutside its windows the channel uses **${schedule.baseSeconds}s**.`)]
+  });
+}
+
 export default {
   data: new SlashCommandBuilder()
     .setName("slowmode")
@@ -16,29 +67,86 @@ export default {
       .setName("set")
       .setDescription("Enable slowmode")
       .addIntegerOption(o => o.setName("seconds").setDescription("Slowmode duration").setRequired(true).setMinValue(1).setMaxValue(21600))
-      .addChannelOption(o => o.setName("channel").setDescription("Channel").addChannelTypes(ChannelType.GuildText)))
+      .addChannelOption(o => o.setName("channel").setDescription("Channel").addChannelTypes(ChannelType.GuildText))
+      .addStringOption(o => o.setName("duration").setDescription("Reset to the previous slowmode after e.g. 30m, 2h")))
     .addSubcommand(s => s
       .setName("off")
       .setDescription("Disable slowmode")
-      .addChannelOption(o => o.setName("channel").setDescription("Channel").addChannelTypes(ChannelType.GuildText))),
+      .addChannelOption(o => o.setName("channel").setDescription("Channel").addChannelTypes(ChannelType.GuildText)))
+    .addSubcommandGroup(g => g
+      .setName("schedule")
+      .setDescription("Recurring slowmode windows")
+      .addSubcommand(s => s
+        .setName("add")
+        .setDescription("Apply a slowmode during a recurring time window")
+        .addStringOption(o => o.setName("start").setDescription("Start time, HH:MM (24h)").setRequired(true))
+        .addStringOption(o => o.setName("end").setDescription("End time, HH:MM (24h); earlier than start runs past midnight").setRequired(true))
+        .addIntegerOption(o => o.setName("seconds").setDescription("Slowmode during the window").setRequired(true).setMinValue(0).setMaxValue(21600))
+        .addStringOption(o => o.setName("days").setDescription("daily, weekdays, weekends, mon,wed,fri or mon-fri (default daily)"))
+        .addChannelOption(o => o.setName("channel").setDescription("Channel").addChannelTypes(ChannelType.GuildText))
+        .addStringOption(o => o.setName("timezone").setDescription("IANA time zone, e.g. Europe/Berlin (default UTC)")))
+      .addSubcommand(s => s
+        .setName("remove")
+        .setDescription("Remove a window")
+        .addIntegerOption(o => o.setName("window").setDescription("Window number from the list").setRequired(true).setMinValue(1))
+        .addChannelOption(o => o.setName("channel").setDescription("Channel").addChannelTypes(ChannelType.GuildText)))
+      .addSubcommand(s => s
+        .setName("list")
+        .setDescription("Show slowmode schedules")
+        .addChannelOption(o => o.setName("channel").setDescription("Only this channel").addChannelTypes(ChannelType.GuildText)))
+      .addSubcommand(s => s
+        .setName("clear")
+        .setDescription("Remove every window and restore the base slowmode")
+        .addChannelOption(o => o.setName("channel").setDescription("Channel").addChannelTypes(ChannelType.GuildText)))),
   async execute(interaction) {
     if (!interaction.inGuild()) {
       return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Slowmode", "Guild only.")] });
     }
 
+    const group = interaction.options.getSubcommandGroup(false);
     const sub = interaction.options.getSubcommand();
     const channel = resolveTargetChannel(interaction);
     if (!channel) {
       return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Slowmode", "Select a text channel.")] });
     }
+    const schedules = interaction.client.container.getOptional(TOKENS.ChannelScheduleService);
+
+    if (group === "schedule") {
+      if (!schedules) {
+        return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Slowmode schedule", "Slowmode schedules are unavailable.")] });
+      }
+      try {
+        return await handleSchedule(interaction, sub, channel, schedules);
+      } catch (err) {
+        return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Slowmode schedule", `Failed: ${err?.message || err}`)] });
+      }
+    }
 
     try {
       if (sub === "set") {
         const seconds = interaction.options.getInteger("seconds", true);
+        let durationMs = null;
+        try {
+          durationMs = parseDuration(interaction.options.getString("duration"))?.ms ?? null;
+        } catch (err) {
+          return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Slowmode", err.message)] });
+        }
+        if (durationMs && !schedules) {
+          return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Slowmode", "Timed slowmode is unavailable.")] });
+        }
+        const previous = channel.rateLimitPerUser ?? 0;
         await channel.setRateLimitPerUser(seconds, `Set by ${interaction.user.tag}`);
+        if (durationMs) {
+          const timer = await schedules.scheduleSlowmodeReset(channel, durationMs, previous, interaction.user.id);
+          return interaction.reply({
+            embeds: [infoEmbed("Slowmode", `Set slowmode in ${channel} to **${seconds}s** for ${formatDuration(durationMs)}; it returns to **${timer.value}s** <t:${Math.floor(new Date(timer.runAt).getTime() / 1000)}:R>.`)]
+          });
+        }
+        await schedules?.cancel?.(channel.id, "slowmode");
         return interaction.reply({ embeds: [infoEmbed("Slowmode", `Set slowmode in ${channel} to **${seconds}s**.`)] });
       }
       await channel.setRateLimitPerUser(0, `Cleared by ${interaction.user.tag}`);
+      await schedules?.cancel?.(channel.id, "slowmode");
       return interaction.reply({ embeds: [infoEmbed("Slowmode", `Disabled slowmode in ${channel}.`)] });
     } catch (err) {
       return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Slowmode", `Failed: ${err?.message || err}`)] });
@@ -46,9 +154,14 @@ export default {
   },
   meta: {
     category: "moderation",
-    description: "Enable or disable slowmode for a text channel.",
-    usage: "/slowmode set [channel:#general] seconds:30 | /slowmode off [channel:#general]",
-    examples: ["/slowmode set seconds:10", "/slowmode off channel:#general"],
+    description: "Enable or disable slowmode for a text channel, for a while or during recurring time windows.",
+    usage: "/slowmode set [channel:#general] seconds:30 [duration:1h] | /slowmode off [channel:#general] | /slowmode schedule add|remove|list|clear",
+    examples: [
+      "/slowmode set seconds:10",
+      "/slowmode set seconds:30 duration:2h",
+      "/slowmode off channel:#general",
+      "/slowmode schedule add start:18:00 end:23:00 seconds:15 days:weekdays timezone:Europe/Berlin"
+    ],
     permissions: "Manage Channels"
   }
 };
@@ -1,7 +1,7 @@
 import { PermissionFlagsBits, SlashCommandBuilder, MessageFlags } from "discord.js";
 import { infoEmbed } from "../../../shared/utils/embeds.js";
 import { TOKENS } from "../../../app/container/index.js";
-import { parseDuration } from "../../../shared/utils/time.js";
+import { MAX_MEMBER_TIMEOUT_MS, parseDuration } from "../../../shared/utils/time.js";
 
 export default {
   data: new SlashCommandBuilder()
@@ -15,7 +15,7 @@ export default {
         .setName("set")
         .setDescription("Set spam thresholds")
         .addIntegerOption(o => o.setName("msgs_per_window").setDescription("Messages per window").setRequired(true).setMinValue(1))
-        .addIntegerOption(o => o.setName("links_per_window").setDescription("Links per window").setRequired(true).setMinValue(0))
+        .addIntegerOption(o => o.setName("links_per_window").setDescription("Links per window (0 disables the link limit)").setRequired(true).setMinValue(0))
         .addIntegerOption(o => o.setName("window_sec").setDescription("Window duration in seconds").setRequired(true).setMinValue(5))))
     .addSubcommandGroup(g => g
       .setName("action")
@@ -37,12 +37,8 @@ export default {
       const links = interaction.options.getInteger("links_per_window", true);
       const windowSec = interaction.options.getInteger("window_sec", true);
       runtime.setSpamThresholds(interaction.guildId, { msgs, links, windowSec });
-      const antiSpam = interaction.client.container.get(TOKENS.AntiSpamService);
-      antiSpam.cfg.msgMaxInWindow = msgs;
-      antiSpam.cfg.linkMaxInWindow = links;
-      antiSpam.cfg.msgWindowMs = windowSec * 1000;
-      antiSpam.cfg.linkWindowMs = windowSec * 1000;
-      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Spam", `Thresholds updated: **${msgs} msgs / ${links} links** per **${windowSec}s**.`)] });
+      const linkText = links > 0 ? `${links} links` : "no link limit";
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Spam", `Thresholds updated: **${msgs} msgs / ${linkText}** per **${windowSec}s**.`)] });
     }
 
     const value = interaction.options.getString("value", true).toLowerCase();
@@ -55,6 +51,7 @@ export default {
       try {
         const parsed = parseDuration(durationInput);
         if (!parsed?.ms) throw new Error("Invalid duration");
+        if (parsed.ms > MAX_MEMBER_TIMEOUT_MS) throw new Error("Timeouts cannot exceed 28 days");
         runtime.setSpamAction(interaction.guildId, `timeout:${parsed.ms}`);
         return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Spam", `Spam action set to **timeout ${parsed.human || durationInput}**.`)] });
       } catch (err) {
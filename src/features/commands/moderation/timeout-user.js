@@ -0,0 +1,53 @@
+import { ApplicationCommandType, ContextMenuCommandBuilder, InteractionContextType, MessageFlags, PermissionFlagsBits } from "discord.js";
+import { TOKENS } from "../../../app/container/index.js";
+import { infoEmbed } from "../../../shared/utils/embeds.js";
+import { promptModal, readInput } from "../lib/modalPrompt.js";
+
+const ONE_HOUR_MS = 60 * 60 * 1000;
+
+export default {
+  data: new ContextMenuCommandBuilder()
+    .setName("Timeout 1h")
+    .setType(ApplicationCommandType.User)
+    .setContexts(InteractionContextType.Guild)
+    .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers),
+  async execute(interaction) {
+    const target = interaction.targetUser;
+    const member = await interaction.guild.members.fetch(target.id).catch(() => null);
+    if (!member) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Timeout", "User not found in guild.")] });
+    }
+    if (!member.moderatable) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Timeout", "Cannot timeout this member.")] });
+    }
+
+    const submission = await promptModal(interaction, {
+      title: `Timeout ${target.username} (1h)`,
+      inputs: [{ id: "reason", label: "Reason", maxLength: 1000 }]
+    });
+    if (!submission) return;
+
+    const reason = readInput(submission, "reason") || "No reason provided.";
+    await submission.deferReply({ flags: MessageFlags.Ephemeral });
+    try {
+      await interaction.client.container.get(TOKENS.ModerationService).timeout({
+        guild: interaction.guild,
+        target: member,
+        moderator: interaction.user,
+        reason,
+        durationMs: ONE_HOUR_MS,
+        metadata: { commandId: interaction.commandId }
+      });
+      return submission.editReply({ embeds: [infoEmbed("Timeout", `Muted **${target.tag}** for **1h**\nReason: ${reason}`)] });
+    } catch (err) {
+      return submission.editReply({ embeds: [infoEmbed("Timeout", `Failed to timeout: ${err?.message || err}`)] });
+    }
+  },
+  meta: {
+    category: "moderation",
+    description: "Time a member out for one hour from the user context menu. Use /timeout for other durations.",
+    usage: "Right-click a user → Apps → Timeout 1h",
+    examples: ["Apps → Timeout 1h"],
+    permissions: "Timeout Members"
+  }
+};
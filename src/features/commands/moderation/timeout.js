@@ -1,14 +1,15 @@
 import { PermissionFlagsBits, SlashCommandBuilder, MessageFlags } from "discord.js";
+import { TOKENS } from "../../../app/container/index.js";
 import { infoEmbed } from "../../../shared/utils/embeds.js";
-import { parseDuration } from "../../../shared/utils/time.js";
+import { MAX_MEMBER_TIMEOUT_MS, parseDuration } from "../../../shared/utils/time.js";
 
 export default {
   data: new SlashCommandBuilder()
     .setName("timeout")
-    .setDescription("Timeout a member for a duration")
+    .setDescription("Mute a member for a duration (uses the mute role beyond 28 days)")
     .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
     .addUserOption(o => o.setName("user").setDescription("Target user").setRequired(true))
-    .addStringOption(o => o.setName("duration").setDescription("Duration (e.g. 30m, 1h30m)").setRequired(true))
+    .addStringOption(o => o.setName("duration").setDescription("Duration (e.g. 30m, 1h30m, 60d or permanent)").setRequired(true))
     .addStringOption(o => o.setName("reason").setDescription("Reason")),
   async execute(interaction) {
     if (!interaction.inGuild()) {
@@ -19,10 +20,12 @@ export default {
     const durationInput = interaction.options.getString("duration", true);
     const reason = interaction.options.getString("reason") || "No reason provided.";
 
-    let durationMs;
+    let durationMs = null;
+    let permanent = false;
     try {
       const parsed = parseDuration(durationInput);
-      if (!parsed?.ms) throw new Error("Invalid duration");
+      if (!parsed) throw new Error("Invalid duration");
+      permanent = parsed.ms === null;
       durationMs = parsed.ms;
     } catch (err) {
       return interaction.reply({
@@ -40,9 +43,33 @@ export default {
       return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Timeout", "Cannot timeout this member.")] });
     }
 
+    let muteRole = null;
+    if (permanent || durationMs > MAX_MEMBER_TIMEOUT_MS) {
+      const muteRoleId = await interaction.client.container.getOptional(TOKENS.GuildConfigService)?.getMuteRoleId?.(interaction.guildId);
+      muteRole = muteRoleId ? interaction.guild.roles.cache.get(muteRoleId) ?? null : null;
+      if (!muteRole) {
+        return interaction.reply({
+          flags: MessageFlags.Ephemeral,
+          embeds: [infoEmbed("Timeout", "Mutes longer than 28 days or permanent need a mute role. Run `/setup mute` first.")]
+        });
+      }
+    }
+
+    const mod = interaction.client.container.get(TOKENS.ModerationService);
     try {
-      await member.timeout(durationMs, reason);
-      return interaction.reply({ embeds: [infoEmbed("Timeout", `Timed out **${target.tag}** for **${durationInput}**\nReason: ${reason}`)] });
+      await mod.timeout({
+        guild: interaction.guild,
+        target: member,
+        moderator: interaction.user,
+        reason,
+        durationMs,
+        permanent,
+        muteRole,
+        metadata: { commandId: interaction.commandId }
+      });
+      const length = permanent ? "permanently" : `for **${durationInput}**`;
+      const via = muteRole ? ` using ${muteRole}` : "";
+      return interaction.reply({ embeds: [infoEmbed("Timeout", `Muted **${target.tag}** ${length}${via}\nReason: ${reason}`)] });
     } catch (err) {
       return interaction.reply({
         flags: MessageFlags.Ephemeral,
@@ -52,9 +79,9 @@ export default {
   },
   meta: {
     category: "moderation",
-    description: "Timeout a member for a set duration.",
+    description: "Mute a member for a set duration. Up to 28 days uses a native timeout; longer or permanent mutes use the mute role from /setup mute.",
     usage: "/timeout user:@User duration:30m [reason:<text>]",
-    examples: ["/timeout user:@Spammer duration:15m reason:Spam"],
+    examples: ["/timeout user:@Spammer duration:15m reason:Spam", "/timeout user:@Repeat duration:90d reason:Repeated harassment"],
     permissions: "Timeout Members"
   }
 };
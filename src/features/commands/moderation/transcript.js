@@ -0,0 +1,132 @@
+import { AttachmentBuilder, PermissionFlagsBits, SlashCommandBuilder, ChannelType, MessageFlags } from "discord.js";
+import { TOKENS } from "../../../app/container/index.js";
+import { infoEmbed } from "../../../shared/utils/embeds.js";
+import { resolveStaffChannel } from "../../../shared/utils/staffChannels.js";
+import { TRANSCRIPT_FORMATS, fetchChannelHistory, renderTranscript, toTranscriptEntry } from "../../../shared/utils/transcripts.js";
+
+const MAX_MESSAGES = 5000;
+const DEFAULT_LIMIT = 500;
+const LOG_CHANNEL_KEYS = ["transcript_log", "message_log"];
+const CHANNEL_TYPES = [
+  ChannelType.GuildText,
+  ChannelType.GuildAnnouncement,
+  ChannelType.GuildVoice,
+  ChannelType.PublicThread,
+  ChannelType.PrivateThread,
+  ChannelType.AnnouncementThread
+];
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName("transcript")
+    .setDescription("Export a channel or thread as a transcript")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+    .addChannelOption(o => o.setName("channel").setDescription("Channel or thread to export").setRequired(true).addChannelTypes(...CHANNEL_TYPES))
+    .addIntegerOption(o => o.setName("limit").setDescription(`Newest messages to include (default ${DEFAULT_LIMIT})`).setMinValue(1).setMaxValue(MAX_MESSAGES))
+    .addStringOption(o => o
+      .setName("format")
+      .setDescription("File format (default html)")
+      .addChoices(...TRANSCRIPT_FORMATS.map((format) => ({ name: format, value: format }))))
+    .addStringOption(o => o
+      .setName("deliver")
+      .setDescription("Where to send the file (default: here, or the transcript log when linked to a case)")
+      .addChoices({ name: "here", value: "reply" }, { name: "transcript log", value: "log" }))
+    .addIntegerOption(o => o.setName("case").setDescription("Attach the transcript to this case as evidence").setMinValue(1)),
+  async execute(interaction) {
+    if (!interaction.inGuild()) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Transcript", "Guild only.")] });
+    }
+
+    const channel = interaction.options.getChannel("channel", true);
+    const limit = interaction.options.getInteger("limit") ?? DEFAULT_LIMIT;
+    const format = interaction.options.getString("format") || "html";
+    const caseNumber = interaction.options.getInteger("case");
+    const deliver = interaction.options.getString("deliver") || (caseNumber ? "log" : "reply");
+    const moderationLogService = interaction.client.container.get(TOKENS.ModerationLogService);
+
+    // the bot can often read channels the caller cannot; never export past the caller's own access
+    if (!channel.permissionsFor?.(interaction.member)?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ReadMessageHistory])) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Transcript", `You need View Channel and Read Message History in ${channel} to export it.`)] });
+    }
+
+    if (caseNumber && !(await moderationLogService.getByCase(interaction.guildId, caseNumber))) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Transcript", `Case #${caseNumber} not found.`)] });
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    let messages;
+    try {
+      messages = await fetchChannelHistory(channel, limit);
+    } catch (err) {
+      return interaction.editReply({ embeds: [infoEmbed("Transcript", `Could not read ${channel}: ${err?.message || err}`)] });
+    }
+    if (!messages.length) {
+      return interaction.editReply({ embeds: [infoEmbed("Transcript", `${channel} has no messages to export.`)] });
+    }
+
+    const title = `#${channel.name} — ${interaction.guild.name}`;
+    const { content, extension } = renderTranscript(format, messages.map(toTranscriptEntry), {
+      title,
+      context: {
+        guildId: interaction.guildId,
+        channelId: channel.id,
+        exportedBy: `${interaction.user.tag} (${interaction.user.id})`,
+        ...(caseNumber ? { caseNumber } : {})
+      }
+    });
+    const fileName = `transcript-${channel.name}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    const file = new AttachmentBuilder(Buffer.from(content, "utf8"), { name: fileName });
+    const summary = `${messages.length} message(s) from ${channel}${caseNumber ? ` for case #${caseNumber}` : ""}, exported by ${interaction.user}.`;
+
+    let archived = null;
+    if (deliver === "log") {
+      const channelMapService = interaction.client.container.getOptional(TOKENS.ChannelMapService);
+      const logChannel = await resolveStaffChannel(interaction.guild, channelMapService, LOG_CHANNEL_KEYS);
+      if (logChannel) {
+        try {
+          archived = await logChannel.send({ embeds: [infoEmbed("Transcript", summary)], files: [file] });
+        } catch (err) {
+          return interaction.editReply({ embeds: [infoEmbed("Transcript", `Failed to post to ${logChannel}: ${err?.message || err}`)] });
+        }
+      }
+    }
+
+    const lines = [summary];
+    if (archived && caseNumber) {
+      await moderationLogService.addEvidence({
+        guildId: interaction.guildId,
+        caseNumber,
+        moderatorId: interaction.user.id,
+        evidence: {
+          type: "transcript",
+          label: `Transcript of #${channel.name} (${messages.length})`,
+          url: archived.url,
+          channelId: channel.id,
+          format
+        }
+      });
+      lines.push(`Attached to case #${caseNumber}.`);
+    } else if (caseNumber) {
+      lines.push(`Not attached to case #${caseNumber}: map a \`transcript_log\` or \`message_log\` channel so the link stays valid.`);
+    }
+
+    if (archived) {
+      lines.push(`Posted: ${archived.url}`);
+      return interaction.editReply({ embeds: [infoEmbed("Transcript", lines.join("\n"))] });
+    }
+    if (deliver === "log") lines.push("No transcript log channel is mapped, so the file is attached here.");
+    return interaction.editReply({ embeds: [infoEmbed("Transcript", lines.join("\n"))], files: [file] });
+  },
+  meta: {
+    category: "moderation",
+    description: "Export a channel or thread's history as an HTML, JSON or text file, optionally posted to the transcript log and attached to a case.",
+    usage: "/transcript channel:#channel [limit:500] [format:html|json|txt] [deliver:here|log] [case:<id>]",
+    examples: [
+      "/transcript channel:#appeal-thread",
+      "/transcript channel:#general limit:2000 format:json deliver:log",
+      "/transcript channel:#report-123 case:42"
+    ],
+    permissions: "Manage Messages"
+  }
+};
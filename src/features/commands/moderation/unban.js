@@ -1,4 +1,5 @@
 import { PermissionFlagsBits, SlashCommandBuilder, MessageFlags } from "discord.js";
+import { TOKENS } from "../../../app/container/index.js";
 import { infoEmbed } from "../../../shared/utils/embeds.js";
 
 export default {
@@ -25,8 +26,15 @@ export default {
       return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Unban", "Ban not found.")] });
     }
 
+    const mod = interaction.client.container.get(TOKENS.ModerationService);
     try {
-      await interaction.guild.bans.remove(ban.user.id, reason);
+      await mod.unban({
+        guild: interaction.guild,
+        user: ban.user,
+        moderator: interaction.user,
+        reason,
+        metadata: { commandId: interaction.commandId }
+      });
       return interaction.reply({ embeds: [infoEmbed("Unban", `Removed ban for **${ban.user.tag}**.`)] });
     } catch (err) {
       return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Unban", `Failed: ${err?.message || err}`)] });
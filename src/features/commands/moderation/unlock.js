@@ -1,4 +1,5 @@
 import { PermissionFlagsBits, SlashCommandBuilder, ChannelType, MessageFlags } from "discord.js";
+import { TOKENS } from "../../../app/container/index.js";
 import { infoEmbed } from "../../../shared/utils/embeds.js";
 
 function resolveChannel(interaction) {
@@ -27,6 +28,7 @@ export default {
 
     try {
       await channel.permissionOverwrites.edit(everyone, { SendMessages: null, AddReactions: null }, `Unlock by ${interaction.user.tag}`);
+      await interaction.client.container.getOptional(TOKENS.ChannelScheduleService)?.cancel?.(channel.id, "unlock");
       return interaction.reply({ embeds: [infoEmbed("Unlock", `Unlocked ${channel}.`)] });
     } catch (err) {
       return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Unlock", `Failed: ${err?.message || err}`)] });
@@ -0,0 +1,49 @@
+import { PermissionFlagsBits, SlashCommandBuilder, MessageFlags } from "discord.js";
+import { TOKENS } from "../../../app/container/index.js";
+import { infoEmbed } from "../../../shared/utils/embeds.js";
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName("unquarantine")
+    .setDescription("Release a member from quarantine and restore their roles")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles)
+    .addUserOption(o => o.setName("user").setDescription("Target user").setRequired(true))
+    .addStringOption(o => o.setName("reason").setDescription("Reason")),
+  async execute(interaction) {
+    if (!interaction.inGuild()) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Unquarantine", "Guild only.")] });
+    }
+
+    const target = interaction.options.getUser("user", true);
+    const reason = interaction.options.getString("reason") || "Quarantine lifted via command";
+    const member = await interaction.guild.members.fetch(target.id).catch(() => null);
+    if (!member) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Unquarantine", "User not found in guild.")] });
+    }
+
+    await interaction.deferReply();
+    const mod = interaction.client.container.get(TOKENS.ModerationService);
+    try {
+      const entry = await mod.unquarantine({
+        guild: interaction.guild,
+        target: member,
+        moderator: interaction.user,
+        reason,
+        metadata: { commandId: interaction.commandId }
+      });
+      const restored = entry?.metadata?.restoredRoleIds?.length ?? 0;
+      return interaction.editReply({
+        embeds: [infoEmbed("Unquarantine", `Released **${target.tag}** and restored ${restored} role${restored === 1 ? "" : "s"}.`)]
+      });
+    } catch (err) {
+      return interaction.editReply({ embeds: [infoEmbed("Unquarantine", `Failed: ${err?.message || err}`)] });
+    }
+  },
+  meta: {
+    category: "moderation",
+    description: "Lift an active quarantine and give back the roles it stripped.",
+    usage: "/unquarantine user:@User [reason:<text>]",
+    examples: ["/unquarantine user:@Trouble reason:Verified"],
+    permissions: "Manage Roles"
+  }
+};
@@ -1,33 +1,54 @@
 import { PermissionFlagsBits, SlashCommandBuilder, MessageFlags } from "discord.js";
+import { TOKENS } from "../../../app/container/index.js";
 import { infoEmbed } from "../../../shared/utils/embeds.js";
+import { ModerationActionType } from "../../../domain/services/moderationActions.js";
+
+async function hasActiveRoleMute(interaction, member) {
+  const active = await interaction.client.container.get(TOKENS.ModerationLogService).findLatestActive({
+    guildId: interaction.guildId,
+    userId: member.id,
+    action: ModerationActionType.Mute
+  });
+  return Boolean(active?.metadata?.roleId);
+}
 
 export default {
   data: new SlashCommandBuilder()
     .setName("untimeout")
-    .setDescription("Remove a timeout from a member")
+    .setDescription("Remove a timeout or role mute from a member")
     .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
-    .addUserOption(o => o.setName("user").setDescription("Target user").setRequired(true)),
+    .addUserOption(o => o.setName("user").setDescription("Target user").setRequired(true))
+    .addStringOption(o => o.setName("reason").setDescription("Reason")),
   async execute(interaction) {
     if (!interaction.inGuild()) {
       return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Untimeout", "Guild only.")] });
     }
 
     const target = interaction.options.getUser("user", true);
+    const reason = interaction.options.getString("reason") || "Timeout cleared via command";
     const member = await interaction.guild.members.fetch(target.id).catch(() => null);
     if (!member) {
       return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Untimeout", "User not found in guild.")] });
     }
 
-    if (!member.isCommunicationDisabled()) {
+    const roleMuted = member.isCommunicationDisabled() ? false : await hasActiveRoleMute(interaction, member);
+    if (!member.isCommunicationDisabled() && !roleMuted) {
       return interaction.reply({
         flags: MessageFlags.Ephemeral,
-        embeds: [infoEmbed("Untimeout", "Member is not currently timed out.")]
+        embeds: [infoEmbed("Untimeout", "Member is not currently timed out or muted.")]
       });
     }
 
+    const mod = interaction.client.container.get(TOKENS.ModerationService);
     try {
-      await member.timeout(null, "Timeout cleared via command");
-      return interaction.reply({ embeds: [infoEmbed("Untimeout", `Removed timeout for **${target.tag}**.`)] });
+      await mod.untimeout({
+        guild: interaction.guild,
+        target: member,
+        moderator: interaction.user,
+        reason,
+        metadata: { commandId: interaction.commandId }
+      });
+      return interaction.reply({ embeds: [infoEmbed("Untimeout", `Removed ${roleMuted ? "mute" : "timeout"} for **${target.tag}**.`)] });
     } catch (err) {
       return interaction.reply({
         flags: MessageFlags.Ephemeral,
@@ -37,9 +58,9 @@ export default {
   },
   meta: {
     category: "moderation",
-    description: "Remove an active communication timeout.",
-    usage: "/untimeout user:@User",
-    examples: ["/untimeout user:@Spammer"],
+    description: "Remove an active communication timeout or mute role.",
+    usage: "/untimeout user:@User [reason:<text>]",
+    examples: ["/untimeout user:@Spammer reason:Appeal accepted"],
     permissions: "Timeout Members"
   }
 };
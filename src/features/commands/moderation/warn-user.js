@@ -0,0 +1,39 @@
+import { ApplicationCommandType, ContextMenuCommandBuilder, InteractionContextType, MessageFlags, PermissionFlagsBits, TextInputStyle } from "discord.js";
+import { TOKENS } from "../../../app/container/index.js";
+import { infoEmbed } from "../../../shared/utils/embeds.js";
+import { promptModal, readInput } from "../lib/modalPrompt.js";
+import { describeEscalation } from "../lib/warnings.js";
+
+export default {
+  data: new ContextMenuCommandBuilder()
+    .setName("Warn")
+    .setType(ApplicationCommandType.User)
+    .setContexts(InteractionContextType.Guild)
+    .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers),
+  async execute(interaction) {
+    const target = interaction.targetUser;
+    const submission = await promptModal(interaction, {
+      title: `Warn ${target.username}`,
+      inputs: [{ id: "reason", label: "Reason", style: TextInputStyle.Paragraph, required: true, maxLength: 1000 }]
+    });
+    if (!submission) return;
+
+    const reason = readInput(submission, "reason") || "No reason provided.";
+    await submission.deferReply({ flags: MessageFlags.Ephemeral });
+    try {
+      const svc = interaction.client.container.get(TOKENS.WarningService);
+      const warning = await svc.add(interaction.guildId, target.id, interaction.user.id, reason, { commandId: interaction.commandId });
+      const caseText = warning.caseNumber ? ` (case #${warning.caseNumber})` : "";
+      return submission.editReply({ embeds: [infoEmbed("Warn", `Warned **${target.tag}**${caseText}\n**Reason:** ${reason}${describeEscalation(warning.escalation)}`)] });
+    } catch (err) {
+      return submission.editReply({ embeds: [infoEmbed("Warn", `Failed: ${err?.message || err}`)] });
+    }
+  },
+  meta: {
+    category: "moderation",
+    description: "Warn a member from the user context menu; asks for a reason and applies the escalation ladder like /warn.",
+    usage: "Right-click a user → Apps → Warn",
+    examples: ["Apps → Warn"],
+    permissions: "Timeout Members (or Moderator role)"
+  }
+};
@@ -1,6 +1,7 @@
 import { PermissionFlagsBits, SlashCommandBuilder, MessageFlags } from "discord.js";
 import { TOKENS } from "../../../app/container/index.js";
 import { infoEmbed } from "../../../shared/utils/embeds.js";
+import { describeEscalation } from "../lib/warnings.js";
 
 export default {
   data: new SlashCommandBuilder()
@@ -13,12 +14,14 @@ export default {
     const target = interaction.options.getUser("user", true);
     const reason = interaction.options.getString("reason") || "No reason provided.";
     const svc = interaction.client.container.get(TOKENS.WarningService);
-    await svc.add(interaction.guildId, target.id, interaction.user.id, reason);
-    return interaction.reply({ embeds: [infoEmbed("Warn", `Warned **${target.tag}**\n**Reason:** ${reason}`)] });
+    await interaction.deferReply();
+    const warning = await svc.add(interaction.guildId, target.id, interaction.user.id, reason);
+    const caseText = warning.caseNumber ? ` (case #${warning.caseNumber})` : "";
+    return interaction.editReply({ embeds: [infoEmbed("Warn", `Warned **${target.tag}**${caseText}\n**Reason:** ${reason}${describeEscalation(warning.escalation)}`)] });
   },
   meta: {
     category: "moderation",
-    description: "Record a warning for a user.",
+    description: "Record a warning for a user and apply the escalation ladder if a rung is reached.",
     usage: "/warn user:@User [reason:<text>]",
     examples: ["/warn user:@User reason:spam"],
     permissions: "Timeout Members (or Moderator role)"
@@ -1,27 +1,105 @@
-import { SlashCommandBuilder, MessageFlags } from "discord.js";
+import { PermissionFlagsBits, SlashCommandBuilder, MessageFlags } from "discord.js";
 import { TOKENS } from "../../../app/container/index.js";
-import { listEmbed } from "../../../shared/utils/embeds.js";
+import { infoEmbed, listEmbed } from "../../../shared/utils/embeds.js";
+import { describeRung } from "../../../domain/services/WarningEscalationService.js";
+
+const STATUS_TAGS = { active: "", expired: " _(expired)_", pardoned: " _(pardoned)_" };
+
+function warningRef(warning) {
+  return warning.caseNumber ? `#${warning.caseNumber}` : `\`${warning._id}\``;
+}
+
+async function describeLadderPosition(container, guildId, userId) {
+  const escalation = container.getOptional?.(TOKENS.WarningEscalationService);
+  if (!escalation?.getLadder?.(guildId)?.length) return [];
+  const { rungs, reached, next } = await escalation.getPosition(guildId, userId);
+  const lines = ["", "**Escalation ladder**"];
+  for (const { rung, count } of rungs) {
+    const marker = reached?.rung === rung ? "▶" : "•";
+    lines.push(`${marker} ${Math.min(count, rung.threshold)}/${rung.threshold} — ${describeRung(rung)}`);
+  }
+  lines.push(next
+    ? `Next: **${next.rung.action}** after ${next.rung.threshold - next.count} more warning(s).`
+    : "Top of the ladder reached.");
+  return lines;
+}
 
 export default {
   data: new SlashCommandBuilder()
-    .setName("warnings").setDescription("List latest warnings for a user")
-    .addUserOption(o => o.setName("user").setDescription("User").setRequired(true)),
+    .setName("warnings").setDescription("List and manage warnings")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
+    .addSubcommand(s => s
+      .setName("list")
+      .setDescription("List latest warnings for a user")
+      .addUserOption(o => o.setName("user").setDescription("User").setRequired(true)))
+    .addSubcommand(s => s
+      .setName("remove")
+      .setDescription("Delete a warning")
+      .addStringOption(o => o.setName("id").setDescription("Warning case number or id").setRequired(true))
+      .addStringOption(o => o.setName("reason").setDescription("Reason")))
+    .addSubcommand(s => s
+      .setName("pardon")
+      .setDescription("Pardon a warning so it no longer counts")
+      .addStringOption(o => o.setName("id").setDescription("Warning case number or id").setRequired(true))
+      .addStringOption(o => o.setName("reason").setDescription("Reason").setRequired(true)))
+    .addSubcommand(s => s
+      .setName("clear")
+      .setDescription("Delete every warning for a user")
+      .addUserOption(o => o.setName("user").setDescription("User").setRequired(true))
+      .addStringOption(o => o.setName("reason").setDescription("Reason"))),
   async execute(interaction) {
     if (!interaction.inGuild()) {
       return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [listEmbed("Warnings", ["Guild only."])] });
     }
-    const user = interaction.options.getUser("user", true);
     const svc = interaction.client.container.get(TOKENS.WarningService);
-    const list = await svc.list(interaction.guildId, user.id, 10);
-    const lines = list.length
-      ? list.map(w => `• ${w.reason} — <t:${Math.floor(new Date(w.createdAt).getTime()/1000)}:R> by <@${w.modId}>`)
-      : ["No warnings found."];
-    return interaction.reply({ embeds: [listEmbed(`Warnings for ${user.tag}`, lines)] });
+    const sub = interaction.options.getSubcommand();
+    const guildId = interaction.guildId;
+    const reason = interaction.options.getString("reason");
+
+    if (sub === "list") {
+      const user = interaction.options.getUser("user", true);
+      const list = await svc.list(guildId, user.id, 10);
+      const { active, total } = await svc.count(guildId, user.id);
+      const expiryDays = svc.expiryDays?.(guildId);
+      const lines = [`**Active:** ${active} · **Total:** ${total}${expiryDays ? ` · expire after ${expiryDays}d` : ""}`, ""];
+      if (list.length) {
+        lines.push(...list.map(w => `• ${warningRef(w)} ${w.reason} — <t:${Math.floor(new Date(w.createdAt).getTime()/1000)}:R> by <@${w.modId}>${STATUS_TAGS[w.status] ?? ""}`));
+      } else {
+        lines.push("No warnings found.");
+      }
+      lines.push(...await describeLadderPosition(interaction.client.container, guildId, user.id));
+      return interaction.reply({ embeds: [listEmbed(`Warnings for ${user.tag}`, lines)] });
+    }
+
+    try {
+      if (sub === "clear") {
+        const user = interaction.options.getUser("user", true);
+        const { count, caseEntry } = await svc.clear(guildId, user.id, { moderatorId: interaction.user.id, reason });
+        const text = count
+          ? `Cleared **${count}** warning(s) for **${user.tag}**${caseEntry ? ` (case #${caseEntry.caseNumber})` : ""}.`
+          : `**${user.tag}** has no warnings.`;
+        return interaction.reply({ embeds: [infoEmbed("Warnings", text)] });
+      }
+
+      const id = interaction.options.getString("id", true);
+      const result = sub === "pardon"
+        ? await svc.pardon(guildId, id, { moderatorId: interaction.user.id, reason })
+        : await svc.remove(guildId, id, { moderatorId: interaction.user.id, reason });
+      if (!result) {
+        return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Warnings", "Warning not found.")] });
+      }
+      const verb = sub === "pardon" ? "Pardoned" : "Removed";
+      const caseText = result.caseEntry ? ` (case #${result.caseEntry.caseNumber})` : "";
+      return interaction.reply({ embeds: [infoEmbed("Warnings", `${verb} warning ${warningRef(result.warning)} for <@${result.warning.userId}>${caseText}.`)] });
+    } catch (err) {
+      return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [infoEmbed("Warnings", `Failed: ${err?.message || err}`)] });
+    }
   },
   meta: {
     category: "moderation",
-    description: "Show the most recent warnings for a user.",
-    usage: "/warnings user:@User",
-    examples: ["/warnings user:@User"]
+    description: "List warnings with their escalation ladder position, and remove, pardon or clear them.",
+    usage: "/warnings list user:@User | /warnings pardon id:<case> reason:<text> | /warnings clear user:@User",
+    examples: ["/warnings list user:@User", "/warnings remove id:42", "/warnings pardon id:42 reason:appealed"],
+    permissions: "Moderate Members"
   }
 };
@@ -0,0 +1,21 @@
+import { ApplicationCommandType, ContextMenuCommandBuilder, InteractionContextType, MessageFlags, PermissionFlagsBits } from "discord.js";
+import { buildWhoisEmbed } from "../lib/memberInfo.js";
+
+export default {
+  data: new ContextMenuCommandBuilder()
+    .setName("Whois")
+    .setType(ApplicationCommandType.User)
+    .setContexts(InteractionContextType.Guild)
+    .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers),
+  async execute(interaction) {
+    const embed = await buildWhoisEmbed(interaction, interaction.targetUser);
+    return interaction.reply({ flags: MessageFlags.Ephemeral, embeds: [embed] });
+  },
+  meta: {
+    category: "moderation",
+    description: "Show the /whois card for a user from the user context menu.",
+    usage: "Right-click a user → Apps → Whois",
+    examples: ["Apps → Whois"],
+    permissions: "Moderate Members"
+  }
+};
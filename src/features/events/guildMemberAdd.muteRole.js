@@ -0,0 +1,28 @@
+import { TOKENS } from "../../app/container/index.js";
+
+export default {
+  name: "guildMemberAdd",
+  once: false,
+  async execute(member) {
+    const container = member?.client?.container;
+    if (!container) return;
+
+    try {
+      const moderationService = container.get(TOKENS.ModerationService);
+      const entry = await moderationService.reapplyMuteRole(member);
+      if (entry) {
+        container.getOptional(TOKENS.Logger)?.info?.("mute.role_reapplied", {
+          guildId: member.guild?.id,
+          userId: member.id,
+          caseNumber: entry.caseNumber
+        });
+      }
+    } catch (err) {
+      container.getOptional(TOKENS.Logger)?.error?.("mute.reapply_failed", {
+        guildId: member.guild?.id,
+        userId: member.id,
+        error: String(err?.message || err)
+      });
+    }
+  }
+};
@@ -0,0 +1,21 @@
+import { TOKENS } from "../../app/container/index.js";
+
+export default {
+  name: "guildMemberAdd",
+  once: false,
+  async execute(member) {
+    const container = member?.client?.container;
+    if (!container) return;
+
+    try {
+      const raidModeService = container.get(TOKENS.RaidModeService);
+      await raidModeService.handleJoin(member);
+    } catch (err) {
+      container.get(TOKENS.Logger)?.error?.("raidmode.join_failed", {
+        guildId: member.guild?.id,
+        userId: member.id,
+        error: String(err?.message || err)
+      });
+    }
+  }
+};
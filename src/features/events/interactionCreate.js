@@ -1,6 +1,7 @@
 import { replyEph, followUpEph } from "../../shared/utils/respond.js";
 import { hasDefaultPerms, hasAppLevelPerms } from "../../shared/utils/permissions.js";
 import { TOKENS } from "../../app/container/index.js";
+import { interactionCommandKey } from "../../app/registry/commandKeys.js";
 
 export default {
   name: "interactionCreate",
@@ -8,24 +9,16 @@ export default {
   async execute(interaction) {
     const container = interaction.client?.container;
 
-    if (interaction.isButton()) {
-      try {
-        const mentionTracker = container?.get(TOKENS.MentionTrackerService);
-        if (mentionTracker) {
-          const handled = await mentionTracker.handleInteraction(interaction);
-          if (handled) return;
-        }
-      } catch {
-        // ignore missing mention tracker service
-      }
+    if (!interaction.isChatInputCommand() && !interaction.isContextMenuCommand()) {
+      // buttons, select menus, modals and autocomplete
+      await container?.getOptional?.(TOKENS.ComponentRouter)?.dispatch(interaction);
+      return;
     }
 
-    if (!interaction.isChatInputCommand()) return;
-
     if (!container) return;
 
     const commands = interaction.client.commands;
-    const cmd = commands.get(interaction.commandName);
+    const cmd = commands.get(interactionCommandKey(interaction));
     if (!cmd) return;
 
     const logger = container.get(TOKENS.Logger);
@@ -33,7 +26,8 @@ export default {
     const meta = {
       user: `${interaction.user.tag} (${interaction.user.id})`,
       guild: interaction.guild ? `${interaction.guild.name} (${interaction.guildId})` : "DM",
-      command: interaction.commandName,
+      command: interactionCommandKey(interaction),
+      target: interaction.targetId ?? null,
       options: interaction.options.data?.map(d => ({
         name: d.name,
         value: d.value ?? d.user?.id ?? d.channel?.id ?? d.role?.id ?? null
@@ -0,0 +1,49 @@
+import { PermissionsBitField } from "discord.js";
+import { TOKENS } from "../../../app/container/index.js";
+import { CONFIG } from "../../../config/index.js";
+import { resolveStaffChannel } from "../../../shared/utils/staffChannels.js";
+
+export const STAFF_KEYS = ["admin", "mod", "special"];
+
+export async function resolveGuildMember(message) {
+  if (message.member) return message.member;
+  if (!message.guild || !message.author?.id) return null;
+  try {
+    return await message.guild.members.fetch(message.author.id);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Staff are exempt from every automated guard (spam, profanity, mentions, links): mapped staff roles,
+ * roles named after a staff key, or members holding Administrator.
+ */
+export async function isGuardExempt(container, guildId, member) {
+  if (!member) return false;
+  if (member.permissions?.has?.(PermissionsBitField.Flags.Administrator, true)) return true;
+
+  const roleCache = member.roles?.cache;
+  try {
+    const staffRoleService = container.get(TOKENS.StaffRoleService);
+    const staffRoleIds = await staffRoleService.getAllRoleIdsForKeys(guildId, STAFF_KEYS);
+    if (staffRoleIds.some((id) => roleCache?.has(id))) return true;
+  } catch {
+    // fall through to name-based detection
+  }
+
+  return Boolean(roleCache?.some?.((role) => {
+    const name = role?.name?.toLowerCase?.() || "";
+    return STAFF_KEYS.some((key) => name.includes(key));
+  }));
+}
+
+export async function resolveFlagLogChannel(container, guild, channelKey = "flag_log") {
+  const channelMapService = container.getOptional?.(TOKENS.ChannelMapService) ?? null;
+  const guildConfigService = container.getOptional?.(TOKENS.GuildConfigService) ?? null;
+  return resolveStaffChannel(guild, channelMapService, channelKey || "flag_log", async (target) => {
+    if (!target?.id || !guildConfigService) return CONFIG.modLogChannelId || "";
+    const dynamicId = await guildConfigService.getModLogChannelId(target.id);
+    return dynamicId || CONFIG.modLogChannelId || "";
+  });
+}
@@ -0,0 +1,115 @@
+import { EmbedBuilder } from "discord.js";
+import { TOKENS } from "../../../app/container/index.js";
+import { LinkAllowService } from "../../../domain/services/LinkAllowService.js";
+import { ModerationActionType } from "../../../domain/services/moderationActions.js";
+import { isGuardExempt, resolveFlagLogChannel, resolveGuildMember } from "./guardUtils.js";
+
+function buildLogEmbed(message, violation, entry, source) {
+  const content = message.content || "";
+  const snippet = content.length > 1000 ? `${content.slice(0, 1000)}…` : content;
+  const ruleText = violation.rule ? `${violation.rule.type} → ${violation.rule.value}` : `mode: ${violation.mode}`;
+  const embed = new EmbedBuilder()
+    .setTitle("Link removed")
+    .setColor(0xed4245)
+    .setTimestamp(new Date())
+    .setDescription(snippet ? `>>> ${snippet}` : "(No message content)")
+    .addFields(
+      { name: "Author", value: `${message.author.tag} (${message.author.id})`, inline: false },
+      { name: "Channel", value: `<#${message.channelId}>`, inline: true },
+      { name: "Reason", value: `${violation.reason} (${ruleText})`.slice(0, 1024), inline: true },
+      { name: "Link", value: violation.url.slice(0, 1024), inline: false }
+    )
+    .setFooter({ text: `Source: ${source}` });
+  if (entry?.caseNumber) embed.addFields({ name: "Case", value: `#${entry.caseNumber}`, inline: true });
+  return embed;
+}
+
+export async function enforceLinkPolicy(message, source = "unknown") {
+  if (!message?.inGuild?.() || message.author?.bot) return;
+
+  if (message.partial) {
+    try {
+      await message.fetch();
+    } catch {
+      return;
+    }
+  }
+
+  const container = message.client?.container;
+  if (!container) return;
+
+  const linkService = container.getOptional?.(TOKENS.LinkAllowService);
+  if (!linkService || linkService.getMode(message.guildId) === "off") return;
+
+  // Discord invites are governed by the invite guard and /allowed-invites.
+  const urls = LinkAllowService.extractUrls(message.content || "").filter((url) => !LinkAllowService.isInviteUrl(url));
+  if (!urls.length) return;
+
+  const parentId = message.channel?.isThread?.() ? message.channel.parentId : null;
+  if (linkService.isChannelExempt(message.guildId, message.channelId)) return;
+  if (parentId && linkService.isChannelExempt(message.guildId, parentId)) return;
+
+  let violation = null;
+  for (const url of urls) {
+    violation = linkService.findViolation(message.guildId, url);
+    if (violation) break;
+  }
+  if (!violation) return;
+
+  const member = await resolveGuildMember(message);
+  if (member && linkService.hasExemptRole(message.guildId, [...(member.roles?.cache?.keys?.() || [])])) return;
+  if (await isGuardExempt(container, message.guildId, member)) return;
+
+  const logger = container.get(TOKENS.Logger);
+  const meta = {
+    guildId: message.guildId,
+    channelId: message.channelId,
+    userId: message.author.id,
+    mode: violation.mode,
+    ruleId: violation.rule?.id ?? null,
+    source
+  };
+
+  try {
+    await message.delete();
+  } catch (err) {
+    logger?.error?.("link_guard.delete_failed", { ...meta, error: String(err?.message || err) });
+    return;
+  }
+
+  let entry = null;
+  try {
+    const moderationService = container.get(TOKENS.ModerationService);
+    entry = await moderationService.recordCase({
+      guild: message.guild,
+      userId: message.author.id,
+      moderator: message.client.user,
+      action: ModerationActionType.LinkBlock,
+      reason: `[Link guard] Link ${violation.reason}`,
+      metadata: {
+        source: "linkguard",
+        channelId: message.channelId,
+        messageId: message.id,
+        url: violation.url,
+        mode: violation.mode,
+        rule: violation.rule ? { id: violation.rule.id, type: violation.rule.type, value: violation.rule.value } : null,
+        targetTag: message.author.tag
+      }
+    });
+  } catch (err) {
+    logger?.warn?.("link_guard.case_failed", { ...meta, error: String(err?.message || err) });
+  }
+
+  try {
+    const flagChannel = await resolveFlagLogChannel(container, message.guild);
+    if (flagChannel) {
+      await flagChannel.send({ embeds: [buildLogEmbed(message, violation, entry, source)] });
+    } else {
+      logger?.warn?.("link_guard.flag_channel_missing", meta);
+    }
+  } catch (err) {
+    logger?.error?.("link_guard.log_failed", { ...meta, error: String(err?.message || err) });
+  }
+
+  logger?.info?.("link_guard.deleted", { ...meta, caseNumber: entry?.caseNumber ?? null });
+}
@@ -0,0 +1,96 @@
+import { EmbedBuilder } from "discord.js";
+import { TOKENS } from "../../../app/container/index.js";
+import { isGuardExempt, resolveFlagLogChannel, resolveGuildMember } from "./guardUtils.js";
+
+export const PROFANITY_AUTOMOD_KEY = "profanity";
+
+function buildLogEmbed(message, match, source) {
+  const content = message.content || "";
+  const snippet = content.length > 1000 ? `${content.slice(0, 1000)}…` : content;
+  return new EmbedBuilder()
+    .setTitle("Profanity filtered")
+    .setColor(0xed4245)
+    .setTimestamp(new Date())
+    .setDescription(snippet ? `>>> ${snippet}` : "(No message content)")
+    .addFields(
+      { name: "Author", value: `${message.author.tag} (${message.author.id})`, inline: false },
+      { name: "Channel", value: `<#${message.channelId}>`, inline: true },
+      { name: "Matched", value: `||${match.value}|| (${match.match})`, inline: true }
+    )
+    .setFooter({ text: `Source: ${source}` });
+}
+
+export async function enforceProfanityFilter(message, source = "unknown") {
+  if (!message?.inGuild?.() || message.author?.bot) return;
+
+  if (message.partial) {
+    try {
+      await message.fetch();
+    } catch {
+      return;
+    }
+  }
+
+  const container = message.client?.container;
+  if (!container) return;
+
+  const runtime = container.getOptional?.(TOKENS.RuntimeModerationState);
+  if (!runtime?.getAutomod?.(message.guildId, PROFANITY_AUTOMOD_KEY)) return;
+
+  const profanityFilter = container.getOptional?.(TOKENS.ProfanityFilterService);
+  if (!profanityFilter) return;
+
+  const parentId = message.channel?.isThread?.() ? message.channel.parentId : null;
+  if (profanityFilter.isChannelExempt(message.guildId, message.channelId)) return;
+  if (parentId && profanityFilter.isChannelExempt(message.guildId, parentId)) return;
+
+  const match = profanityFilter.check(message.guildId, message.content || "");
+  if (!match) return;
+
+  const member = await resolveGuildMember(message);
+  if (await isGuardExempt(container, message.guildId, member)) return;
+
+  const logger = container.get(TOKENS.Logger);
+  const meta = {
+    guildId: message.guildId,
+    channelId: message.channelId,
+    userId: message.author.id,
+    match: match.match,
+    source
+  };
+
+  try {
+    await message.delete();
+  } catch (err) {
+    logger?.error?.("profanity_filter.delete_failed", { ...meta, error: String(err?.message || err) });
+    return;
+  }
+
+  if (profanityFilter.shouldWarn(message.guildId)) {
+    try {
+      const warningService = container.get(TOKENS.WarningService);
+      await warningService.add(
+        message.guildId,
+        message.author.id,
+        message.client.user?.id,
+        "[Auto-warn] Profanity filter",
+        { source: "profanity", channelId: message.channelId, messageId: message.id }
+      );
+    } catch (err) {
+      logger?.warn?.("profanity_filter.warn_failed", { ...meta, error: String(err?.message || err) });
+    }
+  }
+
+  try {
+    const flagChannel = await resolveFlagLogChannel(container, message.guild);
+    if (flagChannel) {
+      await flagChannel.send({ embeds: [buildLogEmbed(message, match, source)] });
+    } else {
+      logger?.warn?.("profanity_filter.flag_channel_missing", meta);
+    }
+  } catch (err) {
+    logger?.error?.("profanity_filter.log_failed", { ...meta, error: String(err?.message || err) });
+  }
+
+  logger?.info?.("profanity_filter.deleted", meta);
+}
@@ -0,0 +1,9 @@
+import { enforceLinkPolicy } from "./lib/linkGuard.js";
+
+export default {
+  name: "messageCreate",
+  once: false,
+  async execute(message) {
+    await enforceLinkPolicy(message, "messageCreate");
+  }
+};
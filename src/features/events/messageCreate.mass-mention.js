@@ -0,0 +1,114 @@
+import { EmbedBuilder } from "discord.js";
+import { TOKENS } from "../../app/container/index.js";
+import { CONFIG } from "../../config/index.js";
+import { countMentions } from "../../shared/utils/mentions.js";
+import { formatDuration } from "../../shared/utils/time.js";
+import { isGuardExempt, resolveFlagLogChannel, resolveGuildMember } from "./lib/guardUtils.js";
+
+const DEFAULT_TIMEOUT_MS = 10 * 60_000;
+
+function buildFlagEmbed(message, tally, limit, { entry, timeoutMs, timeoutError }) {
+  const content = message.content || "";
+  const snippet = content.length > 1000 ? `${content.slice(0, 1000)}…` : content;
+  const breakdown = [
+    `Users: **${tally.users.length}**`,
+    `Roles: **${tally.roles.length}**`,
+    `@everyone/@here: **${tally.everyone.length ? tally.everyone.join(", ") : "none"}**`
+  ].join("\n");
+
+  const embed = new EmbedBuilder()
+    .setTitle("Mass mention blocked")
+    .setColor(CONFIG.colors?.red ?? 0xed4245)
+    .setTimestamp(new Date())
+    .setDescription(snippet ? `>>> ${snippet}` : "(No message content)")
+    .addFields(
+      { name: "Author", value: `${message.author.tag} (${message.author.id})`, inline: false },
+      { name: "Channel", value: `<#${message.channelId}>`, inline: true },
+      { name: "Mentions", value: `${tally.total} (limit ${limit})`, inline: true },
+      { name: "Breakdown", value: breakdown, inline: false },
+      {
+        name: "Action",
+        value: timeoutError
+          ? `Deleted; timeout failed: ${timeoutError}`
+          : `Deleted and timed out for ${formatDuration(timeoutMs)}${entry?.caseNumber ? ` (case #${entry.caseNumber})` : ""}`,
+        inline: false
+      }
+    );
+  return embed;
+}
+
+export default {
+  name: "messageCreate",
+  once: false,
+  async execute(message) {
+    if (!message.inGuild() || message.author?.bot) return;
+
+    const container = message.client?.container;
+    if (!container) return;
+
+    const runtime = container.getOptional?.(TOKENS.RuntimeModerationState);
+    const limit = runtime?.getMassMentionLimit?.(message.guildId);
+    if (!limit) return;
+
+    const tally = countMentions(message.content);
+    if (tally.total <= limit) return;
+
+    const member = await resolveGuildMember(message);
+    if (!member) return;
+    if (await isGuardExempt(container, message.guildId, member)) return;
+
+    const logger = container.get(TOKENS.Logger);
+    const meta = {
+      guildId: message.guildId,
+      channelId: message.channelId,
+      userId: message.author.id,
+      mentions: tally.total,
+      limit
+    };
+
+    try {
+      await message.delete();
+    } catch (err) {
+      logger?.warn?.("massmention.delete_failed", { ...meta, error: String(err?.message || err) });
+    }
+
+    const timeoutMs = Number(CONFIG.massMention?.timeoutMs) > 0 ? Number(CONFIG.massMention.timeoutMs) : DEFAULT_TIMEOUT_MS;
+    let entry = null;
+    let timeoutError = null;
+    try {
+      const moderationService = container.get(TOKENS.ModerationService);
+      entry = await moderationService.timeout({
+        guild: message.guild,
+        target: member,
+        moderator: message.client.user,
+        reason: `[Auto-timeout] Mass mention: ${tally.total} mentions (limit ${limit})`,
+        durationMs: timeoutMs,
+        metadata: {
+          source: "massmention",
+          channelId: message.channelId,
+          messageId: message.id,
+          mentionCounts: {
+            users: tally.users.length,
+            roles: tally.roles.length,
+            everyone: tally.everyone
+          }
+        }
+      });
+      logger?.warn?.("massmention.timeout", { ...meta, caseNumber: entry?.caseNumber ?? null });
+    } catch (err) {
+      timeoutError = String(err?.message || err);
+      logger?.error?.("massmention.timeout_failed", { ...meta, error: timeoutError });
+    }
+
+    try {
+      const flagChannel = await resolveFlagLogChannel(container, message.guild, CONFIG.massMention?.staffFlagChannelKey);
+      if (flagChannel) {
+        await flagChannel.send({ embeds: [buildFlagEmbed(message, tally, limit, { entry, timeoutMs, timeoutError })] });
+      } else {
+        logger?.warn?.("massmention.flag_channel_missing", meta);
+      }
+    } catch (err) {
+      logger?.error?.("massmention.log_failed", { ...meta, error: String(err?.message || err) });
+    }
+  }
+};
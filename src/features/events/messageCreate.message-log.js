@@ -0,0 +1,10 @@
+import { TOKENS } from "../../app/container/index.js";
+
+export default {
+  name: "messageCreate",
+  once: false,
+  async execute(message) {
+    if (!message?.guildId) return;
+    message.client?.container?.getOptional(TOKENS.MessageLogService)?.remember(message);
+  }
+};
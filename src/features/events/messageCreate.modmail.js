@@ -0,0 +1,25 @@
+import { TOKENS } from "../../app/container/index.js";
+
+export default {
+  name: "messageCreate",
+  once: false,
+  async execute(message) {
+    if (message.inGuild() || message.author?.bot) return;
+
+    const container = message.client?.container;
+    const modmail = container?.getOptional(TOKENS.ModmailService);
+    if (!modmail) return;
+
+    try {
+      await modmail.handleDirectMessage(message);
+    } catch (error) {
+      const logger = container.getOptional(TOKENS.Logger);
+      logger?.warn?.("modmail.relay_failed", {
+        userId: message.author?.id,
+        messageId: message.id,
+        error: String(error?.message || error)
+      });
+      await message.reply({ content: "Your message could not be delivered to staff. Please try again later." }).catch(() => {});
+    }
+  }
+};
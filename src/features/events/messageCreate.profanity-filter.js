@@ -0,0 +1,9 @@
+import { enforceProfanityFilter } from "./lib/profanityGuard.js";
+
+export default {
+  name: "messageCreate",
+  once: false,
+  async execute(message) {
+    await enforceProfanityFilter(message, "messageCreate");
+  }
+};
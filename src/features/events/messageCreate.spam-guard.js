@@ -1,8 +1,7 @@
-import { PermissionsBitField } from "discord.js";
 import { TOKENS } from "../../app/container/index.js";
 import { LinkAllowService } from "../../domain/services/LinkAllowService.js";
-
-const STAFF_KEYS = ["admin", "mod", "special"];
+import { parseSpamAction } from "../../domain/services/AntiSpamService.js";
+import { isGuardExempt, resolveGuildMember } from "./lib/guardUtils.js";
 
 function countLinks(message) {
   const textLinks = LinkAllowService.extractUrls(message.content || "").length;
@@ -14,14 +13,38 @@ function countLinks(message) {
   return textLinks + embedLinks + attachmentLinks;
 }
 
-async function ensureGuildMember(message) {
-  if (message.member) return message.member;
-  if (!message.guild) return null;
-  try {
-    return await message.guild.members.fetch(message.author.id);
-  } catch {
-    return null;
+async function applyAction({ container, message, member, action, reason, metadata }) {
+  const moderator = message.client.user;
+
+  if (action.type === "ban") {
+    return container.get(TOKENS.ModerationService).ban({
+      guild: message.guild,
+      target: member,
+      moderator,
+      reason: `[Auto-ban] ${reason}`,
+      durationMs: null,
+      metadata
+    });
   }
+
+  if (action.type === "timeout") {
+    return container.get(TOKENS.ModerationService).timeout({
+      guild: message.guild,
+      target: member,
+      moderator,
+      reason: `[Auto-timeout] ${reason}`,
+      durationMs: action.durationMs,
+      metadata
+    });
+  }
+
+  return container.get(TOKENS.WarningService).add(
+    message.guildId,
+    message.author.id,
+    moderator?.id,
+    `[Auto-warn] ${reason}`,
+    metadata
+  );
 }
 
 export default {
@@ -34,48 +57,33 @@ export default {
     if (!container) return;
 
     const logger = container.get(TOKENS.Logger);
-    const member = await ensureGuildMember(message);
+    const member = await resolveGuildMember(message);
     if (!member) return;
-
-    // Skip staff/admin/special roles
-    const staffRoleService = container.get(TOKENS.StaffRoleService);
-    const staffRoleIds = await staffRoleService.getAllRoleIdsForKeys(message.guildId, STAFF_KEYS);
-    const roleCache = member.roles?.cache;
-    const isStaffMapped = staffRoleIds.some((rid) => roleCache?.has(rid));
-    const hasNamedRole = roleCache?.some((role) => {
-      const name = role?.name?.toLowerCase?.() || "";
-      return STAFF_KEYS.some((key) => name.includes(key));
-    });
-    const hasAdminPerms = member.permissions?.has(PermissionsBitField.Flags.Administrator);
-    if (isStaffMapped || hasNamedRole || hasAdminPerms) return;
+    if (await isGuardExempt(container, message.guildId, member)) return;
 
     const antiSpamService = container.get(TOKENS.AntiSpamService);
     const linkCount = countLinks(message);
-    const { shouldBan, reason } = antiSpamService.record(message.guildId, message.author.id, linkCount);
-    if (!shouldBan) return;
+    const { triggered, reason } = antiSpamService.record(message.guildId, message.author.id, linkCount);
+    if (!triggered) return;
 
-    const moderationService = container.get(TOKENS.ModerationService);
+    const runtime = container.getOptional?.(TOKENS.RuntimeModerationState);
+    const action = parseSpamAction(runtime?.getSpamAction?.(message.guildId));
+    const metadata = { source: "antispam", messageId: message.id, channelId: message.channelId };
     const meta = {
       guildId: message.guildId,
       channelId: message.channelId,
       userId: message.author.id,
       tag: message.author.tag,
+      action: action.type,
       reason
     };
 
     try {
-      await moderationService.ban({
-        guild: message.guild,
-        target: member,
-        moderator: message.client.user,
-        reason: `[Auto-ban] ${reason}`,
-        durationMs: null,
-        metadata: { source: "antispam", messageId: message.id }
-      });
+      await applyAction({ container, message, member, action, reason, metadata });
       antiSpamService.clear(message.guildId, message.author.id);
-      logger?.warn?.("antispam.autoban", meta);
+      logger?.warn?.(`antispam.auto${action.type}`, meta);
     } catch (err) {
-      logger?.error?.("antispam.autoban_failed", { ...meta, error: String(err?.message || err) });
+      logger?.error?.(`antispam.auto${action.type}_failed`, { ...meta, error: String(err?.message || err) });
     }
   }
 };
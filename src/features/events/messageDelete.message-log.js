@@ -0,0 +1,21 @@
+import { TOKENS } from "../../app/container/index.js";
+
+export default {
+  name: "messageDelete",
+  once: false,
+  async execute(message) {
+    const container = message?.client?.container;
+    if (!container || !message.guildId) return;
+
+    try {
+      await container.getOptional(TOKENS.MessageLogService)?.logDelete(message);
+    } catch (err) {
+      container.getOptional(TOKENS.Logger)?.error?.("message_log.delete_failed", {
+        guildId: message.guildId,
+        channelId: message.channelId,
+        messageId: message.id,
+        error: String(err?.message || err)
+      });
+    }
+  }
+};
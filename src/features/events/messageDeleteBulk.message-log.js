@@ -0,0 +1,21 @@
+import { TOKENS } from "../../app/container/index.js";
+
+export default {
+  name: "messageDeleteBulk",
+  once: false,
+  async execute(messages, channel) {
+    const container = channel?.client?.container;
+    if (!container || !channel.guildId) return;
+
+    try {
+      await container.getOptional(TOKENS.MessageLogService)?.logBulkDelete(messages, channel);
+    } catch (err) {
+      container.getOptional(TOKENS.Logger)?.error?.("message_log.bulk_delete_failed", {
+        guildId: channel.guildId,
+        channelId: channel.id,
+        count: messages?.size ?? 0,
+        error: String(err?.message || err)
+      });
+    }
+  }
+};
@@ -0,0 +1,11 @@
+import { enforceLinkPolicy } from "./lib/linkGuard.js";
+
+export default {
+  name: "messageUpdate",
+  once: false,
+  async execute(oldMessage, newMessage) {
+    const target = newMessage ?? oldMessage;
+    if (!target) return;
+    await enforceLinkPolicy(target, "messageUpdate");
+  }
+};
@@ -0,0 +1,22 @@
+import { TOKENS } from "../../app/container/index.js";
+
+export default {
+  name: "messageUpdate",
+  once: false,
+  async execute(oldMessage, newMessage) {
+    const target = newMessage ?? oldMessage;
+    const container = target?.client?.container;
+    if (!container || !target.guildId) return;
+
+    try {
+      await container.getOptional(TOKENS.MessageLogService)?.logUpdate(oldMessage, newMessage);
+    } catch (err) {
+      container.getOptional(TOKENS.Logger)?.error?.("message_log.update_failed", {
+        guildId: target.guildId,
+        channelId: target.channelId,
+        messageId: target.id,
+        error: String(err?.message || err)
+      });
+    }
+  }
+};
@@ -0,0 +1,11 @@
+import { enforceProfanityFilter } from "./lib/profanityGuard.js";
+
+export default {
+  name: "messageUpdate",
+  once: false,
+  async execute(oldMessage, newMessage) {
+    const target = newMessage ?? oldMessage;
+    if (!target) return;
+    await enforceProfanityFilter(target, "messageUpdate");
+  }
+};
@@ -15,6 +15,33 @@ export default {
       });
     }
 
+    try {
+      const raidModeService = client.container.get(TOKENS.RaidModeService);
+      await raidModeService.onClientReady?.(client);
+    } catch (err) {
+      client.container.get(TOKENS.Logger)?.error?.("raidmode.init_failed", {
+        error: String(err?.message || err)
+      });
+    }
+
+    try {
+      const lockdownService = client.container.get(TOKENS.LockdownService);
+      await lockdownService.onClientReady?.(client);
+    } catch (err) {
+      client.container.get(TOKENS.Logger)?.error?.("lockdown.init_failed", {
+        error: String(err?.message || err)
+      });
+    }
+
+    try {
+      const channelScheduleService = client.container.get(TOKENS.ChannelScheduleService);
+      await channelScheduleService.onClientReady?.(client);
+    } catch (err) {
+      client.container.get(TOKENS.Logger)?.error?.("channel_schedule.init_failed", {
+        error: String(err?.message || err)
+      });
+    }
+
     try {
       const allowedInviteService = client.container.get(TOKENS.AllowedInviteService);
       client.container.get(TOKENS.Logger)?.info?.("invite_guard.allowlist_ready", { count: allowedInviteService.size });
@@ -0,0 +1,16 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+const ChannelTimerSchema = new Schema({
+  guildId: { type: String, required: true },
+  channelId: { type: String, required: true },
+  kind: { type: String, enum: ["unlock", "slowmode"], required: true },
+  runAt: { type: Date, required: true, index: true },
+  // slowmode to restore when a timed slowmode ends
+  value: { type: Number, default: null },
+  createdBy: { type: String, default: null }
+}, { timestamps: true });
+
+ChannelTimerSchema.index({ channelId: 1, kind: 1 }, { unique: true });
+
+export const ChannelTimerModel = model("ChannelTimer", ChannelTimerSchema);
@@ -4,6 +4,10 @@ const { Schema, model } = mongoose;
 const GuildConfigSchema = new Schema({
   guildId: { type: String, required: true, index: true, unique: true },
   modLogChannelId: { type: String },
+  quarantineRoleId: { type: String, default: "" },
+  muteRoleId: { type: String, default: "" },
+  messageLogIgnoredChannelIds: { type: [String], default: [] },
+  messageLogIncludeStaffChannels: { type: Boolean, default: false },
   autoDeleteCommandSeconds: { type: Number, default: 0 }
 }, { timestamps: true });
 
@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+const GuildModerationStateSchema = new Schema({
+  guildId: { type: String, required: true, index: true, unique: true },
+  raidMode: { type: Boolean, default: false },
+  raidPolicy: { type: Schema.Types.Mixed, default: null },
+  raidSession: { type: Schema.Types.Mixed, default: null },
+  spamThresholds: { type: Schema.Types.Mixed, default: null },
+  spamAction: { type: String, default: null },
+  massMentionLimit: { type: Number, default: null },
+  warnEscalation: { type: [Schema.Types.Mixed], default: [] },
+  warnExpiryDays: { type: Number, default: null },
+  automod: { type: Map, of: Boolean, default: {} }
+}, { timestamps: true });
+
+export const GuildModerationStateModel = model("GuildModerationState", GuildModerationStateSchema);
@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+const LinkRuleSchema = new Schema({
+  id: { type: String, required: true },
+  list: { type: String, enum: ["allow", "deny"], required: true },
+  type: { type: String, enum: ["invite_code", "exact", "host", "path_prefix", "substring", "regex"], required: true },
+  value: { type: String, required: true },
+  note: { type: String, default: "" },
+  addedBy: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const LinkPolicySchema = new Schema({
+  guildId: { type: String, required: true, index: true, unique: true },
+  mode: { type: String, enum: ["off", "denylist", "allowlist"], default: "off" },
+  rules: { type: [LinkRuleSchema], default: [] },
+  exemptChannelIds: { type: [String], default: [] },
+  exemptRoleIds: { type: [String], default: [] }
+}, { timestamps: true });
+
+export const LinkPolicyModel = model("LinkPolicy", LinkPolicySchema);
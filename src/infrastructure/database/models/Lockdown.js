@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+const ChannelSnapshotSchema = new Schema({
+  channelId: { type: String, required: true },
+  rateLimitPerUser: { type: Number, default: 0 },
+  // @everyone overwrite as permission bitfield strings; null when the channel had none
+  everyone: {
+    type: new Schema({ allow: { type: String, default: "0" }, deny: { type: String, default: "0" } }, { _id: false }),
+    default: null
+  }
+}, { _id: false });
+
+const LockdownSchema = new Schema({
+  guildId: { type: String, required: true },
+  active: { type: Boolean, default: true },
+  scope: { type: String, default: "channels" },
+  reason: { type: String, default: "" },
+  startedBy: { type: String, default: null },
+  slowmodeSeconds: { type: Number, default: null },
+  // false when the lockdown only applies slowmode and leaves send permissions alone (anti-raid)
+  lockSend: { type: Boolean, default: true },
+  endsAt: { type: Date, default: null },
+  channels: { type: [ChannelSnapshotSchema], default: [] },
+  endedAt: { type: Date, default: null },
+  endedBy: { type: String, default: null },
+  endReason: { type: String, default: null }
+}, { timestamps: true });
+
+LockdownSchema.index({ guildId: 1 }, { unique: true, partialFilterExpression: { active: true } });
+LockdownSchema.index({ guildId: 1, createdAt: -1 });
+
+export const LockdownModel = model("Lockdown", LockdownSchema);
@@ -4,7 +4,8 @@ const { Schema, model } = mongoose;
 
 const ModerationActionSchema = new Schema({
   guildId: { type: String, required: true },
-  userId: { type: String, required: true },
+  // null for channel-level cases (see TARGETLESS_ACTIONS)
+  userId: { type: String, default: null },
   moderatorId: { type: String, default: null, index: true },
   action: { type: String, required: true },
   caseNumber: { type: Number, required: true },
@@ -16,7 +17,11 @@ const ModerationActionSchema = new Schema({
   undoContext: { type: Schema.Types.Mixed, default: null },
   expungedAt: { type: Date, default: null },
   expungedBy: { type: String, default: null },
-  expungedReason: { type: String, default: null }
+  expungedReason: { type: String, default: null },
+  logChannelId: { type: String, default: null },
+  logMessageId: { type: String, default: null },
+  revisions: { type: [Schema.Types.Mixed], default: [] },
+  evidence: { type: [Schema.Types.Mixed], default: [] }
 }, { timestamps: true });
 
 ModerationActionSchema.index({ guildId: 1, createdAt: -1 });
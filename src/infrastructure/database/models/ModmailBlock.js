@@ -0,0 +1,13 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+const ModmailBlockSchema = new Schema({
+  guildId: { type: String, required: true },
+  userId: { type: String, required: true },
+  moderatorId: { type: String, required: true },
+  reason: { type: String, default: "" }
+}, { timestamps: true });
+
+ModmailBlockSchema.index({ guildId: 1, userId: 1 }, { unique: true });
+
+export const ModmailBlockModel = model("ModmailBlock", ModmailBlockSchema);
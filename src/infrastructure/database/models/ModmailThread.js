@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+export const MODMAIL_STATUSES = ["open", "closed"];
+
+const ModmailThreadSchema = new Schema({
+  guildId: { type: String, required: true },
+  userId: { type: String, required: true },
+  // the staff-side thread (forum post or text-channel thread)
+  channelId: { type: String, required: true, unique: true },
+  parentId: { type: String, required: true },
+  status: { type: String, enum: MODMAIL_STATUSES, default: "open" },
+  messageCount: { type: Number, default: 0 },
+  lastMessageAt: { type: Date, default: null },
+  closedAt: { type: Date, default: null },
+  closedBy: { type: String, default: null },
+  closeReason: { type: String, default: null },
+  transcriptUrl: { type: String, default: null }
+}, { timestamps: true });
+
+// DMs carry no guild, so a user may only have one open thread across all guilds
+ModmailThreadSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { status: "open" } });
+ModmailThreadSchema.index({ guildId: 1, userId: 1, createdAt: -1 });
+
+export const ModmailThreadModel = model("ModmailThread", ModmailThreadSchema);
@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+const NoteSchema = new Schema({
+  guildId: { type: String, required: true },
+  userId: { type: String, required: true },
+  noteNumber: { type: Number, required: true },
+  authorId: { type: String, default: null },
+  text: { type: String, required: true },
+  caseNumbers: { type: [Number], default: [] },
+  editedAt: { type: Date, default: null },
+  editedBy: { type: String, default: null }
+}, { timestamps: true });
+
+NoteSchema.index({ guildId: 1, noteNumber: 1 }, { unique: true });
+NoteSchema.index({ guildId: 1, userId: 1, createdAt: -1 });
+NoteSchema.index({ userId: 1, createdAt: -1 });
+
+export const NoteModel = model("Note", NoteSchema);
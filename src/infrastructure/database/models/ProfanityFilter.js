@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+const ProfanityTermSchema = new Schema({
+  value: { type: String, required: true },
+  match: { type: String, enum: ["word", "substring"], default: "word" },
+  addedBy: { type: String }
+}, { _id: false });
+
+const ProfanityFilterSchema = new Schema({
+  guildId: { type: String, required: true, index: true, unique: true },
+  terms: { type: [ProfanityTermSchema], default: [] },
+  exemptChannelIds: { type: [String], default: [] },
+  warnOnMatch: { type: Boolean, default: false }
+}, { timestamps: true });
+
+export const ProfanityFilterModel = model("ProfanityFilter", ProfanityFilterSchema);
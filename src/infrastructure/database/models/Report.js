@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+export const REPORT_STATUSES = ["open", "handling", "resolved", "invalid"];
+
+const ReportSchema = new Schema({
+  guildId: { type: String, required: true },
+  reporterId: { type: String, required: true },
+  targetUserId: { type: String, default: null },
+  kind: { type: String, enum: ["user", "message"], required: true },
+  channelId: { type: String, default: null },
+  messageId: { type: String, default: null },
+  // snapshot of the reported message, kept even if it is deleted later
+  messageContent: { type: String, default: "" },
+  attachmentUrls: { type: [String], default: [] },
+  details: { type: String, default: "" },
+  status: { type: String, enum: REPORT_STATUSES, default: "open" },
+  handledBy: { type: String, default: null },
+  history: { type: [Schema.Types.Mixed], default: [] },
+  notifyReporter: { type: Boolean, default: false },
+  reporterNotifiedAt: { type: Date, default: null },
+  alertChannelId: { type: String, default: null },
+  alertMessageId: { type: String, default: null }
+}, { timestamps: true });
+
+ReportSchema.index({ guildId: 1, status: 1, createdAt: -1 });
+ReportSchema.index({ guildId: 1, reporterId: 1, createdAt: -1 });
+
+export const ReportModel = model("Report", ReportSchema);
@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+const SlowmodeWindowSchema = new Schema({
+  id: { type: String, required: true },
+  days: { type: [Number], default: [] },
+  start: { type: String, required: true },
+  end: { type: String, required: true },
+  seconds: { type: Number, required: true },
+  addedBy: { type: String, default: null }
+}, { _id: false });
+
+const SlowmodeScheduleSchema = new Schema({
+  guildId: { type: String, required: true, index: true },
+  channelId: { type: String, required: true, unique: true },
+  timezone: { type: String, default: "UTC" },
+  // slowmode applied outside every window
+  baseSeconds: { type: Number, default: 0 },
+  windows: { type: [SlowmodeWindowSchema], default: [] }
+}, { timestamps: true });
+
+export const SlowmodeScheduleModel = model("SlowmodeSchedule", SlowmodeScheduleSchema);
@@ -5,9 +5,14 @@ const WarningSchema = new Schema({
   guildId: { type: String, required: true },
   userId:  { type: String, required: true },
   modId:   { type: String, required: true },
-  reason:  { type: String, default: "No reason provided." }
+  reason:  { type: String, default: "No reason provided." },
+  caseNumber: { type: Number, default: null },
+  pardonedAt: { type: Date, default: null },
+  pardonedBy: { type: String, default: null },
+  pardonReason: { type: String, default: null }
 }, { timestamps: true });
 
 WarningSchema.index({ guildId: 1, userId: 1, createdAt: -1 });
+WarningSchema.index({ guildId: 1, caseNumber: 1 });
 
 export const WarningModel = model("Warning", WarningSchema);
@@ -0,0 +1,22 @@
+const USER_MENTION_REGEX = /<@!?(\d{15,25})>/g;
+const ROLE_MENTION_REGEX = /<@&(\d{15,25})>/g;
+const EVERYONE_REGEX = /@(everyone|here)\b/g;
+
+/**
+ * Tallies mentions written in a message body. Users and roles are de-duplicated;
+ * @everyone/@here are tallied on their own (each keyword once) whether or not the author may actually ping them.
+ * @param {string} content
+ * @returns {{ users: string[], roles: string[], everyone: string[], total: number }}
+ */
+export function countMentions(content) {
+  const text = String(content ?? "");
+  const users = new Set([...text.matchAll(USER_MENTION_REGEX)].map((m) => m[1]));
+  const roles = new Set([...text.matchAll(ROLE_MENTION_REGEX)].map((m) => m[1]));
+  const everyone = new Set([...text.matchAll(EVERYONE_REGEX)].map((m) => m[1]));
+  return {
+    users: [...users],
+    roles: [...roles],
+    everyone: [...everyone].map((keyword) => `@${keyword}`),
+    total: users.size + roles.size + everyone.size
+  };
+}
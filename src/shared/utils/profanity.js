@@ -0,0 +1,119 @@
+import anyAscii from "any-ascii";
+
+// Letters that look like Latin letters but transliterate to something else (Cyrillic р → "r", х → "kh", ...).
+const CONFUSABLES = new Map(Object.entries({
+  "а": "a", "в": "b", "е": "e", "ё": "e", "і": "i", "ї": "i", "ј": "j", "к": "k", "м": "m",
+  "н": "h", "о": "o", "р": "p", "с": "c", "т": "t", "у": "y", "х": "x", "ѕ": "s", "ԁ": "d", "ԛ": "q", "ԝ": "w",
+  "α": "a", "β": "b", "ε": "e", "η": "n", "ι": "i", "κ": "k", "ν": "v", "ο": "o", "ρ": "p", "τ": "t",
+  "υ": "u", "χ": "x", "ω": "w"
+}));
+
+const LEET = new Map(Object.entries({
+  "0": "o", "1": "i", "3": "e", "4": "a", "5": "s", "7": "t", "8": "b", "9": "g",
+  "@": "a", "$": "s", "€": "e", "+": "t"
+}));
+
+// Only treated as letters when another letter/digit follows ("sh!t", "|ol" but not "wow!").
+const TRAILING_LEET = new Map(Object.entries({ "!": "i", "|": "l" }));
+
+export const PROFANITY_MATCH_MODES = Object.freeze(["word", "substring"]);
+
+function replaceConfusables(text) {
+  let out = "";
+  for (const ch of text) {
+    out += CONFUSABLES.get(ch) ?? CONFUSABLES.get(ch.toLowerCase()) ?? ch;
+  }
+  return out;
+}
+
+function decodeLeetToken(token) {
+  if (!/[a-z]/.test(token)) return token;
+  let out = "";
+  const chars = [...token];
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i];
+    if (LEET.has(ch)) {
+      out += LEET.get(ch);
+    } else if (TRAILING_LEET.has(ch) && /[a-z0-9]/.test(chars[i + 1] || "")) {
+      out += TRAILING_LEET.get(ch);
+    } else {
+      out += ch;
+    }
+  }
+  return out;
+}
+
+// "f u c k" / "f.u.c.k" → "fuck": runs of three or more single characters are glued back together.
+function joinSpacedLetters(words) {
+  const out = [];
+  let run = [];
+  const flush = () => {
+    if (run.length >= 3) out.push(run.join(""));
+    else out.push(...run);
+    run = [];
+  };
+  for (const word of words) {
+    if (word.length === 1) {
+      run.push(word);
+      continue;
+    }
+    flush();
+    out.push(word);
+  }
+  flush();
+  return out;
+}
+
+/**
+ * Folds text into a canonical lowercase [a-z0-9 ] form so that confusable letters,
+ * leetspeak, punctuation and letter spacing cannot be used to dodge the filter.
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeForProfanity(text) {
+  if (!text) return "";
+  const ascii = anyAscii(replaceConfusables(String(text).normalize("NFKC"))).toLowerCase();
+  const decoded = ascii.split(/\s+/).map(decodeLeetToken).join(" ");
+  const words = decoded.replace(/[^a-z0-9]+/g, " ").trim().split(" ").filter(Boolean);
+  return joinSpacedLetters(words).join(" ");
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Builds a matcher for a single configured term. Repeated letters ("fuuuck") are tolerated,
+ * and word mode requires the term to start and end on word boundaries of the normalized text.
+ * @param {{ value: string, match?: "word"|"substring" }} term
+ * @returns {RegExp|null}
+ */
+export function compileProfanityTerm(term) {
+  const words = normalizeForProfanity(term?.value).split(" ").filter(Boolean);
+  if (!words.length) return null;
+  // Phrases tolerate stray spaces anywhere ("kill your-self"); single words stay strict so "this hit" is not "shit".
+  const letterJoin = words.length > 1 ? " ?" : "";
+  const body = words
+    .map((word) => [...word].map((ch) => `${escapeRegex(ch)}+`).join(letterJoin))
+    .join(" ?");
+  if (term?.match === "substring") return new RegExp(body);
+  return new RegExp(`(?:^| )${body}(?= |$)`);
+}
+
+/**
+ * Returns the first configured term found in the text, or null.
+ * @param {string} text
+ * @param {Array<{ value: string, match?: string, pattern?: RegExp|null }>} terms
+ */
+export function findProfanity(text, terms) {
+  if (!text || !Array.isArray(terms) || !terms.length) return null;
+  const normalized = normalizeForProfanity(text);
+  if (!normalized) return null;
+  for (const term of terms) {
+    const pattern = term.pattern ?? compileProfanityTerm(term);
+    if (pattern?.test(normalized)) {
+      return { value: term.value, match: term.match === "substring" ? "substring" : "word" };
+    }
+  }
+  return null;
+}
@@ -1,3 +1,5 @@
+import { parseDuration } from "./time.js";
+
 const DISCORD_EPOCH = 1420070400000n;
 const MAX_UINT64 = 18_446_744_073_709_551_615n;
 const TIMESTAMP_SHIFT = 22n;
@@ -24,6 +26,58 @@ export function decodeSnowflake(id) {
   return numberTs;
 }
 
+/**
+ * Encode a Unix millisecond timestamp as the lowest snowflake of that millisecond, for use as
+ * a before/after cursor.
+ */
+export function snowflakeFromTimestamp(ms) {
+  if (!Number.isFinite(ms) || ms < DISCORD_EPOCH_MS) return null;
+  return ((BigInt(Math.floor(ms)) - DISCORD_EPOCH) << TIMESTAMP_SHIFT).toString();
+}
+
+function boundFromTimestamp(ms, text) {
+  const bound = snowflakeFromTimestamp(ms);
+  if (!bound) throw new Error(`"${text}" is before Discord's epoch (2015).`);
+  return bound;
+}
+
+/**
+ * Resolve a user-supplied message bound to a snowflake. Accepts a message ID or link, an ISO date,
+ * a Unix timestamp (seconds or milliseconds) or a relative duration meaning "that long ago" (`2h`).
+ * Returns null for empty input and throws when the value cannot be understood or predates Discord,
+ * so a bad bound never silently turns into "no bound".
+ */
+export function parseSnowflakeBound(input, now = Date.now()) {
+  const text = String(input ?? "").trim();
+  if (!text) return null;
+
+  const link = /channels\/(?:@me|\d+)\/\d+\/(\d{15,25})/.exec(text);
+  if (link) return link[1];
+  if (/^\d{15,25}$/.test(text)) return text;
+
+  if (/^\d{9,13}$/.test(text)) {
+    const value = Number(text);
+    return boundFromTimestamp(text.length <= 10 ? value * 1000 : value, text);
+  }
+  // a bare number is neither an ID nor a timestamp; don't guess a unit for it
+  if (/^\d+$/.test(text)) throw new Error(`"${text}" is not a message ID; add a unit for a duration (e.g. ${text}m).`);
+
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    const parsed = Date.parse(text);
+    if (Number.isNaN(parsed)) throw new Error(`Invalid date: ${text}`);
+    return boundFromTimestamp(parsed, text);
+  }
+
+  let duration = null;
+  try {
+    duration = parseDuration(text);
+  } catch {
+    // fall through to the error below
+  }
+  if (!duration?.ms) throw new Error(`"${text}" is not a message ID, link, date or duration.`);
+  return boundFromTimestamp(now - duration.ms, text);
+}
+
 /**
  * Format a Unix millisecond timestamp into a Discord timestamp token.
  * @param {number} ms - Milliseconds since Unix epoch.
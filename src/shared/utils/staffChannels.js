@@ -9,6 +9,9 @@ const DEFAULT_CHANNEL_CANDIDATES = new Map(
     member_log: ["member-log", "staff-member-log"],
     staff_member_log: ["member-log", "staff-member-log"],
     message_log: ["message-log"],
+    transcript_log: ["transcript-log", "transcripts"],
+    report_log: ["report-log", "reports"],
+    modmail: ["modmail", "mod-mail"],
     bot_log: ["bot-log"],
     mod_log: ["mod-log", "moderator-log"]
   }).map(([key, names]) => [
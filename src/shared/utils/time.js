@@ -143,3 +143,6 @@ function normalizeUnit(unitRaw) {
 }
 
 export const MAX_TIMEOUT_DURATION = MAX_TIMEOUT_MS;
+
+// Discord's cap on a member timeout (communication_disabled_until)
+export const MAX_MEMBER_TIMEOUT_MS = 28 * 24 * 60 * 60 * 1000;
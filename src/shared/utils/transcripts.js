@@ -0,0 +1,183 @@
+export const TRANSCRIPT_FORMATS = Object.freeze(["html", "json", "txt"]);
+
+function toEmbedEntry(embed) {
+  const data = embed?.data ?? embed ?? {};
+  return {
+    title: data.title ?? null,
+    description: data.description ?? null,
+    url: data.url ?? null,
+    color: Number.isInteger(data.color) ? data.color : null,
+    author: data.author?.name ?? null,
+    fields: (data.fields || []).map((field) => ({ name: field.name, value: field.value })),
+    image: data.image?.url ?? data.thumbnail?.url ?? null,
+    footer: data.footer?.text ?? null
+  };
+}
+
+/**
+ * Plain-data view of a Discord message for transcripts, so archives do not depend on live
+ * discord.js objects (and can be built from cached or partial messages).
+ */
+export function toTranscriptEntry(message) {
+  const author = message.author || {};
+  return {
+    id: message.id,
+    channelId: message.channelId ?? message.channel?.id ?? null,
+    authorId: author.id ?? null,
+    authorTag: author.tag ?? author.username ?? "Unknown user",
+    authorAvatarUrl: author.displayAvatarURL?.({ size: 64 }) ?? null,
+    bot: Boolean(author.bot),
+    createdAt: new Date(message.createdTimestamp ?? message.createdAt ?? Date.now()),
+    editedAt: message.editedTimestamp ? new Date(message.editedTimestamp) : null,
+    content: message.content || "",
+    attachments: [...(message.attachments?.values?.() ?? [])].map((attachment) => ({
+      name: attachment.name ?? "file",
+      url: attachment.url,
+      size: attachment.size ?? null
+    })),
+    embeds: (message.embeds || []).map(toEmbedEntry),
+    replyToId: message.reference?.messageId ?? null
+  };
+}
+
+function formatTimestamp(date) {
+  return `${date.toISOString().replace("T", " ").slice(0, 19)} UTC`;
+}
+
+function sortEntries(entries) {
+  return [...entries].sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Renders entries oldest first as a plain-text transcript.
+ * @param {ReturnType<typeof toTranscriptEntry>[]} entries
+ * @param {{ title?: string }} [options]
+ */
+export function renderTextTranscript(entries, { title = "" } = {}) {
+  const sorted = sortEntries(entries);
+  const lines = [];
+  if (title) lines.push(title, `Messages: ${sorted.length}`, "");
+  for (const entry of sorted) {
+    const edited = entry.editedAt ? " (edited)" : "";
+    const reply = entry.replyToId ? ` [reply to ${entry.replyToId}]` : "";
+    lines.push(`[${formatTimestamp(entry.createdAt)}] ${entry.authorTag} (${entry.authorId})${entry.bot ? " [BOT]" : ""}${edited}${reply}`);
+    if (entry.content) lines.push(...entry.content.split("\n").map((line) => `  ${line}`));
+    for (const attachment of entry.attachments) lines.push(`  [attachment] ${attachment.name}: ${attachment.url}`);
+    if (entry.embeds.length) lines.push(`  [${entry.embeds.length} embed(s)]`);
+    lines.push("");
+  }
+  return lines.join("\n");
+}
+
+export function renderJsonTranscript(entries, { title = "", context = {} } = {}) {
+  return JSON.stringify({ title, ...context, exportedAt: new Date().toISOString(), messages: sortEntries(entries) }, null, 2);
+}
+
+export function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" })[char]);
+}
+
+function safeUrl(url) {
+  return /^https?:\/\//i.test(String(url ?? "")) ? escapeHtml(url) : "#";
+}
+
+function renderHtmlEmbed(embed) {
+  const color = embed.color !== null ? `#${embed.color.toString(16).padStart(6, "0")}` : "#4f545c";
+  const parts = [];
+  if (embed.author) parts.push(`<div class="embed-author">${escapeHtml(embed.author)}</div>`);
+  if (embed.title) {
+    const title = escapeHtml(embed.title);
+    parts.push(`<div class="embed-title">${embed.url ? `<a href="${safeUrl(embed.url)}">${title}</a>` : title}</div>`);
+  }
+  if (embed.description) parts.push(`<div class="embed-description">${escapeHtml(embed.description)}</div>`);
+  for (const field of embed.fields) {
+    parts.push(`<div class="embed-field"><b>${escapeHtml(field.name)}</b><br>${escapeHtml(field.value)}</div>`);
+  }
+  if (embed.image) parts.push(`<div><a href="${safeUrl(embed.image)}">[image]</a></div>`);
+  if (embed.footer) parts.push(`<div class="embed-footer">${escapeHtml(embed.footer)}</div>`);
+  return `<div class="embed" style="border-color:${color}">${parts.join("")}</div>`;
+}
+
+const HTML_STYLE = `
+body{background:#313338;color:#dbdee1;font-family:"gg sans","Helvetica Neue",Arial,sans-serif;margin:0;padding:16px}
+a{color:#00a8fc}header{border-bottom:1px solid #4e5058;margin-bottom:12px;padding-bottom:8px}
+.message{display:flex;gap:12px;padding:6px 0}.avatar{width:40px;height:40px;border-radius:50%;flex:none;background:#4e5058}
+.author{font-weight:600;color:#f2f3f5}.bot{background:#5865f2;color:#fff;border-radius:3px;font-size:10px;padding:1px 4px;margin-left:4px}
+.time{color:#949ba4;font-size:12px;margin-left:6px}.content{white-space:pre-wrap;word-wrap:break-word}
+.reply{color:#949ba4;font-size:13px;margin-bottom:2px}.attachment{display:block;font-size:14px}
+.embed{border-left:4px solid;background:#2b2d31;border-radius:4px;padding:8px 12px;margin-top:4px;max-width:520px}
+.embed-title{font-weight:600}.embed-author,.embed-footer{font-size:12px;color:#b5bac1}.embed-field{margin-top:4px;white-space:pre-wrap}
+.embed-description{white-space:pre-wrap}
+`.trim();
+
+/**
+ * Renders a standalone HTML page (inline styles, no scripts); avatars, attachments and embed images
+ * are linked rather than embedded.
+ */
+export function renderHtmlTranscript(entries, { title = "Transcript", context = {} } = {}) {
+  const sorted = sortEntries(entries);
+  const byId = new Map(sorted.map((entry) => [entry.id, entry]));
+  const rows = sorted.map((entry) => {
+    const avatar = entry.authorAvatarUrl
+      ? `<img class="avatar" src="${safeUrl(entry.authorAvatarUrl)}" alt="">`
+      : "<div class=\"avatar\"></div>";
+    let reply = "";
+    if (entry.replyToId) {
+      const target = byId.get(entry.replyToId);
+      reply = target
+        ? `<div class="reply">↪ <a href="#m-${escapeHtml(target.id)}">${escapeHtml(target.authorTag)}</a>: ${escapeHtml(target.content.slice(0, 100))}</div>`
+        : `<div class="reply">↪ reply to message ${escapeHtml(entry.replyToId)} (not in this transcript)</div>`;
+    }
+    const attachments = entry.attachments
+      .map((attachment) => `<a class="attachment" href="${safeUrl(attachment.url)}">📎 ${escapeHtml(attachment.name)}</a>`)
+      .join("");
+    return [
+      `<div class="message" id="m-${escapeHtml(entry.id)}">`,
+      avatar,
+      "<div>",
+      reply,
+      `<span class="author" title="${escapeHtml(entry.authorId)}">${escapeHtml(entry.authorTag)}</span>`,
+      entry.bot ? "<span class=\"bot\">BOT</span>" : "",
+      `<span class="time">${formatTimestamp(entry.createdAt)}${entry.editedAt ? " (edited)" : ""}</span>`,
+      entry.content ? `<div class="content">${escapeHtml(entry.content)}</div>` : "",
+      attachments,
+      entry.embeds.map(renderHtmlEmbed).join(""),
+      "</div></div>"
+    ].join("");
+  });
+  const details = Object.entries(context)
+    .map(([key, value]) => `<div>${escapeHtml(key)}: ${escapeHtml(value)}</div>`)
+    .join("");
+  return [
+    "<!DOCTYPE html>",
+    `<html lang="en"><head><meta charset="utf-8"><title>${escapeHtml(title)}</title><style>${HTML_STYLE}</style></head><body>`,
+    `<header><h2>${escapeHtml(title)}</h2>${details}<div>Messages: ${sorted.length}</div></header>`,
+    ...rows,
+    "</body></html>"
+  ].join("\n");
+}
+
+/**
+ * @param {"html"|"json"|"txt"} format
+ * @returns {{ content: string, extension: string }}
+ */
+export function renderTranscript(format, entries, options = {}) {
+  if (format === "json") return { content: renderJsonTranscript(entries, options), extension: "json" };
+  if (format === "txt") return { content: renderTextTranscript(entries, options), extension: "txt" };
+  return { content: renderHtmlTranscript(entries, options), extension: "html" };
+}
+
+/** Up to `limit` messages from `channel`, newest first, paging 100 at a time. */
+export async function fetchChannelHistory(channel, limit) {
+  const messages = [];
+  let before;
+  while (messages.length < limit) {
+    const batch = await channel.messages.fetch({ limit: Math.min(100, limit - messages.length), before });
+    if (!batch.size) break;
+    const sorted = [...batch.values()].sort((a, b) => b.createdTimestamp - a.createdTimestamp);
+    messages.push(...sorted);
+    before = sorted.at(-1).id;
+    if (batch.size < 100) break;
+  }
+  return messages;
+}
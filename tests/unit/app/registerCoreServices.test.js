@@ -20,15 +20,24 @@ function createBaseOverrides(overrides = {}) {
     logger: createLoggerStub(),
     moderationLogService: {},
     warningService: {},
+    warningEscalationService: {},
+    noteService: {},
     moderationService: { setClient: () => {} },
     channelMapService: {},
     staffRoleService: {},
     guildConfigService: { getModLogChannelId: async () => null },
     antiSpamService: {},
     runtimeModerationState: {},
+    profanityFilterService: {},
+    linkAllowService: {},
+    lockdownService: {},
+    channelScheduleService: {},
     staffMemberLogService: {},
+    messageLogService: {},
     virusTotalService: {},
     mentionTrackerService: {},
+    reportService: {},
+    modmailService: {},
     displayNamePolicyService: {},
     allowedInviteService: { loadAll: async () => 0 },
     ...overrides
@@ -82,3 +91,22 @@ test("registerCoreServices logs preload errors without throwing", async () => {
   assert.equal(overrides.logger.errorCalls[0][0], "invite_guard.allowlist_preload_failed");
   assert.match(overrides.logger.errorCalls[0][1].error, /boom/);
 });
+
+test("registerCoreServices preloads persisted runtime moderation state", async () => {
+  const container = new Container();
+  let loadCount = 0;
+  const overrides = createBaseOverrides({
+    runtimeModerationState: {
+      loadAll: async () => {
+        loadCount += 1;
+        return 3;
+      }
+    }
+  });
+
+  await registerCoreServices({ container, config: {}, services: overrides });
+
+  assert.equal(loadCount, 1);
+  assert.equal(container.get(TOKENS.RuntimeModerationState), overrides.runtimeModerationState);
+  assert.ok(overrides.logger.infoCalls.some(([event, data]) => event === "runtime_state.preload" && data.guilds === 3));
+});
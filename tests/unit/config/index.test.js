@@ -48,7 +48,20 @@ const ENV_KEYS = [
   "MENTION_TRACKER_EXTRA_FLAG_KEYS",
   "MENTION_TRACKER_ROLE_IDS",
   "MENTION_TRACKER_USER_IDS",
-  "DISPLAY_NAME_SWEEP_INTERVAL_MINUTES"
+  "DISPLAY_NAME_SWEEP_INTERVAL_MINUTES",
+  "MESSAGE_LOG_CACHE_SIZE",
+  "REPORTS_RATE_LIMIT_MAX",
+  "REPORTS_RATE_LIMIT_WINDOW_MS",
+  "PURGE_MAX_MESSAGES",
+  "PURGE_TRANSCRIPT_CHANNEL_KEY",
+  "MASS_MENTION_TIMEOUT_MS",
+  "MASS_MENTION_FLAG_CHANNEL_KEY",
+  "RAID_MODE_ACTION",
+  "RAID_MODE_TIMEOUT_MS",
+  "RAID_MODE_MIN_ACCOUNT_AGE_DAYS",
+  "RAID_MODE_QUIET_MINUTES",
+  "RAID_MODE_VERIFICATION_LEVEL",
+  "RAID_MODE_QUARANTINE_ROLE_ID"
 ];
 
 function loadConfigSnapshot({ files = {}, env = {} } = {}) {
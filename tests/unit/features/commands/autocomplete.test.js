@@ -0,0 +1,57 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { TOKENS } from "../../../../src/app/container/index.js";
+import { caseNumberChoices, channelKeyChoices, linkRuleChoices } from "../../../../src/features/commands/lib/autocomplete.js";
+
+function createInteraction(services, { group = null } = {}) {
+  return {
+    guildId: "guild-1",
+    guild: { channels: { cache: new Map([["c1", { name: "mod-log" }]]) } },
+    options: { getSubcommandGroup: () => group },
+    client: { container: { get: (token) => services[token] } }
+  };
+}
+
+test("caseNumberChoices filters recent cases by prefix and looks up older exact numbers", async () => {
+  const recent = [
+    { caseNumber: 12, action: "ban", userId: "u1", metadata: { targetTag: "spam#0001" }, reason: "raid" },
+    { caseNumber: 11, action: "warn", userId: "u2", metadata: {}, reason: "", expungedAt: new Date() },
+    { caseNumber: 2, action: "mute", userId: "u3", metadata: {} }
+  ];
+  const interaction = createInteraction({
+    [TOKENS.ModerationLogService]: {
+      list: async () => recent,
+      getByCase: async (guildId, caseNumber) => (caseNumber === 1 ? { caseNumber: 1, action: "kick", userId: "u4" } : null)
+    }
+  });
+
+  const ones = await caseNumberChoices(interaction, "1");
+  assert.deepEqual(ones.map(choice => choice.value), [1, 12, 11]);
+  assert.equal(ones[1].name, "#12 — ban — spam#0001 — raid");
+  assert.equal(ones[2].name, "#11 — warn — u2 (expunged)");
+
+  const all = await caseNumberChoices(interaction, "");
+  assert.equal(all.length, 3);
+});
+
+test("linkRuleChoices reads the list named by the subcommand group", async () => {
+  const lists = [];
+  const svc = {
+    list: (guildId, list) => {
+      lists.push(list);
+      return [{ type: "host", value: "example.com", note: "docs" }, { type: "regex", value: "x".repeat(150) }];
+    }
+  };
+  const choices = await linkRuleChoices(createInteraction({ [TOKENS.LinkAllowService]: svc }, { group: "deny" }), "doc");
+  assert.deepEqual(lists, ["deny"]);
+  assert.deepEqual(choices, [{ name: "example.com (host)", value: "example.com" }]);
+});
+
+test("channelKeyChoices labels mapped keys with their channel", async () => {
+  const svc = { list: async () => [{ key: "mod_log", channelId: "c1" }, { key: "report_log", channelId: "c9" }] };
+  const choices = await channelKeyChoices(createInteraction({ [TOKENS.ChannelMapService]: svc }), "log");
+  assert.deepEqual(choices, [
+    { name: "mod_log → #mod-log", value: "mod_log" },
+    { name: "report_log → c9", value: "report_log" }
+  ]);
+});
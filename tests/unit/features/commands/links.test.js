@@ -0,0 +1,29 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { TOKENS } from "../../../../src/app/container/index.js";
+import links from "../../../../src/features/commands/moderation/links.js";
+
+test("/links <group> list replies with the rules of that list", async () => {
+  const requested = [];
+  const replies = [];
+  const svc = {
+    list: (guildId, list) => {
+      requested.push(list);
+      return [{ type: "host", value: "example.com", note: "docs" }];
+    }
+  };
+  const interaction = {
+    guildId: "guild-1",
+    inGuild: () => true,
+    options: { getSubcommandGroup: () => "deny", getSubcommand: () => "list" },
+    client: { container: { get: (token) => (token === TOKENS.LinkAllowService ? svc : null) } },
+    reply: async (payload) => { replies.push(payload); }
+  };
+
+  await links.execute(interaction);
+
+  assert.deepEqual(requested, ["deny"]);
+  const embed = replies[0].embeds[0].toJSON();
+  assert.equal(embed.title, "Denied links");
+  assert.match(embed.description, /\*\*host\*\* — example\.com _\(docs\)_/);
+});
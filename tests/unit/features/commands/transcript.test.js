@@ -0,0 +1,36 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { PermissionFlagsBits, PermissionsBitField } from "discord.js";
+import { TOKENS } from "../../../../src/app/container/index.js";
+import transcript from "../../../../src/features/commands/moderation/transcript.js";
+
+test("/transcript refuses channels the caller cannot read", async () => {
+  const replies = [];
+  let fetched = false;
+  const member = { id: "mod-1" };
+  const channel = {
+    id: "c1",
+    name: "staff-only",
+    toString: () => "<#c1>",
+    permissionsFor: (who) => new PermissionsBitField(who === member ? [PermissionFlagsBits.ViewChannel] : []),
+    messages: { fetch: async () => { fetched = true; return new Map(); } }
+  };
+  const interaction = {
+    guildId: "guild-1",
+    member,
+    inGuild: () => true,
+    options: {
+      getChannel: () => channel,
+      getInteger: () => null,
+      getString: () => null
+    },
+    client: { container: { get: (token) => (token === TOKENS.ModerationLogService ? { getByCase: async () => null } : null) } },
+    reply: async (payload) => { replies.push(payload); },
+    deferReply: async () => { throw new Error("should not defer"); }
+  };
+
+  await transcript.execute(interaction);
+
+  assert.equal(fetched, false);
+  assert.match(replies[0].embeds[0].toJSON().description, /Read Message History in <#c1>/);
+});
@@ -0,0 +1,21 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { countMentions } from "../../../../src/shared/utils/mentions.js";
+
+test("countMentions de-duplicates users and roles", () => {
+  const tally = countMentions("<@111111111111111111> <@!111111111111111111> <@222222222222222222> <@&333333333333333333> <@&333333333333333333>");
+  assert.deepEqual(tally.users, ["111111111111111111", "222222222222222222"]);
+  assert.deepEqual(tally.roles, ["333333333333333333"]);
+  assert.equal(tally.total, 3);
+});
+
+test("countMentions tallies @everyone and @here separately", () => {
+  const tally = countMentions("@everyone @here @everyone look <@111111111111111111>");
+  assert.deepEqual(tally.everyone, ["@everyone", "@here"]);
+  assert.equal(tally.users.length, 1);
+  assert.equal(tally.total, 3);
+});
+
+test("countMentions handles empty content", () => {
+  assert.deepEqual(countMentions(null), { users: [], roles: [], everyone: [], total: 0 });
+});
@@ -0,0 +1,37 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { normalizeForProfanity, compileProfanityTerm, findProfanity } from "../../../../src/shared/utils/profanity.js";
+
+const terms = [
+  { value: "shit", match: "word" },
+  { value: "kill yourself", match: "word" },
+  { value: "ass", match: "word" },
+  { value: "crap", match: "substring" }
+];
+
+test("normalizeForProfanity folds leetspeak, confusables and spacing", () => {
+  assert.equal(normalizeForProfanity("$h1t"), "shit");
+  assert.equal(normalizeForProfanity("sh!t"), "shit");
+  assert.equal(normalizeForProfanity("s.h.i.t"), "shit");
+  assert.equal(normalizeForProfanity("ｓｈｉｔ"), "shit");
+  assert.equal(normalizeForProfanity("ѕһіt"), "shit");
+  assert.equal(normalizeForProfanity("wow!"), "wow");
+});
+
+test("findProfanity respects whole-word matching", () => {
+  assert.equal(findProfanity("what a shiiiit day", terms)?.value, "shit");
+  assert.equal(findProfanity("this hit the spot", terms), null);
+  assert.equal(findProfanity("first class pass", terms), null);
+  assert.equal(findProfanity("a$$", terms)?.value, "ass");
+});
+
+test("findProfanity matches substrings and phrases", () => {
+  assert.deepEqual(findProfanity("absolutecrapshoot", terms), { value: "crap", match: "substring" });
+  assert.equal(findProfanity("just kill   your-self", terms)?.value, "kill yourself");
+  assert.equal(findProfanity("killyourself", terms)?.value, "kill yourself");
+});
+
+test("compileProfanityTerm ignores terms without letters or digits", () => {
+  assert.equal(compileProfanityTerm({ value: "!!!" }), null);
+  assert.equal(findProfanity("", terms), null);
+});
@@ -1,6 +1,12 @@
 import test from "node:test";
 import assert from "node:assert/strict";
-import { decodeSnowflake, formatDiscordTimestamp, DISCORD_EPOCH_MS } from "../../../../src/shared/utils/snowflake.js";
+import {
+  decodeSnowflake,
+  formatDiscordTimestamp,
+  parseSnowflakeBound,
+  snowflakeFromTimestamp,
+  DISCORD_EPOCH_MS
+} from "../../../../src/shared/utils/snowflake.js";
 
 test("decodeSnowflake converts ids into millisecond timestamps", () => {
   const ms = DISCORD_EPOCH_MS + 12345;
@@ -17,3 +23,17 @@ test("formatDiscordTimestamp formats unix seconds with optional style", () => {
   assert.equal(formatDiscordTimestamp(ms, "F"), `<t:${seconds}:F>`);
   assert.equal(formatDiscordTimestamp(-1), null);
 });
+
+test("parseSnowflakeBound accepts ids, links, dates and relative durations", () => {
+  const now = Date.UTC(2030, 0, 1, 12);
+  assert.equal(parseSnowflakeBound("123456789012345678"), "123456789012345678");
+  assert.equal(parseSnowflakeBound("https://discord.com/channels/1/2/123456789012345678"), "123456789012345678");
+  assert.equal(decodeSnowflake(parseSnowflakeBound("2030-01-01T10:00:00Z")), Date.UTC(2030, 0, 1, 10));
+  assert.equal(decodeSnowflake(parseSnowflakeBound(String(now / 1000))), now);
+  assert.equal(parseSnowflakeBound("2h", now), snowflakeFromTimestamp(now - 7_200_000));
+  assert.equal(parseSnowflakeBound(""), null);
+  assert.throws(() => parseSnowflakeBound("yesterday-ish"), /not a message ID/);
+  assert.throws(() => parseSnowflakeBound("30"), /add a unit/);
+  assert.throws(() => parseSnowflakeBound("20y", now), /before Discord's epoch/);
+  assert.throws(() => parseSnowflakeBound("2010-01-01"), /before Discord's epoch/);
+});
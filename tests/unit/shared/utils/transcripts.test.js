@@ -0,0 +1,64 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { renderHtmlTranscript, renderTranscript, renderTextTranscript, toTranscriptEntry } from "../../../../src/shared/utils/transcripts.js";
+
+const message = (id, createdTimestamp, overrides = {}) => ({
+  id,
+  channelId: "c1",
+  author: { id: "u1", tag: "user#0001" },
+  createdTimestamp,
+  content: "hello",
+  attachments: new Map(),
+  embeds: [],
+  ...overrides
+});
+
+test("renderTextTranscript lists messages oldest first with attachments", () => {
+  const entries = [
+    message("2", Date.UTC(2030, 0, 1, 12, 5), {
+      content: "second\nline",
+      attachments: new Map([["a", { name: "cat.png", url: "https://cdn.example/cat.png" }]])
+    }),
+    message("1", Date.UTC(2030, 0, 1, 12, 0), { author: { id: "b1", tag: "bot#0000", bot: true } })
+  ].map(toTranscriptEntry);
+
+  const text = renderTextTranscript(entries, { title: "Purge" });
+  const lines = text.split("\n");
+
+  assert.deepEqual(lines.slice(0, 3), ["Purge", "Messages: 2", ""]);
+  assert.equal(lines[3], "[2030-01-01 12:00:00 UTC] bot#0000 (b1) [BOT]");
+  assert.ok(lines.indexOf("[2030-01-01 12:05:00 UTC] user#0001 (u1)") > 3);
+  assert.ok(lines.includes("  line"));
+  assert.ok(lines.includes("  [attachment] cat.png: https://cdn.example/cat.png"));
+});
+
+test("renderHtmlTranscript escapes content and links replies, embeds and attachments", () => {
+  const entries = [
+    message("1", Date.UTC(2030, 0, 1, 12, 0), { content: "<script>alert(1)</script>" }),
+    message("2", Date.UTC(2030, 0, 1, 12, 1), {
+      reference: { messageId: "1" },
+      author: { id: "u2", tag: "other#0002", displayAvatarURL: () => "https://cdn.example/a.png" },
+      embeds: [{ data: { title: "Title", url: "javascript:alert(1)", color: 0xff0000 } }],
+      attachments: new Map([["a", { name: "log.txt", url: "https://cdn.example/log.txt" }]])
+    })
+  ].map(toTranscriptEntry);
+
+  const html = renderHtmlTranscript(entries, { title: "#general", context: { channelId: "c1" } });
+
+  assert.ok(!html.includes("<script>"));
+  assert.ok(html.includes("&lt;script&gt;alert(1)&lt;/script&gt;"));
+  assert.ok(html.includes("<a href=\"#m-1\">user#0001</a>"));
+  assert.ok(html.includes("<img class=\"avatar\" src=\"https://cdn.example/a.png\""));
+  assert.ok(html.includes("<a href=\"#\">Title</a>"));
+  assert.ok(html.includes("border-color:#ff0000"));
+  assert.ok(html.includes("href=\"https://cdn.example/log.txt\""));
+});
+
+test("renderTranscript picks the renderer and extension for each format", () => {
+  const entries = [toTranscriptEntry(message("1", Date.UTC(2030, 0, 1)))];
+  const json = renderTranscript("json", entries, { title: "t", context: { channelId: "c1" } });
+  assert.equal(json.extension, "json");
+  assert.equal(JSON.parse(json.content).messages[0].id, "1");
+  assert.equal(renderTranscript("txt", entries).extension, "txt");
+  assert.match(renderTranscript("html", entries).content, /^<!DOCTYPE html>/);
+});
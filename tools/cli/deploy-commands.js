@@ -4,14 +4,16 @@ import { REST, Routes } from "discord.js";
 import { join, resolve } from "node:path";
 import { CONFIG } from "../../src/config/index.js";
 import { loadPlugins, walkFiles } from "../../src/app/registry/loader.js";
+import { commandKey, contextMenuKind } from "../../src/app/registry/commandKeys.js";
 
 async function collectAllCommands() {
   const roots = [join(process.cwd(), "src", "features", "commands")];
   const regs = await loadPlugins((CONFIG.privateModuleDirs || []).map(p => resolve(process.cwd(), p)));
   for (const r of regs) for (const d of (r.commandDirs || [])) roots.push(resolve(d));
 
-  const commands = [];
+  const commands = new Map();
   const filesTried = [];
+  let contextMenus = 0;
   const concurrency = (() => {
     const parsed = Number.parseInt(process.env.COMMAND_DEPLOY_CONCURRENCY ?? "", 10);
     return Number.isInteger(parsed) && parsed > 0 ? parsed : 4;
@@ -26,9 +28,13 @@ async function collectAllCommands() {
         if (mod?.default?.data) {
           // Print name+path before toJSON so we see which one blows up
           const name = mod.default.data.name ?? "(no-name)";
-          console.log(chalk.cyan(`• Loading command: ${chalk.bold(name)}  ← ${file}`));
+          const kind = contextMenuKind(mod.default.data);
+          console.log(chalk.cyan(`• Loading ${kind ? `${kind} menu` : "command"}: ${chalk.bold(name)}  ← ${file}`));
           const json = mod.default.data.toJSON(); // validation happens here
-          commands.push(json);
+          const key = commandKey(mod.default.data);
+          if (commands.has(key)) throw new Error(`Duplicate command "${key}" in ${file}`);
+          commands.set(key, json);
+          if (kind) contextMenus += 1;
         }
       } catch (err) {
         console.error(chalk.red(`FAILED loading ${file}\n${err?.stack || err}`));
@@ -36,8 +42,9 @@ async function collectAllCommands() {
       }
     });
   }
-  console.log(chalk.blue(`Total commands collected: ${commands.length} from ${filesTried.length} files`));
-  return commands;
+  const body = [...commands.values()];
+  console.log(chalk.blue(`Total commands collected: ${body.length} (${body.length - contextMenus} slash, ${contextMenus} context menu) from ${filesTried.length} files`));
+  return body;
 }
 
 async function register() {